@@ -0,0 +1,408 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Client API
+ *
+ * Auteur: AstroGenAI
+ * Description: Couche d'accès au backend Flask autour de `fetch` : délai
+ * maximal par requête, annulation (AbortController), nouvelles tentatives
+ * avec attente exponentielle pour les appels idempotents, lecture sûre des
+ * réponses non JSON (page d'erreur d'un proxy) et file des requêtes émises
+ * pendant une coupure du backend, renvoyées quand il répond de nouveau.
+ * L'adresse et la clé d'API de chaque appel viennent du profil de connexion
+ * actif (connections.js) ; `fetch` peut être remplacé par le backend de
+ * démonstration (demo.js). Une requête non idempotente n'est mise en file que
+ * si elle n'a jamais atteint le backend.
+ * =============================================================================
+ */
+
+// Délais maximaux (ms) par famille d'appels ; `timeout` les remplace appel par appel.
+const API_TIMEOUTS = {
+    default: 20000,
+    health: 5000,
+    generation: 300000,     // Génération de texte par Ollama
+    video: 600000           // Rendu ComfyUI
+};
+
+// Nouvelles tentatives : 2 par défaut, attente doublée à chaque fois (0,5 s, 1 s…, 8 s au plus).
+const API_RETRY = { retries: 2, baseDelay: 500, maxDelay: 8000 };
+
+// Statuts HTTP transitoires qui justifient une nouvelle tentative.
+const API_RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Statuts renvoyés par un proxy quand le backend ne répond plus.
+const API_OFFLINE_STATUSES = [502, 503, 504];
+
+// Méthodes rejouables sans effet de bord ; les autres ne sont retentées que si `idempotent: true`.
+const API_IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// État de la connexion au backend et requêtes en attente de renvoi.
+const apiConnection = {
+    online: true,
+    queue: [],              // { id, endpoint, options, label, queuedAt, resolve, reject }
+    replaying: false,
+    listeners: [],
+    profile: null,          // Profil de connexion actif (connections.js), null pour des appels relatifs
+    transport: null,        // Remplaçant de `fetch` (backend de démonstration), null pour le réseau
+    ready: Promise.resolve() // Les requêtes attendent cette promesse avant de partir
+};
+
+/**
+ * Crée une erreur d'appel API.
+ * Une annulation porte le nom 'AbortError', comme celles de `fetch`.
+ * @param {string} message - Le message affichable.
+ * @param {object} details - { code, status?, data? } avec code 'http', 'api', 'timeout',
+ *   'network', 'aborted' ou 'invalid_response'.
+ * @returns {Error} L'erreur.
+ */
+function createApiError(message, details) {
+    const error = new Error(message);
+    error.name = details.code === 'aborted' ? 'AbortError' : 'ApiError';
+    return Object.assign(error, { status: null, data: null }, details);
+}
+
+/**
+ * @param {object} options - Les options de la requête.
+ * @returns {boolean} Vrai si la requête peut être rejouée sans risque.
+ */
+function isIdempotentRequest(options) {
+    if (typeof options.idempotent === 'boolean') return options.idempotent;
+    return API_IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+}
+
+/**
+ * @param {Error} error - Une erreur d'appel API.
+ * @returns {boolean} Vrai si elle indique que le backend est injoignable.
+ */
+function isOfflineError(error) {
+    return error.code === 'network' || (error.code === 'http' && API_OFFLINE_STATUSES.includes(error.status));
+}
+
+/**
+ * Une requête n'est mise en file après un échec que si son renvoi est sans
+ * risque : requête idempotente, ou échec réseau avant toute réponse (la
+ * requête n'a pas atteint le backend). Après un 502 ou un 504, un proxy a pu
+ * transmettre une création de tâche : la rejouer la lancerait deux fois.
+ * @param {object} options - Les options de la requête.
+ * @param {Error} error - L'erreur d'appel API.
+ * @returns {boolean} Vrai si la requête peut attendre le retour du backend.
+ */
+function canQueueFailedRequest(options, error) {
+    return isIdempotentRequest(options) || error.code === 'network';
+}
+
+/**
+ * Attente avant la tentative suivante : exponentielle, avec une part aléatoire
+ * pour que plusieurs onglets ne relancent pas en même temps. Un en-tête
+ * Retry-After (en secondes) est respecté.
+ * @param {number} attempt - Le numéro de la tentative échouée (0 pour la première).
+ * @param {string|null} [retryAfter] - La valeur de l'en-tête Retry-After.
+ * @returns {number} L'attente en millisecondes.
+ */
+function getRetryDelay(attempt, retryAfter = null) {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, API_RETRY.maxDelay);
+    const delay = Math.min(API_RETRY.baseDelay * 2 ** attempt, API_RETRY.maxDelay);
+    return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Attend un délai, interrompu par l'annulation de la requête.
+ * @param {number} delay - L'attente en millisecondes.
+ * @param {AbortSignal} [signal] - Le signal d'annulation.
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createApiError(t('api.error.aborted'), { code: 'aborted' }));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        if (signal?.aborted) onAbort();
+        else signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Extrait un court passage lisible d'une réponse texte ou HTML.
+ * @param {string} text - Le corps de la réponse.
+ * @returns {string} Le titre de la page, sinon le début du texte.
+ */
+function getResponseExcerpt(text) {
+    const title = /<title[^>]*>([^<]*)<\/title>/i.exec(text)?.[1];
+    const plain = (title || text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+    return plain.length > 120 ? `${plain.slice(0, 119)}…` : plain;
+}
+
+/**
+ * Lit le corps JSON d'une réponse et contrôle son succès.
+ * Une réponse qui n'est pas du JSON donne une erreur explicite au lieu d'une
+ * erreur d'analyse.
+ * @param {Response} response - La réponse de `fetch`.
+ * @param {boolean} [expectSuccess] - Exige `success: true` dans le corps.
+ * @returns {Promise<object>} Les données.
+ */
+async function readApiResponse(response, expectSuccess = true) {
+    const contentType = response.headers.get('Content-Type') || '';
+    const text = await response.text();
+
+    let data;
+    if (!contentType.includes('json')) {
+        throw createApiError(t(text.trim() ? 'api.error.nonJson' : 'api.error.empty', {
+            status: response.status,
+            excerpt: getResponseExcerpt(text)
+        }), { code: response.ok ? 'invalid_response' : 'http', status: response.status });
+    }
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw createApiError(t('api.error.invalidJson', { status: response.status }),
+            { code: response.ok ? 'invalid_response' : 'http', status: response.status });
+    }
+
+    if (!response.ok) {
+        throw createApiError(data?.error || t('api.error.http', { status: response.status }),
+            { code: 'http', status: response.status, data });
+    }
+    if (expectSuccess && !data?.success) {
+        throw createApiError(data?.error || t('api.error.http', { status: response.status }),
+            { code: 'api', status: response.status, data });
+    }
+    return data;
+}
+
+/**
+ * Envoie une requête, avec délai maximal et nouvelles tentatives.
+ * @param {string} endpoint - L'URL de l'API.
+ * @param {object} options - Les options de `apiFetch` (hors file hors ligne).
+ * @returns {Promise<object|Response>} Les données, ou la réponse si `raw`.
+ */
+async function sendApiRequest(endpoint, options) {
+    const { timeout = API_TIMEOUTS.default, retries, idempotent, expectSuccess = true, raw = false,
+        signal, label, connection, ...fetchOptions } = options;
+    const maxRetries = isIdempotentRequest(options) ? (retries ?? API_RETRY.retries) : 0;
+    await apiConnection.ready;
+    // Un profil passé explicitement (test de connexion) vise toujours le réseau.
+    const transport = connection ? fetch : (apiConnection.transport || fetch);
+    const target = connection ? resolveConnection(connection, endpoint) : getApiTarget(endpoint);
+    const headers = { ...fetchOptions.headers, ...target.headers };
+
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw createApiError(t('api.error.aborted'), { code: 'aborted' });
+
+        const controller = new AbortController();
+        const abortFromCaller = () => controller.abort();
+        signal?.addEventListener('abort', abortFromCaller, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        let retryAfter = null;
+        let streaming = false;
+        try {
+            const response = await transport(target.url, { ...fetchOptions, headers, signal: controller.signal });
+            retryAfter = response.headers.get('Retry-After');
+            // En mode brut (flux du chat), le délai ne couvre que l'arrivée des en-têtes ;
+            // l'annulation par l'appelant reste branchée pour interrompre la lecture du flux.
+            if (raw && response.ok) {
+                streaming = true;
+                return response;
+            }
+            return await readApiResponse(response, expectSuccess);
+        } catch (error) {
+            let apiError = error;
+            if (error.name === 'AbortError' || controller.signal.aborted) {
+                apiError = timedOut
+                    ? createApiError(t('api.error.timeout', { seconds: Math.round(timeout / 1000) }), { code: 'timeout' })
+                    : createApiError(t('api.error.aborted'), { code: 'aborted' });
+            } else if (error.name !== 'ApiError') {
+                apiError = createApiError(t('api.error.network'), { code: 'network' });
+            }
+
+            const retryable = apiError.code === 'network' || apiError.code === 'timeout'
+                || (apiError.code === 'http' && API_RETRYABLE_STATUSES.includes(apiError.status));
+            if (!retryable || attempt >= maxRetries) throw apiError;
+            console.warn(`Nouvelle tentative ${attempt + 1}/${maxRetries} pour ${endpoint}: ${apiError.message}`);
+        } finally {
+            clearTimeout(timer);
+            if (!streaming) signal?.removeEventListener('abort', abortFromCaller);
+        }
+        await waitForRetry(getRetryDelay(attempt, retryAfter), signal);
+    }
+}
+
+/**
+ * Appelle le backend.
+ * @param {string} endpoint - L'URL de l'API.
+ * @param {object} [options] - Les options de `fetch`, plus :
+ *   - timeout : délai maximal en ms (API_TIMEOUTS.default par défaut) ;
+ *   - retries : nombre de nouvelles tentatives (appels idempotents seulement) ;
+ *   - idempotent : force le caractère rejouable de la requête ;
+ *   - expectSuccess : exige `success: true` dans la réponse (vrai par défaut) ;
+ *   - raw : renvoie la `Response` (flux) au lieu des données ;
+ *   - queueWhenOffline : si le backend est injoignable, met la requête en file
+ *     et ne la résout qu'après son renvoi (une requête non idempotente n'y entre
+ *     que si elle n'a pas pu partir, voir `canQueueFailedRequest`) ;
+ *   - label : libellé de la requête dans la file hors ligne ;
+ *   - connection : profil de connexion à utiliser à la place du profil actif.
+ * @returns {Promise<object|Response>} Les données, ou la réponse si `raw`.
+ */
+async function apiFetch(endpoint, options = {}) {
+    const { queueWhenOffline = false, ...requestOptions } = options;
+    if (queueWhenOffline && !apiConnection.online) {
+        return enqueueOfflineRequest(endpoint, requestOptions);
+    }
+
+    try {
+        return await sendApiRequest(endpoint, requestOptions);
+    } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        setApiOnline(false);
+        if (!queueWhenOffline || !canQueueFailedRequest(requestOptions, error)) throw error;
+        return enqueueOfflineRequest(endpoint, requestOptions);
+    }
+}
+
+/**
+ * Met une requête en attente du retour du backend.
+ * L'annulation de la requête la retire de la file.
+ * @param {string} endpoint - L'URL de l'API.
+ * @param {object} options - Les options de la requête.
+ * @returns {Promise<object|Response>} Le résultat du renvoi.
+ */
+function enqueueOfflineRequest(endpoint, options) {
+    return new Promise((resolve, reject) => {
+        if (options.signal?.aborted) {
+            reject(createApiError(t('api.error.aborted'), { code: 'aborted' }));
+            return;
+        }
+        const entry = {
+            id: createId('req'),
+            endpoint,
+            options,
+            label: options.label || endpoint,
+            queuedAt: new Date().toISOString(),
+            resolve,
+            reject
+        };
+        options.signal?.addEventListener('abort', () => {
+            removeOfflineRequest(entry);
+            reject(createApiError(t('api.error.aborted'), { code: 'aborted' }));
+        }, { once: true });
+        apiConnection.queue.push(entry);
+        notifyApiConnection();
+    });
+}
+
+/**
+ * @param {object} entry - La requête à retirer de la file.
+ */
+function removeOfflineRequest(entry) {
+    const index = apiConnection.queue.indexOf(entry);
+    if (index === -1) return;
+    apiConnection.queue.splice(index, 1);
+    notifyApiConnection();
+}
+
+/**
+ * Renvoie les requêtes en attente, dans l'ordre, tant que le backend répond.
+ */
+async function replayOfflineQueue() {
+    if (apiConnection.replaying) return;
+    apiConnection.replaying = true;
+    try {
+        while (apiConnection.online && apiConnection.queue.length > 0) {
+            const entry = apiConnection.queue[0];
+            try {
+                const result = await sendApiRequest(entry.endpoint, entry.options);
+                removeOfflineRequest(entry);
+                entry.resolve(result);
+            } catch (error) {
+                if (isOfflineError(error)) setApiOnline(false);
+                if (isOfflineError(error) && canQueueFailedRequest(entry.options, error)) {
+                    // Nouvelle coupure : la requête reste en tête de file.
+                    break;
+                }
+                removeOfflineRequest(entry);
+                entry.reject(error);
+            }
+        }
+    } finally {
+        apiConnection.replaying = false;
+    }
+}
+
+/**
+ * Abandonne toutes les requêtes en attente.
+ */
+function cancelOfflineQueue() {
+    const entries = apiConnection.queue.splice(0);
+    entries.forEach(entry => entry.reject(createApiError(t('api.error.aborted'), { code: 'aborted' })));
+    notifyApiConnection();
+}
+
+/**
+ * Change l'état de la connexion ; le retour en ligne renvoie la file.
+ * @param {boolean} online - Vrai si le backend répond.
+ */
+function setApiOnline(online) {
+    if (apiConnection.online === online) return;
+    apiConnection.online = online;
+    notifyApiConnection();
+    if (online) replayOfflineQueue();
+}
+
+/**
+ * Remplace `fetch` pour toutes les requêtes (backend simulé dans le navigateur).
+ * @param {function|null} transport - Appelée comme `fetch` ; null pour revenir au réseau.
+ */
+function setApiTransport(transport) {
+    apiConnection.transport = transport;
+}
+
+/**
+ * Active un profil de connexion pour les requêtes suivantes.
+ * @param {object|null} profile - Le profil (connections.js) ; null pour des appels relatifs.
+ */
+function setApiProfile(profile) {
+    apiConnection.profile = profile;
+}
+
+/**
+ * Adresse et en-têtes d'un appel avec le profil actif. Le backend de
+ * démonstration reçoit les chemins tels quels.
+ * @param {string} endpoint - Le chemin de l'API.
+ * @returns {object} { url, headers }.
+ */
+function getApiTarget(endpoint) {
+    return apiConnection.transport ? { url: endpoint, headers: {} } : resolveConnection(apiConnection.profile, endpoint);
+}
+
+/**
+ * Retient les requêtes jusqu'à la fin d'une opération (choix du transport au démarrage).
+ * @param {Promise} promise - L'opération ; son échec libère aussi les requêtes.
+ */
+function deferApiRequests(promise) {
+    apiConnection.ready = Promise.resolve(promise).catch(() => {});
+}
+
+/**
+ * Abonne une fonction aux changements de connexion et de file.
+ * @param {function} listener - Appelée avec { online, queue }.
+ */
+function onApiConnectionChange(listener) {
+    apiConnection.listeners.push(listener);
+}
+
+/**
+ * Prévient les abonnés d'un changement.
+ */
+function notifyApiConnection() {
+    const state = { online: apiConnection.online, queue: [...apiConnection.queue] };
+    apiConnection.listeners.forEach(listener => listener(state));
+}
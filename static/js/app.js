@@ -22,11 +22,27 @@
 // Objet pour stocker l'état global de l'application.
 const appState = {
     currentSection: 'individual', // Section actuellement visible
-    chatMessages: [],             // Historique des messages du chat
+    chatMessages: [],             // Messages de la conversation active
+    chatThreads: [],              // Conversations sauvegardées (localStorage)
+    activeChatThreadId: null,     // Identifiant de la conversation active
     selectedModel: 'llama3.1:8b-instruct-q8_0', // Modèle Ollama sélectionné par défaut
     availableModels: [],          // Liste des modèles disponibles, chargée au démarrage
     currentVideoProject: null,    // Données du dernier projet vidéo généré
     batchResults: null,           // Résultats de la dernière génération en lot
+    dailyHoroscopes: null,        // Derniers horoscopes quotidiens { date, language, horoscopes } (exports)
+    currentChart: null,           // Dernière carte du ciel calculée (pour l'export)
+    natalProfiles: [],            // Profils natals sauvegardés (localStorage)
+    calendarAnchor: null,         // Date de référence du calendrier des transits
+    calendarEvents: null,         // Événements affichés, indexés par jour
+    publishQueue: [],             // Publications planifiées (localStorage)
+    publisherConfigs: {},         // Configuration des cibles de publication, par cible (localStorage)
+    mediaItems: [],               // Médias produits par le backend (galerie)
+    visualPresets: {},            // Seed et prompt retenus par signe (localStorage)
+    notifications: [],            // Journal des notifications, de la plus récente à la plus ancienne (localStorage)
+    serviceStatuses: {},          // État et historique des services, par service (localStorage)
+    demoMode: false,              // Pas de backend : les requêtes vont au backend simulé (demo.js)
+    connectionProfiles: [],       // Profils de connexion au backend (localStorage)
+    activeConnectionId: null,     // Identifiant du profil de connexion actif
 };
 
 // Données constantes pour les signes astrologiques.
@@ -40,11 +56,13 @@ const signNames = { 'aries': 'Bélier', 'taurus': 'Taureau', 'gemini': 'Gémeaux
  */
 
 /**
- * Effectue un appel API standardisé vers le backend Flask.
+ * Effectue un appel API standardisé vers le backend Flask (voir api.js).
  * Gère automatiquement les états de chargement et l'affichage des erreurs.
  * ✅ NOUVEAU : Garantit une durée d'affichage minimale pour l'animation de chargement.
+ * Le spinner porte un bouton d'annulation ; si le backend est injoignable, la
+ * requête attend son retour dans la file hors ligne.
  * @param {string} endpoint - L'URL de l'API à appeler.
- * @param {object} options - Les options pour l'appel `fetch`.
+ * @param {object} options - Les options de `apiFetch` (méthode, corps, timeout…).
  * @param {string} loadingId - L'ID de l'élément DOM du spinner de chargement.
  * @param {string} resultId - L'ID de l'élément DOM où afficher le résultat ou l'erreur.
  * @returns {Promise<object|null>} Les données JSON en cas de succès, sinon null.
@@ -52,22 +70,27 @@ const signNames = { 'aries': 'Bélier', 'taurus': 'Taureau', 'gemini': 'Gémeaux
 async function makeApiRequest(endpoint, options, loadingId, resultId) {
     const loadingElement = document.getElementById(loadingId);
     const resultElement = document.getElementById(resultId);
+    const controller = new AbortController();
     
     // ✅ DÉBUT DE LA MODIFICATION : On prépare une promesse pour le délai minimum.
     const minimumLoadingTime = new Promise(resolve => setTimeout(resolve, 500)); // 500ms = 0.5 seconde
-    const apiCallPromise = fetch(endpoint, options);
+    const apiCallPromise = apiFetch(endpoint, {
+        timeout: API_TIMEOUTS.generation,
+        queueWhenOffline: true,
+        label: t(`section.${appState.currentSection}.title`),
+        ...options,
+        signal: controller.signal
+    });
 
-    if (loadingElement) loadingElement.classList.add('active');
+    if (loadingElement) {
+        loadingElement.classList.add('active');
+        getLoadingCancelButton(loadingElement).onclick = () => controller.abort();
+    }
     if (resultElement) resultElement.innerHTML = '';
 
     try {
         // ✅ On attend que l'appel API ET le délai minimum soient tous les deux terminés.
-        const [apiResponse] = await Promise.all([apiCallPromise, minimumLoadingTime]);
-
-        const data = await apiResponse.json();
-        if (!apiResponse.ok || !data.success) {
-            throw new Error(data.error || `Erreur HTTP ${apiResponse.status}`);
-        }
+        const [data] = await Promise.all([apiCallPromise, minimumLoadingTime]);
         return data;
     } catch (error) {
         console.error(`Erreur API pour ${endpoint}:`, error);
@@ -78,6 +101,24 @@ async function makeApiRequest(endpoint, options, loadingId, resultId) {
     }
 }
 
+/**
+ * Renvoie le bouton d'annulation d'un spinner de chargement, créé au besoin.
+ * @param {HTMLElement} loadingElement - Le spinner.
+ * @returns {HTMLButtonElement} Le bouton.
+ */
+function getLoadingCancelButton(loadingElement) {
+    let button = loadingElement.querySelector('.loading-cancel');
+    if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'astro-button button-secondary loading-cancel';
+        button.dataset.i18n = 'api.cancel';
+        button.textContent = t('api.cancel');
+        loadingElement.appendChild(button);
+    }
+    return button;
+}
+
 /**
  * Affiche un message d'erreur formaté dans un conteneur spécifié.
  * @param {HTMLElement} container - L'élément DOM où afficher l'erreur.
@@ -87,7 +128,7 @@ function showError(container, message) {
     container.innerHTML = `
         <div class="horoscope-result" style="border-color: #ff4444;">
             <div class="horoscope-text" style="color: #ff4444;">
-                <strong>❌ Erreur:</strong> ${message}
+                <strong>${escapeHtml(t('common.errorLabel'))}</strong> ${escapeHtml(message)}
             </div>
         </div>
     `;
@@ -134,18 +175,29 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Vérifie l'état général du backend.
+ * Déclenche le téléchargement d'un fichier généré dans le navigateur.
+ * @param {Blob} blob - Le contenu du fichier.
+ * @param {string} fileName - Le nom du fichier proposé.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Vérifie l'état général du backend (voir le tableau de bord, section XXIV).
+ * Un backend sain remet le client en ligne et renvoie les requêtes en attente.
  * @returns {Promise<boolean>} Vrai si le backend est sain.
  */
 async function checkSystemHealth() {
-    try {
-        const response = await fetch('/health');
-        const data = await response.json();
-        return data.status === 'healthy';
-    } catch (error) {
-        console.error('Erreur lors de la vérification système:', error);
-        return false;
-    }
+    const status = await checkService('backend');
+    return status.state === 'up';
 }
 
 /**
@@ -167,6 +219,7 @@ function showSection(sectionName) {
     
     appState.currentSection = sectionName;
     updatePageTitle(sectionName);
+    syncSectionRoute(sectionName);
     
     // Ferme la sidebar sur mobile après un clic
     if (window.innerWidth <= 768) {
@@ -179,19 +232,9 @@ function showSection(sectionName) {
  * @param {string} sectionName - Le nom de la section.
  */
 function updatePageTitle(sectionName) {
-    const titles = {
-        'individual': { title: 'Horoscope Individuel', subtitle: 'Générez votre horoscope personnel avec l\'IA' },
-        'daily': { title: 'Horoscopes Quotidiens', subtitle: 'Tous les horoscopes du jour en un clic' },
-        'context': { title: 'Contexte Astral', subtitle: 'Découvrez les influences cosmiques du moment' },
-        'astrochart': { title: 'Carte du Ciel', subtitle: 'Visualisez les positions planétaires à une date donnée' },
-        'chat': { title: 'Chat IA', subtitle: 'Discutez avec votre assistant astral' },
-        'video': { title: 'Générateur Vidéo', subtitle: 'Créez du contenu vidéo pour vos réseaux sociaux' }
-    };
-    const titleInfo = titles[sectionName];
-    if (titleInfo) {
-        document.getElementById('pageTitle').textContent = titleInfo.title;
-        document.getElementById('pageSubtitle').textContent = titleInfo.subtitle;
-    }
+    if (!I18N_MESSAGES[I18N_DEFAULT_LANGUAGE][`section.${sectionName}.title`]) return;
+    document.getElementById('pageTitle').textContent = t(`section.${sectionName}.title`);
+    document.getElementById('pageSubtitle').textContent = t(`section.${sectionName}.subtitle`);
 }
 
 /**
@@ -234,8 +277,7 @@ async function loadAvailableModels() {
     const modelSelect = document.getElementById('global-model-select');
     
     try {
-        const response = await fetch('/api/ollama/models');
-        const data = await response.json();
+        const data = await apiFetch('/api/ollama/models', { expectSuccess: false });
 
         if (data.success && data.models && data.models.length > 0) {
             appState.availableModels = data.models;
@@ -257,14 +299,14 @@ async function loadAvailableModels() {
             }
             
             statusDot.className = 'status-dot connected';
-            statusText.textContent = `${data.models.length} modèles`;
+            statusText.textContent = t('model.count', { count: data.models.length });
         } else {
-            throw new Error(data.error || 'Aucun modèle trouvé');
+            throw new Error(data.error || t('model.none'));
         }
     } catch (error) {
         console.error('Erreur chargement modèles:', error);
         statusDot.className = 'status-dot error';
-        statusText.textContent = 'Ollama offline';
+        statusText.textContent = t('model.offline');
     }
 }
 
@@ -279,11 +321,11 @@ async function changeModel() {
     const statusDot = document.getElementById('model-status-dot');
     const statusText = document.getElementById('model-status-text');
     statusDot.className = 'status-dot connected confirming';
-    statusText.textContent = `Activé : ${appState.selectedModel.split(':')[0]}`;
+    statusText.textContent = t('model.selected', { model: appState.selectedModel.split(':')[0] });
 
     setTimeout(() => {
         statusDot.classList.remove('confirming');
-        statusText.textContent = `${appState.availableModels.length} modèles`;
+        statusText.textContent = t('model.count', { count: appState.availableModels.length });
     }, 1500);
 }
 
@@ -294,14 +336,32 @@ async function changeModel() {
  */
 
 /**
- * Génère un horoscope pour un signe et une date spécifiques.
+ * Génère un horoscope pour un signe, sur le jour, la semaine, le mois ou l'année de la date choisie.
  */
 async function generateIndividualHoroscope() {
     const sign = document.getElementById('sign-select').value;
     const date = document.getElementById('date-input').value;
 
     if (!sign) {
-        alert('Veuillez sélectionner un signe astrologique.');
+        notify(t('msg.selectSign'), { type: 'warning' });
+        return;
+    }
+    syncQueryRoute('individual');
+
+    // Un profil natal sélectionné ajoute son thème pour une lecture personnalisée.
+    const profile = getSelectedNatalProfile();
+    const period = computeHoroscopePeriod(document.getElementById('period-select').value, date);
+    const payload = {
+        sign,
+        date,
+        language: getContentLanguage(),
+        prompt_template: buildPromptRequest('horoscope', sign, date, buildPeriodPromptVariables(period)),
+        ...buildPeriodParams(period)
+    };
+    if (profile) payload.natal_chart = computeNatalContext(profile);
+
+    if (isCompareModeEnabled()) {
+        await compareModels(payload);
         return;
     }
 
@@ -310,30 +370,43 @@ async function generateIndividualHoroscope() {
         {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sign, date })
+            body: JSON.stringify(payload)
         },
         'individual-loading',
         'individual-result'
     );
 
     if (response) {
-        document.getElementById('individual-result').innerHTML = createHoroscopeResultHTML(response.result);
+        document.getElementById('individual-result').innerHTML = createHoroscopeResultHTML(sign, response.result, period)
+            + createPeriodSummaryHTML(period);
+        archiveHoroscope(sign, date, response.result, 'individual', payload.prompt_template, payload.period);
     }
 }
 
 /**
- * Génère les horoscopes pour les 12 signes pour une date donnée.
+ * Génère les horoscopes des 12 signes pour la période (jour, semaine, mois, année) de la date choisie.
  */
 async function generateDailyHoroscopes() {
     const date = document.getElementById('daily-date-input').value;
     const resultDiv = document.getElementById('daily-results');
+    syncQueryRoute('daily');
+
+    appState.dailyHoroscopes = null;
+    updateDailyExportPanel();
+    document.getElementById('daily-period-summary').innerHTML = '';
+
+    // Chaque signe peut avoir son propre modèle de prompt.
+    const period = computeHoroscopePeriod(document.getElementById('daily-period-select').value, date);
+    const periodVariables = buildPeriodPromptVariables(period);
+    const periodParams = buildPeriodParams(period);
+    const promptTemplates = Object.fromEntries(Object.keys(signNames).map(sign => [sign, buildPromptRequest('horoscope', sign, date, periodVariables)]));
 
     const response = await makeApiRequest(
         '/api/generate_daily_horoscopes',
         {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ date })
+            body: JSON.stringify({ date, language: getContentLanguage(), prompt_templates: promptTemplates, ...periodParams })
         },
         'daily-loading',
         'daily-results'
@@ -342,68 +415,91 @@ async function generateDailyHoroscopes() {
     if (response) {
         const horoscopes = response.result.horoscopes;
         resultDiv.innerHTML = ''; // Vider le conteneur
+        document.getElementById('daily-period-summary').innerHTML = createPeriodSummaryHTML(period);
         for (const [signKey, horoscope] of Object.entries(horoscopes)) {
             const cardHTML = horoscope.error 
                 ? createErrorCard(signKey, horoscope.error) 
-                : createHoroscopeCard(signKey, horoscope);
+                : createHoroscopeCard(signKey, horoscope, getSignPeriodHighlights(period, signKey));
             resultDiv.innerHTML += cardHTML;
+            if (!horoscope.error) archiveHoroscope(signKey, date, horoscope, 'daily', promptTemplates[signKey], periodParams.period);
         }
+        appState.dailyHoroscopes = { date: date || new Date().toISOString().split('T')[0], language: getContentLanguage(), horoscopes };
+        updateDailyExportPanel();
     }
 }
 
 /**
- * Récupère et affiche le contexte astral pour une date donnée.
+ * Calcule et affiche le contexte astral pour une date donnée.
+ * Le calcul est fait localement (ephemeris.js), sans appel au backend.
  */
-async function getAstralContext() {
+function getAstralContext() {
     const date = document.getElementById('context-date-input').value;
     const resultDiv = document.getElementById('context-result');
+    syncQueryRoute('context');
 
-    const response = await makeApiRequest(
-        '/api/get_astral_context',
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ date })
-        },
-        'context-loading',
-        'context-result'
-    );
-
-    if (response) {
-        const context = response.result;
-        const planetsHtml = context.influential_planets.map(p => `<li><strong>${p.name}</strong> (${p.state}): ${p.influence}</li>`).join('');
-        resultDiv.innerHTML = `
-            <div class="horoscope-result">
-                <div class="horoscope-header">
-                    <div class="sign-icon">🌌</div>
-                    <div class="horoscope-meta"><h3>Contexte Astral du ${context.date}</h3></div>
-                </div>
-                <div class="horoscope-text">
-                    <h4>🌙 Phase Lunaire</h4><p>${context.lunar_phase}</p>
-                    <h4>🍂 Saison</h4><p>${context.season} - ${context.seasonal_energy}</p>
-                    <h4>🪐 Planètes Influentes</h4><ul>${planetsHtml}</ul>
-                </div>
-            </div>`;
+    try {
+        resultDiv.innerHTML = createAstralContextHTML(date, getSkySnapshot(date));
+    } catch (error) {
+        console.error('Erreur de calcul des éphémérides:', error);
+        showError(resultDiv, error.message);
     }
 }
 
+/**
+ * Crée le HTML du contexte astral à partir d'un état du ciel.
+ * @param {string} date - La date affichée.
+ * @param {object} snapshot - L'état du ciel retourné par `getSkySnapshot`.
+ * @returns {string} La chaîne de caractères HTML.
+ */
+function createAstralContextHTML(date, snapshot) {
+    const { lunarPhase, season, planets } = snapshot;
+    const planetsHtml = planets.map(p => `<li><strong>${p.symbol} ${escapeHtml(p.name)}</strong> (${formatPlanetState(p)}): ${escapeHtml(t(`planet.${p.key}.influence`))}</li>`).join('');
+    return `
+        <div class="horoscope-result">
+            <div class="horoscope-header">
+                <div class="sign-icon">🌌</div>
+                <div class="horoscope-meta"><h3>${escapeHtml(t('context.title', { date }))}</h3></div>
+            </div>
+            <div class="horoscope-text">
+                <h4>${escapeHtml(t('context.lunarPhase'))}</h4><p>${lunarPhase.emoji} ${escapeHtml(lunarPhase.name)} (${escapeHtml(t('context.illumination', { percent: Math.round(lunarPhase.illumination * 100) }))})</p>
+                <h4>${escapeHtml(t('context.season'))}</h4><p>${escapeHtml(season.name)} - ${escapeHtml(season.energy)}</p>
+                <h4>${escapeHtml(t('context.planets'))}</h4><ul>${planetsHtml}</ul>
+            </div>
+        </div>`;
+}
+
+/**
+ * Décrit la position d'un astre : signe, degré et sens de marche.
+ * @param {object} planet - Une position retournée par `getPlanetPositions`.
+ * @param {string} [language] - La langue de la description (celle de l'interface par défaut).
+ * @returns {string} La description (ex: "♈ Bélier 12°05', rétrograde").
+ */
+function formatPlanetState(planet, language = getLanguage()) {
+    const minutes = String(planet.minute).padStart(2, '0');
+    const motion = planet.retrograde ? `, ${translate(language, 'planet.retrograde')}` : '';
+    return `${signSymbols[planet.sign]} ${translate(language, `sign.${planet.sign}`)} ${planet.degree}°${minutes}'${motion}`;
+}
+
 /**
  * Crée le HTML pour un résultat d'horoscope individuel.
+ * @param {string} signKey - La clé du signe demandé (ex: 'aries') ; le nom
+ *   renvoyé par l'API est dans la langue du contenu, pas celle de l'interface.
  * @param {object} horoscope - L'objet horoscope retourné par l'API.
+ * @param {object} [period] - La période (`computeHoroscopePeriod`) : sa plage et les temps forts du signe.
  * @returns {string} La chaîne de caractères HTML.
  */
-function createHoroscopeResultHTML(horoscope) {
-    const signKey = Object.keys(signNames).find(key => signNames[key] === horoscope.sign);
+function createHoroscopeResultHTML(signKey, horoscope, period = null) {
     return `
         <div class="horoscope-result">
             <div class="horoscope-header">
                 <div class="sign-icon">${signSymbols[signKey] || '✨'}</div>
                 <div class="horoscope-meta">
-                    <h3>${horoscope.sign}</h3>
-                    <p>📅 ${horoscope.date}</p>
+                    <h3>${escapeHtml(horoscope.sign || signNames[signKey])}</h3>
+                    <p>📅 ${escapeHtml(period && period.range.period !== 'day' ? formatPeriodRange(period.range) : horoscope.date)}</p>
                 </div>
             </div>
-            <div class="horoscope-text">${horoscope.horoscope}</div>
+            <div class="horoscope-text">${renderMarkdown(horoscope.horoscope)}</div>
+            ${period ? createTransitHighlightsHTML(getSignPeriodHighlights(period, signKey)) : ''}
         </div>
     `;
 }
@@ -412,19 +508,21 @@ function createHoroscopeResultHTML(horoscope) {
  * Crée le HTML pour une carte d'horoscope dans la grille quotidienne.
  * @param {string} signKey - La clé du signe (ex: 'aries').
  * @param {object} horoscope - L'objet horoscope.
+ * @param {object[]} [highlights] - Les temps forts du signe sur la période.
  * @returns {string} La chaîne de caractères HTML.
  */
-function createHoroscopeCard(signKey, horoscope) {
+function createHoroscopeCard(signKey, horoscope, highlights = []) {
     return `
         <div class="horoscope-card">
             <div class="card-header">
                 <div class="card-icon">${signSymbols[signKey] || '✨'}</div>
                 <div>
-                    <div class="card-title">${horoscope.sign}</div>
-                    <div class="card-dates">${horoscope.word_count} mots</div>
+                    <div class="card-title">${escapeHtml(horoscope.sign)}</div>
+                    <div class="card-dates">${escapeHtml(t('common.words', { count: horoscope.word_count }))}</div>
                 </div>
             </div>
-            <div class="card-content">${horoscope.horoscope}</div>
+            <div class="card-content">${renderMarkdown(horoscope.horoscope)}</div>
+            ${createTransitHighlightsHTML(highlights)}
         </div>
     `;
 }
@@ -441,11 +539,11 @@ function createErrorCard(signKey, error) {
             <div class="card-header">
                 <div class="card-icon">${signSymbols[signKey] || '❌'}</div>
                 <div>
-                    <div class="card-title">${signNames[signKey]}</div>
-                    <div class="card-dates">Erreur</div>
+                    <div class="card-title">${escapeHtml(signNames[signKey] || signKey)}</div>
+                    <div class="card-dates">${escapeHtml(t('common.error'))}</div>
                 </div>
             </div>
-            <div class="card-content">${error}</div>
+            <div class="card-content">${escapeHtml(error)}</div>
         </div>
     `;
 }
@@ -456,92 +554,506 @@ function createErrorCard(signKey, error) {
  * =============================================================================
  */
 /**
-/**
- * Appelle l'API pour générer une image de la carte du ciel et l'affiche.
+ * Calcule la carte du ciel pour la date, l'heure et le lieu saisis et
+ * l'affiche sous forme de roue SVG interactive, suivie du tableau des positions.
  */
-async function generateAstroChartImage() {
+function generateSkyChart() {
     const date = document.getElementById('astrochart-date-input').value;
+    const time = document.getElementById('astrochart-time-input').value || '12:00';
+    const latitude = parseFloat(document.getElementById('astrochart-lat-input').value);
+    const longitude = parseFloat(document.getElementById('astrochart-lon-input').value);
+    const utcOffset = parseFloat(document.getElementById('astrochart-utc-offset').value) || 0;
     const resultDiv = document.getElementById('astrochart-result');
 
-    const response = await makeApiRequest(
-        '/api/astrochart/generate_image',
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ date })
-        },
-        'astrochart-loading',
-        'astrochart-result'
-    );
+    if (!date || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        showError(resultDiv, t('chart.invalidInput'));
+        return;
+    }
+    if (Math.abs(latitude) > 66) {
+        // Au-delà des cercles polaires, certains signes ne se lèvent jamais : les maisons sont indéfinies.
+        showError(resultDiv, t('chart.polar'));
+        return;
+    }
 
-    if (response) {
-        // ✅ CORRECTION : Utiliser "chart_image_path" au lieu de "image_url"
-        const imageUrl = response.chart_image_path;
+    const chart = computeChart(buildUtcDate(date, time, utcOffset), latitude, longitude);
+    appState.currentChart = { chart, date, time };
+    syncQueryRoute('astrochart');
+
+    const ascendant = getZodiacPosition(chart.ascendant);
+    const midheaven = getZodiacPosition(chart.midheaven);
+    resultDiv.innerHTML = `
+        <h3 style="color: #FFD700; margin-bottom: 10px;">${escapeHtml(t('chart.title', { date, time }))}</h3>
+        <p class="sky-chart-angles">ASC ${signSymbols[ascendant.sign]} ${signNames[ascendant.sign]} ${ascendant.degree}° · MC ${signSymbols[midheaven.sign]} ${signNames[midheaven.sign]} ${midheaven.degree}°</p>
+        <div class="sky-chart-container" id="sky-chart-container">
+            ${renderSkyChartSVG(chart, { signNames })}
+            <div class="sky-chart-tooltip" id="sky-chart-tooltip"></div>
+        </div>
+        <div class="video-actions">
+            <button type="button" class="astro-button button-secondary" id="btn-export-chart-svg">${escapeHtml(t('chart.exportSvg'))}</button>
+            <button type="button" class="astro-button button-secondary" id="btn-export-chart-png">${escapeHtml(t('chart.exportPng'))}</button>
+        </div>
+        ${createPlanetPositionsTableHTML(chart.planets)}
+    `;
+
+    setupSkyChartTooltip();
+    document.getElementById('btn-export-chart-svg').addEventListener('click', exportSkyChartSVG);
+    document.getElementById('btn-export-chart-png').addEventListener('click', exportSkyChartPNG);
+}
+
+/**
+ * Affiche une infobulle (degré, signe, maison) au survol des planètes de la roue.
+ */
+function setupSkyChartTooltip() {
+    const container = document.getElementById('sky-chart-container');
+    const tooltip = document.getElementById('sky-chart-tooltip');
+    if (!container || !tooltip) return;
+
+    container.querySelectorAll('.chart-planet').forEach(planet => {
+        planet.addEventListener('mouseenter', () => {
+            tooltip.textContent = planet.dataset.tooltip;
+            tooltip.classList.add('visible');
+            // Met en valeur les aspects de la planète survolée.
+            container.querySelectorAll('.aspect-line').forEach(line => {
+                line.classList.toggle('dimmed', !line.dataset.planets.split(' ').includes(planet.dataset.planet));
+            });
+        });
+        planet.addEventListener('mousemove', (e) => {
+            const bounds = container.getBoundingClientRect();
+            tooltip.style.left = `${e.clientX - bounds.left + 12}px`;
+            tooltip.style.top = `${e.clientY - bounds.top + 12}px`;
+        });
+        planet.addEventListener('mouseleave', () => {
+            tooltip.classList.remove('visible');
+            container.querySelectorAll('.aspect-line').forEach(line => line.classList.remove('dimmed'));
+        });
+    });
+}
+
+/**
+ * Retourne le nom de fichier d'export de la carte affichée.
+ * @param {string} extension - L'extension du fichier.
+ * @returns {string} Le nom de fichier.
+ */
+function getSkyChartFileName(extension) {
+    const { date, time } = appState.currentChart;
+    return `${t('chart.fileName')}-${date}-${time.replace(':', 'h')}.${extension}`;
+}
+
+/**
+ * Télécharge la roue affichée au format SVG.
+ */
+function exportSkyChartSVG() {
+    const svg = document.querySelector('#sky-chart-container svg');
+    if (!svg) return;
+    const svgText = new XMLSerializer().serializeToString(svg);
+    downloadBlob(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }), getSkyChartFileName('svg'));
+}
 
-        resultDiv.innerHTML = `
-            <h3 style="color: #FFD700; margin-bottom: 20px;">Carte du Ciel pour le ${date}</h3>
-            <img src="${imageUrl}?t=${new Date().getTime()}" alt="Carte du Ciel" class="astrochart-image" />
-        `;
-        // Le ?t=... force le navigateur à recharger l'image et à ne pas utiliser le cache
+/**
+ * Télécharge la roue affichée au format PNG.
+ */
+async function exportSkyChartPNG() {
+    const svg = document.querySelector('#sky-chart-container svg');
+    if (!svg) return;
+    try {
+        downloadBlob(await convertSvgToPng(svg), getSkyChartFileName('png'));
+    } catch (error) {
+        notify(t('msg.pngExportError', { error: error.message }), { type: 'error' });
     }
 }
 
+/**
+ * Crée le tableau HTML des positions planétaires.
+ * @param {Array<object>} planets - Les positions retournées par `getPlanetPositions`.
+ * @returns {string} La chaîne de caractères HTML.
+ */
+function createPlanetPositionsTableHTML(planets) {
+    const rows = planets.map(p => `
+        <tr class="${p.retrograde ? 'retrograde' : ''}">
+            <td>${p.symbol} ${escapeHtml(p.name)}</td>
+            <td>${signSymbols[p.sign]} ${signNames[p.sign]}</td>
+            <td>${p.degree}°${String(p.minute).padStart(2, '0')}'</td>
+            <td>${escapeHtml(t(p.retrograde ? 'chart.retrograde' : 'chart.direct'))}</td>
+        </tr>`).join('');
+    return `
+        <table class="planet-table">
+            <thead><tr>${['chart.body', 'common.sign', 'chart.position', 'chart.motion'].map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
 
 /**
  * =============================================================================
  * VI. CHAT IA
  * =============================================================================
  */
+// Nombre de messages récents envoyés tels quels au modèle.
+const CHAT_CONTEXT_WINDOW = 20;
+// Longueur maximale (caractères) d'un ancien message dans le résumé de contexte.
+const CHAT_SUMMARY_SNIPPET_LENGTH = 120;
+const CHAT_THREADS_STORAGE_KEY = 'chatThreads';
+const CHAT_ACTIVE_THREAD_STORAGE_KEY = 'activeChatThread';
+
+// État de la réponse en cours de streaming (permet de l'interrompre).
+const chatStream = {
+    controller: null,
+};
+
+/**
+ * Charge les conversations sauvegardées dans le localStorage.
+ * @returns {Array<object>} La liste des conversations.
+ */
+function loadChatThreads() {
+    try {
+        return JSON.parse(localStorage.getItem(CHAT_THREADS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Conversations sauvegardées illisibles:', error);
+        return [];
+    }
+}
+
+/**
+ * Sauvegarde les conversations dans le localStorage.
+ */
+function saveChatThreads() {
+    localStorage.setItem(CHAT_THREADS_STORAGE_KEY, JSON.stringify(appState.chatThreads));
+    localStorage.setItem(CHAT_ACTIVE_THREAD_STORAGE_KEY, appState.activeChatThreadId || '');
+}
+
+/**
+ * Retourne la conversation active.
+ * @returns {object|undefined} La conversation active.
+ */
+function getActiveChatThread() {
+    return appState.chatThreads.find(t => t.id === appState.activeChatThreadId);
+}
+
+/**
+ * Crée une nouvelle conversation vide et l'active.
+ */
+function startNewChatThread() {
+    if (chatStream.controller) return;
+    const now = new Date().toISOString();
+    const thread = {
+        id: createId('thread'),
+        title: t('chat.untitled'),
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    appState.chatThreads.unshift(thread);
+    openChatThread(thread.id);
+}
+
+/**
+ * Active une conversation et affiche ses messages.
+ * @param {string} threadId - L'identifiant de la conversation.
+ */
+function openChatThread(threadId) {
+    if (chatStream.controller) return;
+    const thread = appState.chatThreads.find(t => t.id === threadId);
+    if (!thread) return;
+
+    appState.activeChatThreadId = thread.id;
+    appState.chatMessages = thread.messages;
+    saveChatThreads();
+
+    const messagesDiv = document.getElementById('chat-messages');
+    if (messagesDiv) {
+        messagesDiv.innerHTML = '';
+        renderChatMessage(t('chat.welcome'), false);
+        thread.messages.forEach(m => renderChatMessage(m.content, m.role === 'user'));
+    }
+    renderChatThreadList();
+}
+
+/**
+ * Renomme une conversation.
+ * @param {string} threadId - L'identifiant de la conversation.
+ */
+async function renameChatThread(threadId) {
+    const thread = appState.chatThreads.find(t => t.id === threadId);
+    if (!thread) return;
+    const title = await promptDialog(t('msg.renameThread'), thread.title);
+    if (!title || !title.trim()) return;
+    thread.title = title.trim();
+    saveChatThreads();
+    renderChatThreadList();
+}
+
+/**
+ * Supprime une conversation après confirmation.
+ * @param {string} threadId - L'identifiant de la conversation.
+ */
+async function deleteChatThread(threadId) {
+    if (chatStream.controller) return;
+    const thread = appState.chatThreads.find(t => t.id === threadId);
+    if (!thread || !(await confirmDialog(t('msg.deleteThread', { title: thread.title }), { danger: true }))) return;
+
+    appState.chatThreads = appState.chatThreads.filter(t => t.id !== threadId);
+    if (appState.activeChatThreadId === threadId) {
+        if (appState.chatThreads.length > 0) {
+            openChatThread(appState.chatThreads[0].id);
+        } else {
+            startNewChatThread();
+        }
+        return;
+    }
+    saveChatThreads();
+    renderChatThreadList();
+}
+
+/**
+ * Affiche la liste des conversations dans la barre latérale du chat.
+ */
+function renderChatThreadList() {
+    const list = document.getElementById('chat-thread-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    appState.chatThreads.forEach(thread => {
+        const item = document.createElement('li');
+        item.className = `chat-thread-item${thread.id === appState.activeChatThreadId ? ' active' : ''}`;
+        item.innerHTML = `
+            <button type="button" class="chat-thread-open">
+                <span class="chat-thread-title"></span>
+                <span class="chat-thread-meta">${escapeHtml(t('chat.messageCount', { count: thread.messages.length }))}</span>
+            </button>
+            <div class="chat-thread-actions">
+                <button type="button" class="chat-thread-action" data-action="rename" title="${escapeHtml(t('chat.rename'))}">✏️</button>
+                <button type="button" class="chat-thread-action" data-action="delete" title="${escapeHtml(t('chat.delete'))}">🗑️</button>
+            </div>`;
+        item.querySelector('.chat-thread-title').textContent = thread.title;
+        item.querySelector('.chat-thread-open').addEventListener('click', () => openChatThread(thread.id));
+        item.querySelector('[data-action="rename"]').addEventListener('click', () => renameChatThread(thread.id));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteChatThread(thread.id));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Restaure les conversations sauvegardées au démarrage.
+ */
+function initializeChatThreads() {
+    appState.chatThreads = loadChatThreads();
+    const savedId = localStorage.getItem(CHAT_ACTIVE_THREAD_STORAGE_KEY);
+    const thread = appState.chatThreads.find(t => t.id === savedId) || appState.chatThreads[0];
+    if (thread) {
+        openChatThread(thread.id);
+    } else {
+        startNewChatThread();
+    }
+}
+
+/**
+ * Remplit le contenu d'une bulle de message.
+ * @param {HTMLElement} contentElement - L'élément `.message-content`.
+ * @param {string} content - Le texte du message.
+ */
+function setChatMessageContent(contentElement, content) {
+    contentElement.innerHTML = renderMarkdown(content);
+}
+
 /**
- * Ajoute un message à l'interface du chat.
+ * Affiche un message dans l'interface du chat, sans l'enregistrer.
  * @param {string} content - Le contenu du message.
  * @param {boolean} isUser - Vrai si le message vient de l'utilisateur.
+ * @returns {HTMLElement|null} L'élément `.message-content` créé.
  */
-function addChatMessage(content, isUser = false) {
+function renderChatMessage(content, isUser = false) {
     const messagesDiv = document.getElementById('chat-messages');
-    if (!messagesDiv) return;
-    
+    if (!messagesDiv) return null;
+
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${isUser ? 'user' : 'assistant'}`;
-    messageDiv.innerHTML = `<div class="message-content">${content.replace(/\n/g, '<br>')}</div>`;
-    
+    const contentElement = document.createElement('div');
+    contentElement.className = 'message-content';
+    setChatMessageContent(contentElement, content);
+    messageDiv.appendChild(contentElement);
+
     messagesDiv.appendChild(messageDiv);
     messagesDiv.scrollTop = messagesDiv.scrollHeight;
-    
-    appState.chatMessages.push({ content, isUser, timestamp: new Date().toISOString() });
+    return contentElement;
+}
+
+/**
+ * Ajoute un message à l'interface du chat et à la conversation active.
+ * @param {string} content - Le contenu du message.
+ * @param {boolean} isUser - Vrai si le message vient de l'utilisateur.
+ * @returns {HTMLElement|null} L'élément `.message-content` créé.
+ */
+function addChatMessage(content, isUser = false) {
+    const contentElement = renderChatMessage(content, isUser);
+    recordChatMessage(content, isUser ? 'user' : 'assistant');
+    return contentElement;
+}
+
+/**
+ * Enregistre un message dans la conversation active et la sauvegarde.
+ * Le premier message de l'utilisateur sert de titre à la conversation.
+ * @param {string} content - Le contenu du message.
+ * @param {string} role - 'user' ou 'assistant'.
+ */
+function recordChatMessage(content, role) {
+    const thread = getActiveChatThread();
+    if (!thread) return;
+
+    if (role === 'user' && !thread.messages.some(m => m.role === 'user')) {
+        thread.title = content.length > 40 ? content.slice(0, 40) + '…' : content;
+    }
+    thread.messages.push({ role, content, timestamp: new Date().toISOString() });
+    thread.updatedAt = new Date().toISOString();
+    saveChatThreads();
+    renderChatThreadList();
+}
+
+/**
+ * Construit l'historique envoyé au modèle : les derniers messages tels quels,
+ * précédés d'un résumé compact des échanges plus anciens.
+ * @param {Array<object>} messages - Les messages de la conversation.
+ * @returns {Array<{role: string, content: string}>} Les messages pour l'API.
+ */
+function buildChatContext(messages) {
+    const recent = messages.slice(-CHAT_CONTEXT_WINDOW).map(m => ({ role: m.role, content: m.content }));
+    const older = messages.slice(0, -CHAT_CONTEXT_WINDOW);
+    if (older.length === 0) return recent;
+
+    const language = getContentLanguage();
+    const summary = older.map(m => {
+        const text = m.content.replace(/\s+/g, ' ');
+        const snippet = text.length > CHAT_SUMMARY_SNIPPET_LENGTH ? text.slice(0, CHAT_SUMMARY_SNIPPET_LENGTH) + '…' : text;
+        return `${translate(language, m.role === 'user' ? 'llm.chatUser' : 'llm.chatAssistant')}: ${snippet}`;
+    }).join('\n');
+
+    return [{ role: 'system', content: translate(language, 'llm.chatSummary', { summary }) }, ...recent];
+}
+
+/**
+ * Lit une réponse streamée (NDJSON, une ligne par fragment) et appelle
+ * `onToken` pour chaque fragment de texte reçu.
+ * @param {Response} response - La réponse `fetch` en cours.
+ * @param {function(string): void} onToken - Appelé avec chaque fragment.
+ */
+async function readChatStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(chunk.error);
+        const token = chunk.message?.content ?? chunk.token ?? '';
+        if (token) onToken(token);
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+}
+
+/**
+ * Bascule le bouton d'envoi entre "Envoyer" et "Stop".
+ * @param {boolean} isStreaming - Vrai pendant la réception d'une réponse.
+ */
+function setChatStreamingState(isStreaming) {
+    const button = document.getElementById('btn-send-chat');
+    if (button) {
+        button.textContent = t(isStreaming ? 'chat.stop' : 'chat.send');
+        button.classList.toggle('stop', isStreaming);
+    }
+    document.getElementById('chat-input')?.toggleAttribute('disabled', isStreaming);
 }
 
 /**
- * Envoie un message au backend et affiche la réponse.
+ * Interrompt la réponse en cours de streaming.
+ */
+function stopChatStream() {
+    chatStream.controller?.abort();
+}
+
+/**
+ * Envoie la conversation au backend et affiche la réponse au fil de l'eau.
+ * Si une réponse est déjà en cours, le bouton sert à l'interrompre.
  */
 async function sendChatMessage() {
+    if (chatStream.controller) {
+        stopChatStream();
+        return;
+    }
+
     const input = document.getElementById('chat-input');
     const message = input?.value.trim();
-    if (!message) return;
+    if (!message || !ensureServicesAvailable(['ollama'])) return;
 
     addChatMessage(message, true);
     input.value = '';
 
     const messagesDiv = document.getElementById('chat-messages');
-    const loadingId = 'loading-' + Date.now();
-    messagesDiv.innerHTML += `<div class="message assistant" id="${loadingId}"><div class="message-content"><div class="loading-dots"><div class="loading-dot"></div><div class="loading-dot"></div><div class="loading-dot"></div></div></div></div>`;
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    const contentElement = renderChatMessage('', false);
+    contentElement.innerHTML = '<div class="loading-dots"><div class="loading-dot"></div><div class="loading-dot"></div><div class="loading-dot"></div></div>';
+
+    chatStream.controller = new AbortController();
+    setChatStreamingState(true);
+    let reply = '';
+    const persona = buildPromptRequest('chat');
 
     try {
-        const response = await fetch('/api/ollama/chat', {
+        const response = await apiFetch('/api/ollama/chat', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message, model: appState.selectedModel })
+            body: JSON.stringify({
+                message,
+                messages: persona
+                    ? [{ role: 'system', content: persona.text }, ...buildChatContext(appState.chatMessages)]
+                    : buildChatContext(appState.chatMessages),
+                model: appState.selectedModel,
+                language: getContentLanguage(),
+                prompt_template: persona,
+                stream: true
+            }),
+            signal: chatStream.controller.signal,
+            timeout: API_TIMEOUTS.generation,
+            raw: true,
+            queueWhenOffline: true,
+            label: t('section.chat.title')
         });
-        const data = await response.json();
-        if (!response.ok || !data.success) {
-            throw new Error(data.error || 'Erreur de l\'API Chat.');
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('application/json')) {
+            // Backend sans streaming : réponse JSON complète.
+            const data = await readApiResponse(response);
+            reply = data.response;
+            setChatMessageContent(contentElement, reply);
+        } else {
+            await readChatStream(response, (token) => {
+                reply += token;
+                setChatMessageContent(contentElement, reply);
+                messagesDiv.scrollTop = messagesDiv.scrollHeight;
+            });
         }
-        addChatMessage(data.response, false);
+        recordChatMessage(reply, 'assistant');
     } catch (error) {
-        addChatMessage(`❌ Erreur de connexion: ${error.message}`, false);
+        if (error.name === 'AbortError') {
+            // Réponse interrompue : on garde ce qui a déjà été reçu.
+            reply += ' […]';
+            setChatMessageContent(contentElement, reply);
+            recordChatMessage(reply, 'assistant');
+        } else {
+            // L'erreur est affichée mais n'entre pas dans l'historique envoyé au modèle.
+            setChatMessageContent(contentElement, t('chat.connectionError', { error: error.message }));
+        }
     } finally {
-        document.getElementById(loadingId)?.remove();
+        chatStream.controller = null;
+        setChatStreamingState(false);
+        input.focus();
     }
 }
 
@@ -581,13 +1093,12 @@ function initializeEventListeners() {
     document.getElementById('btn-generate-daily')?.addEventListener('click', generateDailyHoroscopes);
     document.getElementById('btn-get-context')?.addEventListener('click', getAstralContext);
 
-    // Section AstroChart
-    document.getElementById('nav-astrochart')?.addEventListener('click', (e) => { e.preventDefault(); showSection('astrochart'); });
-    // Bouton pour générer la carte
-    document.getElementById('btn-generate-astrochart')?.addEventListener('click', generateAstroChartImage);
+    // Section AstroChart : bouton pour générer la carte
+    document.getElementById('btn-generate-astrochart')?.addEventListener('click', generateSkyChart);
 
     // Section Chat
     document.getElementById('btn-send-chat')?.addEventListener('click', sendChatMessage);
+    document.getElementById('btn-new-chat-thread')?.addEventListener('click', startNewChatThread);
     const chatInput = document.getElementById('chat-input');
     if (chatInput) {
         chatInput.addEventListener('keypress', (e) => {
@@ -609,15 +1120,19 @@ function addVideoButtonsAndListeners() {
     // Vider le conteneur avant d'ajouter les nouveaux boutons
     container.innerHTML = `
         <div class="action-group">
-            <h4 class="action-group-title">Génération & Montage</h4>
+            <h4 class="action-group-title">${t('video.groupMain')}</h4>
             <div class="button-wrapper" id="group-main-actions"></div>
         </div>
         <div class="action-group">
-            <h4 class="action-group-title">Actions en Lot & Upload</h4>
+            <h4 class="action-group-title">${t('video.groupBatch')}</h4>
             <div class="button-wrapper" id="group-batch-actions"></div>
         </div>
         <div class="action-group">
-            <h4 class="action-group-title">Utilitaires & Statut</h4>
+            <h4 class="action-group-title">${t('video.groupPublish')}</h4>
+            <div class="button-wrapper" id="group-publish-actions"></div>
+        </div>
+        <div class="action-group">
+            <h4 class="action-group-title">${t('video.groupUtility')}</h4>
             <div class="button-wrapper" id="group-utility-actions"></div>
         </div>
     `;
@@ -625,19 +1140,23 @@ function addVideoButtonsAndListeners() {
     // Définition des boutons et de leur groupe cible
     const buttons = [
         // Groupe 1: Actions Principales
-        { group: 'group-main-actions', text: '🎬 Générer Clip Vidéo', action: generateComfyUIVideo, class: 'button-primary' },
-        { group: 'group-main-actions', text: '🎞️ Montage pour ce Signe', action: generateSingleSignMontage, class: 'button-primary' },
+        { group: 'group-main-actions', text: t('video.clip'), action: generateComfyUIVideo, class: 'button-primary', requires: ['comfyui'] },
+        { group: 'group-main-actions', text: t('video.signMontage'), action: generateSingleSignMontage, class: 'button-primary', requires: ['comfyui'] },
         
         // Groupe 2: Actions en Lot
-        { group: 'group-batch-actions', text: '🚀 Générer le Montage Complet', action: generateFullMontage, class: 'button-special' },
-        { group: 'group-batch-actions', text: '🚀 Batch Clips Vidéo', action: generateComfyUIBatchVideos, class: 'button-secondary' },
-        { group: 'group-batch-actions', text: '📤 Upload ce Signe', action: uploadCurrentSignToYouTube, class: 'button-youtube' },
-        { group: 'group-batch-actions', text: '📺 Upload Batch YouTube', action: uploadBatchToYouTube, class: 'button-youtube' },
-        { group: 'group-batch-actions', text: '🎵 Upload ce Signe (TikTok)', action: uploadCurrentSignToTikTok, class: 'button-tiktok' },
+        { group: 'group-batch-actions', text: t('video.fullMontage'), action: generateFullMontage, class: 'button-special', requires: ['comfyui', 'ollama'] },
+        { group: 'group-batch-actions', text: t('video.batchClips'), action: generateComfyUIBatchVideos, class: 'button-secondary', requires: ['comfyui'] },
+        { group: 'group-batch-actions', text: t('video.schedule'), action: scheduleCurrentVideoSign, class: 'button-secondary' },
 
         // Groupe 3: Utilitaires
-        { group: 'group-utility-actions', text: '🔍 Statut ComfyUI', action: checkComfyUIStatus, class: 'button-secondary' },
-        { group: 'group-utility-actions', text: '📡 Statut YouTube', action: checkYouTubeStatus, class: 'button-secondary' }
+        { group: 'group-utility-actions', text: t('video.comfyStatus'), action: () => openServiceStatus('comfyui'), class: 'button-secondary' },
+
+        // Une publication par signe, en lot et un statut pour chaque cible (publishers.js)
+        ...Object.values(PUBLISHERS).flatMap(publisher => [
+            { group: 'group-publish-actions', text: `${publisher.icon} ${t('video.uploadTo', { target: publisher.label })}`, action: () => uploadSignToPublisher(publisher.id), class: publisher.buttonClass, requires: [publisher.id] },
+            ...(publisher.batch ? [{ group: 'group-publish-actions', text: `${publisher.icon} ${t('video.uploadBatchTo', { target: publisher.label })}`, action: () => uploadBatchToPublisher(publisher.id), class: publisher.buttonClass, requires: [publisher.id] }] : []),
+            { group: 'group-utility-actions', text: `${publisher.icon} ${t('video.statusOf', { target: publisher.label })}`, action: () => openServiceStatus(publisher.id), class: 'button-secondary' }
+        ])
     ];
 
     // Création et ajout des boutons dans leurs groupes respectifs
@@ -646,10 +1165,13 @@ function addVideoButtonsAndListeners() {
         button.type = 'button';
         button.className = `astro-button ${btnInfo.class}`; // Utilise la nouvelle classe de style
         button.textContent = btnInfo.text;
+        if (btnInfo.requires) button.dataset.requires = btnInfo.requires.join(' ');
         button.addEventListener('click', btnInfo.action);
         
         document.getElementById(btnInfo.group).appendChild(button);
     });
+    // Les actions dont un service est indisponible restent bloquées (section XXIV).
+    applyServiceDependencies();
 }
 
 /**
@@ -671,10 +1193,14 @@ async function generateComfyUIVideo() {
     const seed = document.getElementById('seed-input').value;
 
     if (!sign) {
-        alert('Veuillez sélectionner un signe astrologique.');
+        notify(t('msg.selectSign'), { type: 'warning' });
         return;
     }
 
+    // Sans prompt saisi : le preset du signe (section XXII), sinon le modèle de visuel de la bibliothèque.
+    const preset = getVisualPreset(sign);
+    const visualTemplate = customPrompt || preset?.prompt ? null : buildPromptRequest('visual', sign, document.getElementById('video-date').value);
+
     const resultDiv = document.getElementById('video-result');
     const response = await makeApiRequest(
         '/api/comfyui/generate_video',
@@ -684,9 +1210,12 @@ async function generateComfyUIVideo() {
             body: JSON.stringify({
                 sign,
                 format,
-                custom_prompt: customPrompt || null,
-                seed: seed ? parseInt(seed) : null
-            })
+                custom_prompt: customPrompt || preset?.prompt || visualTemplate?.text || null,
+                language: getContentLanguage(),
+                prompt_template: visualTemplate,
+                seed: seed ? parseInt(seed) : (preset?.seed ?? null)
+            }),
+            timeout: API_TIMEOUTS.video
         },
         'video-loading',
         'video-result'
@@ -699,28 +1228,23 @@ async function generateComfyUIVideo() {
 
 /**
  * Lance la génération en lot de vidéos de constellations pour tous les signes.
+ * Le traitement est soumis comme une tâche suivie en direct (voir section X).
  */
 async function generateComfyUIBatchVideos() {
-    if (!confirm('Lancer la génération en lot pour les 12 signes ?\nLe processus peut prendre plus de 20 minutes.')) {
-        return;
-    }
-
-    const format = document.getElementById('video-format').value;
-    const resultDiv = document.getElementById('video-result');
-    const response = await makeApiRequest(
-        '/api/comfyui/generate_batch',
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ format })
-        },
-        'video-loading',
-        'video-result'
-    );
+    const confirmed = await confirmDialog(t('msg.confirmBatchClips'), {
+        details: {
+            [t('dialog.format')]: getSelectedVideoFormatLabel(),
+            [t('dialog.signs')]: Object.keys(signNames).length,
+            [t('dialog.duration')]: formatEstimatedDuration('clip', Object.keys(signNames).length)
+        }
+    });
+    if (!confirmed) return;
 
-    if (response) {
-        resultDiv.innerHTML = createComfyUIBatchResultHTML(response);
-    }
+    await startJob('comfyui_batch', {
+        format: document.getElementById('video-format').value,
+        prompt_templates: Object.fromEntries(Object.keys(signNames).map(sign => [sign, buildSignPromptTemplates(sign)])),
+        visual_presets: buildVisualPresetsParam()
+    });
 }
 
 /**
@@ -729,236 +1253,5129 @@ async function generateComfyUIBatchVideos() {
 async function generateSingleSignMontage() {
     const sign = document.getElementById('video-sign').value;
     if (!sign) {
-        alert("Veuillez d'abord sélectionner un signe astrologique.");
+        notify(t('msg.selectSignFirst'), { type: 'warning' });
         return;
     }
-    if (!confirm(`Lancer le workflow complet pour ${signNames[sign]} ?\nCela peut prendre quelques minutes.`)) return;
-    
-    const resultDiv = document.getElementById('video-result');
-    const response = await makeApiRequest(
-        '/api/workflow/complete_sign_generation',
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                sign: sign,
-                format: document.getElementById('video-format').value || 'test',
-                add_music: true
-            })
-        },
-        'video-loading',
-        'video-result'
-    );
+    const horoscopeText = document.getElementById('video-horoscope-text').value.trim();
+    const confirmed = await confirmDialog(t('msg.confirmSignWorkflow', { sign: signNames[sign] }), {
+        details: {
+            [t('common.sign')]: `${signSymbols[sign]} ${signNames[sign]}`,
+            [t('dialog.format')]: getSelectedVideoFormatLabel(),
+            [t('dialog.text')]: t(horoscopeText ? 'dialog.archivedText' : 'dialog.generatedText'),
+            [t('dialog.duration')]: formatEstimatedDuration('montage')
+        }
+    });
+    if (!confirmed) return;
 
-    if (response) {
-        const finalResult = response.workflow_results?.synchronized_video;
-        resultDiv.innerHTML = `
-            <div class="horoscope-result">
-                <h3 style="color: #00ff41;">✅ Workflow pour ${signNames[sign]} terminé !</h3>
-                <p><strong>Chemin :</strong> ${finalResult.video_path}</p>
-                <p><strong>Durée :</strong> ${finalResult.transcription.duration.toFixed(1)}s</p>
-                <p><strong>Taille :</strong> ${formatFileSize(finalResult.file_size)}</p>
-            </div>`;
-    }
+    // Un texte venu de l'archive remplace la génération d'un nouvel horoscope.
+    await startJob('complete_sign_generation', {
+        sign: sign,
+        format: document.getElementById('video-format').value || 'test',
+        add_music: true,
+        horoscope_text: horoscopeText || null,
+        prompt_templates: buildSignPromptTemplates(sign, document.getElementById('video-date').value),
+        visual_presets: buildVisualPresetsParam()
+    });
 }
 
 /**
  * Lance le workflow complet en lot pour les 12 signes.
  */
 async function generateFullMontage() {
-    if (!confirm('Lancer le workflow complet pour les 12 signes ?\nLe processus peut prendre plus de 30 minutes.')) return;
+    const confirmed = await confirmDialog(t('msg.confirmFullWorkflow'), {
+        details: {
+            [t('dialog.format')]: getSelectedVideoFormatLabel(),
+            [t('dialog.signs')]: Object.keys(signNames).length,
+            [t('dialog.duration')]: formatEstimatedDuration('montage', Object.keys(signNames).length)
+        }
+    });
+    if (!confirmed) return;
 
-    const resultDiv = document.getElementById('video-result');
+    await startJob('batch_complete_generation', {
+        format: document.getElementById('video-format').value || 'youtube_short',
+        add_music: true,
+        prompt_templates: Object.fromEntries(Object.keys(signNames).map(sign => [sign, buildSignPromptTemplates(sign)])),
+        visual_presets: buildVisualPresetsParam()
+    });
+}
+
+/**
+ * Envoie une requête à une cible de publication (voir publishers.js).
+ * @param {string} publisherId - L'identifiant de la cible.
+ * @param {string} path - Le chemin après `basePath` (ex: '/upload_sign/leo').
+ * @param {object} post - { visibility, title, description, tags, hashtags, mediaId } (champs vides = défauts du backend).
+ * @returns {Promise<object>} La réponse du backend.
+ */
+async function sendToPublisher(publisherId, path, post) {
+    const publisher = getPublisher(publisherId);
+    const config = getPublisherConfig(publisherId);
+    if (getMissingPublisherConfig(publisher, config).length > 0) {
+        throw new Error(t('msg.publisherConfigRequired', { target: publisher.label }));
+    }
+
+    return apiFetch(`${publisher.basePath}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...publisher.buildPayload({ visibility: publisher.visibilities[0], ...post }, config),
+            ...(post.mediaId ? { media_id: post.mediaId } : {})
+        }),
+        timeout: API_TIMEOUTS.video
+    });
+}
+
+/**
+ * Publie immédiatement la vidéo du signe sélectionné sur une cible.
+ * @param {string} publisherId - L'identifiant de la cible.
+ */
+async function uploadSignToPublisher(publisherId) {
+    const publisher = getPublisher(publisherId);
+    const sign = document.getElementById('video-sign').value;
+    if (!sign) {
+        notify(t('msg.selectSign'), { type: 'warning' });
+        return;
+    }
+    const visibility = t(`schedule.visibility.${publisher.visibilities[0]}`);
+    const confirmed = await confirmDialog(t('msg.confirmUpload', { sign: signNames[sign], target: publisher.label, visibility }), {
+        details: {
+            [t('common.sign')]: `${signSymbols[sign]} ${signNames[sign]}`,
+            [t('schedule.platform')]: `${publisher.icon} ${publisher.label}`,
+            [t('schedule.visibility')]: visibility
+        }
+    });
+    if (!confirmed) return;
+
+    const resultDiv = document.getElementById('video-result');
+    const loading = document.getElementById('video-loading');
+    loading.classList.add('active');
+    try {
+        const response = await sendToPublisher(publisherId, `/upload_sign/${sign}`, {});
+        const title = response.title || signNames[sign];
+        resultDiv.innerHTML = `<div class="horoscope-result">
+            <h3 style="color: #00ff41;">✅ ${escapeHtml(t('msg.uploadDone', { target: publisher.label }))}</h3>
+            <p><strong>${escapeHtml(t('schedule.title'))} :</strong> ${escapeHtml(title)}</p>
+            ${response.video_url ? `<p><a href="${safeUrl(response.video_url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('schedule.viewPost'))}</a></p>` : ''}
+        </div>`;
+    } catch (error) {
+        console.error(`Erreur d'upload ${publisherId}:`, error);
+        showError(resultDiv, error.message);
+    } finally {
+        loading.classList.remove('active');
+    }
+}
+
+/**
+ * Publie en lot toutes les vidéos disponibles sur une cible et affiche le
+ * résultat signe par signe.
+ * @param {string} publisherId - L'identifiant de la cible.
+ */
+async function uploadBatchToPublisher(publisherId) {
+    const publisher = getPublisher(publisherId);
+    const visibility = t(`schedule.visibility.${publisher.visibilities[0]}`);
+    const confirmed = await confirmDialog(t('msg.confirmBatchUpload', { target: publisher.label, visibility }), {
+        details: {
+            [t('schedule.platform')]: `${publisher.icon} ${publisher.label}`,
+            [t('schedule.visibility')]: visibility
+        }
+    });
+    if (!confirmed) return;
+
+    const resultDiv = document.getElementById('video-result');
+    const loading = document.getElementById('video-loading');
+    loading.classList.add('active');
+    try {
+        const response = await sendToPublisher(publisherId, '/upload_batch', {});
+        const rows = (response.details || []).map(res => `
+            <p>${res.success ? '✅' : '❌'} ${escapeHtml(signNames[res.sign] || res.sign)}:
+                ${res.success
+                    ? (res.video_url ? `<a href="${safeUrl(res.video_url)}" target="_blank" rel="noopener noreferrer">OK</a>` : 'OK')
+                    : escapeHtml(res.error)}</p>`).join('');
+        resultDiv.innerHTML = `<div class="horoscope-result">
+            <h3>${publisher.icon} ${escapeHtml(t('msg.batchUploadDone', { target: publisher.label, summary: response.summary || '' }))}</h3>
+            ${rows}
+        </div>`;
+    } catch (error) {
+        console.error(`Erreur d'upload en lot ${publisherId}:`, error);
+        showError(resultDiv, error.message);
+    } finally {
+        loading.classList.remove('active');
+    }
+}
+
+/**
+ * Adresse de lecture d'un clip ComfyUI.
+ * @param {object} result - Le résultat de la génération.
+ * @returns {string} L'URL du clip.
+ */
+function getClipUrl(result) {
+    return getApiTarget(result.video_url || `/api/comfyui/download_video/${encodeURIComponent(result.video_path.split('/').pop())}`).url;
+}
+
+/**
+ * Helper pour créer le HTML du résultat d'une génération ComfyUI.
+ * @param {object} result - L'objet résultat de l'API.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createComfyUIVideoResultHTML(result) {
+    const url = safeUrl(getClipUrl(result));
+    return `
+        <div class="video-preview">
+            <h3 style="color: #FFD700;">${escapeHtml(t('video.clipDone'))}</h3>
+            <p><strong>${escapeHtml(t('video.sign'))}</strong> ${escapeHtml(signNames[result.sign] || result.sign_name)} ${signSymbols[result.sign] || ''}</p>
+            <p><strong>${escapeHtml(t('video.path'))}</strong> ${escapeHtml(result.video_path)}</p>
+            <p><strong>${escapeHtml(t('video.size'))}</strong> ${formatFileSize(result.file_size)}</p>
+            <video class="montage-player" controls preload="metadata" src="${url}"></video>
+            <div class="video-actions">
+                <a href="${url}" download="${escapeHtml(result.video_path.split('/').pop())}" class="astro-button">${escapeHtml(t('media.download'))}</a>
+            </div>
+        </div>`;
+}
+
+/**
+ * Helper pour créer le HTML du résultat d'un batch ComfyUI.
+ * @param {object} data - L'objet de données complet de l'API.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createComfyUIBatchResultHTML(data) {
+    let resultsList = data.results.map(res => 
+        `<li class="${res.success ? 'success' : 'error'}">
+            <strong>${escapeHtml(signNames[res.sign] || res.sign)}:</strong> 
+            ${escapeHtml(res.success ? t('video.batchSuccess', { size: formatFileSize(res.result.file_size) }) : t('video.batchFailure', { error: res.error }))}
+        </li>`
+    ).join('');
+
+    return `
+        <div class="horoscope-result">
+            <h3 style="color: #00ff41;">${escapeHtml(t('video.batchDone'))}</h3>
+            <p>${escapeHtml(data.message)}</p>
+            <ul class="batch-results-list">${resultsList}</ul>
+        </div>`;
+}
+
+/**
+ * Helper pour créer le HTML du résultat du workflow complet d'un signe.
+ * @param {string} sign - La clé du signe (ex: 'aries').
+ * @param {object} data - Le résultat du workflow retourné par l'API.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createSingleSignMontageResultHTML(sign, data) {
+    const finalResult = data.workflow_results?.synchronized_video;
+    return `
+        <div class="horoscope-result">
+            <h3 style="color: #00ff41;">${escapeHtml(t('video.signWorkflowDone', { sign: signNames[sign] }))}</h3>
+            <p><strong>${escapeHtml(t('video.path'))}</strong> ${escapeHtml(finalResult.video_path)}</p>
+            <p><strong>${escapeHtml(t('video.duration'))}</strong> ${finalResult.transcription.duration.toFixed(1)}s</p>
+            <p><strong>${escapeHtml(t('video.size'))}</strong> ${formatFileSize(finalResult.file_size)}</p>
+            <div id="montage-editor"></div>
+        </div>`;
+}
+
+/**
+ * Helper pour créer le HTML du résultat d'un short de compatibilité.
+ * @param {object} compatibility - Le duo envoyé avec la tâche (`buildCompatibilityParams`).
+ * @param {object} data - Le résultat du workflow retourné par l'API.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createCompatibilityShortResultHTML(compatibility, data) {
+    const finalResult = data.workflow_results?.synchronized_video;
+    const partner = (sign, name) => formatCompatibilityPartner({ sign, profile: name ? { name } : null });
+    const duo = `${partner(compatibility.sign_a, compatibility.name_a)} × ${partner(compatibility.sign_b, compatibility.name_b)}`;
+    return `
+        <div class="horoscope-result">
+            <h3 style="color: #00ff41;">${escapeHtml(t('compat.videoDone', { duo }))}</h3>
+            <p><strong>${escapeHtml(t('compat.scoreLabel'))}</strong> ${escapeHtml(compatibility.score)}/100</p>
+            <p><strong>${escapeHtml(t('video.path'))}</strong> ${escapeHtml(finalResult.video_path)}</p>
+            <p><strong>${escapeHtml(t('video.duration'))}</strong> ${finalResult.transcription.duration.toFixed(1)}s</p>
+            <p><strong>${escapeHtml(t('video.size'))}</strong> ${formatFileSize(finalResult.file_size)}</p>
+            <div id="montage-editor"></div>
+        </div>`;
+}
+
+/**
+ * Helper pour créer le HTML du résultat du workflow complet en lot.
+ * @param {object} data - Le résultat du workflow retourné par l'API.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createFullMontageResultHTML(data) {
+    return `<div class="horoscope-result"><h3 style="color: #00ff41;">${escapeHtml(t('video.fullWorkflowDone'))}</h3><p>${escapeHtml(data.summary.message)}</p></div>`;
+}
+
+
+
+/**
+ * =============================================================================
+ * X. SUIVI DES TÂCHES LONGUES (JOBS)
+ *
+ * Les workflows vidéo durent de 20 à 30+ minutes. Ils sont soumis au backend
+ * comme des tâches (jobs) dont la progression par signe et par étape est
+ * suivie en direct via SSE, avec un repli en polling si le flux n'est pas
+ * disponible. La tâche active est mémorisée pour reprendre après un rechargement.
+ * =============================================================================
+ */
+
+// Étapes du workflow complet, dans l'ordre d'exécution.
+const JOB_STAGES = ['horoscope', 'tts', 'comfyui', 'montage'];
+// Étapes réellement exécutées selon le type de tâche.
+const JOB_TYPE_STAGES = {
+    'batch_complete_generation': JOB_STAGES,
+    'complete_sign_generation': JOB_STAGES,
+    'comfyui_batch': ['comfyui'],
+    'montage_rerender': ['montage'],
+    'compatibility_short': JOB_STAGES
+};
+
+// Statuts d'une tâche, puis ceux après lesquels elle n'évolue plus.
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const JOB_TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const JOB_STORAGE_KEY = 'activeJob';
+const JOB_POLL_INTERVAL = 3000; // ms entre deux interrogations en mode polling
+
+// Suivi en cours (EventSource ou timer de polling) de la tâche affichée.
+const jobTracker = {
+    jobId: null,
+    eventSource: null,
+    pollTimer: null,
+};
+
+/**
+ * Soumet une tâche longue au backend puis commence son suivi.
+ * La langue du contenu est ajoutée aux paramètres (horoscopes et sous-titres).
+ * @param {string} type - Le type de tâche (ex: 'batch_complete_generation').
+ * @param {object} params - Les paramètres du workflow.
+ * @returns {Promise<string|null>} L'identifiant de la tâche, sinon null.
+ */
+async function startJob(type, params) {
     const response = await makeApiRequest(
-        '/api/workflow/batch_complete_generation',
+        '/api/jobs',
         {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                format: document.getElementById('video-format').value || 'youtube_short',
-                add_music: true
-            })
+            body: JSON.stringify({ type, params: { language: getContentLanguage(), ...params } }),
+            timeout: API_TIMEOUTS.default
         },
         'video-loading',
         'video-result'
     );
 
-    if (response) {
-        resultDiv.innerHTML = `<div class="horoscope-result"><h3 style="color: #00ff41;">✅ Workflow de Lot Terminé !</h3><p>${response.summary.message}</p></div>`;
+    if (!response) return null;
+
+    offerDesktopNotifications();
+    localStorage.setItem(JOB_STORAGE_KEY, JSON.stringify({ id: response.job_id, type }));
+    followJob(response.job_id, response.job || { id: response.job_id, type, params, status: 'queued', signs: {} });
+    return response.job_id;
+}
+
+/**
+ * Suit la progression d'une tâche : flux SSE si possible, sinon polling.
+ * @param {string} jobId - L'identifiant de la tâche.
+ * @param {object} [initialJob] - Un premier état connu, affiché immédiatement.
+ */
+function followJob(jobId, initialJob) {
+    stopFollowingJob();
+    jobTracker.jobId = jobId;
+    if (initialJob) renderJobBoard(initialJob);
+
+    // Le backend de démonstration ne sert pas de flux SSE, et EventSource
+    // n'envoie pas d'en-tête : avec une clé d'API, le suivi passe par le polling.
+    const stream = getApiTarget(`/api/jobs/${jobId}/stream`);
+    if (!window.EventSource || appState.demoMode || Object.keys(stream.headers).length > 0) {
+        pollJob(jobId);
+        return;
+    }
+
+    const source = new EventSource(stream.url);
+    jobTracker.eventSource = source;
+
+    source.onmessage = (event) => {
+        try {
+            handleJobUpdate(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Événement de tâche illisible:', error);
+        }
+    };
+    source.onerror = () => {
+        // Le flux est coupé (proxy, backend sans SSE...) : on bascule en polling.
+        console.warn(`Flux SSE indisponible pour la tâche ${jobId}, passage en polling.`);
+        source.close();
+        jobTracker.eventSource = null;
+        if (jobTracker.jobId === jobId) pollJob(jobId);
+    };
+}
+
+/**
+ * Interroge périodiquement l'état d'une tâche.
+ * @param {string} jobId - L'identifiant de la tâche.
+ */
+async function pollJob(jobId) {
+    if (jobTracker.jobId !== jobId) return;
+
+    try {
+        const data = await apiFetch(`/api/jobs/${jobId}`, { retries: 0 });
+        handleJobUpdate(data.job);
+    } catch (error) {
+        if (error.status === 404) {
+            // Tâche inconnue du backend (redémarrage, purge) : on l'oublie.
+            localStorage.removeItem(JOB_STORAGE_KEY);
+            stopFollowingJob();
+            showError(document.getElementById('video-result'), t('job.notFound', { id: jobId }));
+            return;
+        }
+        console.error(`Erreur de suivi pour la tâche ${jobId}:`, error);
+    }
+
+    if (jobTracker.jobId === jobId) {
+        jobTracker.pollTimer = setTimeout(() => pollJob(jobId), JOB_POLL_INTERVAL);
+    }
+}
+
+/**
+ * Arrête le suivi de la tâche en cours (sans l'annuler côté serveur).
+ */
+function stopFollowingJob() {
+    if (jobTracker.eventSource) jobTracker.eventSource.close();
+    if (jobTracker.pollTimer) clearTimeout(jobTracker.pollTimer);
+    jobTracker.jobId = null;
+    jobTracker.eventSource = null;
+    jobTracker.pollTimer = null;
+}
+
+/**
+ * Met à jour l'affichage avec un nouvel état de tâche et termine le suivi
+ * lorsque la tâche est finie.
+ * @param {object} job - L'état de la tâche retourné par le backend.
+ */
+function handleJobUpdate(job) {
+    if (!job || job.id !== jobTracker.jobId) return;
+
+    renderJobBoard(job);
+
+    if (JOB_TERMINAL_STATUSES.includes(job.status)) {
+        stopFollowingJob();
+        localStorage.removeItem(JOB_STORAGE_KEY);
+        notifyLongTaskFinished(
+            t(`notifications.job.${job.status}`),
+            [t('notifications.jobDetails', { id: job.id, done: Object.values(job.signs || {}).filter(sign => sign.status === 'done').length }), job.error]
+                .filter(Boolean).join('\n'),
+            { completed: 'success', failed: 'error', cancelled: 'warning' }[job.status]
+        );
+        if (job.status === 'completed' && job.result) {
+            document.getElementById('job-final-result').innerHTML = createJobResultHTML(job);
+            openMontageEditor(job.params?.sign, job.result);
+        }
+    }
+}
+
+/**
+ * Demande l'annulation de la tâche suivie.
+ */
+async function cancelActiveJob() {
+    const jobId = jobTracker.jobId;
+    if (!jobId) return;
+    if (!(await confirmDialog(t('msg.confirmCancelJob'), { danger: true }))) return;
+
+    try {
+        const data = await apiFetch(`/api/jobs/${jobId}/cancel`, { method: 'POST', idempotent: true });
+        if (data.job) handleJobUpdate(data.job);
+    } catch (error) {
+        notify(t('msg.cancelJobError', { error: error.message }), { type: 'error' });
+    }
+}
+
+/**
+ * Reprend le suivi de la tâche mémorisée après un rechargement de la page.
+ */
+function resumeActiveJob() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(JOB_STORAGE_KEY));
+    } catch (error) {
+        localStorage.removeItem(JOB_STORAGE_KEY);
+    }
+    if (!saved?.id) return;
+
+    console.log(`🔄 Reprise du suivi de la tâche ${saved.id}`);
+    followJob(saved.id, { id: saved.id, type: saved.type, status: 'running', signs: {} });
+}
+
+/**
+ * Affiche le tableau de progression d'une tâche dans `#video-result`.
+ * @param {object} job - L'état de la tâche.
+ */
+function renderJobBoard(job) {
+    const resultDiv = document.getElementById('video-result');
+    if (!resultDiv) return;
+
+    const stages = JOB_TYPE_STAGES[job.type] || JOB_STAGES;
+    const signs = Object.keys(job.signs || {}).length > 0 ? Object.keys(job.signs) : Object.keys(signNames);
+    const isRunning = !JOB_TERMINAL_STATUSES.includes(job.status);
+
+    // Conserve le résultat final déjà affiché lors des mises à jour successives.
+    const previousResult = document.getElementById('job-final-result')?.innerHTML || '';
+
+    const doneCount = signs.filter(sign => job.signs?.[sign]?.status === 'done').length;
+    const tilesHtml = signs.map(sign => createJobSignTileHTML(sign, job.signs?.[sign], stages)).join('');
+
+    resultDiv.innerHTML = `
+        <div class="job-board">
+            <div class="job-board-header">
+                <div>
+                    <h3>${escapeHtml(getJobStatusLabel(job.status))}</h3>
+                    <p class="job-board-meta">${escapeHtml(t('job.progress', { id: job.id, done: doneCount, total: signs.length }))}</p>
+                </div>
+                ${isRunning ? `<button type="button" class="astro-button button-secondary" id="btn-cancel-job">${escapeHtml(t('job.cancel'))}</button>` : ''}
+            </div>
+            ${job.error ? `<p class="job-board-error">❌ ${escapeHtml(job.error)}</p>` : ''}
+            <div class="job-sign-grid">${tilesHtml}</div>
+            <div id="job-final-result">${previousResult}</div>
+        </div>`;
+
+    document.getElementById('btn-cancel-job')?.addEventListener('click', cancelActiveJob);
+}
+
+/**
+ * Crée le HTML d'une tuile de progression pour un signe.
+ * @param {string} sign - La clé du signe.
+ * @param {object} [signState] - L'état du signe ({ status, stage, progress, message }).
+ * @param {string[]} stages - Les étapes exécutées par la tâche.
+ * @returns {string} Le code HTML de la tuile.
+ */
+function createJobSignTileHTML(sign, signState, stages) {
+    const state = signState || { status: 'pending' };
+    const currentIndex = stages.indexOf(state.stage);
+
+    const stagesHtml = stages.map((stage, index) => {
+        let stageClass = 'pending';
+        if (state.status === 'done' || index < currentIndex) stageClass = 'done';
+        else if (index === currentIndex) stageClass = state.status === 'error' ? 'error' : state.status === 'running' ? 'running' : 'pending';
+        return `<li class="job-stage ${stageClass}">${escapeHtml(t(`job.stage.${stage}`))}</li>`;
+    }).join('');
+
+    const progress = state.status === 'done' ? 100 : Math.min(100, Math.max(0, Math.round(Number(state.progress) || 0)));
+
+    return `
+        <div class="job-sign-tile ${escapeHtml(state.status)}">
+            <div class="job-sign-name">${signSymbols[sign] || '✨'} ${escapeHtml(signNames[sign] || sign)}</div>
+            <ul class="job-stages">${stagesHtml}</ul>
+            <div class="job-progress"><div class="job-progress-bar" style="width: ${progress}%"></div></div>
+            ${state.message ? `<div class="job-sign-message">${escapeHtml(state.message)}</div>` : ''}
+        </div>`;
+}
+
+/**
+ * Retourne le libellé d'un statut de tâche.
+ * @param {string} status - Le statut de la tâche.
+ * @returns {string} Le libellé à afficher.
+ */
+function getJobStatusLabel(status) {
+    return JOB_STATUSES.includes(status) ? t(`job.status.${status}`) : status;
+}
+
+/**
+ * Crée le HTML du résultat final d'une tâche terminée, selon son type.
+ * @param {object} job - La tâche terminée.
+ * @returns {string} Le code HTML à afficher.
+ */
+function createJobResultHTML(job) {
+    switch (job.type) {
+        case 'comfyui_batch':
+            return createComfyUIBatchResultHTML(job.result);
+        case 'complete_sign_generation':
+        case 'montage_rerender':
+            return createSingleSignMontageResultHTML(job.params?.sign, job.result);
+        case 'compatibility_short':
+            return createCompatibilityShortResultHTML(job.params?.compatibility, job.result);
+        case 'batch_complete_generation':
+            return createFullMontageResultHTML(job.result);
+        default:
+            return '';
+    }
+}
+
+
+/**
+ * =============================================================================
+ * XI. PROFILS NATALS
+ *
+ * Profils sauvegardés (nom, date, heure et lieu de naissance) à partir
+ * desquels on calcule le thème natal : Ascendant, signe lunaire, maisons et
+ * positions planétaires. Ce contexte accompagne les demandes d'horoscope pour
+ * obtenir une lecture personnalisée plutôt qu'un texte par signe solaire.
+ * =============================================================================
+ */
+
+const NATAL_PROFILES_STORAGE_KEY = 'natalProfiles';
+
+/**
+ * Charge les profils natals sauvegardés.
+ * @returns {Array<object>} La liste des profils.
+ */
+function loadNatalProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(NATAL_PROFILES_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Profils natals illisibles:', error);
+        return [];
+    }
+}
+
+/**
+ * Sauvegarde les profils natals dans le localStorage.
+ */
+function saveNatalProfiles() {
+    localStorage.setItem(NATAL_PROFILES_STORAGE_KEY, JSON.stringify(appState.natalProfiles));
+}
+
+/**
+ * Retourne le profil natal sélectionné dans le formulaire individuel.
+ * @returns {object|undefined} Le profil sélectionné.
+ */
+function getSelectedNatalProfile() {
+    const profileId = document.getElementById('natal-profile-select')?.value;
+    return appState.natalProfiles.find(p => p.id === profileId);
+}
+
+/**
+ * Calcule le thème natal d'un profil.
+ * Sans heure de naissance, l'heure est fixée à midi et l'Ascendant et les
+ * maisons, trop dépendants de l'heure, ne sont pas calculés.
+ * @param {object} profile - Le profil natal.
+ * @returns {object} Le contexte natal envoyé au backend.
+ */
+function computeNatalContext(profile) {
+    const instant = zonedTimeToUtc(profile.birthDate, profile.birthTime || '12:00', profile.timezone);
+    const chart = computeChart(instant, profile.latitude, profile.longitude);
+    const hasTime = Boolean(profile.birthTime);
+    const sun = chart.planets.find(p => p.key === 'sun');
+    const moon = chart.planets.find(p => p.key === 'moon');
+    const ascendant = getZodiacPosition(chart.ascendant);
+    const midheaven = getZodiacPosition(chart.midheaven);
+
+    return {
+        name: profile.name,
+        birth_date: profile.birthDate,
+        birth_time: profile.birthTime || null,
+        birthplace: profile.birthplace,
+        latitude: profile.latitude,
+        longitude: profile.longitude,
+        timezone: profile.timezone,
+        sun_sign: sun.sign,
+        moon_sign: moon.sign,
+        ascendant_sign: hasTime ? ascendant.sign : null,
+        ascendant_degree: hasTime ? ascendant.degree : null,
+        midheaven_sign: hasTime ? midheaven.sign : null,
+        planets: chart.planets.map(p => ({
+            planet: p.key,
+            sign: p.sign,
+            degree: p.degree,
+            house: hasTime ? p.house : null,
+            retrograde: p.retrograde
+        })),
+        houses: hasTime ? chart.cusps.map((cusp, index) => {
+            const position = getZodiacPosition(cusp);
+            return { house: index + 1, sign: position.sign, degree: position.degree };
+        }) : []
+    };
+}
+
+/**
+ * Remplit la liste déroulante des profils natals.
+ * @param {string} [selectedId] - Le profil à sélectionner.
+ */
+function renderNatalProfileSelect(selectedId = '') {
+    const select = document.getElementById('natal-profile-select');
+    if (!select) return;
+
+    select.innerHTML = `<option value="">${escapeHtml(t('profile.sunSignOnly'))}</option>`;
+    appState.natalProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = selectedId;
+    onNatalProfileChange();
+    // La section Compatibilité propose les mêmes profils.
+    renderCompatibilityProfiles();
+}
+
+/**
+ * Met à jour le formulaire lorsqu'un profil est choisi : le signe solaire est
+ * sélectionné automatiquement et le résumé du thème est affiché.
+ */
+function onNatalProfileChange() {
+    const profile = getSelectedNatalProfile();
+    const summary = document.getElementById('natal-profile-summary');
+    document.getElementById('btn-edit-profile')?.toggleAttribute('disabled', !profile);
+    document.getElementById('btn-delete-profile')?.toggleAttribute('disabled', !profile);
+
+    if (!profile) {
+        if (summary) summary.innerHTML = '';
+        return;
+    }
+
+    const natal = computeNatalContext(profile);
+    document.getElementById('sign-select').value = natal.sun_sign;
+    if (summary) summary.innerHTML = createNatalSummaryHTML(natal);
+}
+
+/**
+ * Crée le résumé HTML d'un thème natal.
+ * @param {object} natal - Le contexte retourné par `computeNatalContext`.
+ * @returns {string} La chaîne de caractères HTML.
+ */
+function createNatalSummaryHTML(natal) {
+    const signLabel = sign => `${signSymbols[sign]} ${signNames[sign]}`;
+    const ascendant = natal.ascendant_sign
+        ? `${signLabel(natal.ascendant_sign)} ${natal.ascendant_degree}°`
+        : escapeHtml(t('profile.ascendantUnknown'));
+    return `
+        <div class="natal-summary">
+            <span><strong>☉ ${escapeHtml(t('planet.sun'))}</strong> ${signLabel(natal.sun_sign)}</span>
+            <span><strong>☽ ${escapeHtml(t('planet.moon'))}</strong> ${signLabel(natal.moon_sign)}</span>
+            <span><strong>ASC</strong> ${ascendant}</span>
+            <span class="natal-summary-place">📍 ${escapeHtml(natal.birthplace)} · ${escapeHtml(natal.birth_date)}${natal.birth_time ? ` ${escapeHtml(natal.birth_time)}` : ''}</span>
+        </div>`;
+}
+
+/**
+ * Affiche l'éditeur de profil, vide ou pré-rempli pour une modification.
+ * @param {object} [profile] - Le profil à modifier.
+ */
+function showNatalProfileEditor(profile = null) {
+    const editor = document.getElementById('natal-profile-editor');
+    if (!editor) return;
+
+    editor.dataset.profileId = profile?.id || '';
+    document.getElementById('profile-name-input').value = profile?.name || '';
+    document.getElementById('profile-birth-date-input').value = profile?.birthDate || '';
+    document.getElementById('profile-birth-time-input').value = profile?.birthTime || '';
+    document.getElementById('profile-birthplace-input').value = profile?.birthplace || '';
+    editor.classList.remove('hidden');
+    document.getElementById('profile-name-input').focus();
+}
+
+/**
+ * Masque l'éditeur de profil.
+ */
+function hideNatalProfileEditor() {
+    document.getElementById('natal-profile-editor')?.classList.add('hidden');
+}
+
+/**
+ * Enregistre le profil saisi dans l'éditeur (création ou modification).
+ */
+function saveNatalProfileFromEditor() {
+    const editor = document.getElementById('natal-profile-editor');
+    const name = document.getElementById('profile-name-input').value.trim();
+    const birthDate = document.getElementById('profile-birth-date-input').value;
+    const birthTime = document.getElementById('profile-birth-time-input').value;
+    const city = findCityByLabel(document.getElementById('profile-birthplace-input').value);
+
+    if (!name || !birthDate) {
+        notify(t('msg.profileRequired'), { type: 'warning' });
+        return;
+    }
+    if (!city) {
+        notify(t('msg.birthplaceRequired'), { type: 'warning' });
+        return;
+    }
+
+    const profile = {
+        id: editor.dataset.profileId || createId('profile'),
+        name,
+        birthDate,
+        birthTime,
+        birthplace: getCityLabel(city),
+        latitude: city.lat,
+        longitude: city.lon,
+        timezone: city.tz
+    };
+
+    const index = appState.natalProfiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) {
+        appState.natalProfiles[index] = profile;
+    } else {
+        appState.natalProfiles.push(profile);
+    }
+    saveNatalProfiles();
+    hideNatalProfileEditor();
+    renderNatalProfileSelect(profile.id);
+}
+
+/**
+ * Supprime le profil sélectionné après confirmation.
+ */
+async function deleteSelectedNatalProfile() {
+    const profile = getSelectedNatalProfile();
+    if (!profile || !(await confirmDialog(t('msg.deleteProfile', { name: profile.name }), { danger: true }))) return;
+
+    appState.natalProfiles = appState.natalProfiles.filter(p => p.id !== profile.id);
+    saveNatalProfiles();
+    renderNatalProfileSelect();
+}
+
+/**
+ * Charge les profils, remplit la liste des villes et branche les contrôles.
+ */
+function initializeNatalProfiles() {
+    appState.natalProfiles = loadNatalProfiles();
+
+    const cityList = document.getElementById('city-list');
+    if (cityList) {
+        CITY_TABLE.forEach(city => {
+            const option = document.createElement('option');
+            option.value = getCityLabel(city);
+            cityList.appendChild(option);
+        });
+    }
+
+    document.getElementById('natal-profile-select')?.addEventListener('change', onNatalProfileChange);
+    document.getElementById('btn-new-profile')?.addEventListener('click', () => showNatalProfileEditor());
+    document.getElementById('btn-edit-profile')?.addEventListener('click', () => showNatalProfileEditor(getSelectedNatalProfile()));
+    document.getElementById('btn-delete-profile')?.addEventListener('click', deleteSelectedNatalProfile);
+    document.getElementById('btn-save-profile')?.addEventListener('click', saveNatalProfileFromEditor);
+    document.getElementById('btn-cancel-profile')?.addEventListener('click', hideNatalProfileEditor);
+
+    renderNatalProfileSelect();
+}
+
+
+/**
+ * =============================================================================
+ * XII. CALENDRIER DES TRANSITS
+ *
+ * Vue mensuelle ou hebdomadaire des événements du ciel (ephemeris.js) :
+ * changements de signe, aspects exacts, stations, lunaisons et éclipses.
+ * Un clic sur un jour affiche son contexte astral et lance la génération des
+ * horoscopes quotidiens pour cette date.
+ * =============================================================================
+ */
+
+// Libellés et icônes des types d'événements (utilisés aussi pour les filtres).
+const TRANSIT_EVENT_TYPES = {
+    'ingress': { icon: '➡️' },
+    'aspect': { icon: '📐' },
+    'station': { icon: '⏸️' },
+    'lunation': { icon: '🌓' },
+    'eclipse': { icon: '🌘' }
+};
+
+/**
+ * Retourne la clé 'YYYY-MM-DD' d'une date dans le fuseau du navigateur.
+ * @param {Date} date - La date.
+ * @returns {string} La clé du jour.
+ */
+function toLocalDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Calcule les jours affichés par le calendrier : semaines complètes
+ * (du lundi au dimanche) couvrant le mois ou la semaine de la date de référence.
+ * @param {string} view - 'month' ou 'week'.
+ * @param {Date} anchor - La date de référence.
+ * @returns {Date[]} Les jours à afficher (minuit local).
+ */
+function getCalendarDays(view, anchor) {
+    const first = view === 'month'
+        ? new Date(anchor.getFullYear(), anchor.getMonth(), 1)
+        : new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+    const last = view === 'month'
+        ? new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)
+        : first;
+
+    // Recule au lundi précédent et avance jusqu'au dimanche suivant.
+    const start = new Date(first);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    const end = new Date(last);
+    end.setDate(end.getDate() + (6 - ((end.getDay() + 6) % 7)));
+
+    const days = [];
+    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        days.push(new Date(day));
+    }
+    return days;
+}
+
+/**
+ * Décrit un événement de transit.
+ * @param {object} event - Un événement retourné par `findTransitEvents`.
+ * @param {string} [language] - La langue du libellé (celle de l'interface par défaut).
+ * @returns {string} Le libellé de l'événement.
+ */
+function formatTransitEvent(event, language = getLanguage()) {
+    const label = (key, params) => translate(language, key, params);
+    const body = key => `${EPHEMERIS_BODIES.find(b => b.key === key).symbol} ${label(`planet.${key}`)}`;
+    const sign = key => `${signSymbols[key]} ${label(`sign.${key}`)}`;
+
+    switch (event.type) {
+        case 'ingress':
+            return label(event.retrograde ? 'transit.ingressRetrograde' : 'transit.ingress', { body: body(event.body), sign: sign(event.sign) });
+        case 'aspect':
+            return `${body(event.body)} ${event.aspect.symbol} ${body(event.target)} (${label(`aspect.${event.aspect.key}`)})`;
+        case 'station':
+            return label(event.direction === 'retrograde' ? 'transit.stationRetrograde' : 'transit.stationDirect', { body: body(event.body), sign: sign(event.sign) });
+        case 'lunation':
+            return label(event.phase === 'new_moon' ? 'transit.newMoon' : 'transit.fullMoon', { sign: sign(event.sign) });
+        case 'eclipse':
+            return label(event.kind === 'solar' ? 'transit.solarEclipse' : 'transit.lunarEclipse', { sign: sign(event.sign) });
+        default:
+            return event.type;
+    }
+}
+
+/**
+ * Retourne les types d'événements cochés dans les filtres.
+ * @returns {string[]} Les types actifs.
+ */
+function getActiveTransitFilters() {
+    return Array.from(document.querySelectorAll('.calendar-filter input:checked')).map(input => input.value);
+}
+
+/**
+ * Calcule les événements de la période affichée et dessine le calendrier.
+ */
+function renderTransitCalendar() {
+    const grid = document.getElementById('calendar-grid');
+    if (!grid) return;
+
+    const view = document.getElementById('calendar-view-select').value;
+    const anchor = appState.calendarAnchor;
+    const days = getCalendarDays(view, anchor);
+    const rangeEnd = new Date(days[days.length - 1]);
+    rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+    const filters = getActiveTransitFilters();
+    const events = findTransitEvents(days[0], rangeEnd).filter(e => filters.includes(e.type));
+    const eventsByDay = {};
+    events.forEach(event => {
+        const key = toLocalDateKey(event.date);
+        (eventsByDay[key] = eventsByDay[key] || []).push(event);
+    });
+    appState.calendarEvents = eventsByDay;
+
+    document.getElementById('calendar-title').textContent = view === 'month'
+        ? formatDate(anchor, { month: 'long', year: 'numeric' }).replace(/^\p{Ll}/u, letter => letter.toUpperCase())
+        : t('calendar.weekRange', { start: formatDate(days[0]), end: formatDate(days[6]) });
+
+    const todayKey = toLocalDateKey(new Date());
+    // Les sept premiers jours affichés vont toujours du lundi au dimanche.
+    const headerHtml = days.slice(0, 7)
+        .map(day => `<div class="calendar-weekday">${escapeHtml(formatDate(day, { weekday: 'short' }))}</div>`).join('');
+    const daysHtml = days.map(day => {
+        const key = toLocalDateKey(day);
+        const dayEvents = eventsByDay[key] || [];
+        const classes = ['calendar-day'];
+        if (view === 'month' && day.getMonth() !== anchor.getMonth()) classes.push('outside');
+        if (key === todayKey) classes.push('today');
+        const eventsHtml = dayEvents.map(event => `
+            <li class="calendar-event ${event.type}" title="${escapeHtml(formatTransitEvent(event))}">
+                ${TRANSIT_EVENT_TYPES[event.type].icon} ${escapeHtml(formatTransitEvent(event))}
+            </li>`).join('');
+        return `
+            <div class="${classes.join(' ')}" data-date="${key}">
+                <div class="calendar-day-number">${day.getDate()}</div>
+                <ul class="calendar-events">${eventsHtml}</ul>
+            </div>`;
+    }).join('');
+
+    grid.className = `calendar-grid ${view}`;
+    grid.innerHTML = headerHtml + daysHtml;
+    grid.querySelectorAll('.calendar-day').forEach(cell => {
+        cell.addEventListener('click', () => openCalendarDay(cell.dataset.date));
+    });
+}
+
+/**
+ * Décale la période affichée d'un mois ou d'une semaine.
+ * @param {number} direction - -1 pour reculer, 1 pour avancer.
+ */
+function shiftTransitCalendar(direction) {
+    const view = document.getElementById('calendar-view-select').value;
+    const anchor = new Date(appState.calendarAnchor);
+    if (view === 'month') {
+        anchor.setDate(1);
+        anchor.setMonth(anchor.getMonth() + direction);
+    } else {
+        anchor.setDate(anchor.getDate() + 7 * direction);
+    }
+    appState.calendarAnchor = anchor;
+    renderTransitCalendar();
+}
+
+/**
+ * Affiche le détail d'un jour (événements et contexte astral) et lance la
+ * génération des horoscopes quotidiens pour cette date.
+ * @param {string} dateKey - Le jour 'YYYY-MM-DD'.
+ */
+function openCalendarDay(dateKey) {
+    const panel = document.getElementById('calendar-day-panel');
+    if (!panel) return;
+
+    document.querySelectorAll('.calendar-day.selected').forEach(cell => cell.classList.remove('selected'));
+    document.querySelector(`.calendar-day[data-date="${dateKey}"]`)?.classList.add('selected');
+
+    const events = appState.calendarEvents?.[dateKey] || [];
+    const eventsHtml = events.length > 0
+        ? `<ul>${events.map(e => `<li>${formatDate(e.date, { hour: '2-digit', minute: '2-digit' })} · ${escapeHtml(formatTransitEvent(e))}</li>`).join('')}</ul>`
+        : `<p>${escapeHtml(t('calendar.noEvents'))}</p>`;
+
+    panel.innerHTML = `
+        <div class="horoscope-result">
+            <h3 style="color: #FFD700;">${escapeHtml(t('calendar.dayTitle', { date: dateKey }))}</h3>
+            <div class="horoscope-text">${eventsHtml}</div>
+            <div class="video-actions">
+                <button type="button" class="astro-button button-secondary" id="btn-calendar-open-daily">${escapeHtml(t('calendar.openDaily'))}</button>
+            </div>
+        </div>
+        ${createAstralContextHTML(dateKey, getSkySnapshot(dateKey))}`;
+    document.getElementById('btn-calendar-open-daily').addEventListener('click', () => showSection('daily'));
+
+    // Synchronise les sections Contexte et Quotidien sur ce jour, puis lance la génération.
+    // Hors ligne ou sans Ollama, chaque clic lancerait (ou mettrait en file) 12 requêtes vouées à l'échec.
+    document.getElementById('context-date-input').value = dateKey;
+    getAstralContext();
+    document.getElementById('daily-date-input').value = dateKey;
+    document.getElementById('daily-period-select').value = 'day';
+    if (apiConnection.online && ensureServicesAvailable(['ollama'])) generateDailyHoroscopes();
+}
+
+/**
+ * Crée les filtres par type d'événement et branche les contrôles du calendrier.
+ */
+function initializeTransitCalendar() {
+    const filters = document.getElementById('calendar-filters');
+    if (!filters) return;
+
+    filters.innerHTML = Object.entries(TRANSIT_EVENT_TYPES).map(([type, info]) => `
+        <label class="calendar-filter">
+            <input type="checkbox" value="${type}" checked> ${info.icon} ${escapeHtml(t(`transit.type.${type}`))}
+        </label>`).join('');
+
+    appState.calendarAnchor = new Date();
+    filters.addEventListener('change', renderTransitCalendar);
+    document.getElementById('calendar-view-select')?.addEventListener('change', renderTransitCalendar);
+    document.getElementById('btn-calendar-prev')?.addEventListener('click', () => shiftTransitCalendar(-1));
+    document.getElementById('btn-calendar-next')?.addEventListener('click', () => shiftTransitCalendar(1));
+    document.getElementById('btn-calendar-today')?.addEventListener('click', () => {
+        appState.calendarAnchor = new Date();
+        renderTransitCalendar();
+    });
+    document.getElementById('nav-calendar')?.addEventListener('click', () => {
+        if (!appState.calendarEvents) renderTransitCalendar();
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XIII. ARCHIVE DES HOROSCOPES
+ *
+ * Chaque horoscope généré est conservé dans IndexedDB (archive.js). La section
+ * Archive permet de filtrer, rechercher, comparer deux générations d'un même
+ * signe et d'une même date, et de réutiliser un texte pour la vidéo.
+ * =============================================================================
+ */
+
+// Identifiants des entrées cochées pour la comparaison (deux au maximum).
+const archiveSelection = new Set();
+
+/**
+ * Enregistre un horoscope généré dans l'archive, sans bloquer l'affichage.
+ * @param {string} sign - La clé du signe.
+ * @param {string} date - La date demandée 'YYYY-MM-DD'.
+ * @param {object} horoscope - L'horoscope retourné par l'API.
+ * @param {string} source - 'individual', 'daily' ou 'comparison'.
+ * @param {object} [promptTemplate] - Le modèle de prompt envoyé avec la requête.
+ * @param {object} [period] - La période envoyée avec la requête { type, start, end }.
+ */
+function archiveHoroscope(sign, date, horoscope, source, promptTemplate, period = null) {
+    // Les textes simulés du mode démonstration ne sont pas archivés.
+    if (!horoscope || !horoscope.horoscope || appState.demoMode) return;
+    // Au-delà d'un jour, l'entrée est datée du début de la période et garde sa fin.
+    const periodFields = period && period.type !== 'day' ? { date: period.start, period: period.type, endDate: period.end } : {};
+    addArchiveEntry({
+        sign,
+        date: date || new Date().toISOString().split('T')[0],
+        ...periodFields,
+        model: horoscope.model || appState.selectedModel,
+        prompt: horoscope.prompt || promptTemplate?.text || '',
+        template: promptTemplate ? `${promptTemplate.name} v${promptTemplate.version}` : '',
+        text: horoscope.horoscope,
+        wordCount: horoscope.word_count,
+        source
+    }).catch(error => console.error('Erreur d\'archivage de l\'horoscope:', error));
+}
+
+/**
+ * Lit les filtres de la section Archive.
+ * @returns {object} Les filtres pour `getArchiveEntries`.
+ */
+function getArchiveFilters() {
+    return {
+        sign: document.getElementById('archive-sign-filter').value,
+        model: document.getElementById('archive-model-filter').value,
+        from: document.getElementById('archive-from-input').value,
+        to: document.getElementById('archive-to-input').value,
+        query: document.getElementById('archive-search-input').value
+    };
+}
+
+/**
+ * Met à jour la liste des modèles proposés dans le filtre.
+ * @param {object[]} entries - Toutes les entrées de l'archive.
+ */
+function renderArchiveModelFilter(entries) {
+    const select = document.getElementById('archive-model-filter');
+    const current = select.value;
+    const models = [...new Set(entries.map(entry => entry.model).filter(Boolean))].sort();
+    select.innerHTML = `<option value="">${escapeHtml(t('archive.allModels'))}</option>` +
+        models.map(model => `<option value="${escapeHtml(model)}">${escapeHtml(model)}</option>`).join('');
+    select.value = models.includes(current) ? current : '';
+}
+
+/**
+ * Affiche les entrées de l'archive correspondant aux filtres.
+ */
+async function renderArchive() {
+    const list = document.getElementById('archive-list');
+    if (!list) return;
+
+    try {
+        renderArchiveModelFilter(await getArchiveEntries());
+        const entries = await getArchiveEntries(getArchiveFilters());
+        document.getElementById('archive-count').textContent = t('archive.count', { count: entries.length });
+
+        if (entries.length === 0) {
+            list.innerHTML = `<p class="archive-empty">${escapeHtml(t('archive.empty'))}</p>`;
+            return;
+        }
+        list.innerHTML = entries.map(createArchiveEntryHTML).join('');
+    } catch (error) {
+        console.error('Erreur de lecture de l\'archive:', error);
+        showError(list, error.message);
+    }
+}
+
+/**
+ * Crée le HTML d'une entrée de l'archive.
+ * @param {object} entry - L'entrée archivée.
+ * @returns {string} La chaîne de caractères HTML.
+ */
+function createArchiveEntryHTML(entry) {
+    const checked = archiveSelection.has(entry.id) ? 'checked' : '';
+    const createdAt = formatDateTime(entry.createdAt);
+    return `
+        <div class="horoscope-card archive-entry" data-id="${entry.id}">
+            <div class="card-header">
+                <div class="card-icon">${signSymbols[entry.sign] || '✨'}</div>
+                <div>
+                    <div class="card-title">${escapeHtml(signNames[entry.sign] || entry.sign)} · ${escapeHtml(entry.period ? formatPeriodRange({ period: entry.period, start: entry.date, end: entry.endDate }) : entry.date)}</div>
+                    <div class="card-dates">🤖 ${escapeHtml(entry.model || t('archive.unknownModel'))} · ${escapeHtml(t('archive.words', { count: entry.wordCount }))} · ${escapeHtml(createdAt)}</div>
+                    ${entry.template ? `<div class="card-dates">🧩 ${escapeHtml(entry.template)}</div>` : ''}
+                </div>
+                <label class="archive-compare-toggle" title="${escapeHtml(t('archive.selectToCompare'))}">
+                    <input type="checkbox" data-action="select" ${checked}> ⚖️
+                </label>
+            </div>
+            <div class="card-content">${renderMarkdown(entry.text)}</div>
+            ${entry.prompt ? `<details class="archive-prompt"><summary>${escapeHtml(t('archive.prompt'))}</summary><pre>${escapeHtml(entry.prompt)}</pre></details>` : ''}
+            <div class="video-actions">
+                <button type="button" class="astro-button button-secondary" data-action="video">${escapeHtml(t('archive.useForVideo'))}</button>
+                <button type="button" class="astro-button button-secondary" data-action="delete">${escapeHtml(t('common.delete'))}</button>
+            </div>
+        </div>`;
+}
+
+/**
+ * Gère les actions sur les entrées de la liste (délégation d'événements).
+ * @param {Event} event - L'événement click ou change.
+ */
+async function handleArchiveListAction(event) {
+    const target = event.target.closest('[data-action]');
+    const card = event.target.closest('.archive-entry');
+    if (!target || !card) return;
+    const id = Number(card.dataset.id);
+
+    switch (target.dataset.action) {
+        case 'select':
+            if (event.type !== 'change') return;
+            if (target.checked) archiveSelection.add(id);
+            else archiveSelection.delete(id);
+            break;
+        case 'video':
+            if (event.type === 'click') await sendArchiveEntryToVideo(id);
+            break;
+        case 'delete':
+            if (event.type !== 'click' || !(await confirmDialog(t('msg.deleteArchiveEntry'), { danger: true }))) return;
+            await deleteArchiveEntry(id);
+            archiveSelection.delete(id);
+            renderArchive();
+            break;
+    }
+}
+
+/**
+ * Compare côte à côte les deux entrées sélectionnées (même signe, même date).
+ */
+async function compareArchiveEntries() {
+    const resultDiv = document.getElementById('archive-compare-result');
+    if (archiveSelection.size !== 2) {
+        notify(t('msg.selectTwoEntries'), { type: 'warning' });
+        return;
+    }
+
+    const [first, second] = await Promise.all([...archiveSelection].map(getArchiveEntry));
+    if (!first || !second) {
+        archiveSelection.clear();
+        renderArchive();
+        return;
+    }
+    if (first.sign !== second.sign || first.date !== second.date) {
+        notify(t('msg.compareSameSignDate'), { type: 'warning' });
+        return;
+    }
+
+    // L'entrée la plus ancienne sert de référence.
+    const [before, after] = first.createdAt <= second.createdAt ? [first, second] : [second, first];
+    const segments = diffWords(before.text, after.text);
+    const renderSide = hiddenType => segments
+        .filter(segment => segment.type !== hiddenType)
+        .map(segment => segment.type === 'same'
+            ? escapeHtml(segment.text)
+            : `<${segment.type === 'added' ? 'ins' : 'del'}>${escapeHtml(segment.text)}</${segment.type === 'added' ? 'ins' : 'del'}>`)
+        .join('');
+    const column = (entry, html) => `
+        <div class="archive-compare-column">
+            <h4>🤖 ${escapeHtml(entry.model || t('archive.unknownModel'))} · ${escapeHtml(formatDateTime(entry.createdAt))}</h4>
+            <div class="archive-compare-text">${html}</div>
+        </div>`;
+
+    resultDiv.innerHTML = `
+        <div class="horoscope-result">
+            <h3 style="color: #FFD700;">⚖️ ${signSymbols[before.sign] || ''} ${escapeHtml(signNames[before.sign] || before.sign)} · ${escapeHtml(before.date)}</h3>
+            <div class="archive-compare">
+                ${column(before, renderSide('added'))}
+                ${column(after, renderSide('removed'))}
+            </div>
+        </div>`;
+    resultDiv.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Pré-remplit le formulaire vidéo avec un horoscope archivé et ouvre la section.
+ * Le texte est transmis au montage à la place d'une nouvelle génération.
+ * @param {number} id - L'identifiant de l'entrée.
+ */
+async function sendArchiveEntryToVideo(id) {
+    const entry = await getArchiveEntry(id);
+    if (!entry) return;
+
+    document.getElementById('video-sign').value = entry.sign;
+    document.getElementById('video-date').value = entry.date;
+    document.getElementById('video-horoscope-text').value = entry.text;
+    document.getElementById('video-horoscope-box').classList.remove('hidden');
+    showSection('video');
+}
+
+/**
+ * Retire le texte archivé du formulaire vidéo.
+ */
+function clearVideoHoroscopeText() {
+    document.getElementById('video-horoscope-text').value = '';
+    document.getElementById('video-horoscope-box').classList.add('hidden');
+}
+
+/**
+ * Branche les filtres et actions de la section Archive.
+ */
+function initializeArchive() {
+    const list = document.getElementById('archive-list');
+    if (!list) return;
+
+    ['archive-sign-filter', 'archive-model-filter', 'archive-from-input', 'archive-to-input'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderArchive);
+    });
+    document.getElementById('archive-search-input').addEventListener('input', renderArchive);
+    document.getElementById('btn-archive-compare').addEventListener('click', compareArchiveEntries);
+    document.getElementById('btn-clear-video-horoscope')?.addEventListener('click', clearVideoHoroscopeText);
+    document.getElementById('nav-archive')?.addEventListener('click', renderArchive);
+    list.addEventListener('click', handleArchiveListAction);
+    list.addEventListener('change', handleArchiveListAction);
+}
+
+
+/**
+ * =============================================================================
+ * XIV. EXPORTS ET LÉGENDES DES HOROSCOPES QUOTIDIENS
+ *
+ * Une fois les 12 horoscopes générés, ils peuvent être téléchargés en
+ * Markdown, JSON, CSV ou RSS, et déclinés en légendes pour chaque réseau
+ * (exporters.js).
+ * =============================================================================
+ */
+
+// Formats de téléchargement : extension et type MIME.
+const DAILY_EXPORT_FORMATS = {
+    'markdown': { extension: 'md', mime: 'text/markdown;charset=utf-8' },
+    'json': { extension: 'json', mime: 'application/json;charset=utf-8' },
+    'csv': { extension: 'csv', mime: 'text/csv;charset=utf-8' },
+    'rss': { extension: 'xml', mime: 'application/rss+xml;charset=utf-8' }
+};
+
+/**
+ * Convertit les derniers horoscopes quotidiens en entrées pour les exports.
+ * Les signes en erreur sont ignorés.
+ * @returns {object[]} Les entrées { sign, name, symbol, text, wordCount }.
+ */
+function getDailyExportEntries() {
+    const { horoscopes = {}, language } = appState.dailyHoroscopes || {};
+    return Object.entries(horoscopes)
+        .filter(([, horoscope]) => !horoscope.error && horoscope.horoscope)
+        .map(([sign, horoscope]) => ({
+            sign,
+            name: translate(language, `sign.${sign}`),
+            symbol: signSymbols[sign] || '✨',
+            text: horoscope.horoscope,
+            wordCount: horoscope.word_count || countWords(horoscope.horoscope)
+        }));
+}
+
+/**
+ * Télécharge les horoscopes du jour dans le format demandé.
+ * @param {string} format - 'markdown', 'json', 'csv' ou 'rss'.
+ */
+function exportDailyHoroscopes(format) {
+    const entries = getDailyExportEntries();
+    if (entries.length === 0) return;
+
+    const { date, language } = appState.dailyHoroscopes;
+    const siteUrl = window.location.href.split('#')[0];
+    const builders = {
+        'markdown': () => buildMarkdownNewsletter(date, entries, language),
+        'json': () => buildHoroscopesJSON(date, entries, { model: appState.selectedModel, language }),
+        'csv': () => buildHoroscopesCSV(date, entries, language),
+        'rss': () => buildRssFeed(date, entries, siteUrl, language)
+    };
+    const { extension, mime } = DAILY_EXPORT_FORMATS[format];
+    downloadBlob(new Blob([builders[format]()], { type: mime }), `horoscopes_${date}.${extension}`);
+}
+
+/**
+ * Affiche les légendes des 12 signes pour une plateforme.
+ * @param {string} platform - 'youtube', 'tiktok' ou 'instagram'.
+ */
+function renderCaptionPack(platform) {
+    const container = document.getElementById('caption-pack');
+    const pack = buildCaptionPack(platform, getDailyExportEntries(), appState.dailyHoroscopes.date, appState.dailyHoroscopes.language);
+
+    document.querySelectorAll('#caption-platform-buttons [data-platform]').forEach(button => {
+        button.classList.toggle('active', button.dataset.platform === platform);
+    });
+    container.innerHTML = `
+        <h4 class="action-group-title">${escapeHtml(t(`export.caption.${platform}`))}</h4>
+        <div class="caption-pack">
+            ${pack.map(item => `
+                <div class="caption-item">
+                    <div class="caption-item-header">
+                        <strong>${item.symbol} ${escapeHtml(item.name)}</strong>
+                        <span class="caption-length">${item.caption.length} / ${CAPTION_LIMITS[platform]}</span>
+                        <button type="button" class="astro-button button-secondary" data-copy-sign="${escapeHtml(item.sign)}">${escapeHtml(t('export.copy'))}</button>
+                    </div>
+                    <textarea class="form-input" rows="6" readonly data-sign="${escapeHtml(item.sign)}">${escapeHtml(item.caption)}</textarea>
+                </div>`).join('')}
+        </div>`;
+}
+
+/**
+ * Copie une légende et l'indique brièvement sur le bouton.
+ * @param {HTMLButtonElement} button - Le bouton de copie.
+ */
+async function copyCaption(button) {
+    const textarea = document.querySelector(`#caption-pack textarea[data-sign="${button.dataset.copySign}"]`);
+    const copied = await copyTextWithFallback(textarea.value);
+    button.textContent = t(copied ? 'export.copied' : 'export.copyFailed');
+    setTimeout(() => { button.textContent = t('export.copy'); }, 2000);
+}
+
+/**
+ * Affiche ou masque le panneau d'export selon les horoscopes disponibles.
+ */
+function updateDailyExportPanel() {
+    const panel = document.getElementById('daily-export-panel');
+    if (!panel) return;
+    panel.classList.toggle('hidden', getDailyExportEntries().length === 0);
+    document.getElementById('caption-pack').innerHTML = '';
+}
+
+/**
+ * Branche les boutons du panneau d'export.
+ */
+function initializeDailyExports() {
+    const panel = document.getElementById('daily-export-panel');
+    if (!panel) return;
+
+    panel.addEventListener('click', event => {
+        const exportButton = event.target.closest('[data-export]');
+        const platformButton = event.target.closest('[data-platform]');
+        const copyButton = event.target.closest('[data-copy-sign]');
+        if (exportButton) exportDailyHoroscopes(exportButton.dataset.export);
+        else if (platformButton) renderCaptionPack(platformButton.dataset.platform);
+        else if (copyButton) copyCaption(copyButton);
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XV. COMPARAISON DE MODÈLES
+ *
+ * Le même signe et la même date sont générés en parallèle sur 2 à 4 modèles.
+ * Les résultats s'affichent en colonnes avec latence, nombre de mots et ton
+ * (tone.js) ; les votes sont conservés pour choisir le modèle par défaut de
+ * chaque signe et de chaque langue.
+ * =============================================================================
+ */
+
+const COMPARE_MIN_MODELS = 2;
+const COMPARE_MAX_MODELS = 4;
+const MODEL_VOTES_STORAGE_KEY = 'modelVotes';
+
+// Dernière comparaison affichée (pour enregistrer le vote).
+const modelComparison = {
+    sign: null,
+    date: null,
+    language: null,
+    results: []
+};
+
+/**
+ * Charge les votes enregistrés.
+ * @returns {object[]} Les votes { sign, date, language, model, candidates, timestamp }.
+ */
+function loadModelVotes() {
+    try {
+        return JSON.parse(localStorage.getItem(MODEL_VOTES_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Erreur de lecture des votes:', error);
+        return [];
+    }
+}
+
+/**
+ * Sauvegarde les votes.
+ * @param {object[]} votes - Les votes.
+ */
+function saveModelVotes(votes) {
+    try {
+        localStorage.setItem(MODEL_VOTES_STORAGE_KEY, JSON.stringify(votes));
+    } catch (error) {
+        console.error('Erreur de sauvegarde des votes:', error);
+    }
+}
+
+/**
+ * Langue du contenu généré : la langue choisie dans le sélecteur (i18n.js).
+ * Envoyée aux endpoints de génération et utilisée pour classer les votes.
+ * @returns {string} Le code de langue.
+ */
+function getContentLanguage() {
+    return getLanguage();
+}
+
+/**
+ * Affiche la liste des modèles disponibles à cocher pour la comparaison.
+ */
+function renderCompareModelList() {
+    const container = document.getElementById('compare-model-list');
+    if (!container) return;
+
+    const checked = new Set(getSelectedCompareModels());
+    const models = appState.availableModels.length > 0
+        ? appState.availableModels.map(model => model.name)
+        : Array.from(document.getElementById('global-model-select').options).map(option => option.value);
+    container.innerHTML = models.map(model => `
+        <label class="compare-model-option">
+            <input type="checkbox" value="${escapeHtml(model)}" ${checked.has(model) ? 'checked' : ''}> ${escapeHtml(model)}
+        </label>`).join('');
+}
+
+/**
+ * @returns {string[]} Les modèles cochés pour la comparaison.
+ */
+function getSelectedCompareModels() {
+    return Array.from(document.querySelectorAll('#compare-model-list input:checked')).map(input => input.value);
+}
+
+/**
+ * @returns {boolean} Vrai si le mode comparaison est activé.
+ */
+function isCompareModeEnabled() {
+    return document.getElementById('compare-mode-toggle')?.checked || false;
+}
+
+/**
+ * Génère un horoscope avec un modèle donné et mesure la latence.
+ * @param {object} payload - Le corps de la requête (signe, date, thème natal).
+ * @param {string} model - Le modèle Ollama.
+ * @returns {Promise<object>} { model, latency, horoscope } ou { model, latency, error }.
+ */
+async function generateHoroscopeWithModel(payload, model) {
+    const start = performance.now();
+    try {
+        const data = await apiFetch('/api/generate_single_horoscope', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...payload, model }),
+            // Pas de file hors ligne : la latence mesurée n'aurait plus de sens,
+            // le modèle en échec est signalé dans sa colonne.
+            timeout: API_TIMEOUTS.generation
+        });
+        return { model, latency: performance.now() - start, horoscope: { ...data.result, model } };
+    } catch (error) {
+        console.error(`Erreur de génération avec ${model}:`, error);
+        return { model, latency: performance.now() - start, error: error.message };
+    }
+}
+
+/**
+ * Lance la comparaison des modèles cochés pour un signe et une date.
+ * @param {object} payload - Le corps de la requête (signe, date, thème natal).
+ */
+async function compareModels(payload) {
+    const models = getSelectedCompareModels();
+    if (models.length < COMPARE_MIN_MODELS || models.length > COMPARE_MAX_MODELS) {
+        notify(t('msg.compareModelCount', { min: COMPARE_MIN_MODELS, max: COMPARE_MAX_MODELS }), { type: 'warning' });
+        return;
+    }
+
+    const loading = document.getElementById('individual-loading');
+    const resultDiv = document.getElementById('individual-result');
+    resultDiv.innerHTML = '';
+    loading.classList.add('active');
+
+    const results = await Promise.all(models.map(model => generateHoroscopeWithModel(payload, model)));
+    loading.classList.remove('active');
+
+    Object.assign(modelComparison, { sign: payload.sign, date: payload.date, language: getContentLanguage(), results });
+    results.filter(result => result.horoscope).forEach(result => {
+        archiveHoroscope(payload.sign, payload.date, result.horoscope, 'comparison', payload.prompt_template, payload.period);
+    });
+    renderModelComparison();
+}
+
+/**
+ * Affiche les colonnes de la comparaison et le classement des votes.
+ */
+function renderModelComparison() {
+    const resultDiv = document.getElementById('individual-result');
+    const { sign, results } = modelComparison;
+    const columns = results.map((result, index) => {
+        if (result.error) {
+            return `
+                <div class="compare-column error">
+                    <h4>🤖 ${escapeHtml(result.model)}</h4>
+                    <div class="horoscope-text" style="color: #ff4444;">${escapeHtml(t('msg.error', { error: result.error }))}</div>
+                </div>`;
+        }
+        const tone = analyzeTone(result.horoscope.horoscope, modelComparison.language);
+        const wordCount = result.horoscope.word_count || countWords(result.horoscope.horoscope);
+        return `
+            <div class="compare-column">
+                <h4>🤖 ${escapeHtml(result.model)}</h4>
+                <ul class="compare-metrics">
+                    <li>⏱️ ${(result.latency / 1000).toFixed(1)} s</li>
+                    <li>📝 ${escapeHtml(t('compare.words', { count: wordCount }))}</li>
+                    <li>${tone.emoji} ${escapeHtml(t(`compare.tone.${tone.level}`))} (${tone.sentiment})</li>
+                    <li>📏 ${escapeHtml(t('compare.sentences', { words: tone.avgSentenceLength, exclamations: tone.exclamations, address: t(`compare.address.${tone.address}`) }))}</li>
+                </ul>
+                <div class="horoscope-text">${renderMarkdown(result.horoscope.horoscope)}</div>
+                ${appState.demoMode ? '' : `<button type="button" class="astro-button button-secondary" data-vote-index="${index}">${escapeHtml(t('compare.vote'))}</button>`}
+            </div>`;
+    }).join('');
+
+    resultDiv.innerHTML = `
+        <div class="horoscope-result">
+            <div class="horoscope-header">
+                <div class="sign-icon">${signSymbols[sign] || '✨'}</div>
+                <div class="horoscope-meta">
+                    <h3>⚖️ ${escapeHtml(t('compare.title', { sign: signNames[sign] || sign, count: results.length }))}</h3>
+                    <p>📅 ${escapeHtml(modelComparison.date || t('compare.today'))}</p>
+                </div>
+            </div>
+            <div class="compare-grid">${columns}</div>
+        </div>
+        <div id="model-vote-summary">${createModelVoteSummaryHTML()}</div>`;
+
+    resultDiv.querySelectorAll('[data-vote-index]').forEach(button => {
+        button.addEventListener('click', () => voteForModel(Number(button.dataset.voteIndex)));
+    });
+}
+
+/**
+ * Enregistre un vote pour le meilleur texte de la comparaison affichée.
+ * @param {number} index - L'index du résultat choisi.
+ */
+function voteForModel(index) {
+    const winner = modelComparison.results[index];
+    // Un vote sur des textes simulés fausserait le modèle recommandé.
+    if (!winner || appState.demoMode) return;
+
+    const votes = loadModelVotes();
+    votes.push({
+        sign: modelComparison.sign,
+        date: modelComparison.date,
+        language: getContentLanguage(),
+        model: winner.model,
+        candidates: modelComparison.results.map(result => result.model),
+        timestamp: new Date().toISOString()
+    });
+    saveModelVotes(votes);
+
+    document.querySelectorAll('#individual-result [data-vote-index]').forEach(button => {
+        const isWinner = Number(button.dataset.voteIndex) === index;
+        button.disabled = true;
+        button.textContent = isWinner ? t('compare.voted') : '—';
+    });
+    document.getElementById('model-vote-summary').innerHTML = createModelVoteSummaryHTML();
+}
+
+/**
+ * Compte les votes par signe et par langue et désigne le modèle recommandé.
+ * @returns {object[]} Lignes { sign, language, counts, best, total } triées par signe.
+ */
+function getModelVoteStandings() {
+    const groups = {};
+    loadModelVotes().forEach(vote => {
+        const key = `${vote.sign}|${vote.language}`;
+        const group = groups[key] || (groups[key] = { sign: vote.sign, language: vote.language, counts: {}, total: 0 });
+        group.counts[vote.model] = (group.counts[vote.model] || 0) + 1;
+        group.total++;
+    });
+
+    const signOrder = Object.keys(signNames);
+    return Object.values(groups)
+        .map(group => ({ ...group, best: Object.entries(group.counts).sort((a, b) => b[1] - a[1])[0][0] }))
+        .sort((a, b) => signOrder.indexOf(a.sign) - signOrder.indexOf(b.sign) || a.language.localeCompare(b.language));
+}
+
+/**
+ * Crée le tableau du modèle recommandé par signe et par langue.
+ * @returns {string} La chaîne de caractères HTML.
+ */
+function createModelVoteSummaryHTML() {
+    const standings = getModelVoteStandings();
+    if (standings.length === 0) return '';
+
+    const rows = standings.map(row => `
+        <tr>
+            <td>${signSymbols[row.sign] || ''} ${escapeHtml(signNames[row.sign] || row.sign)}</td>
+            <td>${escapeHtml(row.language.toUpperCase())}</td>
+            <td><strong>${escapeHtml(row.best)}</strong></td>
+            <td>${Object.entries(row.counts).map(([model, count]) => `${escapeHtml(model)} : ${count}`).join(' · ')}</td>
+        </tr>`).join('');
+    return `
+        <div class="horoscope-result">
+            <h3 style="color: #FFD700;">${escapeHtml(t('compare.standings'))}</h3>
+            <table class="planet-table">
+                <thead><tr>${['common.sign', 'compare.language', 'archive.model', 'compare.votes'].map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Branche le mode comparaison du formulaire individuel.
+ */
+function initializeModelComparison() {
+    const toggle = document.getElementById('compare-mode-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('change', () => {
+        renderCompareModelList();
+        document.getElementById('compare-model-panel').classList.toggle('hidden', !toggle.checked);
+    });
+    document.getElementById('compare-model-list').addEventListener('change', event => {
+        // Au-delà du maximum, la dernière case cochée est refusée.
+        if (event.target.checked && getSelectedCompareModels().length > COMPARE_MAX_MODELS) {
+            event.target.checked = false;
+        }
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XVI. BIBLIOTHÈQUE DE PROMPTS
+ *
+ * Édition des modèles de prompts (prompts.js) : chaque enregistrement crée une
+ * nouvelle version, un signe peut avoir son propre modèle, et l'aperçu est
+ * rempli avec le contexte astral calculé localement. Chaque requête envoie le
+ * modèle et la version utilisés (`prompt_template`).
+ * =============================================================================
+ */
+
+const PROMPT_LIBRARY_STORAGE_KEY = 'promptLibrary';
+
+// Modèle et version affichés dans l'éditeur.
+const promptEditor = {
+    kind: 'horoscope',
+    templateId: null
+};
+
+/**
+ * Charge la bibliothèque depuis le localStorage, ou crée les modèles par défaut.
+ */
+function loadPromptLibrary() {
+    try {
+        appState.promptLibrary = JSON.parse(localStorage.getItem(PROMPT_LIBRARY_STORAGE_KEY));
+    } catch (error) {
+        console.error('Erreur de lecture de la bibliothèque de prompts:', error);
+        appState.promptLibrary = null;
+    }
+    if (!appState.promptLibrary || !Array.isArray(appState.promptLibrary.templates)) {
+        appState.promptLibrary = createDefaultPromptLibrary();
+        savePromptLibrary();
+    } else {
+        const added = addMissingDefaultPrompts(appState.promptLibrary);
+        if (upgradeDefaultPrompts(appState.promptLibrary) || added) savePromptLibrary();
+    }
+}
+
+/**
+ * Sauvegarde la bibliothèque dans le localStorage.
+ */
+function savePromptLibrary() {
+    try {
+        localStorage.setItem(PROMPT_LIBRARY_STORAGE_KEY, JSON.stringify(appState.promptLibrary));
+    } catch (error) {
+        console.error('Erreur de sauvegarde de la bibliothèque de prompts:', error);
+    }
+}
+
+/**
+ * Calcule les valeurs des variables de prompt pour un signe et une date,
+ * rédigées dans la langue du contenu.
+ * @param {string} [sign] - La clé du signe (absent pour le chat).
+ * @param {string} [date] - La date 'YYYY-MM-DD' (aujourd'hui par défaut).
+ * @returns {object} Les valeurs indexées par nom de variable.
+ */
+function buildPromptVariables(sign, date) {
+    const day = date || new Date().toISOString().split('T')[0];
+    const { lunarPhase, season, planets } = getSkySnapshot(day);
+    const language = getContentLanguage();
+    return {
+        sign: translate(language, sign ? `sign.${sign}` : 'llm.allSigns'),
+        date: day,
+        lunar_phase: translate(language, 'llm.lunarPhase', {
+            phase: translate(language, `phase.${lunarPhase.key}`),
+            percent: Math.round(lunarPhase.illumination * 100)
+        }),
+        planets: planets.map(p => translate(language, 'llm.planetIn', {
+            planet: translate(language, `planet.${p.key}`),
+            position: formatPlanetState(p, language).replace(/^\S+ /, '')
+        })).join(', '),
+        season: `${translate(language, `season.${season.key}`)} - ${translate(language, `season.${season.key}.energy`)}`,
+        language: I18N_LANGUAGES[language].promptName,
+        ...buildPeriodPromptVariables(computeHoroscopePeriod('day', day))
+    };
+}
+
+/**
+ * Résout et remplit le modèle à utiliser pour une requête.
+ * @param {string} kind - 'horoscope', 'chat', 'visual' ou 'compatibility'.
+ * @param {string} [sign] - La clé du signe.
+ * @param {string} [date] - La date 'YYYY-MM-DD'.
+ * @param {object} [extraVariables] - Variables propres à la requête (ex: {partner}).
+ * @returns {object|null} { id, name, version, text } à joindre à la requête.
+ */
+function buildPromptRequest(kind, sign, date, extraVariables = {}) {
+    const resolved = resolvePromptTemplate(appState.promptLibrary, kind, sign);
+    if (!resolved) return null;
+    return {
+        id: resolved.template.id,
+        name: resolved.template.name,
+        version: resolved.version.version,
+        text: fillPromptTemplate(resolved.version.text, { ...buildPromptVariables(sign, date), ...extraVariables })
+    };
+}
+
+/**
+ * Modèles d'horoscope et de visuel d'un signe, pour les tâches vidéo.
+ * @param {string} sign - La clé du signe.
+ * @param {string} [date] - La date 'YYYY-MM-DD'.
+ * @returns {object} { horoscope, visual }.
+ */
+function buildSignPromptTemplates(sign, date) {
+    return {
+        horoscope: buildPromptRequest('horoscope', sign, date),
+        visual: buildPromptRequest('visual', sign, date)
+    };
+}
+
+/**
+ * @returns {object|undefined} Le modèle ouvert dans l'éditeur.
+ */
+function getEditedPromptTemplate() {
+    return appState.promptLibrary.templates.find(template => template.id === promptEditor.templateId);
+}
+
+/**
+ * Affiche la section Bibliothèque : liste, éditeur, historique et modèles par signe.
+ */
+function renderPromptLibrary() {
+    const library = appState.promptLibrary;
+    const templates = library.templates.filter(template => template.kind === promptEditor.kind);
+    if (!templates.some(template => template.id === promptEditor.templateId)) {
+        promptEditor.templateId = library.defaults[promptEditor.kind] || templates[0]?.id || null;
+    }
+
+    document.getElementById('prompt-kind-select').value = promptEditor.kind;
+    document.getElementById('prompt-template-select').innerHTML = templates.map(template => {
+        const isDefault = library.defaults[promptEditor.kind] === template.id ? ' ★' : '';
+        return `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)} (v${getLatestPromptVersion(template).version})${isDefault}</option>`;
+    }).join('');
+    document.getElementById('prompt-template-select').value = promptEditor.templateId || '';
+
+    const template = getEditedPromptTemplate();
+    document.getElementById('prompt-name-input').value = template ? template.name : '';
+    document.getElementById('prompt-text-input').value = template ? getLatestPromptVersion(template).text : '';
+    document.getElementById('prompt-version-select').innerHTML = template
+        ? template.versions.slice().reverse().map(v =>
+            `<option value="${v.version}">v${v.version} · ${escapeHtml(formatDateTime(v.createdAt))}</option>`).join('')
+        : '';
+
+    renderPromptOverrides();
+    renderPromptPreview();
+}
+
+/**
+ * Affiche le tableau des modèles propres à chaque signe pour le type courant.
+ * Le chat n'étant pas lié à un signe, le tableau est masqué pour lui.
+ */
+function renderPromptOverrides() {
+    const container = document.getElementById('prompt-overrides');
+    if (promptEditor.kind === 'chat') {
+        container.innerHTML = '';
+        return;
+    }
+
+    const library = appState.promptLibrary;
+    const overrides = library.overrides[promptEditor.kind] || {};
+    const options = library.templates.filter(template => template.kind === promptEditor.kind);
+    const rows = Object.keys(signNames).map(sign => `
+        <tr>
+            <td>${signSymbols[sign]} ${signNames[sign]}</td>
+            <td>
+                <select class="form-select compact" data-override-sign="${sign}">
+                    <option value="">${escapeHtml(t('prompts.defaultTemplate'))}</option>
+                    ${options.map(template => `<option value="${escapeHtml(template.id)}" ${overrides[sign] === template.id ? 'selected' : ''}>${escapeHtml(template.name)}</option>`).join('')}
+                </select>
+            </td>
+        </tr>`).join('');
+    container.innerHTML = `
+        <h4 class="action-group-title">${escapeHtml(t('prompts.perSign'))}</h4>
+        <table class="planet-table prompt-override-table"><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Met à jour l'aperçu avec le texte en cours d'édition et le contexte astral.
+ */
+function renderPromptPreview() {
+    const sign = document.getElementById('prompt-preview-sign').value;
+    const date = document.getElementById('prompt-preview-date').value;
+    const text = document.getElementById('prompt-text-input').value;
+    const variables = buildPromptVariables(promptEditor.kind === 'chat' ? null : sign, date);
+    // Duo d'exemple pour l'aperçu : le signe choisi et celui qui lui est en trigone.
+    if (promptEditor.kind === 'compatibility' && sign) {
+        const partner = ZODIAC_ORDER[(ZODIAC_ORDER.indexOf(sign) + 4) % 12];
+        const names = [sign, partner].map(key => translate(getContentLanguage(), `sign.${key}`));
+        variables.partner = names[1];
+        variables.compatibility = describeCompatibility(computeCompatibility({ signA: sign, signB: partner }), names, getContentLanguage());
+    }
+    const unknown = findPromptVariables(text).filter(name => !(name in PROMPT_VARIABLES));
+
+    document.getElementById('prompt-preview').textContent = fillPromptTemplate(text, variables);
+    document.getElementById('prompt-preview-warning').textContent = unknown.length > 0
+        ? t('prompts.unknownVariables', { names: unknown.map(name => `{${name}}`).join(', ') })
+        : '';
+}
+
+/**
+ * Enregistre le texte de l'éditeur comme nouvelle version du modèle.
+ */
+function savePromptTemplateVersion() {
+    const template = getEditedPromptTemplate();
+    if (!template) return;
+
+    const name = document.getElementById('prompt-name-input').value.trim();
+    const text = document.getElementById('prompt-text-input').value.trim();
+    if (!name || !text) {
+        notify(t('msg.templateRequired'), { type: 'warning' });
+        return;
+    }
+
+    template.name = name;
+    const created = addPromptTemplateVersion(template, text);
+    savePromptLibrary();
+    renderPromptLibrary();
+    if (!created) notify(t('msg.templateUnchanged'), { type: 'info' });
+}
+
+/**
+ * Crée un nouveau modèle pour le type courant, à partir du texte affiché.
+ */
+async function createNewPromptTemplate() {
+    const name = await promptDialog(t('msg.newTemplateName'));
+    if (!name || !name.trim()) return;
+
+    const text = document.getElementById('prompt-text-input').value.trim() || DEFAULT_PROMPT_TEMPLATES[promptEditor.kind].text;
+    const template = createPromptTemplate(promptEditor.kind, name.trim(), text);
+    appState.promptLibrary.templates.push(template);
+    promptEditor.templateId = template.id;
+    savePromptLibrary();
+    renderPromptLibrary();
+}
+
+/**
+ * Supprime le modèle ouvert (sauf s'il est le dernier de son type).
+ * Les signes qui l'utilisaient reviennent au modèle par défaut.
+ */
+async function deletePromptTemplate() {
+    const library = appState.promptLibrary;
+    const template = getEditedPromptTemplate();
+    if (!template) return;
+    if (library.templates.filter(t => t.kind === template.kind).length === 1) {
+        notify(t('msg.lastTemplate'), { type: 'warning' });
+        return;
+    }
+    if (!(await confirmDialog(t('msg.deleteTemplate', { name: template.name }), { danger: true }))) return;
+
+    library.templates = library.templates.filter(t => t.id !== template.id);
+    if (library.defaults[template.kind] === template.id) {
+        library.defaults[template.kind] = library.templates.find(t => t.kind === template.kind).id;
+    }
+    const overrides = library.overrides[template.kind] || {};
+    Object.keys(overrides).forEach(sign => {
+        if (overrides[sign] === template.id) delete overrides[sign];
+    });
+    promptEditor.templateId = null;
+    savePromptLibrary();
+    renderPromptLibrary();
+}
+
+/**
+ * Fait du modèle ouvert le modèle par défaut de son type.
+ */
+function setDefaultPromptTemplate() {
+    const template = getEditedPromptTemplate();
+    if (!template) return;
+    appState.promptLibrary.defaults[template.kind] = template.id;
+    savePromptLibrary();
+    renderPromptLibrary();
+}
+
+/**
+ * Recharge dans l'éditeur le texte d'une ancienne version.
+ * Il ne devient actif qu'après enregistrement (nouvelle version).
+ */
+function restorePromptVersion() {
+    const template = getEditedPromptTemplate();
+    const version = Number(document.getElementById('prompt-version-select').value);
+    const entry = template?.versions.find(v => v.version === version);
+    if (!entry) return;
+    document.getElementById('prompt-text-input').value = entry.text;
+    renderPromptPreview();
+}
+
+/**
+ * Insère une variable à la position du curseur dans l'éditeur.
+ * @param {string} name - Le nom de la variable.
+ */
+function insertPromptVariable(name) {
+    const textarea = document.getElementById('prompt-text-input');
+    const { selectionStart, selectionEnd, value } = textarea;
+    textarea.value = `${value.slice(0, selectionStart)}{${name}}${value.slice(selectionEnd)}`;
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = selectionStart + name.length + 2;
+    renderPromptPreview();
+}
+
+/**
+ * Charge la bibliothèque et branche les contrôles de la section.
+ */
+function initializePromptLibrary() {
+    loadPromptLibrary();
+    const section = document.getElementById('prompts-section');
+    if (!section) return;
+
+    document.getElementById('prompt-kind-select').innerHTML = Object.entries(PROMPT_KINDS)
+        .map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('');
+    document.getElementById('prompt-variables').innerHTML = Object.entries(PROMPT_VARIABLES)
+        .map(([name, description]) => `<button type="button" class="prompt-variable" data-variable="${name}" title="${escapeHtml(description)}">{${name}}</button>`).join('');
+    document.getElementById('prompt-preview-date').value = new Date().toISOString().split('T')[0];
+
+    document.getElementById('prompt-kind-select').addEventListener('change', event => {
+        promptEditor.kind = event.target.value;
+        promptEditor.templateId = null;
+        renderPromptLibrary();
+    });
+    document.getElementById('prompt-template-select').addEventListener('change', event => {
+        promptEditor.templateId = event.target.value;
+        renderPromptLibrary();
+    });
+    document.getElementById('prompt-variables').addEventListener('click', event => {
+        const button = event.target.closest('[data-variable]');
+        if (button) insertPromptVariable(button.dataset.variable);
+    });
+    document.getElementById('prompt-overrides').addEventListener('change', event => {
+        const sign = event.target.dataset.overrideSign;
+        if (!sign) return;
+        const overrides = appState.promptLibrary.overrides[promptEditor.kind] ||= {};
+        if (event.target.value) overrides[sign] = event.target.value;
+        else delete overrides[sign];
+        savePromptLibrary();
+    });
+    ['prompt-text-input', 'prompt-preview-sign', 'prompt-preview-date'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderPromptPreview);
+    });
+    document.getElementById('btn-save-prompt').addEventListener('click', savePromptTemplateVersion);
+    document.getElementById('btn-new-prompt').addEventListener('click', createNewPromptTemplate);
+    document.getElementById('btn-delete-prompt').addEventListener('click', deletePromptTemplate);
+    document.getElementById('btn-default-prompt').addEventListener('click', setDefaultPromptTemplate);
+    document.getElementById('btn-restore-prompt-version').addEventListener('click', restorePromptVersion);
+
+    renderPromptLibrary();
+}
+
+
+/**
+ * =============================================================================
+ * XVII. LANGUE DE L'INTERFACE ET DU CONTENU
+ *
+ * Sélecteur de langue (i18n.js) : traduit les textes statiques, les noms de
+ * signes et les dates, et fixe la langue demandée aux modèles de génération.
+ * =============================================================================
+ */
+
+/**
+ * Charge la langue mémorisée, remplit le sélecteur et traduit la page.
+ */
+function initializeLanguage() {
+    const language = loadLanguage();
+    const select = document.getElementById('language-select');
+    if (select) {
+        select.innerHTML = Object.entries(I18N_LANGUAGES)
+            .map(([code, info]) => `<option value="${code}">${escapeHtml(info.label)}</option>`).join('');
+        select.value = language;
+        select.addEventListener('change', () => changeLanguage(select.value));
+    }
+    applyLanguage();
+}
+
+/**
+ * Change la langue active puis retraduit l'interface.
+ * @param {string} language - Le code de langue.
+ */
+function changeLanguage(language) {
+    setLanguage(language);
+    applyLanguage();
+}
+
+/**
+ * Traduit les noms des astres, des phases lunaires, des saisons et des aspects
+ * (ephemeris.js), repris par tous les calculs suivants.
+ */
+function localizeEphemerisNames() {
+    EPHEMERIS_BODIES.forEach(body => { body.name = t(`planet.${body.key}`); });
+    LUNAR_PHASES.forEach(phase => { phase.name = t(`phase.${phase.key}`); });
+    SEASONS.forEach(season => Object.assign(season, { name: t(`season.${season.key}`), energy: t(`season.${season.key}.energy`) }));
+    ASPECT_TYPES.forEach(aspect => { aspect.name = t(`aspect.${aspect.key}`); });
+}
+
+/**
+ * Applique la langue active à toute l'interface, y compris aux parties
+ * générées dynamiquement (boutons vidéo, calendrier, bibliothèque de prompts).
+ */
+function applyLanguage() {
+    Object.assign(signNames, getSignNames());
+    localizeEphemerisNames();
+    applyTranslations();
+    renderSignOptions();
+    renderChatThreadList();
+    renderNatalProfileSelect(document.getElementById('natal-profile-select')?.value);
+    updatePageTitle(appState.currentSection);
+    addVideoButtonsAndListeners();
+    if (appState.calendarEvents) renderTransitCalendar();
+    if (appState.promptLibrary) renderPromptLibrary();
+    renderPublisherConfig();
+    renderMediaFormatFilter();
+    renderMediaGallery();
+    renderVisualPresetInfo();
+    renderVariationGrid();
+    renderOfflineBanner();
+    renderServiceIndicators();
+    renderStatusDashboard();
+    applyServiceDependencies();
+    renderNotificationCenter();
+    renderConnectionProfiles();
+    renderCompatibilityProfiles();
+    renderCompatibilityResult();
+    if (document.getElementById('schedule-visibility-select')?.options.length) {
+        renderScheduleVisibilityOptions();
+        renderPublishQueue();
+        document.getElementById('btn-schedule-submit').textContent = t(publishScheduler.editingId ? 'schedule.update' : 'schedule.add');
+    }
+}
+
+/**
+ * Met à jour le libellé des options de signe de toutes les listes déroulantes.
+ * La liste de l'horoscope individuel affiche en plus la période du signe.
+ */
+function renderSignOptions() {
+    document.querySelectorAll('select option').forEach(option => {
+        if (!signNames[option.value]) return;
+        const label = `${signSymbols[option.value]} ${signNames[option.value]}`;
+        option.textContent = option.parentElement.id === 'sign-select'
+            ? `${label} (${getSignDateRange(option.value)})`
+            : label;
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XVIII. PLANIFICATION DES PUBLICATIONS
+ *
+ * File des publications vidéo (scheduler.js), mémorisée dans le localStorage.
+ * Tant que l'application est ouverte, les publications arrivées à échéance
+ * sont envoyées à leur cible (publishers.js) ; celles manquées pendant une fermeture
+ * partent à la réouverture. Les échecs restent dans la file pour être relancés.
+ * Chaque onglet ouvert vérifie la file : une publication est réservée dans le
+ * localStorage avant son envoi pour qu'un seul onglet la publie.
+ * =============================================================================
+ */
+
+const PUBLISH_QUEUE_STORAGE_KEY = 'publishQueue';
+const PUBLISH_QUEUE_LOCK = 'astrogenai-publish-queue';
+const PUBLISH_QUEUE_INTERVAL = 30000; // ms entre deux vérifications des échéances
+
+// Publication en cours d'édition et traitement de la file.
+const publishScheduler = {
+    editingId: null,
+    timer: null,
+    running: false
+};
+
+/**
+ * Charge la file depuis le localStorage.
+ * Une publication interrompue (page fermée pendant l'envoi) a peut-être abouti :
+ * elle passe en échec pour être vérifiée avant d'être relancée.
+ */
+function loadPublishQueue() {
+    appState.publishQueue = readStoredPublishQueue().map(post => post.status === 'publishing'
+        ? { ...post, status: 'failed', error: t('schedule.interrupted') }
+        : post);
+}
+
+/**
+ * Lit la file telle qu'elle est enregistrée, éventuellement modifiée par un autre onglet.
+ * @returns {object[]} Les publications.
+ */
+function readStoredPublishQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(PUBLISH_QUEUE_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Erreur de lecture de la file de publication:', error);
+        return [];
+    }
+}
+
+/**
+ * Exécute une modification de la file enregistrée sans qu'un autre onglet
+ * l'entrelace (Web Locks quand le navigateur les propose).
+ * @param {Function} callback - La modification.
+ * @returns {Promise<*>} Le résultat de la modification.
+ */
+async function withPublishQueueLock(callback) {
+    return navigator.locks ? navigator.locks.request(PUBLISH_QUEUE_LOCK, callback) : callback();
+}
+
+/**
+ * Réserve une publication avant son envoi : son statut enregistré doit encore
+ * être celui vu par cet onglet, sinon un autre onglet l'a déjà prise en charge.
+ * @param {object} post - La publication (modifiée sur place).
+ * @returns {Promise<boolean>} true si cet onglet peut la publier.
+ */
+async function claimScheduledPost(post) {
+    return withPublishQueueLock(() => {
+        const queue = readStoredPublishQueue();
+        const index = queue.findIndex(item => item.id === post.id);
+        if (index === -1 || queue[index].status !== post.status) {
+            appState.publishQueue = queue;
+            return false;
+        }
+        queue[index] = Object.assign(post, queue[index], { status: 'publishing', attempts: queue[index].attempts + 1 });
+        appState.publishQueue = queue;
+        savePublishQueue();
+        return true;
+    });
+}
+
+/**
+ * Enregistre le résultat d'une publication dans la file enregistrée, sans
+ * écraser les modifications faites entre-temps par un autre onglet.
+ * @param {object} post - La publication.
+ */
+async function storeScheduledPost(post) {
+    await withPublishQueueLock(() => {
+        appState.publishQueue = readStoredPublishQueue().map(item => (item.id === post.id ? post : item));
+        savePublishQueue();
+    });
+}
+
+/**
+ * Suit les modifications de la file faites dans un autre onglet.
+ * @param {StorageEvent} event - L'événement storage.
+ */
+function handlePublishQueueStorage(event) {
+    if (event.key !== PUBLISH_QUEUE_STORAGE_KEY) return;
+    appState.publishQueue = readStoredPublishQueue();
+    renderPublishQueue();
+}
+
+/**
+ * Sauvegarde la file dans le localStorage.
+ */
+function savePublishQueue() {
+    try {
+        localStorage.setItem(PUBLISH_QUEUE_STORAGE_KEY, JSON.stringify(appState.publishQueue));
+    } catch (error) {
+        console.error('Erreur de sauvegarde de la file de publication:', error);
+    }
+}
+
+/**
+ * Lit les champs du formulaire de planification.
+ * @returns {object} Les champs attendus par `createScheduledPost`.
+ */
+function getScheduleFormFields() {
+    const value = id => document.getElementById(id).value;
+    return {
+        sign: value('schedule-sign-select'),
+        platform: value('schedule-platform-select'),
+        localDateTime: value('schedule-datetime-input'),
+        timeZone: value('schedule-timezone-select'),
+        visibility: value('schedule-visibility-select'),
+        title: value('schedule-title-input'),
+        description: value('schedule-description-input'),
+        tags: value('schedule-tags-input'),
+        hashtags: value('schedule-hashtags-input')
+    };
+}
+
+/**
+ * Remplit la liste des visibilités proposées par la plateforme choisie.
+ * @param {string} [selected] - La visibilité à sélectionner.
+ */
+function renderScheduleVisibilityOptions(selected) {
+    const platform = getPublisher(document.getElementById('schedule-platform-select').value);
+    const select = document.getElementById('schedule-visibility-select');
+    const current = selected || select.value;
+    select.innerHTML = platform.visibilities
+        .map(visibility => `<option value="${visibility}">${escapeHtml(t(`schedule.visibility.${visibility}`))}</option>`).join('');
+    select.value = platform.visibilities.includes(current) ? current : platform.visibilities[0];
+}
+
+/**
+ * Pré-remplit titre, description et hashtags pour le signe choisi, à partir
+ * de l'horoscope quotidien s'il a été généré.
+ */
+function fillScheduleFromHoroscope() {
+    const sign = document.getElementById('schedule-sign-select').value;
+    if (!sign) {
+        notify(t('msg.selectSign'), { type: 'warning' });
+        return;
+    }
+
+    const platform = document.getElementById('schedule-platform-select').value;
+    const entry = getDailyExportEntries().find(item => item.sign === sign);
+    const date = appState.dailyHoroscopes?.date || document.getElementById('schedule-datetime-input').value.slice(0, 10);
+
+    document.getElementById('schedule-title-input').value = t('schedule.defaultTitle', {
+        symbol: signSymbols[sign], sign: signNames[sign], date: formatDate(date)
+    });
+    if (entry) {
+        // Marge laissée au titre et aux hashtags sur les plateformes limitées.
+        const limit = CAPTION_LIMITS[platform];
+        const text = stripMarkdown(entry.text);
+        document.getElementById('schedule-description-input').value = limit ? truncateText(text, limit - 300) : text;
+    }
+    document.getElementById('schedule-hashtags-input').value = [toHashtag(signNames[sign]), ...getExportHashtags(getContentLanguage(), 'export.hashtags.base')].join(' ');
+}
+
+/**
+ * Ajoute la publication du formulaire à la file, ou enregistre ses modifications.
+ */
+function submitScheduledPost() {
+    const fields = getScheduleFormFields();
+    if (!fields.sign || !fields.localDateTime || !fields.title.trim()) {
+        notify(t('msg.scheduleRequired'), { type: 'warning' });
+        return;
+    }
+
+    if (publishScheduler.editingId) {
+        appState.publishQueue = appState.publishQueue.map(post =>
+            post.id === publishScheduler.editingId ? updateScheduledPost(post, fields) : post);
+    } else {
+        appState.publishQueue.push(createScheduledPost(fields));
+    }
+    savePublishQueue();
+    resetScheduleForm();
+    renderPublishQueue();
+    processPublishQueue();
+}
+
+/**
+ * Charge une publication de la file dans le formulaire pour la modifier.
+ * @param {string} id - L'identifiant de la publication.
+ */
+function editScheduledPost(id) {
+    const post = appState.publishQueue.find(item => item.id === id);
+    if (!post) return;
+
+    publishScheduler.editingId = id;
+    document.getElementById('schedule-sign-select').value = post.sign;
+    document.getElementById('schedule-platform-select').value = post.platform;
+    renderScheduleVisibilityOptions(post.visibility);
+    document.getElementById('schedule-datetime-input').value = post.localDateTime;
+    document.getElementById('schedule-timezone-select').value = post.timeZone;
+    document.getElementById('schedule-title-input').value = post.title;
+    document.getElementById('schedule-description-input').value = post.description;
+    document.getElementById('schedule-tags-input').value = post.tags.join(', ');
+    document.getElementById('schedule-hashtags-input').value = post.hashtags.join(' ');
+    document.getElementById('btn-schedule-submit').textContent = t('schedule.update');
+    document.getElementById('btn-schedule-cancel').classList.remove('hidden');
+    document.getElementById('schedule-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Vide le formulaire et propose par défaut l'heure pleine suivante.
+ */
+function resetScheduleForm() {
+    publishScheduler.editingId = null;
+    const next = new Date();
+    next.setHours(next.getHours() + 1, 0, 0, 0);
+    document.getElementById('schedule-datetime-input').value = `${toLocalDateKey(next)}T${String(next.getHours()).padStart(2, '0')}:00`;
+    ['schedule-title-input', 'schedule-description-input', 'schedule-tags-input', 'schedule-hashtags-input']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('btn-schedule-submit').textContent = t('schedule.add');
+    document.getElementById('btn-schedule-cancel').classList.add('hidden');
+}
+
+/**
+ * Affiche la file, regroupée par jour de publication, avec un compteur par statut.
+ */
+function renderPublishQueue() {
+    const list = document.getElementById('schedule-queue');
+    if (!list) return;
+
+    const statusFilter = document.getElementById('schedule-status-filter').value;
+    const counts = Object.fromEntries(SCHEDULE_STATUSES.map(status => [status, 0]));
+    appState.publishQueue.forEach(post => { counts[post.status]++; });
+    document.getElementById('schedule-summary').innerHTML = SCHEDULE_STATUSES
+        .map(status => `<span class="schedule-status ${status}">${escapeHtml(t(`schedule.status.${status}`))} · ${counts[status]}</span>`)
+        .join('');
+
+    const days = groupPostsByDay(appState.publishQueue.filter(post => !statusFilter || post.status === statusFilter));
+    if (days.length === 0) {
+        list.innerHTML = `<p class="archive-empty">${escapeHtml(t('schedule.empty'))}</p>`;
+        return;
+    }
+
+    list.innerHTML = days.map(({ day, posts }) => `
+        <div class="schedule-day">
+            <h4 class="schedule-day-title">${escapeHtml(formatDate(day, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }))}</h4>
+            ${posts.map(createScheduledPostHTML).join('')}
+        </div>`).join('');
+}
+
+/**
+ * Construit la ligne d'une publication de la file.
+ * @param {object} post - La publication.
+ * @returns {string} Le code HTML.
+ */
+function createScheduledPostHTML(post) {
+    // Une cible retirée du registre reste affichée pour pouvoir supprimer la publication.
+    const platform = PUBLISHERS[post.platform] || { icon: '❔', label: post.platform };
+    const actions = [];
+    if (post.status === 'pending') actions.push(['publish', t('schedule.publishNow')], ['edit', t('schedule.edit')]);
+    if (post.status === 'failed') actions.push(['retry', t('schedule.retry')], ['edit', t('schedule.edit')]);
+    if (post.status !== 'publishing') actions.push(['delete', t('common.delete')]);
+
+    return `
+        <div class="schedule-post ${post.status}" data-id="${escapeHtml(post.id)}">
+            <div class="schedule-post-time">
+                <strong>${escapeHtml(post.localDateTime.slice(11, 16))}</strong>
+                <span>${escapeHtml(post.timeZone)}</span>
+            </div>
+            <div class="schedule-post-body">
+                <div class="schedule-post-title">${signSymbols[post.sign] || ''} ${escapeHtml(post.title)}</div>
+                <div class="schedule-post-meta">
+                    ${platform.icon} ${escapeHtml(platform.label)} · ${escapeHtml(t(`schedule.visibility.${post.visibility}`))}
+                    · <span class="schedule-status ${post.status}">${escapeHtml(t(`schedule.status.${post.status}`))}</span>
+                    ${post.attempts > 1 ? ` · ${escapeHtml(t('schedule.attempts', { count: post.attempts }))}` : ''}
+                </div>
+                ${post.error ? `<div class="schedule-post-error">❌ ${escapeHtml(post.error)}</div>` : ''}
+                ${post.result?.url ? `<a href="${safeUrl(post.result.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('schedule.viewPost'))}</a>` : ''}
+            </div>
+            <div class="schedule-post-actions">
+                ${actions.map(([action, label]) => `<button type="button" class="astro-button button-secondary" data-action="${action}">${escapeHtml(label)}</button>`).join('')}
+            </div>
+        </div>`;
+}
+
+/**
+ * Envoie une publication à sa cible de publication.
+ * @param {object} post - La publication (modifiée sur place).
+ */
+async function publishScheduledPost(post) {
+    if (!(await claimScheduledPost(post))) {
+        renderPublishQueue();
+        return;
+    }
+    renderPublishQueue();
+
+    try {
+        const data = await sendToPublisher(post.platform, `/upload_sign/${post.sign}`, post);
+        post.status = 'published';
+        post.error = null;
+        post.result = { title: data.title || post.title, url: data.video_url || null, publishedAt: new Date().toISOString() };
+        notify(t('notifications.published', { title: post.result.title, target: getPublisher(post.platform).label }), { type: 'success' });
+    } catch (error) {
+        console.error(`Échec de la publication ${post.id}:`, error);
+        post.status = 'failed';
+        post.error = error.message;
+        notify(error.message, { type: 'error', title: t('notifications.publishFailed', { title: post.title || signNames[post.sign] }) });
+    }
+
+    await storeScheduledPost(post);
+    renderPublishQueue();
+}
+
+/**
+ * Publie, une à une, les publications arrivées à échéance.
+ */
+async function processPublishQueue() {
+    if (publishScheduler.running) return;
+    publishScheduler.running = true;
+    try {
+        for (const post of getDuePosts(appState.publishQueue)) {
+            await publishScheduledPost(post);
+        }
+    } finally {
+        publishScheduler.running = false;
+    }
+}
+
+/**
+ * Gère les actions sur les publications de la file (délégation d'événements).
+ * @param {Event} event - L'événement click.
+ */
+async function handlePublishQueueAction(event) {
+    const target = event.target.closest('[data-action]');
+    const row = event.target.closest('.schedule-post');
+    if (!target || !row) return;
+    const post = appState.publishQueue.find(item => item.id === row.dataset.id);
+    if (!post) return;
+
+    switch (target.dataset.action) {
+        case 'edit':
+            editScheduledPost(post.id);
+            break;
+        case 'publish':
+        case 'retry':
+            await publishScheduledPost(post);
+            break;
+        case 'delete':
+            if (!(await confirmDialog(t('msg.deleteScheduledPost', { title: post.title }), { danger: true }))) return;
+            appState.publishQueue = appState.publishQueue.filter(item => item.id !== post.id);
+            if (publishScheduler.editingId === post.id) resetScheduleForm();
+            savePublishQueue();
+            renderPublishQueue();
+            break;
+    }
+}
+
+/**
+ * Ouvre la planification pré-remplie pour le signe choisi dans la section vidéo.
+ */
+function scheduleCurrentVideoSign() {
+    const sign = document.getElementById('video-sign').value;
+    if (!sign) {
+        notify(t('msg.selectSign'), { type: 'warning' });
+        return;
+    }
+    resetScheduleForm();
+    document.getElementById('schedule-sign-select').value = sign;
+    fillScheduleFromHoroscope();
+    showSection('schedule');
+}
+
+/**
+ * Charge la file, branche le formulaire et démarre la vérification périodique.
+ */
+function initializePublishScheduler() {
+    const list = document.getElementById('schedule-queue');
+    if (!list) return;
+
+    loadPublishQueue();
+    document.getElementById('schedule-platform-select').innerHTML = Object.entries(PUBLISHERS)
+        .map(([key, platform]) => `<option value="${key}">${platform.icon} ${escapeHtml(platform.label)}</option>`).join('');
+    document.getElementById('schedule-timezone-select').innerHTML = getTimeZones()
+        .map(zone => `<option value="${escapeHtml(zone)}">${escapeHtml(zone)}</option>`).join('');
+    renderScheduleVisibilityOptions();
+    resetScheduleForm();
+
+    document.getElementById('schedule-platform-select').addEventListener('change', () => renderScheduleVisibilityOptions());
+    document.getElementById('btn-schedule-fill').addEventListener('click', fillScheduleFromHoroscope);
+    document.getElementById('btn-schedule-submit').addEventListener('click', submitScheduledPost);
+    document.getElementById('btn-schedule-cancel').addEventListener('click', resetScheduleForm);
+    document.getElementById('schedule-status-filter').addEventListener('change', renderPublishQueue);
+    list.addEventListener('click', handlePublishQueueAction);
+    window.addEventListener('storage', handlePublishQueueStorage);
+
+    renderPublishQueue();
+    processPublishQueue();
+    publishScheduler.timer = setInterval(processPublishQueue, PUBLISH_QUEUE_INTERVAL);
+}
+
+
+/**
+ * =============================================================================
+ * XIX. CONFIGURATION DES CIBLES DE PUBLICATION
+ *
+ * Réglages propres à certaines cibles (URL et secret du webhook...), déclarés
+ * par chaque cible dans publishers.js et mémorisés dans le localStorage.
+ * =============================================================================
+ */
+
+const PUBLISHER_CONFIG_STORAGE_KEY = 'publisherConfig';
+
+/**
+ * Charge la configuration des cibles depuis le localStorage.
+ */
+function loadPublisherConfigs() {
+    try {
+        appState.publisherConfigs = JSON.parse(localStorage.getItem(PUBLISHER_CONFIG_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Erreur de lecture de la configuration des cibles:', error);
+        appState.publisherConfigs = {};
+    }
+}
+
+/**
+ * Sauvegarde la configuration des cibles dans le localStorage.
+ */
+function savePublisherConfigs() {
+    try {
+        localStorage.setItem(PUBLISHER_CONFIG_STORAGE_KEY, JSON.stringify(appState.publisherConfigs));
+    } catch (error) {
+        console.error('Erreur de sauvegarde de la configuration des cibles:', error);
+    }
+}
+
+/**
+ * @param {string} publisherId - L'identifiant de la cible.
+ * @returns {object} Sa configuration (objet vide si aucune).
+ */
+function getPublisherConfig(publisherId) {
+    return appState.publisherConfigs[publisherId] || {};
+}
+
+/**
+ * Affiche un groupe de champs par cible configurable.
+ */
+function renderPublisherConfig() {
+    const container = document.getElementById('publisher-config');
+    if (!container) return;
+
+    container.innerHTML = Object.values(PUBLISHERS)
+        .filter(publisher => publisher.configFields.length > 0)
+        .map(publisher => `
+            <fieldset class="publisher-config-group">
+                <legend>${publisher.icon} ${escapeHtml(publisher.label)}</legend>
+                ${publisher.configFields.map(field => `
+                    <div class="form-group compact">
+                        <label class="form-label compact">${escapeHtml(t(field.label))}</label>
+                        <input type="${field.type}" class="form-input compact" autocomplete="off"
+                            data-publisher="${publisher.id}" data-key="${field.key}"
+                            value="${escapeHtml(getPublisherConfig(publisher.id)[field.key] || '')}">
+                    </div>`).join('')}
+            </fieldset>`).join('');
+}
+
+/**
+ * Enregistre un champ de configuration modifié.
+ * @param {Event} event - L'événement change.
+ */
+function handlePublisherConfigChange(event) {
+    const input = event.target.closest('[data-publisher]');
+    if (!input) return;
+
+    const { publisher, key } = input.dataset;
+    appState.publisherConfigs[publisher] = { ...getPublisherConfig(publisher), [key]: input.value.trim() };
+    savePublisherConfigs();
+}
+
+/**
+ * Charge la configuration des cibles et branche le formulaire.
+ */
+function initializePublisherConfig() {
+    loadPublisherConfigs();
+    renderPublisherConfig();
+    document.getElementById('publisher-config')?.addEventListener('change', handlePublisherConfigChange);
+}
+
+
+/**
+ * =============================================================================
+ * XX. LECTEUR ET ÉDITEUR DE MONTAGE
+ *
+ * Un montage terminé s'ouvre dans un lecteur intégré. Les segments de sa
+ * transcription forment une piste de sous-titres modifiable (minutage et
+ * texte, subtitles.js), exportable en SRT / VTT. Un point d'entrée et de
+ * sortie peut être choisi, puis le montage est relancé avec ces réglages.
+ * =============================================================================
+ */
+
+// Montage ouvert dans l'éditeur.
+const montageEditor = {
+    sign: null,
+    videoPath: null,
+    format: null,
+    duration: 0,
+    segments: [],
+    trimIn: 0,
+    trimOut: 0,
+    previewing: false,  // Lecture de l'extrait : arrêt automatique au point de sortie
+    trackUrl: null      // URL (blob) de la piste VTT affichée par le lecteur
+};
+
+/**
+ * Adresse de lecture d'une vidéo de montage.
+ * @param {object} video - Le résultat `synchronized_video` du workflow.
+ * @returns {string} L'URL de la vidéo.
+ */
+function getMontageVideoUrl(video) {
+    return getApiTarget(video.video_url || `/api/montage/video/${encodeURIComponent(video.video_path.split('/').pop())}`).url;
+}
+
+/**
+ * Ouvre l'éditeur pour le montage d'un workflow terminé.
+ * @param {string} sign - La clé du signe.
+ * @param {object} data - Le résultat du workflow (`workflow_results.synchronized_video`).
+ */
+function openMontageEditor(sign, data) {
+    const video = data?.workflow_results?.synchronized_video;
+    const container = document.getElementById('montage-editor');
+    if (!video || !container) return;
+
+    const duration = Number(video.transcription?.duration) || 0;
+    Object.assign(montageEditor, {
+        sign,
+        videoPath: video.video_path,
+        format: data.format || document.getElementById('video-format').value,
+        duration,
+        segments: normalizeSegments(video.transcription?.segments),
+        trimIn: 0,
+        trimOut: duration,
+        previewing: false
+    });
+
+    container.innerHTML = `
+        <div class="montage-editor">
+            <video id="montage-player" class="montage-player" controls preload="metadata" src="${safeUrl(getMontageVideoUrl(video))}"></video>
+            <div class="montage-trim">
+                <div class="form-group compact">
+                    <label class="form-label compact">${escapeHtml(t('montage.trimIn'))}</label>
+                    <input type="number" class="form-input compact" id="montage-trim-in" min="0" step="0.1">
+                </div>
+                <button type="button" class="astro-button button-secondary" data-trim="in">${escapeHtml(t('montage.setFromPlayer'))}</button>
+                <div class="form-group compact">
+                    <label class="form-label compact">${escapeHtml(t('montage.trimOut'))}</label>
+                    <input type="number" class="form-input compact" id="montage-trim-out" min="0" step="0.1">
+                </div>
+                <button type="button" class="astro-button button-secondary" data-trim="out">${escapeHtml(t('montage.setFromPlayer'))}</button>
+                <button type="button" class="astro-button button-secondary" id="btn-montage-preview">${escapeHtml(t('montage.preview'))}</button>
+                <span class="montage-trim-length" id="montage-trim-length"></span>
+            </div>
+            <h4 class="montage-subtitles-title">${escapeHtml(t('montage.subtitles'))}</h4>
+            <div class="montage-subtitle-issues" id="montage-subtitle-issues"></div>
+            <div class="montage-subtitles" id="montage-subtitles"></div>
+            <div class="button-wrapper">
+                <button type="button" class="astro-button button-secondary" id="btn-subtitle-add">${escapeHtml(t('montage.addSubtitle'))}</button>
+                <button type="button" class="astro-button button-secondary" id="btn-subtitle-srt">📥 SRT</button>
+                <button type="button" class="astro-button button-secondary" id="btn-subtitle-vtt">📥 VTT</button>
+                <button type="button" class="astro-button button-primary" id="btn-montage-rerender">${escapeHtml(t('montage.rerender'))}</button>
+            </div>
+        </div>`;
+
+    const player = document.getElementById('montage-player');
+    player.addEventListener('loadedmetadata', () => {
+        // La durée réelle du fichier prime sur celle de la transcription.
+        if (!Number.isFinite(player.duration)) return;
+        if (montageEditor.trimOut === montageEditor.duration) montageEditor.trimOut = player.duration;
+        montageEditor.duration = player.duration;
+        renderMontageTrim();
+    });
+    player.addEventListener('timeupdate', handleMontageTimeUpdate);
+    container.querySelectorAll('[data-trim]').forEach(button =>
+        button.addEventListener('click', () => setMontageTrimPoint(button.dataset.trim, player.currentTime)));
+    document.getElementById('montage-trim-in').addEventListener('change', event => setMontageTrimPoint('in', Number(event.target.value)));
+    document.getElementById('montage-trim-out').addEventListener('change', event => setMontageTrimPoint('out', Number(event.target.value)));
+    document.getElementById('btn-montage-preview').addEventListener('click', previewMontageTrim);
+    document.getElementById('btn-subtitle-add').addEventListener('click', addSubtitleAtPlayhead);
+    document.getElementById('btn-subtitle-srt').addEventListener('click', () => exportMontageSubtitles('srt'));
+    document.getElementById('btn-subtitle-vtt').addEventListener('click', () => exportMontageSubtitles('vtt'));
+    document.getElementById('btn-montage-rerender').addEventListener('click', rerenderMontage);
+
+    const list = document.getElementById('montage-subtitles');
+    list.addEventListener('input', handleSubtitleEdit);
+    list.addEventListener('change', handleSubtitleEdit);
+    list.addEventListener('click', handleSubtitleAction);
+
+    renderMontageTrim();
+    renderSubtitleRows();
+}
+
+/**
+ * Affiche les points d'entrée / de sortie et la durée de l'extrait.
+ */
+function renderMontageTrim() {
+    document.getElementById('montage-trim-in').value = montageEditor.trimIn.toFixed(1);
+    document.getElementById('montage-trim-out').value = montageEditor.trimOut.toFixed(1);
+    document.getElementById('montage-trim-length').textContent =
+        t('montage.length', { duration: Math.max(0, montageEditor.trimOut - montageEditor.trimIn).toFixed(1) });
+}
+
+/**
+ * Définit un point d'entrée ou de sortie, borné à la durée de la vidéo.
+ * @param {string} point - 'in' ou 'out'.
+ * @param {number} seconds - La position en secondes.
+ */
+function setMontageTrimPoint(point, seconds) {
+    if (!Number.isFinite(seconds)) return;
+    const value = Math.min(Math.max(0, seconds), montageEditor.duration || seconds);
+    if (point === 'in') montageEditor.trimIn = value;
+    else montageEditor.trimOut = value;
+    renderMontageTrim();
+}
+
+/**
+ * Lit l'extrait choisi, du point d'entrée au point de sortie.
+ */
+function previewMontageTrim() {
+    const player = document.getElementById('montage-player');
+    montageEditor.previewing = true;
+    player.currentTime = montageEditor.trimIn;
+    player.play();
+}
+
+/**
+ * Suit la lecture : arrêt au point de sortie pendant l'aperçu et mise en
+ * évidence du sous-titre affiché.
+ */
+function handleMontageTimeUpdate() {
+    const player = document.getElementById('montage-player');
+    if (montageEditor.previewing && player.currentTime >= montageEditor.trimOut) {
+        player.pause();
+        montageEditor.previewing = false;
+    }
+    const time = player.currentTime;
+    document.querySelectorAll('#montage-subtitles .subtitle-row').forEach(row => {
+        const segment = montageEditor.segments[Number(row.dataset.index)];
+        row.classList.toggle('active', Boolean(segment) && time >= segment.start && time < segment.end);
+    });
+}
+
+/**
+ * Affiche les lignes de sous-titres modifiables.
+ */
+function renderSubtitleRows() {
+    const list = document.getElementById('montage-subtitles');
+    if (!list) return;
+
+    list.innerHTML = montageEditor.segments.length === 0
+        ? `<p class="archive-empty">${escapeHtml(t('montage.noSubtitles'))}</p>`
+        : montageEditor.segments.map((segment, index) => `
+            <div class="subtitle-row" data-index="${index}">
+                <button type="button" class="astro-button button-secondary" data-action="seek" title="${escapeHtml(t('montage.seek'))}">▶</button>
+                <input type="text" class="form-input compact" data-field="start" value="${formatSubtitleTime(segment.start, '.')}">
+                <input type="text" class="form-input compact" data-field="end" value="${formatSubtitleTime(segment.end, '.')}">
+                <textarea class="form-input compact" data-field="text" rows="2">${escapeHtml(segment.text)}</textarea>
+                <button type="button" class="astro-button button-secondary" data-action="delete" title="${escapeHtml(t('common.delete'))}">🗑️</button>
+            </div>`).join('');
+
+    refreshSubtitleTrack();
+}
+
+/**
+ * Reconstruit la piste VTT du lecteur et affiche les incohérences.
+ */
+function refreshSubtitleTrack() {
+    const player = document.getElementById('montage-player');
+    if (!player) return;
+
+    const issues = validateSegments(montageEditor.segments, montageEditor.duration);
+    document.getElementById('montage-subtitle-issues').innerHTML = issues
+        .map(issue => `<p>⚠️ ${escapeHtml(t(`montage.issue.${issue.type}`, { index: issue.index + 1 }))}</p>`).join('');
+    document.querySelectorAll('#montage-subtitles .subtitle-row').forEach(row => {
+        row.classList.toggle('invalid', issues.some(issue => issue.index === Number(row.dataset.index)));
+    });
+
+    player.querySelector('track')?.remove();
+    if (montageEditor.trackUrl) URL.revokeObjectURL(montageEditor.trackUrl);
+    montageEditor.trackUrl = URL.createObjectURL(new Blob([buildVtt(montageEditor.segments)], { type: 'text/vtt' }));
+
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.srclang = getContentLanguage();
+    track.label = t('montage.subtitles');
+    track.src = montageEditor.trackUrl;
+    track.default = true;
+    player.appendChild(track);
+    track.track.mode = 'showing';
+}
+
+/**
+ * Enregistre la modification d'un minutage ou d'un texte.
+ * Un minutage invalide est signalé sans être appliqué.
+ * @param {Event} event - L'événement input ou change.
+ */
+function handleSubtitleEdit(event) {
+    const field = event.target.dataset.field;
+    const row = event.target.closest('.subtitle-row');
+    if (!field || !row) return;
+    const segment = montageEditor.segments[Number(row.dataset.index)];
+
+    if (field === 'text') {
+        segment.text = event.target.value;
+        if (event.type === 'change') refreshSubtitleTrack();
+        return;
+    }
+
+    const seconds = parseSubtitleTime(event.target.value);
+    event.target.classList.toggle('invalid', Number.isNaN(seconds));
+    if (Number.isNaN(seconds) || event.type !== 'change') return;
+
+    segment[field] = seconds;
+    // Un nouveau minutage peut changer l'ordre des segments.
+    montageEditor.segments.sort((a, b) => a.start - b.start);
+    renderSubtitleRows();
+}
+
+/**
+ * Gère les boutons des lignes de sous-titres (délégation d'événements).
+ * @param {Event} event - L'événement click.
+ */
+function handleSubtitleAction(event) {
+    const target = event.target.closest('[data-action]');
+    const row = event.target.closest('.subtitle-row');
+    if (!target || !row) return;
+    const index = Number(row.dataset.index);
+
+    if (target.dataset.action === 'seek') {
+        const player = document.getElementById('montage-player');
+        montageEditor.previewing = false;
+        player.currentTime = montageEditor.segments[index].start;
+        player.play();
+    } else if (target.dataset.action === 'delete') {
+        montageEditor.segments.splice(index, 1);
+        renderSubtitleRows();
+    }
+}
+
+/**
+ * Ajoute un sous-titre de deux secondes à la position de lecture.
+ */
+function addSubtitleAtPlayhead() {
+    const start = Math.round(document.getElementById('montage-player').currentTime * 10) / 10;
+    const end = montageEditor.duration ? Math.min(start + 2, montageEditor.duration) : start + 2;
+    montageEditor.segments.push({ start, end, text: '…' });
+    montageEditor.segments.sort((a, b) => a.start - b.start);
+    renderSubtitleRows();
+}
+
+/**
+ * Télécharge les sous-titres du montage.
+ * @param {string} format - 'srt' ou 'vtt'.
+ */
+function exportMontageSubtitles(format) {
+    const content = format === 'srt' ? buildSrt(montageEditor.segments) : buildVtt(montageEditor.segments);
+    const mime = format === 'srt' ? 'application/x-subrip;charset=utf-8' : 'text/vtt;charset=utf-8';
+    downloadBlob(new Blob([content], { type: mime }), `${montageEditor.sign || 'montage'}.${format}`);
+}
+
+/**
+ * Relance le montage du signe avec le découpage et les sous-titres modifiés.
+ * Les sous-titres sont envoyés sur la chronologie d'origine : le backend
+ * applique le découpage aux deux.
+ */
+async function rerenderMontage() {
+    const { sign, trimIn, trimOut, duration } = montageEditor;
+    if (!(trimOut > trimIn)) {
+        notify(t('msg.trimInvalid'), { type: 'warning' });
+        return;
+    }
+    if (validateSegments(montageEditor.segments, duration).some(issue => issue.type === 'order')) {
+        notify(t('msg.subtitleErrors'), { type: 'warning' });
+        return;
+    }
+    const isTrimmed = trimIn > 0 || (duration > 0 && trimOut < duration);
+    const confirmed = await confirmDialog(t('msg.confirmRerender', { sign: signNames[sign] || sign }), {
+        details: {
+            [t('common.sign')]: `${signSymbols[sign] || ''} ${signNames[sign] || sign}`,
+            [t('dialog.format')]: montageEditor.format,
+            [t('dialog.trim')]: isTrimmed ? `${formatSubtitleTime(trimIn)} → ${formatSubtitleTime(trimOut)}` : t('dialog.noTrim'),
+            [t('dialog.subtitles')]: montageEditor.segments.length
+        }
+    });
+    if (!confirmed) return;
+
+    await startJob('montage_rerender', {
+        sign,
+        format: montageEditor.format,
+        source_video: montageEditor.videoPath,
+        trim: isTrimmed ? { start: trimIn, end: trimOut } : null,
+        subtitles: normalizeSegments(montageEditor.segments)
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XXI. GALERIE DES MÉDIAS
+ *
+ * Vidéos (clips ComfyUI, montages) et images de cartes du ciel déjà produites
+ * par le backend, affichées en vignettes filtrables. Une sélection peut être
+ * téléchargée, supprimée ou envoyée à une cible de publication via la file de
+ * planification.
+ * =============================================================================
+ */
+
+const MEDIA_TYPES = { 'clip': '🎬', 'montage': '🎞️', 'chart': '🗺️' };
+
+// Délai entre deux téléchargements d'un lot (les navigateurs bloquent les rafales).
+const MEDIA_DOWNLOAD_DELAY = 400;
+
+// Identifiants des médias cochés.
+const mediaSelection = new Set();
+
+/**
+ * Adresse du fichier d'un média.
+ * @param {object} item - Le média.
+ * @returns {string} L'URL du fichier.
+ */
+function getMediaUrl(item) {
+    return getApiTarget(item.url || `/api/media/${encodeURIComponent(item.id)}/file`).url;
+}
+
+/**
+ * Indique si un média a déjà été publié, d'après le backend ou la file locale.
+ * @param {object} item - Le média.
+ * @returns {boolean} Vrai si au moins une publication a abouti.
+ */
+function isMediaUploaded(item) {
+    return Object.values(item.uploads || {}).some(upload => upload.status === 'published')
+        || appState.publishQueue.some(post => post.mediaId === item.id && post.status === 'published');
+}
+
+/**
+ * Charge la liste des médias depuis le backend.
+ */
+async function loadMediaLibrary() {
+    const grid = document.getElementById('media-grid');
+    try {
+        const data = await apiFetch('/api/media');
+        appState.mediaItems = data.items || [];
+        const known = new Set(appState.mediaItems.map(item => item.id));
+        [...mediaSelection].forEach(id => { if (!known.has(id)) mediaSelection.delete(id); });
+        renderMediaFormatFilter();
+        renderMediaGallery();
+    } catch (error) {
+        console.error('Erreur de chargement de la galerie:', error);
+        showError(grid, error.message);
+    }
+}
+
+/**
+ * Remplit le filtre des formats avec ceux présents dans la galerie.
+ */
+function renderMediaFormatFilter() {
+    const select = document.getElementById('media-format-filter');
+    if (!select) return;
+    const current = select.value;
+    const formats = [...new Set(appState.mediaItems.map(item => item.format).filter(Boolean))].sort();
+    select.innerHTML = `<option value="">${escapeHtml(t('media.allFormats'))}</option>` +
+        formats.map(format => `<option value="${escapeHtml(format)}">${escapeHtml(format)}</option>`).join('');
+    select.value = formats.includes(current) ? current : '';
+}
+
+/**
+ * Médias correspondant aux filtres, des plus récents aux plus anciens.
+ * @returns {object[]} Les médias affichés.
+ */
+function getFilteredMedia() {
+    const value = id => document.getElementById(id).value;
+    const sign = value('media-sign-filter');
+    const type = value('media-type-filter');
+    const format = value('media-format-filter');
+    const from = value('media-from-input');
+    const to = value('media-to-input');
+    const upload = value('media-upload-filter');
+
+    return appState.mediaItems
+        .filter(item => !sign || item.sign === sign)
+        .filter(item => !type || item.type === type)
+        .filter(item => !format || item.format === format)
+        .filter(item => !from || (item.date || '') >= from)
+        .filter(item => !to || (item.date || '') <= to)
+        .filter(item => !upload || (upload === 'uploaded') === isMediaUploaded(item))
+        .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+/**
+ * Affiche la grille de vignettes et la barre d'actions groupées.
+ */
+function renderMediaGallery() {
+    const grid = document.getElementById('media-grid');
+    if (!grid) return;
+
+    const items = getFilteredMedia();
+    document.getElementById('media-count').textContent = t('media.count', { count: items.length, selected: mediaSelection.size });
+    document.getElementById('media-select-all').checked = items.length > 0 && items.every(item => mediaSelection.has(item.id));
+    grid.innerHTML = items.length === 0
+        ? `<p class="archive-empty">${escapeHtml(t('media.empty'))}</p>`
+        : items.map(createMediaCardHTML).join('');
+}
+
+/**
+ * Crée la vignette d'un média avec ses métadonnées.
+ * @param {object} item - Le média.
+ * @returns {string} Le code HTML.
+ */
+function createMediaCardHTML(item) {
+    const url = safeUrl(getMediaUrl(item));
+    const preview = item.thumbnail_url
+        ? `<img src="${safeUrl(getApiTarget(item.thumbnail_url).url)}" alt="" loading="lazy">`
+        : item.type === 'chart'
+            ? `<img src="${url}" alt="" loading="lazy">`
+            : `<video src="${url}#t=0.5" preload="metadata" muted></video>`;
+    const uploads = Object.entries(item.uploads || {})
+        .filter(([, upload]) => upload.status === 'published')
+        .map(([id, upload]) => {
+            const icon = PUBLISHERS[id]?.icon || '📤';
+            return upload.url ? `<a href="${safeUrl(upload.url)}" target="_blank" rel="noopener noreferrer">${icon}</a>` : icon;
+        }).join(' ');
+    const meta = [
+        item.format,
+        item.duration ? `${Number(item.duration).toFixed(1)}s` : null,
+        item.file_size ? formatFileSize(item.file_size) : null,
+        item.seed !== undefined && item.seed !== null ? `seed ${item.seed}` : null
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+        <div class="media-card ${mediaSelection.has(item.id) ? 'selected' : ''}" data-id="${escapeHtml(item.id)}">
+            <label class="media-select">
+                <input type="checkbox" data-action="select" ${mediaSelection.has(item.id) ? 'checked' : ''}>
+            </label>
+            <a class="media-thumb" href="${url}" target="_blank" rel="noopener noreferrer">${preview}</a>
+            <div class="media-info">
+                <div class="media-title">${MEDIA_TYPES[item.type] || '📁'} ${signSymbols[item.sign] || ''} ${escapeHtml(signNames[item.sign] || item.sign || '')}
+                    ${item.date ? `· ${escapeHtml(formatDate(item.date))}` : ''}</div>
+                <div class="media-meta">${meta}</div>
+                ${uploads ? `<div class="media-meta">${escapeHtml(t('media.uploadedOn'))} ${uploads}</div>` : ''}
+                ${item.prompt ? `<details class="archive-prompt"><summary>${escapeHtml(t('archive.prompt'))}</summary><pre>${escapeHtml(item.prompt)}</pre></details>` : ''}
+            </div>
+        </div>`;
+}
+
+/**
+ * Coche ou décoche un média (délégation d'événements).
+ * @param {Event} event - L'événement change.
+ */
+function handleMediaSelection(event) {
+    const target = event.target.closest('[data-action="select"]');
+    const card = event.target.closest('.media-card');
+    if (!target || !card) return;
+
+    if (target.checked) mediaSelection.add(card.dataset.id);
+    else mediaSelection.delete(card.dataset.id);
+    renderMediaGallery();
+}
+
+/**
+ * Coche ou décoche tous les médias affichés.
+ * @param {Event} event - L'événement change de la case « tout sélectionner ».
+ */
+function toggleAllMedia(event) {
+    getFilteredMedia().forEach(item => {
+        if (event.target.checked) mediaSelection.add(item.id);
+        else mediaSelection.delete(item.id);
+    });
+    renderMediaGallery();
+}
+
+/**
+ * @returns {object[]} Les médias sélectionnés.
+ */
+function getSelectedMedia() {
+    return appState.mediaItems.filter(item => mediaSelection.has(item.id));
+}
+
+/**
+ * Télécharge les médias sélectionnés, un par un.
+ */
+async function downloadSelectedMedia() {
+    const items = getSelectedMedia();
+    if (items.length === 0) {
+        notify(t('msg.selectMedia'), { type: 'warning' });
+        return;
+    }
+
+    for (const item of items) {
+        const link = document.createElement('a');
+        link.href = getMediaUrl(item);
+        link.download = item.file_name || '';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        await new Promise(resolve => setTimeout(resolve, MEDIA_DOWNLOAD_DELAY));
+    }
+}
+
+/**
+ * Supprime les médias sélectionnés sur le backend.
+ */
+async function deleteSelectedMedia() {
+    const items = getSelectedMedia();
+    if (items.length === 0) {
+        notify(t('msg.selectMedia'), { type: 'warning' });
+        return;
+    }
+    if (!(await confirmDialog(t('msg.deleteMedia', { count: items.length }), { danger: true }))) return;
+
+    try {
+        await apiFetch('/api/media/delete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: items.map(item => item.id) }),
+            idempotent: true,
+            queueWhenOffline: true,
+            label: t('section.media.title')
+        });
+        mediaSelection.clear();
+        await loadMediaLibrary();
+    } catch (error) {
+        notify(t('msg.error', { error: error.message }), { type: 'error' });
+    }
+}
+
+/**
+ * Ajoute les vidéos sélectionnées à la file de publication, à publier
+ * immédiatement sur la cible choisie, puis ouvre la planification.
+ */
+function sendSelectedMediaToUpload() {
+    const publisherId = document.getElementById('media-publisher-select').value;
+    const videos = getSelectedMedia().filter(item => item.type !== 'chart' && item.sign);
+    if (videos.length === 0) {
+        notify(t('msg.selectMediaVideos'), { type: 'warning' });
+        return;
+    }
+    if (getMissingPublisherConfig(getPublisher(publisherId), getPublisherConfig(publisherId)).length > 0) {
+        notify(t('msg.publisherConfigRequired', { target: getPublisher(publisherId).label }), { type: 'warning' });
+        return;
+    }
+
+    const now = new Date();
+    const localDateTime = `${toLocalDateKey(now)}T${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    videos.forEach(item => {
+        appState.publishQueue.push(createScheduledPost({
+            sign: item.sign,
+            platform: publisherId,
+            localDateTime,
+            timeZone: getBrowserTimeZone(),
+            title: t('schedule.defaultTitle', {
+                symbol: signSymbols[item.sign], sign: signNames[item.sign], date: formatDate(item.date || toLocalDateKey(now))
+            }),
+            hashtags: [toHashtag(signNames[item.sign]), ...getExportHashtags(getContentLanguage(), 'export.hashtags.base')],
+            mediaId: item.id
+        }));
+    });
+    savePublishQueue();
+    renderPublishQueue();
+    processPublishQueue();
+    showSection('schedule');
+}
+
+/**
+ * Branche les filtres et les actions de la galerie.
+ */
+function initializeMediaGallery() {
+    const grid = document.getElementById('media-grid');
+    if (!grid) return;
+
+    ['media-sign-filter', 'media-type-filter', 'media-format-filter', 'media-from-input', 'media-to-input', 'media-upload-filter']
+        .forEach(id => document.getElementById(id).addEventListener('change', renderMediaGallery));
+    document.getElementById('media-publisher-select').innerHTML = Object.values(PUBLISHERS)
+        .map(publisher => `<option value="${publisher.id}">${publisher.icon} ${escapeHtml(publisher.label)}</option>`).join('');
+    document.getElementById('media-select-all').addEventListener('change', toggleAllMedia);
+    document.getElementById('btn-media-refresh').addEventListener('click', loadMediaLibrary);
+    document.getElementById('btn-media-download').addEventListener('click', downloadSelectedMedia);
+    document.getElementById('btn-media-delete').addEventListener('click', deleteSelectedMedia);
+    document.getElementById('btn-media-upload').addEventListener('click', sendSelectedMediaToUpload);
+    document.getElementById('nav-media')?.addEventListener('click', loadMediaLibrary);
+    grid.addEventListener('change', handleMediaSelection);
+}
+
+
+/**
+ * =============================================================================
+ * XXII. EXPLORATION DES VISUELS (SEEDS ET PROMPTS)
+ *
+ * Le mode variations génère, l'un après l'autre, plusieurs clips d'un signe
+ * (variations.js) et les affiche dans une grille de comparaison. Les clips
+ * réussis peuvent être étoilés ; le seed et le prompt retenus deviennent le
+ * preset du signe, réutilisé par les générations suivantes et les lots.
+ * =============================================================================
+ */
+
+const VISUAL_PRESETS_STORAGE_KEY = 'visualPresets';
+
+// Exploration en cours ou dernière exploration affichée.
+const variationRun = {
+    sign: null,
+    format: null,
+    items: [],          // { seed, prompt, status, result, error, starred }
+    running: false,
+    cancelled: false,
+    controller: null    // Annule la génération du clip en cours
+};
+
+/**
+ * Charge les presets visuels depuis le localStorage.
+ */
+function loadVisualPresets() {
+    try {
+        appState.visualPresets = JSON.parse(localStorage.getItem(VISUAL_PRESETS_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Erreur de lecture des presets visuels:', error);
+        appState.visualPresets = {};
+    }
+}
+
+/**
+ * Sauvegarde les presets visuels dans le localStorage.
+ */
+function saveVisualPresets() {
+    try {
+        localStorage.setItem(VISUAL_PRESETS_STORAGE_KEY, JSON.stringify(appState.visualPresets));
+    } catch (error) {
+        console.error('Erreur de sauvegarde des presets visuels:', error);
+    }
+}
+
+/**
+ * @param {string} sign - La clé du signe.
+ * @returns {object|null} Le preset { seed, prompt, format, savedAt } du signe.
+ */
+function getVisualPreset(sign) {
+    return appState.visualPresets[sign] || null;
+}
+
+/**
+ * Presets de tous les signes, au format envoyé aux tâches en lot.
+ * @returns {object} { signe: { seed, prompt } }.
+ */
+function buildVisualPresetsParam() {
+    return Object.fromEntries(Object.entries(appState.visualPresets)
+        .map(([sign, preset]) => [sign, { seed: preset.seed, prompt: preset.prompt }]));
+}
+
+/**
+ * Affiche le preset du signe choisi dans le formulaire vidéo.
+ */
+function renderVisualPresetInfo() {
+    const info = document.getElementById('visual-preset-info');
+    if (!info) return;
+
+    const sign = document.getElementById('video-sign').value;
+    const preset = sign ? getVisualPreset(sign) : null;
+    info.classList.toggle('hidden', !preset);
+    if (!preset) return;
+
+    info.innerHTML = `
+        <span>📌 ${escapeHtml(t('variation.presetInfo', { seed: preset.seed }))}</span>
+        ${preset.prompt ? `<span class="visual-preset-prompt" title="${escapeHtml(preset.prompt)}">${escapeHtml(truncateText(preset.prompt, 80))}</span>` : ''}
+        <button type="button" class="astro-button button-secondary" id="btn-clear-visual-preset">${escapeHtml(t('variation.clearPreset'))}</button>`;
+    document.getElementById('btn-clear-visual-preset').addEventListener('click', () => {
+        delete appState.visualPresets[sign];
+        saveVisualPresets();
+        renderVisualPresetInfo();
+        renderVariationGrid();
+    });
+}
+
+/**
+ * Prépare et lance une exploration pour le signe et le format choisis.
+ */
+async function startVariationRun() {
+    if (variationRun.running) return;
+    const sign = document.getElementById('video-sign').value;
+    if (!sign) {
+        notify(t('msg.selectSign'), { type: 'warning' });
+        return;
+    }
+
+    const mode = document.getElementById('variation-mode-select').value;
+    const seed = document.getElementById('seed-input').value;
+    const customPrompt = document.getElementById('custom-prompt').value.trim();
+    const basePrompt = customPrompt || getVisualPreset(sign)?.prompt
+        || buildPromptRequest('visual', sign, document.getElementById('video-date').value)?.text || null;
+    const plan = buildVariationPlan({
+        mode,
+        count: document.getElementById('variation-count-input').value,
+        seeds: document.getElementById('variation-seeds-input').value,
+        prompts: document.getElementById('variation-prompts-input').value,
+        basePrompt,
+        baseSeed: seed ? parseInt(seed) : undefined
+    });
+    if (plan.length === 0) {
+        notify(t('msg.variationPromptsRequired'), { type: 'warning' });
+        return;
+    }
+    const confirmed = await confirmDialog(t('msg.confirmVariations', { count: plan.length, sign: signNames[sign] }), {
+        details: {
+            [t('common.sign')]: `${signSymbols[sign]} ${signNames[sign]}`,
+            [t('dialog.format')]: getSelectedVideoFormatLabel(),
+            [t('variation.mode')]: t(`variation.mode.${mode}`),
+            [t('variation.count')]: plan.length,
+            [t('dialog.duration')]: formatEstimatedDuration('clip', plan.length)
+        }
+    });
+    if (!confirmed) return;
+
+    Object.assign(variationRun, {
+        sign,
+        format: document.getElementById('video-format').value,
+        items: plan.map(item => ({ ...item, status: 'pending', result: null, error: null, starred: false })),
+        running: true,
+        cancelled: false
+    });
+    renderVariationGrid();
+
+    // Les clips sont générés un par un : ComfyUI traite une seule file à la fois.
+    for (const item of variationRun.items) {
+        if (variationRun.cancelled) break;
+        await runVariation(item);
+    }
+    variationRun.items.filter(item => item.status === 'pending').forEach(item => { item.status = 'cancelled'; });
+    variationRun.running = false;
+    renderVariationGrid();
+    const doneCount = variationRun.items.filter(item => item.status === 'done').length;
+    notifyLongTaskFinished(t('notifications.variationsDone'),
+        t('variation.progress', { done: doneCount, total: variationRun.items.length }),
+        doneCount > 0 ? 'success' : 'warning');
+}
+
+/**
+ * Génère le clip d'une variation.
+ * @param {object} item - La variation (modifiée sur place).
+ */
+async function runVariation(item) {
+    item.status = 'running';
+    renderVariationGrid();
+    try {
+        variationRun.controller = new AbortController();
+        const data = await apiFetch('/api/comfyui/generate_video', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sign: variationRun.sign,
+                format: variationRun.format,
+                custom_prompt: item.prompt,
+                language: getContentLanguage(),
+                seed: item.seed
+            }),
+            signal: variationRun.controller.signal,
+            // Pas de file hors ligne : la cellule resterait en attente d'un renvoi,
+            // elle passe en échec et la grille continue.
+            timeout: API_TIMEOUTS.video
+        });
+        item.status = 'done';
+        item.result = data.result;
+    } catch (error) {
+        console.error(`Variation seed ${item.seed} en échec:`, error);
+        item.status = error.name === 'AbortError' ? 'cancelled' : 'error';
+        item.error = error.name === 'AbortError' ? null : error.message;
+    } finally {
+        variationRun.controller = null;
+    }
+    renderVariationGrid();
+}
+
+/**
+ * Arrête l'exploration et interrompt le clip en cours.
+ */
+function stopVariationRun() {
+    variationRun.cancelled = true;
+    variationRun.controller?.abort();
+    renderVariationGrid();
+}
+
+/**
+ * Affiche la grille de comparaison des variations.
+ */
+function renderVariationGrid() {
+    const grid = document.getElementById('variation-grid');
+    if (!grid) return;
+    document.getElementById('btn-variation-stop').classList.toggle('hidden', !variationRun.running || variationRun.cancelled);
+    if (variationRun.items.length === 0) {
+        grid.innerHTML = '';
+        return;
+    }
+
+    const preset = getVisualPreset(variationRun.sign);
+    const doneCount = variationRun.items.filter(item => item.status === 'done').length;
+    grid.innerHTML = `
+        <h4 class="variation-grid-title">🧪 ${signSymbols[variationRun.sign] || ''} ${escapeHtml(signNames[variationRun.sign] || '')} · ${escapeHtml(variationRun.format)}
+            · ${escapeHtml(t('variation.progress', { done: doneCount, total: variationRun.items.length }))}</h4>
+        <div class="variation-grid">
+            ${variationRun.items.map((item, index) => {
+                const isPreset = preset && preset.seed === item.seed && (preset.prompt || null) === (item.prompt || null);
+                return `
+                <div class="variation-cell ${item.status} ${item.starred ? 'starred' : ''} ${isPreset ? 'preset' : ''}" data-index="${index}">
+                    ${item.status === 'done' && item.result?.video_path
+                        ? `<video src="${safeUrl(getClipUrl(item.result))}" controls loop muted preload="metadata"></video>`
+                        : `<div class="variation-placeholder">${escapeHtml(t(`variation.status.${item.status}`))}</div>`}
+                    <div class="variation-meta">
+                        <strong>seed ${escapeHtml(item.seed)}</strong>
+                        ${item.prompt ? `<span title="${escapeHtml(item.prompt)}">${escapeHtml(truncateText(item.prompt, 90))}</span>` : ''}
+                        ${item.error ? `<span class="schedule-post-error">❌ ${escapeHtml(item.error)}</span>` : ''}
+                    </div>
+                    ${item.status === 'done' ? `
+                    <div class="variation-actions">
+                        <button type="button" class="astro-button button-secondary" data-action="star" title="${escapeHtml(t('variation.star'))}">${item.starred ? '★' : '☆'}</button>
+                        <button type="button" class="astro-button button-secondary" data-action="preset" ${isPreset ? 'disabled' : ''}>${escapeHtml(t(isPreset ? 'variation.isPreset' : 'variation.setPreset'))}</button>
+                    </div>` : ''}
+                </div>`;
+            }).join('')}
+        </div>`;
+}
+
+/**
+ * Gère les étoiles et le choix du preset dans la grille (délégation d'événements).
+ * @param {Event} event - L'événement click.
+ */
+function handleVariationAction(event) {
+    const target = event.target.closest('[data-action]');
+    const cell = event.target.closest('.variation-cell');
+    if (!target || !cell) return;
+    const item = variationRun.items[Number(cell.dataset.index)];
+
+    if (target.dataset.action === 'star') {
+        item.starred = !item.starred;
+    } else if (target.dataset.action === 'preset') {
+        item.starred = true;
+        appState.visualPresets[variationRun.sign] = {
+            seed: item.seed,
+            prompt: item.prompt,
+            format: variationRun.format,
+            savedAt: new Date().toISOString()
+        };
+        saveVisualPresets();
+        renderVisualPresetInfo();
+    }
+    renderVariationGrid();
+}
+
+/**
+ * Affiche les champs propres au mode choisi (seeds ou variantes de prompt).
+ */
+function updateVariationModeFields() {
+    const mode = document.getElementById('variation-mode-select').value;
+    document.getElementById('variation-seeds-fields').classList.toggle('hidden', mode !== 'seeds');
+    document.getElementById('variation-prompts-fields').classList.toggle('hidden', mode !== 'prompts');
+}
+
+/**
+ * Charge les presets et branche le panneau des variations.
+ */
+function initializeVariations() {
+    loadVisualPresets();
+    if (!document.getElementById('variation-grid')) return;
+
+    document.getElementById('variation-count-input').max = VARIATION_MAX;
+    document.getElementById('variation-mode-select').addEventListener('change', updateVariationModeFields);
+    document.getElementById('btn-variation-start').addEventListener('click', startVariationRun);
+    document.getElementById('btn-variation-stop').addEventListener('click', stopVariationRun);
+    document.getElementById('video-sign').addEventListener('change', renderVisualPresetInfo);
+    document.getElementById('variation-grid').addEventListener('click', handleVariationAction);
+    updateVariationModeFields();
+    renderVisualPresetInfo();
+}
+
+
+/**
+ * =============================================================================
+ * XXIII. CONNEXION AU BACKEND ET FILE HORS LIGNE
+ *
+ * Quand un appel échoue faute de backend (api.js), une bannière indique les
+ * requêtes en attente et le bilan de santé est relancé à intervalle régulier ;
+ * dès que `checkSystemHealth` répond sain, la file est renvoyée.
+ * =============================================================================
+ */
+
+const HEALTH_RETRY_INTERVAL = 10000; // Intervalle des bilans de santé hors ligne (ms)
+
+let healthRetryTimer = null;
+
+/**
+ * Affiche ou masque la bannière hors ligne.
+ * @param {object} state - { online, queue } (voir onApiConnectionChange).
+ */
+function renderOfflineBanner(state = { online: apiConnection.online, queue: apiConnection.queue }) {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+    banner.classList.toggle('hidden', state.online && state.queue.length === 0);
+    if (banner.classList.contains('hidden')) return;
+
+    banner.innerHTML = `
+        <div class="offline-banner-text">
+            <strong>${escapeHtml(t(state.online ? 'api.replaying' : 'api.offline'))}</strong>
+            ${state.queue.length > 0 ? `<span>${escapeHtml(t('api.offlineQueued', { count: state.queue.length }))}</span>
+            <ul class="offline-queue">${state.queue.map(entry => `<li>${escapeHtml(entry.label)} · ${escapeHtml(formatDateTime(entry.queuedAt))}</li>`).join('')}</ul>` : ''}
+        </div>
+        <div class="offline-banner-actions">
+            ${state.online ? '' : `<button type="button" class="astro-button button-secondary" data-action="retry">${escapeHtml(t('api.retryNow'))}</button>`}
+            ${state.queue.length > 0 ? `<button type="button" class="astro-button button-secondary" data-action="drop">${escapeHtml(t('api.dropQueue'))}</button>` : ''}
+        </div>`;
+}
+
+/**
+ * Réagit aux changements de connexion : bannière, bilans de santé périodiques
+ * hors ligne, rechargement des modèles au retour du backend.
+ * @param {object} state - { online, queue }.
+ */
+function handleApiConnectionChange(state) {
+    renderOfflineBanner(state);
+
+    if (!state.online && !healthRetryTimer) {
+        console.warn('🔌 Backend injoignable, surveillance de son retour.');
+        healthRetryTimer = setInterval(checkSystemHealth, HEALTH_RETRY_INTERVAL);
+    } else if (state.online && healthRetryTimer) {
+        console.log('🔌 Backend de nouveau joignable.');
+        clearInterval(healthRetryTimer);
+        healthRetryTimer = null;
+        if (appState.availableModels.length === 0) loadAvailableModels();
+    }
+}
+
+/**
+ * Gère les boutons de la bannière hors ligne (délégation d'événements).
+ * @param {Event} event - L'événement click.
+ */
+async function handleOfflineBannerAction(event) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+    if (action === 'retry') {
+        checkSystemHealth();
+    } else if (action === 'drop' && await confirmDialog(t('msg.dropOfflineQueue', { count: apiConnection.queue.length }), { danger: true })) {
+        cancelOfflineQueue();
+    }
+}
+
+/**
+ * Branche la bannière hors ligne et les événements réseau du navigateur.
+ */
+function initializeApiClient() {
+    onApiConnectionChange(handleApiConnectionChange);
+    document.getElementById('offline-banner')?.addEventListener('click', handleOfflineBannerAction);
+    window.addEventListener('online', checkSystemHealth);
+    window.addEventListener('offline', () => setApiOnline(false));
+}
+
+
+/**
+ * =============================================================================
+ * XXIV. TABLEAU DE BORD DES SERVICES
+ *
+ * Sonde régulièrement le backend, Ollama, ComfyUI et les cibles de
+ * publication (status.js), affiche leur état dans un tableau de bord et en
+ * indicateurs compacts dans la sidebar, et bloque les actions dont un service
+ * requis est indisponible (attribut `data-requires`).
+ * =============================================================================
+ */
+
+const SERVICE_STATUS_STORAGE_KEY = 'serviceStatus';
+const STATUS_POLL_INTERVAL = 30000; // Intervalle de sondage des services (ms)
+
+const serviceMonitor = {
+    timer: null,
+    lastPoll: null
+};
+
+/**
+ * Services surveillés ; `check` renvoie { state, details?, error? } ou lève une erreur.
+ * Les cibles de publication viennent du registre (publishers.js).
+ * @returns {object[]} Les services { id, icon, label, check }.
+ */
+function getMonitoredServices() {
+    return [
+        { id: 'backend', icon: '🩺', label: 'Backend', check: checkBackendService },
+        { id: 'ollama', icon: '🧠', label: 'Ollama', check: checkOllamaService },
+        { id: 'comfyui', icon: '🎨', label: 'ComfyUI', check: checkComfyUIService },
+        ...Object.values(PUBLISHERS).map(publisher => ({
+            id: publisher.id,
+            icon: publisher.icon,
+            label: publisher.label,
+            check: () => checkPublisherService(publisher)
+        }))
+    ];
+}
+
+/**
+ * Bilan de santé du backend ; un backend sain remet le client API en ligne.
+ * @returns {Promise<object>} Le résultat de la vérification.
+ */
+async function checkBackendService() {
+    const data = await apiFetch('/health', { timeout: API_TIMEOUTS.health, retries: 0, expectSuccess: false });
+    if (data.status !== 'healthy') {
+        return { state: 'degraded', details: { 'status.health': data.status }, error: t('status.unhealthy', { status: data.status }) };
+    }
+    setApiOnline(true);
+    return { state: 'up', details: { 'status.health': data.status } };
+}
+
+/**
+ * @returns {Promise<object>} Le résultat de la vérification d'Ollama.
+ */
+async function checkOllamaService() {
+    const data = await apiFetch('/api/ollama/models', { retries: 0, expectSuccess: false });
+    const count = data.models?.length || 0;
+    if (!data.success || count === 0) {
+        return { state: 'down', error: data.error || t('status.noModels') };
+    }
+    return { state: 'up', details: { 'status.models': count } };
+}
+
+/**
+ * @returns {Promise<object>} Le résultat de la vérification de ComfyUI.
+ */
+async function checkComfyUIService() {
+    const data = await apiFetch('/api/comfyui/status', { retries: 0 });
+    const details = {
+        'status.server': data.server,
+        'status.formats': data.available_formats?.length,
+        'status.workflow': t(data.workflow_ready ? 'status.workflowReady' : 'status.workflowNotReady')
+    };
+    if (!data.connected) return { state: 'down', details, error: t('status.comfyDisconnected') };
+    if (!data.workflow_ready) return { state: 'degraded', details, error: t('status.workflowNotReady') };
+    return { state: 'up', details };
+}
+
+/**
+ * Vérifie une cible de publication ; une cible non configurée n'est pas sondée.
+ * @param {object} publisher - La cible (publishers.js).
+ * @returns {Promise<object>} Le résultat de la vérification.
+ */
+async function checkPublisherService(publisher) {
+    const config = getPublisherConfig(publisher.id);
+    if (getMissingPublisherConfig(publisher, config).length > 0) {
+        return { state: 'unknown', details: { 'status.note': t('status.notConfigured') } };
+    }
+    const data = await apiFetch(`${publisher.basePath}/status${publisher.statusQuery(config)}`, { retries: 0 });
+    const { connected, details } = publisher.describeStatus(data);
+    return connected
+        ? { state: 'up', details }
+        : { state: 'down', details, error: t('status.publisherDisconnected', { target: publisher.label }) };
+}
+
+/**
+ * Charge l'historique des services depuis le localStorage.
+ */
+function loadServiceStatuses() {
+    try {
+        appState.serviceStatuses = JSON.parse(localStorage.getItem(SERVICE_STATUS_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Erreur de lecture de l\'état des services:', error);
+        appState.serviceStatuses = {};
+    }
+}
+
+/**
+ * Sauvegarde l'historique des services dans le localStorage.
+ */
+function saveServiceStatuses() {
+    try {
+        localStorage.setItem(SERVICE_STATUS_STORAGE_KEY, JSON.stringify(appState.serviceStatuses));
+    } catch (error) {
+        console.error('Erreur de sauvegarde de l\'état des services:', error);
+    }
+}
+
+/**
+ * @param {string} serviceId - L'identifiant du service.
+ * @returns {object} Son état (initial s'il n'a jamais été vérifié).
+ */
+function getServiceStatus(serviceId) {
+    return appState.serviceStatuses[serviceId] || createServiceStatus(serviceId);
+}
+
+/**
+ * Vérifie un service et met à jour l'interface.
+ * Si le backend est injoignable, l'état des autres services est inconnu :
+ * leurs actions ne sont pas bloquées et passent par la file hors ligne.
+ * @param {string} serviceId - L'identifiant du service.
+ * @returns {Promise<object>} Le nouvel état du service.
+ */
+async function checkService(serviceId) {
+    const service = getMonitoredServices().find(item => item.id === serviceId);
+    const previous = getServiceStatus(serviceId);
+    const start = performance.now();
+
+    let check;
+    try {
+        check = { ...(await service.check()), latency: Math.round(performance.now() - start) };
+    } catch (error) {
+        console.error(`Vérification du service ${serviceId} en échec:`, error);
+        const unreachable = isOfflineError(error) && serviceId !== 'backend';
+        check = { state: unreachable ? 'unknown' : 'down', latency: null, error: error.message };
+    }
+
+    const status = recordServiceCheck(previous, { ...check, at: new Date().toISOString() });
+    appState.serviceStatuses[serviceId] = status;
+    saveServiceStatuses();
+
+    if (serviceId === 'ollama' && status.state === 'up' && appState.availableModels.length === 0) {
+        loadAvailableModels();
+    }
+    renderServiceIndicators();
+    renderStatusDashboard();
+    applyServiceDependencies();
+    return status;
+}
+
+/**
+ * Vérifie tous les services en parallèle.
+ */
+async function pollServiceStatuses() {
+    await Promise.all(getMonitoredServices().map(service => checkService(service.id)));
+    serviceMonitor.lastPoll = new Date().toISOString();
+    renderStatusDashboard();
+}
+
+/**
+ * Vérifie un service puis ouvre le tableau de bord sur sa carte.
+ * @param {string} serviceId - L'identifiant du service.
+ */
+async function openServiceStatus(serviceId) {
+    showSection('status');
+    await checkService(serviceId);
+    document.querySelector(`.status-card[data-service="${serviceId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * @param {string[]} serviceIds - Des identifiants de services.
+ * @returns {string} Leurs noms, séparés par des virgules.
+ */
+function formatServiceNames(serviceIds) {
+    const services = getMonitoredServices();
+    return serviceIds.map(id => services.find(service => service.id === id)?.label || id).join(', ');
+}
+
+/**
+ * Bloque (ou débloque) les éléments `[data-requires]` selon l'état des services.
+ * Le bouton du chat reste actif pendant une réponse, pour pouvoir l'interrompre.
+ */
+function applyServiceDependencies() {
+    document.querySelectorAll('[data-requires]').forEach(element => {
+        const down = getDownServices(appState.serviceStatuses, element.dataset.requires.split(' '));
+        const blocked = down.length > 0 && !element.classList.contains('stop');
+        element.disabled = blocked;
+        element.classList.toggle('blocked-by-service', blocked);
+        element.title = blocked ? t('status.blocked', { services: formatServiceNames(down) }) : '';
+    });
+}
+
+/**
+ * Vérifie avant une action que ses services sont disponibles.
+ * @param {string[]} serviceIds - Les services requis.
+ * @returns {boolean} Vrai si l'action peut être lancée.
+ */
+function ensureServicesAvailable(serviceIds) {
+    const down = getDownServices(appState.serviceStatuses, serviceIds);
+    if (down.length === 0) return true;
+    notify(t('msg.serviceDown', { services: formatServiceNames(down) }), { type: 'warning' });
+    return false;
+}
+
+/**
+ * Affiche les indicateurs compacts de la sidebar.
+ */
+function renderServiceIndicators() {
+    const container = document.getElementById('service-indicators');
+    if (!container) return;
+    container.innerHTML = getMonitoredServices().map(service => {
+        const status = getServiceStatus(service.id);
+        return `
+            <button type="button" class="service-indicator" data-service="${service.id}"
+                title="${escapeHtml(`${service.label} : ${t(`status.state.${status.state}`)}`)}">
+                <span class="status-dot ${status.state}"></span>${service.icon}
+            </button>`;
+    }).join('');
+}
+
+/**
+ * Affiche le tableau de bord des services.
+ */
+function renderStatusDashboard() {
+    const grid = document.getElementById('status-grid');
+    if (!grid) return;
+
+    document.getElementById('status-last-poll').textContent = serviceMonitor.lastPoll
+        ? t('status.lastPoll', { date: formatDateTime(serviceMonitor.lastPoll) })
+        : '';
+    grid.innerHTML = getMonitoredServices().map(service => createStatusCardHTML(service, getServiceStatus(service.id))).join('');
+}
+
+/**
+ * Crée la carte d'un service.
+ * @param {object} service - { id, icon, label }.
+ * @param {object} status - Son état (status.js).
+ * @returns {string} Le HTML de la carte.
+ */
+function createStatusCardHTML(service, status) {
+    const uptime = getServiceUptime(status);
+    const averageLatency = getAverageLatency(status);
+    const details = Object.entries(status.details || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+    return `
+        <div class="status-card ${status.state}" data-service="${service.id}">
+            <div class="status-card-header">
+                <h3>${service.icon} ${escapeHtml(service.label)}</h3>
+                <span class="status-badge ${status.state}">${escapeHtml(t(`status.state.${status.state}`))}</span>
+            </div>
+            <dl class="status-metrics">
+                <dt>${escapeHtml(t('status.latency'))}</dt>
+                <dd>${status.latency !== null ? `${status.latency} ms` : '—'}${averageLatency !== null ? ` <small>(${escapeHtml(t('status.average', { latency: averageLatency }))})</small>` : ''}</dd>
+                <dt>${escapeHtml(t('status.uptime'))}</dt>
+                <dd>${uptime !== null ? `${uptime} %` : '—'} <small>(${escapeHtml(t('status.checks', { count: status.history.length }))})</small></dd>
+                <dt>${escapeHtml(t('status.lastCheck'))}</dt>
+                <dd>${status.lastCheck ? escapeHtml(formatDateTime(status.lastCheck)) : '—'}</dd>
+                ${details.map(([key, value]) => `<dt>${escapeHtml(t(key))}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+            </dl>
+            <div class="status-history" aria-label="${escapeHtml(t('status.history'))}">
+                ${status.history.map(entry => `<span class="${entry.state}" title="${escapeHtml(`${formatDateTime(entry.at)} · ${t(`status.state.${entry.state}`)}${entry.latency !== null ? ` · ${entry.latency} ms` : ''}`)}"></span>`).join('')}
+            </div>
+            ${status.lastError ? `
+            <div class="status-last-error">
+                ❌ ${escapeHtml(status.lastError)}
+                <small>${escapeHtml(formatDateTime(status.lastErrorAt))}</small>
+            </div>` : ''}
+            <button type="button" class="astro-button button-secondary" data-action="check">${escapeHtml(t('status.check'))}</button>
+        </div>`;
+}
+
+/**
+ * Sonde les services maintenant puis à intervalle régulier, quand l'onglet est visible.
+ */
+function initializeServiceMonitor() {
+    loadServiceStatuses();
+    renderServiceIndicators();
+    renderStatusDashboard();
+    applyServiceDependencies();
+
+    pollServiceStatuses().then(() => {
+        const isHealthy = getServiceStatus('backend').state === 'up';
+        console.log(`🩺 Bilan de santé du système: ${isHealthy ? 'OK' : 'Dégradé'}`);
+    });
+    serviceMonitor.timer = setInterval(() => {
+        if (!document.hidden) pollServiceStatuses();
+    }, STATUS_POLL_INTERVAL);
+
+    document.getElementById('btn-status-refresh')?.addEventListener('click', pollServiceStatuses);
+    document.getElementById('status-grid')?.addEventListener('click', event => {
+        const card = event.target.closest('[data-action="check"]')?.closest('.status-card');
+        if (card) checkService(card.dataset.service);
+    });
+    document.getElementById('service-indicators')?.addEventListener('click', event => {
+        if (event.target.closest('.service-indicator')) showSection('status');
+    });
+}
+
+
+/**
+ * =============================================================================
+ * XXV. NOTIFICATIONS ET BOÎTES DE DIALOGUE
+ *
+ * Remplace alert(), confirm() et prompt() : toasts empilés (notifications.js)
+ * conservés dans un journal consultable, boîte de dialogue modale non
+ * bloquante qui détaille ce qui va être lancé, et notifications du bureau à
+ * la fin des tâches longues.
+ * =============================================================================
+ */
+
+const NOTIFICATION_LOG_STORAGE_KEY = 'notificationLog';
+const DESKTOP_NOTIFICATIONS_STORAGE_KEY = 'desktopNotifications';
+
+// Durées estimées (secondes, min et max) d'un clip ComfyUI et du workflow complet d'un signe.
+const WORKFLOW_DURATIONS = {
+    clip: [30, 60],
+    montage: [120, 180]
+};
+
+/**
+ * Charge le journal des notifications depuis le localStorage.
+ */
+function loadNotificationLog() {
+    try {
+        appState.notifications = JSON.parse(localStorage.getItem(NOTIFICATION_LOG_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Erreur de lecture du journal des notifications:', error);
+        appState.notifications = [];
+    }
+}
+
+/**
+ * Sauvegarde le journal des notifications dans le localStorage.
+ */
+function saveNotificationLog() {
+    try {
+        localStorage.setItem(NOTIFICATION_LOG_STORAGE_KEY, JSON.stringify(appState.notifications));
+    } catch (error) {
+        console.error('Erreur de sauvegarde du journal des notifications:', error);
+    }
+}
+
+/**
+ * Affiche un toast et l'ajoute au journal.
+ * @param {string} message - Le texte.
+ * @param {object} [options] - { type: 'info'|'success'|'warning'|'error', title }.
+ * @returns {object} La notification.
+ */
+function notify(message, options = {}) {
+    const notification = createNotification(message, options);
+    appState.notifications = addToNotificationLog(appState.notifications, notification);
+    saveNotificationLog();
+    showToast(notification);
+    renderNotificationCenter();
+    return notification;
+}
+
+/**
+ * Affiche un toast, fermé automatiquement sauf s'il est survolé.
+ * @param {object} notification - La notification.
+ */
+function showToast(notification) {
+    const container = document.getElementById('toast-container');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${notification.type}`;
+    toast.setAttribute('role', notification.type === 'error' ? 'alert' : 'status');
+    toast.innerHTML = `
+        <span class="toast-icon">${NOTIFICATION_ICONS[notification.type]}</span>
+        <div class="toast-body">
+            ${notification.title ? `<strong>${escapeHtml(notification.title)}</strong>` : ''}
+            <p>${escapeHtml(notification.message)}</p>
+        </div>
+        <button type="button" class="toast-close" aria-label="${escapeHtml(t('common.close'))}">✖</button>`;
+
+    const dismiss = () => {
+        toast.classList.add('leaving');
+        setTimeout(() => toast.remove(), 300);
+    };
+    let timer = setTimeout(dismiss, TOAST_DURATIONS[notification.type]);
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', () => { timer = setTimeout(dismiss, TOAST_DURATIONS[notification.type]); });
+    toast.querySelector('.toast-close').addEventListener('click', dismiss);
+    container.appendChild(toast);
+}
+
+/**
+ * Affiche le compteur de non-lues et le journal du centre de notifications.
+ */
+function renderNotificationCenter() {
+    const badge = document.getElementById('notification-badge');
+    if (!badge) return;
+    const unread = countUnreadNotifications(appState.notifications);
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
+
+    const list = document.getElementById('notification-list');
+    list.innerHTML = appState.notifications.length === 0
+        ? `<p class="notification-empty">${escapeHtml(t('notifications.empty'))}</p>`
+        : appState.notifications.map(notification => `
+            <div class="notification-entry ${notification.type} ${notification.read ? '' : 'unread'}">
+                <span>${NOTIFICATION_ICONS[notification.type]}</span>
+                <div>
+                    ${notification.title ? `<strong>${escapeHtml(notification.title)}</strong>` : ''}
+                    <p>${escapeHtml(notification.message)}</p>
+                    <small>${escapeHtml(formatDateTime(notification.at))}</small>
+                </div>
+            </div>`).join('');
+
+    const toggle = document.getElementById('desktop-notifications-toggle');
+    toggle.checked = isDesktopNotificationEnabled();
+    toggle.disabled = !('Notification' in window) || Notification.permission === 'denied';
+}
+
+/**
+ * Ouvre ou ferme le centre de notifications ; l'ouvrir marque tout comme lu.
+ */
+function toggleNotificationCenter() {
+    const panel = document.getElementById('notification-panel');
+    const isOpen = panel.classList.toggle('hidden') === false;
+    if (isOpen && countUnreadNotifications(appState.notifications) > 0) {
+        appState.notifications = appState.notifications.map(notification => ({ ...notification, read: true }));
+        saveNotificationLog();
+    }
+    renderNotificationCenter();
+}
+
+/**
+ * Vide le journal des notifications.
+ */
+function clearNotificationLog() {
+    appState.notifications = [];
+    saveNotificationLog();
+    renderNotificationCenter();
+}
+
+/**
+ * Ouvre la boîte de dialogue modale de l'application.
+ * @param {object} options - { title, message, details?, input?, confirmLabel?, cancelLabel?, danger? } ;
+ *   `details` est un objet libellé -> valeur, `input` la valeur initiale d'un champ texte.
+ * @returns {Promise<{confirmed: boolean, value: string}>} Le choix de l'utilisateur.
+ */
+function openAppDialog(options) {
+    const dialog = document.getElementById('app-dialog');
+    const details = Object.entries(options.details || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const hasInput = options.input !== undefined;
+
+    dialog.innerHTML = `
+        <form method="dialog" class="app-dialog-form">
+            <h3>${escapeHtml(options.title || t('dialog.confirmTitle'))}</h3>
+            <p class="app-dialog-message">${escapeHtml(options.message)}</p>
+            ${details.length > 0 ? `<dl class="app-dialog-details">
+                ${details.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+            </dl>` : ''}
+            ${hasInput ? `<input type="text" class="form-input" id="app-dialog-input" value="${escapeHtml(options.input)}">` : ''}
+            <div class="app-dialog-buttons">
+                <button type="submit" class="astro-button button-secondary" value="cancel">${escapeHtml(options.cancelLabel || t('common.cancel'))}</button>
+                <button type="submit" class="astro-button ${options.danger ? 'button-danger' : 'button-primary'}" value="confirm">${escapeHtml(options.confirmLabel || t('dialog.confirm'))}</button>
+            </div>
+        </form>`;
+
+    return new Promise(resolve => {
+        dialog.addEventListener('close', () => {
+            resolve({
+                confirmed: dialog.returnValue === 'confirm',
+                value: hasInput ? dialog.querySelector('#app-dialog-input').value : ''
+            });
+        }, { once: true });
+        // Entrée dans le champ texte vaut confirmation.
+        dialog.querySelector('#app-dialog-input')?.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                dialog.close('confirm');
+            }
+        });
+        dialog.returnValue = 'cancel';
+        dialog.showModal();
+        (dialog.querySelector('#app-dialog-input') || dialog.querySelector('[value="confirm"]')).focus();
+    });
+}
+
+/**
+ * Demande une confirmation (remplace confirm()).
+ * @param {string} message - La question.
+ * @param {object} [options] - { title, details, confirmLabel, danger } (voir openAppDialog).
+ * @returns {Promise<boolean>} Vrai si l'utilisateur confirme.
+ */
+async function confirmDialog(message, options = {}) {
+    const { confirmed } = await openAppDialog({ ...options, message });
+    return confirmed;
+}
+
+/**
+ * Demande une saisie (remplace prompt()).
+ * @param {string} message - La question.
+ * @param {string} [defaultValue] - La valeur initiale.
+ * @returns {Promise<string|null>} Le texte saisi, ou null si l'utilisateur annule.
+ */
+async function promptDialog(message, defaultValue = '') {
+    const { confirmed, value } = await openAppDialog({ title: message, message: '', input: defaultValue, confirmLabel: t('dialog.ok') });
+    return confirmed ? value : null;
+}
+
+/**
+ * Durée estimée d'un traitement, pour les confirmations.
+ * @param {string} kind - 'clip' ou 'montage' (voir WORKFLOW_DURATIONS).
+ * @param {number} [count] - Le nombre de signes ou de clips.
+ * @returns {string} La fourchette lisible (ex: '6 – 12 min').
+ */
+function formatEstimatedDuration(kind, count = 1) {
+    const [min, max] = WORKFLOW_DURATIONS[kind].map(seconds => seconds * count);
+    return max < 120
+        ? t('dialog.durationSeconds', { min, max })
+        : t('dialog.durationMinutes', { min: Math.round(min / 60), max: Math.round(max / 60) });
+}
+
+/**
+ * Libellé du format vidéo sélectionné dans le générateur.
+ * @returns {string} Le texte de l'option choisie.
+ */
+function getSelectedVideoFormatLabel() {
+    const select = document.getElementById('video-format');
+    return select?.selectedOptions[0]?.textContent.trim() || select?.value || '';
+}
+
+/**
+ * @returns {boolean} Vrai si l'utilisateur a activé les notifications du bureau et les a autorisées.
+ */
+function isDesktopNotificationEnabled() {
+    return 'Notification' in window && Notification.permission === 'granted'
+        && localStorage.getItem(DESKTOP_NOTIFICATIONS_STORAGE_KEY) === 'on';
+}
+
+/**
+ * Active ou désactive les notifications du bureau (demande l'autorisation au besoin).
+ * @param {boolean} enabled - Le choix de l'utilisateur.
+ */
+async function setDesktopNotifications(enabled) {
+    if (enabled && 'Notification' in window && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    localStorage.setItem(DESKTOP_NOTIFICATIONS_STORAGE_KEY, enabled ? 'on' : 'off');
+    renderNotificationCenter();
+}
+
+/**
+ * Au lancement d'une tâche longue, propose une fois les notifications du bureau
+ * (la demande d'autorisation doit suivre un clic de l'utilisateur).
+ */
+function offerDesktopNotifications() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    if (localStorage.getItem(DESKTOP_NOTIFICATIONS_STORAGE_KEY) !== null) return;
+    setDesktopNotifications(true);
+}
+
+/**
+ * Notifie la fin d'un traitement long : toast, et notification du bureau si
+ * elle est activée.
+ * @param {string} title - Le titre.
+ * @param {string} message - Le texte.
+ * @param {string} type - Le type du toast.
+ */
+function notifyLongTaskFinished(title, message, type) {
+    notify(message, { type, title });
+    if (!isDesktopNotificationEnabled()) return;
+    try {
+        const desktopNotification = new Notification(title, { body: message, tag: 'astro-generator' });
+        desktopNotification.onclick = () => {
+            window.focus();
+            desktopNotification.close();
+        };
+    } catch (error) {
+        console.error('Erreur de notification du bureau:', error);
+    }
+}
+
+/**
+ * Branche le centre de notifications.
+ */
+function initializeNotifications() {
+    loadNotificationLog();
+    document.getElementById('btn-notifications')?.addEventListener('click', toggleNotificationCenter);
+    document.getElementById('btn-clear-notifications')?.addEventListener('click', clearNotificationLog);
+    document.getElementById('desktop-notifications-toggle')?.addEventListener('change', event => setDesktopNotifications(event.target.checked));
+    renderNotificationCenter();
+}
+
+
+/**
+ * =============================================================================
+ * XXVI. ROUTAGE ET LIENS PARTAGEABLES
+ *
+ * La section active et les paramètres de sa requête sont gardés dans le
+ * fragment de l'URL (router.js) : un lien partagé ou un rechargement restaure
+ * le formulaire et relance la requête, et Précédent/Suivant parcourent les
+ * sections et les résultats consultés.
+ * =============================================================================
+ */
+
+// Paramètres de chaque section : nom dans l'URL -> identifiant du champ.
+// `required` : paramètres sans lesquels la requête n'est pas relancée.
+// `local` : calcul fait dans le navigateur, relancé sans retenue à chaque navigation.
+// `restore` : affiche un résultat déjà obtenu plutôt que de le régénérer.
+const ROUTES = {
+    individual: {
+        fields: { sign: 'sign-select', date: 'date-input', period: 'period-select' },
+        required: ['sign'],
+        run: generateIndividualHoroscope,
+        restore: restoreIndividualFromArchive
+    },
+    daily: {
+        fields: { date: 'daily-date-input', period: 'daily-period-select' },
+        required: ['date'],
+        run: generateDailyHoroscopes
+    },
+    context: {
+        fields: { date: 'context-date-input' },
+        required: ['date'],
+        run: getAstralContext,
+        local: true
+    },
+    astrochart: {
+        fields: {
+            date: 'astrochart-date-input',
+            time: 'astrochart-time-input',
+            lat: 'astrochart-lat-input',
+            lon: 'astrochart-lon-input',
+            utc: 'astrochart-utc-offset'
+        },
+        required: ['date'],
+        run: generateSkyChart,
+        local: true
+    },
+    // Les profils natals restent sur l'appareil : seuls les duos de signes sont dans l'URL.
+    compatibility: {
+        fields: { a: 'compat-sign-a', b: 'compat-sign-b' },
+        required: ['a', 'b'],
+        run: showSignCompatibility,
+        local: true
+    },
+    // Pas de requête relancée : les générations vidéo passent par une confirmation.
+    video: {
+        fields: { sign: 'video-sign', date: 'video-date', format: 'video-format' },
+        required: []
+    }
+};
+
+// `applying` : une route est en cours de restauration (l'URL est remplacée, pas empilée).
+// `displayed` : fragment dont le résultat est affiché, par section.
+const routerState = { applying: false, displayed: {} };
+
+/**
+ * Lit les paramètres d'une section depuis son formulaire.
+ * @param {string} section - La section.
+ * @returns {object} Les paramètres, indexés par nom dans l'URL.
+ */
+function getRouteParams(section) {
+    const fields = ROUTES[section]?.fields || {};
+    return Object.fromEntries(Object.entries(fields).map(([key, id]) => [key, document.getElementById(id)?.value || '']));
+}
+
+/**
+ * Remplit le formulaire d'une section avec les paramètres d'une route.
+ * Une valeur absente d'une liste déroulante (signe inconnu...) est ignorée.
+ * @param {string} section - La section.
+ * @param {object} params - Les paramètres de la route.
+ */
+function fillRouteFields(section, params) {
+    Object.entries(ROUTES[section]?.fields || {}).forEach(([key, id]) => {
+        const field = document.getElementById(id);
+        if (!field || params[key] === undefined) return;
+        if (field.tagName === 'SELECT' && ![...field.options].some(option => option.value === params[key])) return;
+        field.value = params[key];
+    });
+}
+
+/**
+ * Inscrit une route dans l'historique, si elle diffère de l'URL courante.
+ * Pendant une restauration, l'entrée courante est remplacée pour ne pas
+ * empiler les paramètres complétés par défaut.
+ * @param {string} hash - Le fragment.
+ * @param {boolean} [replace=false] - Remplace l'entrée courante au lieu d'en ajouter une.
+ */
+function writeRoute(hash, replace = false) {
+    if (hash === window.location.hash) return;
+    if (replace || routerState.applying) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+/**
+ * Met l'URL à jour avec la section affichée (appelé par `showSection`).
+ * Les paramètres de la section ne sont ajoutés qu'au lancement d'une requête.
+ * @param {string} section - La section.
+ */
+function syncSectionRoute(section) {
+    if (routerState.applying) return;
+    if (parseRouteHash(window.location.hash)?.section === section) return;
+    writeRoute(buildRouteHash(section));
+}
+
+/**
+ * Met l'URL à jour avec les paramètres d'une requête qui vient d'être lancée.
+ * Sans effet si la section n'est pas affichée (ex: génération lancée depuis le calendrier).
+ * @param {string} section - La section.
+ * @param {boolean} [replace=false] - Remplace l'entrée courante (simple modification du formulaire).
+ */
+function syncQueryRoute(section, replace = false) {
+    if (appState.currentSection !== section) return;
+    const hash = buildRouteHash(section, getRouteParams(section));
+    routerState.displayed[section] = hash;
+    writeRoute(hash, replace);
+}
+
+/**
+ * Affiche l'horoscope individuel archivé pour le signe et la date de la route.
+ * @param {object} route - La route.
+ * @returns {Promise<boolean>} Vrai si un résultat archivé a été affiché.
+ */
+async function restoreIndividualFromArchive(route) {
+    const { sign, date } = route.params;
+    if (!date) return false;
+    try {
+        // Les horoscopes d'une semaine, d'un mois ou d'une année sont archivés au début de leur période.
+        const period = computeHoroscopePeriod(route.params.period, date);
+        const { start } = period.range;
+        const entries = await getArchiveEntries({ sign, from: start, to: start });
+        const entry = entries.find(item => item.source === 'individual' && (item.period || 'day') === period.range.period);
+        if (!entry) return false;
+        document.getElementById('individual-result').innerHTML = createHoroscopeResultHTML(entry.sign, {
+            sign: signNames[entry.sign],
+            date: entry.date,
+            horoscope: entry.text
+        }, period) + createPeriodSummaryHTML(period);
+        return true;
+    } catch (error) {
+        console.error('Erreur de lecture de l\'archive pour la route:', error);
+        return false;
+    }
+}
+
+/**
+ * Applique une route : affiche la section, remplit son formulaire et relance la requête.
+ * @param {object} route - La route { section, params }.
+ * @param {object} [options] - { fromHistory } : navigation Précédent/Suivant.
+ */
+async function applyRoute(route, options = {}) {
+    if (!route || !document.getElementById(`${route.section}-section`)) return;
+    const config = ROUTES[route.section];
+    const hash = buildRouteHash(route.section, route.params);
+
+    routerState.applying = true;
+    try {
+        showSection(route.section);
+        if (!config) return;
+        fillRouteFields(route.section, route.params);
+        if (!config.run || !hasRouteParams(route, config.required)) return;
+
+        // Le résultat affiché correspond déjà à cette route : rien à relancer.
+        if (options.fromHistory && routerState.displayed[route.section] === hash) return;
+        // Au retour dans l'historique, un résultat déjà généré est réaffiché plutôt que régénéré.
+        if (options.fromHistory && !config.local && config.restore && await config.restore(route)) {
+            routerState.displayed[route.section] = hash;
+            return;
+        }
+        config.run();
+    } finally {
+        routerState.applying = false;
+    }
+}
+
+/**
+ * Restaure la route de l'URL au chargement et suit la navigation dans l'historique.
+ */
+function initializeRouter() {
+    window.addEventListener('popstate', () => {
+        applyRoute(parseRouteHash(window.location.hash), { fromHistory: true });
+    });
+
+    // Sections sans requête à relancer : l'URL suit directement le formulaire.
+    Object.entries(ROUTES).filter(([, config]) => !config.run).forEach(([section, config]) => {
+        Object.values(config.fields).forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => syncQueryRoute(section, true));
+        });
+    });
+
+    const route = parseRouteHash(window.location.hash);
+    if (route) {
+        applyRoute(route);
+    } else {
+        history.replaceState(null, '', buildRouteHash(appState.currentSection || 'individual'));
+    }
+}
+
+
+/**
+ * =============================================================================
+ * XXVII. MODE DÉMONSTRATION
+ *
+ * Sur un hébergement statique (GitHub Pages), le backend Flask n'existe pas.
+ * Au démarrage, `/health` est sondé avant toute autre requête : s'il n'existe
+ * pas, les appels de l'API sont servis par le backend simulé (demo.js) et un
+ * badge signale que les résultats sont fictifs. Ces résultats ne sont ni
+ * archivés ni soumis aux votes de la comparaison de modèles.
+ * =============================================================================
+ */
+
+// Statuts d'un serveur sans backend (fichiers statiques) ; un 5xx vient d'un
+// proxy devant un backend arrêté : la file hors ligne s'en charge.
+const DEMO_MISSING_BACKEND_STATUSES = [404, 405];
+
+/**
+ * Sonde `/health` directement (hors client API, dont les requêtes attendent ce résultat).
+ * Seule l'absence certaine de backend donne 'missing' : un 404 ou un 405, ou,
+ * sans adresse de backend configurée, une page qui n'est pas du JSON (hébergement
+ * statique) ou un fichier ouvert localement. Une coupure réseau ou un délai
+ * dépassé donne 'unreachable' : le backend existe, la file hors ligne attend son retour.
+ * @returns {Promise<string>} 'online', 'missing' ou 'unreachable'.
+ */
+async function probeBackend() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), API_TIMEOUTS.health);
+    const target = getApiTarget('/health');
+    const withoutBackendUrl = !/^[a-z][a-z0-9+.-]*:/i.test(target.url);
+    try {
+        const response = await fetch(target.url, { headers: target.headers, signal: controller.signal });
+        await readApiResponse(response, false);
+        return 'online';
+    } catch (error) {
+        if (error.code === 'http' && DEMO_MISSING_BACKEND_STATUSES.includes(error.status)) return 'missing';
+        if (withoutBackendUrl && (error.code === 'invalid_response' || window.location.protocol === 'file:')) return 'missing';
+        return error.code === 'http' && !API_OFFLINE_STATUSES.includes(error.status) ? 'online' : 'unreachable';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Bascule toutes les requêtes vers le backend simulé et affiche le badge.
+ */
+function enableDemoMode() {
+    appState.demoMode = true;
+    setApiTransport(handleDemoRequest);
+    document.getElementById('demo-badge')?.classList.remove('hidden');
+    console.warn('🧪 Aucun backend : mode démonstration activé.');
+    notify(t('demo.enabled'), { type: 'info', title: t('demo.title') });
+}
+
+/**
+ * Explique le mode démonstration et propose de réessayer le vrai backend.
+ */
+async function handleDemoBadgeClick() {
+    const retry = await confirmDialog(t('demo.explain'), { title: t('demo.title'), confirmLabel: t('demo.retryBackend') });
+    if (!retry) return;
+    if (await probeBackend() === 'online') {
+        window.location.reload();
+    } else {
+        notify(t('demo.stillUnreachable'), { type: 'warning' });
     }
 }
 
 /**
- * Vérifie l'état du service ComfyUI et affiche un résumé.
+ * Choisit entre le vrai backend et le backend simulé ; les requêtes émises
+ * pendant la vérification partent une fois le choix fait.
+ */
+function initializeDemoMode() {
+    document.getElementById('demo-badge')?.addEventListener('click', handleDemoBadgeClick);
+    deferApiRequests(probeBackend().then(state => {
+        if (state === 'missing') enableDemoMode();
+    }));
+}
+
+
+/**
+ * =============================================================================
+ * XXVIII. PROFILS DE CONNEXION
+ *
+ * Plusieurs backends peuvent servir l'application (machine GPU pour ComfyUI,
+ * serveur Ollama partagé...). Les profils (connections.js) mémorisent leurs
+ * adresses et clés d'API dans le localStorage ; le profil actif est utilisé
+ * par tous les appels du client API, y compris les vérifications de services.
+ * =============================================================================
+ */
+
+const CONNECTION_PROFILES_STORAGE_KEY = 'connectionProfiles';
+
+// Champs de chaque groupe de routes dans le formulaire.
+const CONNECTION_FIELDS = [
+    { key: 'baseUrl', type: 'url', label: 'connections.baseUrl', placeholder: 'connections.baseUrlPlaceholder' },
+    { key: 'keyHeader', type: 'text', label: 'connections.keyHeader', placeholder: 'connections.keyHeaderPlaceholder' },
+    { key: 'key', type: 'password', label: 'connections.key', placeholder: null }
+];
+
+// Profil affiché dans le formulaire (pas forcément le profil actif).
+const connectionEditor = { profileId: null };
+
+/**
+ * Charge les profils depuis le localStorage ; crée le profil local au premier lancement.
  */
-async function checkComfyUIStatus() {
+function loadConnectionProfiles() {
+    let saved = null;
     try {
-        const response = await fetch('/api/comfyui/status');
-        const data = await response.json();
-        if (!data.success) throw new Error(data.error);
-        
-        const message = `🎬 STATUT COMFYUI\n\n` +
-            `Statut: ${data.connected ? '✅ Connecté' : '❌ Déconnecté'}\n` +
-            `Serveur: ${data.server}\n` +
-            `Formats: ${data.available_formats.length} disponibles\n` +
-            `Workflow: ${data.workflow_ready ? 'Prêt' : 'Non prêt'}`;
-        alert(message);
+        saved = JSON.parse(localStorage.getItem(CONNECTION_PROFILES_STORAGE_KEY));
     } catch (error) {
-        alert(`❌ Erreur: ${error.message}`);
+        console.error('Erreur de lecture des profils de connexion:', error);
     }
+    appState.connectionProfiles = saved?.profiles?.length ? saved.profiles : [createConnectionProfile(t('connections.localName'))];
+    appState.activeConnectionId = appState.connectionProfiles.some(profile => profile.id === saved?.activeId)
+        ? saved.activeId
+        : appState.connectionProfiles[0].id;
 }
 
 /**
- * Vérifie l'état du service YouTube et affiche un résumé.
+ * Sauvegarde les profils dans le localStorage.
  */
-async function checkYouTubeStatus() {
+function saveConnectionProfiles() {
     try {
-        const response = await fetch('/api/youtube/status');
-        const data = await response.json();
-        if (!data.success) throw new Error(data.error);
-        
-        const channel = data.channel_info;
-        const message = `📤 STATUT YOUTUBE\n\n` +
-            `Statut: ${data.youtube_connected ? '✅ Connecté' : '❌ Déconnecté'}\n` +
-            `Chaîne: ${channel.title}\n` +
-            `Abonnés: ${channel.subscribers}\n` +
-            `Vidéos disponibles: ${data.available_videos.total_available}`;
-        alert(message);
+        localStorage.setItem(CONNECTION_PROFILES_STORAGE_KEY, JSON.stringify({
+            profiles: appState.connectionProfiles,
+            activeId: appState.activeConnectionId
+        }));
     } catch (error) {
-        alert(`❌ Erreur: ${error.message}`);
+        console.error('Erreur de sauvegarde des profils de connexion:', error);
     }
 }
 
 /**
- * Lance l'upload du signe actuellement sélectionné sur YouTube.
+ * @param {string} id - L'identifiant du profil.
+ * @returns {object|undefined} Le profil.
  */
-async function uploadCurrentSignToYouTube() {
-    const sign = document.getElementById('video-sign').value;
-    if (!sign) {
-        alert('Veuillez sélectionner un signe astrologique.');
+function getConnectionProfile(id) {
+    return appState.connectionProfiles.find(profile => profile.id === id);
+}
+
+/**
+ * Remplit la liste des profils et le formulaire du profil édité.
+ */
+function renderConnectionProfiles() {
+    const select = document.getElementById('connection-profile-select');
+    const form = document.getElementById('connection-form');
+    if (!select || !form || appState.connectionProfiles.length === 0) return;
+
+    const profile = getConnectionProfile(connectionEditor.profileId) || getConnectionProfile(appState.activeConnectionId);
+    connectionEditor.profileId = profile.id;
+
+    select.innerHTML = appState.connectionProfiles.map(item => `
+        <option value="${escapeHtml(item.id)}" ${item.id === profile.id ? 'selected' : ''}>
+            ${item.id === appState.activeConnectionId ? '★ ' : ''}${escapeHtml(item.name)}
+        </option>`).join('');
+
+    form.innerHTML = `
+        <div class="form-group compact">
+            <label class="form-label compact">${escapeHtml(t('connections.name'))}</label>
+            <input type="text" class="form-input compact" data-field="name" value="${escapeHtml(profile.name)}">
+        </div>
+        ${CONNECTION_GROUPS.map(group => `
+            <fieldset class="publisher-config-group">
+                <legend>${escapeHtml(t(`connections.group.${group}`))}</legend>
+                ${group === 'api' ? '' : `<p class="connection-hint">${escapeHtml(t('connections.overrideHint'))}</p>`}
+                ${CONNECTION_FIELDS.map(field => `
+                    <div class="form-group compact">
+                        <label class="form-label compact">${escapeHtml(t(field.label))}</label>
+                        <input type="${field.type}" class="form-input compact" autocomplete="off"
+                            data-group="${group}" data-field="${field.key}"
+                            ${field.placeholder ? `placeholder="${escapeHtml(t(field.placeholder))}"` : ''}
+                            value="${escapeHtml(profile[group][field.key])}">
+                    </div>`).join('')}
+            </fieldset>`).join('')}`;
+
+    document.getElementById('btn-connection-delete').disabled = appState.connectionProfiles.length <= 1;
+}
+
+/**
+ * Lit le formulaire.
+ * @returns {object} Le profil édité, avec les valeurs saisies.
+ */
+function readConnectionForm() {
+    const profile = structuredClone(getConnectionProfile(connectionEditor.profileId));
+    document.querySelectorAll('#connection-form [data-field]').forEach(input => {
+        const value = input.value.trim();
+        if (!input.dataset.group) {
+            profile[input.dataset.field] = value;
+        } else {
+            profile[input.dataset.group][input.dataset.field] = input.dataset.field === 'baseUrl' ? normalizeBaseUrl(value) : value;
+        }
+    });
+    return profile;
+}
+
+/**
+ * Signale les problèmes d'un profil.
+ * @param {object} profile - Le profil.
+ * @returns {boolean} Vrai si le profil est valide.
+ */
+function checkConnectionForm(profile) {
+    const problems = validateConnectionProfile(profile);
+    document.querySelectorAll('#connection-form [data-field]').forEach(input => {
+        const invalid = problems.some(problem => problem.field === input.dataset.field && problem.group === (input.dataset.group || null));
+        input.classList.toggle('invalid', invalid);
+    });
+    if (problems.length === 0) return true;
+    notify(problems.map(problem => t(`connections.error.${problem.type}`, {
+        group: problem.group ? t(`connections.group.${problem.group}`) : t('connections.name')
+    })).join('\n'), { type: 'warning' });
+    return false;
+}
+
+/**
+ * Enregistre le profil édité et l'active.
+ */
+function saveConnectionForm() {
+    const profile = readConnectionForm();
+    if (!checkConnectionForm(profile)) return;
+
+    appState.connectionProfiles = appState.connectionProfiles.map(item => (item.id === profile.id ? profile : item));
+    appState.activeConnectionId = profile.id;
+    saveConnectionProfiles();
+    renderConnectionProfiles();
+    activateConnectionProfile();
+    notify(t('connections.activated', { name: profile.name }), { type: 'success' });
+}
+
+/**
+ * Applique le profil actif au client API puis revérifie les services.
+ * En mode démonstration, la page est rechargée : la détection du backend
+ * se refait avec le nouveau profil.
+ */
+function activateConnectionProfile() {
+    setApiProfile(getConnectionProfile(appState.activeConnectionId));
+    if (appState.demoMode) {
+        window.location.reload();
         return;
     }
-    if (!confirm(`Uploader la vidéo de ${signNames[sign]} sur YouTube en mode PRIVÉ ?`)) return;
+    pollServiceStatuses();
+    loadAvailableModels();
+}
 
-    const resultDiv = document.getElementById('video-result');
-    const response = await makeApiRequest(
-        `/api/youtube/upload_sign/${sign}`,
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ privacy: 'private' })
-        },
-        'video-loading',
-        'video-result'
-    );
+/**
+ * Crée un profil à partir de la saisie d'un nom.
+ */
+async function createNewConnectionProfile() {
+    const name = (await promptDialog(t('connections.promptName')))?.trim();
+    if (!name) return;
+    const profile = createConnectionProfile(name);
+    appState.connectionProfiles.push(profile);
+    connectionEditor.profileId = profile.id;
+    saveConnectionProfiles();
+    renderConnectionProfiles();
+}
 
-    if (response) {
-        alert(`✅ Upload réussi !\n\nTitre: ${response.title}\nConsultez YouTube Studio pour publier la vidéo.`);
-        resultDiv.innerHTML = `<div class="horoscope-result">
-            <h3 style="color: #00ff41;">✅ Vidéo uploadée !</h3>
-            <p><strong>Titre :</strong> ${response.title}</p>
-            <p><a href="${response.video_url}" target="_blank">Voir sur YouTube</a></p>
-        </div>`;
+/**
+ * Supprime le profil édité ; le profil actif supprimé est remplacé par le premier restant.
+ */
+async function deleteConnectionProfile() {
+    const profile = getConnectionProfile(connectionEditor.profileId);
+    if (!profile || appState.connectionProfiles.length <= 1) return;
+    if (!(await confirmDialog(t('connections.confirmDelete', { name: profile.name }), { danger: true }))) return;
+
+    appState.connectionProfiles = appState.connectionProfiles.filter(item => item.id !== profile.id);
+    connectionEditor.profileId = null;
+    const wasActive = appState.activeConnectionId === profile.id;
+    if (wasActive) appState.activeConnectionId = appState.connectionProfiles[0].id;
+    saveConnectionProfiles();
+    renderConnectionProfiles();
+    if (wasActive) activateConnectionProfile();
+}
+
+/**
+ * Teste la saisie (même non enregistrée) : chaque groupe est appelé sur le
+ * réseau avec ses propres adresse et clé, sans toucher à l'état hors ligne.
+ */
+async function testConnectionProfile() {
+    const profile = readConnectionForm();
+    if (!checkConnectionForm(profile)) return;
+
+    const container = document.getElementById('connection-test-result');
+    const button = document.getElementById('btn-connection-test');
+    button.disabled = true;
+    container.innerHTML = `<p class="connection-hint">${escapeHtml(t('connections.testing'))}</p>`;
+
+    const results = await Promise.all(CONNECTION_TESTS.map(async ({ group, endpoint }) => {
+        const { url } = resolveConnection(profile, endpoint);
+        const start = performance.now();
+        try {
+            await sendApiRequest(endpoint, { connection: profile, timeout: API_TIMEOUTS.health, retries: 0, expectSuccess: false });
+            return { group, url, ok: true, latency: Math.round(performance.now() - start) };
+        } catch (error) {
+            return { group, url, ok: false, error: error.message };
+        }
+    }));
+
+    button.disabled = false;
+    container.innerHTML = `
+        <ul class="connection-test-list">
+            ${results.map(result => `
+                <li class="${result.ok ? 'success' : 'error'}">
+                    ${result.ok ? '✅' : '❌'} <strong>${escapeHtml(t(`connections.group.${result.group}`))}</strong>
+                    <code>${escapeHtml(result.url)}</code>
+                    · ${escapeHtml(result.ok ? t('connections.latency', { ms: result.latency }) : result.error)}
+                </li>`).join('')}
+        </ul>`;
+}
+
+/**
+ * Charge les profils, active le profil mémorisé et branche le panneau.
+ * Appelé avant le premier appel au backend.
+ */
+function initializeConnectionProfiles() {
+    loadConnectionProfiles();
+    setApiProfile(getConnectionProfile(appState.activeConnectionId));
+    renderConnectionProfiles();
+
+    document.getElementById('connection-profile-select')?.addEventListener('change', (event) => {
+        connectionEditor.profileId = event.target.value;
+        document.getElementById('connection-test-result').innerHTML = '';
+        renderConnectionProfiles();
+    });
+    document.getElementById('btn-connection-new')?.addEventListener('click', createNewConnectionProfile);
+    document.getElementById('btn-connection-delete')?.addEventListener('click', deleteConnectionProfile);
+    document.getElementById('btn-connection-test')?.addEventListener('click', testConnectionProfile);
+    document.getElementById('btn-connection-save')?.addEventListener('click', saveConnectionForm);
+}
+
+
+/**
+ * =============================================================================
+ * XXIX. COMPATIBILITÉ ET SYNASTRIE
+ *
+ * Compatibilité de deux signes, ou de deux profils natals dont les thèmes
+ * ajoutent les aspects croisés au score (compatibility.js). Le LLM rédige la
+ * lecture à partir du score détaillé (modèle de prompt « Compatibilité ») et
+ * le duo peut être envoyé au workflow vidéo sous forme de short.
+ * =============================================================================
+ */
+
+// `pair` : duo calculé { a, b, result } ; `reading` : lecture rédigée ;
+// `controller` : annulation de la lecture en cours de rédaction.
+const compatibilityState = { pair: null, reading: '', controller: null };
+
+/**
+ * Lit un partenaire dans le formulaire. Un profil natal fournit en plus les
+ * positions de son thème, à midi si l'heure de naissance est inconnue.
+ * @param {string} side - 'a' ou 'b'.
+ * @returns {object|null} { sign, planets, profile }, ou null si rien n'est choisi.
+ */
+function readCompatibilityPartner(side) {
+    if (document.getElementById('compat-mode').value === 'profiles') {
+        const profile = appState.natalProfiles.find(p => p.id === document.getElementById(`compat-profile-${side}`).value);
+        if (!profile) return null;
+        const instant = zonedTimeToUtc(profile.birthDate, profile.birthTime || '12:00', profile.timezone);
+        const { planets } = computeChart(instant, profile.latitude, profile.longitude);
+        return { sign: planets.find(p => p.key === 'sun').sign, planets, profile };
     }
+    const sign = document.getElementById(`compat-sign-${side}`).value;
+    return sign ? { sign, planets: null, profile: null } : null;
 }
 
 /**
- * Lance l'upload en lot de toutes les vidéos disponibles sur YouTube.
+ * @param {object} partner - Le partenaire.
+ * @param {string} [language] - La langue du nom du signe (celle de l'interface par défaut).
+ * @returns {string} Son nom affiché : le profil et son signe, ou le signe seul.
  */
-async function uploadBatchToYouTube() {
-    if (!confirm('Uploader TOUTES les vidéos disponibles sur YouTube en mode PRIVÉ ?')) return;
+function formatCompatibilityPartner(partner, language = getLanguage()) {
+    const sign = `${signSymbols[partner.sign]} ${translate(language, `sign.${partner.sign}`)}`;
+    return partner.profile ? `${partner.profile.name} (${sign})` : sign;
+}
 
-    const resultDiv = document.getElementById('video-result');
-    const response = await makeApiRequest(
-        '/api/youtube/upload_batch',
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ privacy: 'private' })
-        },
-        'video-loading',
-        'video-result'
-    );
+/**
+ * Paramètres du duo joints à la lecture et à la tâche vidéo.
+ * @param {object} pair - Le duo.
+ * @returns {object} { sign_a, sign_b, name_a, name_b, score, breakdown }.
+ */
+function buildCompatibilityParams(pair) {
+    return {
+        sign_a: pair.a.sign,
+        sign_b: pair.b.sign,
+        name_a: pair.a.profile?.name || null,
+        name_b: pair.b.profile?.name || null,
+        score: pair.result.score,
+        breakdown: pair.result.breakdown
+    };
+}
 
-    if (response) {
-        alert(`Batch Upload terminé: ${response.summary}`);
-        // Afficher les résultats détaillés
-        let resultsHtml = `<div class="horoscope-result"><h3>Résultats de l'Upload Batch</h3>`;
-        response.details.forEach(res => {
-            resultsHtml += `<p>${res.success ? '✅' : '❌'} ${signNames[res.sign]}: ${res.success ? 'OK' : res.error}</p>`;
-        });
-        resultsHtml += `</div>`;
-        resultDiv.innerHTML = resultsHtml;
+/**
+ * Remplit le modèle « Compatibilité » pour un duo.
+ * @param {object} pair - Le duo.
+ * @returns {object|null} { id, name, version, text }.
+ */
+function buildCompatibilityPrompt(pair) {
+    const language = getContentLanguage();
+    const names = [pair.a, pair.b].map(partner => partner.profile?.name || translate(language, `sign.${partner.sign}`));
+    return buildPromptRequest('compatibility', pair.a.sign, null, {
+        sign: formatCompatibilityPartner(pair.a, language),
+        partner: formatCompatibilityPartner(pair.b, language),
+        compatibility: describeCompatibility(pair.result, names, language)
+    });
+}
+
+/**
+ * Affiche la liste (signes ou profils) correspondant au mode choisi.
+ */
+function updateCompatibilityMode() {
+    const mode = document.getElementById('compat-mode')?.value;
+    if (!mode) return;
+    document.querySelectorAll('[data-compat-mode]').forEach(select => {
+        select.classList.toggle('hidden', select.dataset.compatMode !== mode);
+    });
+    document.getElementById('compat-profiles-hint').classList.toggle('hidden', mode !== 'profiles' || appState.natalProfiles.length >= 2);
+}
+
+/**
+ * Remplit les listes de profils natals, en conservant la sélection.
+ */
+function renderCompatibilityProfiles() {
+    ['a', 'b'].forEach(side => {
+        const select = document.getElementById(`compat-profile-${side}`);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = `<option value="">${escapeHtml(t('common.choose'))}</option>` + appState.natalProfiles
+            .map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`).join('');
+        select.value = appState.natalProfiles.some(profile => profile.id === selected) ? selected : '';
+    });
+    updateCompatibilityMode();
+}
+
+/**
+ * Affiche le score du duo, son détail par critère et les aspects croisés.
+ */
+function renderCompatibilityResult() {
+    const container = document.getElementById('compat-result');
+    if (!container) return;
+    const pair = compatibilityState.pair;
+    document.getElementById('compat-actions').classList.toggle('hidden', !pair);
+    if (!pair) {
+        container.innerHTML = '';
+        return;
     }
+
+    const { a, b, result } = pair;
+    const details = {
+        element: result.elements.map(key => t(`compat.element.${key}`)).join(' · '),
+        modality: result.modalities.map(key => t(`compat.modality.${key}`)).join(' · '),
+        relation: t(`compat.relation.${result.relation.key}`),
+        synastry: t('compat.aspectCount', { count: result.aspects.length })
+    };
+    const rows = result.breakdown.map(item => `
+        <div class="compat-criterion">
+            <div class="compat-criterion-label">
+                <strong>${escapeHtml(t(`compat.criterion.${item.key}`))}</strong>
+                <span>${escapeHtml(details[item.key])} · ${Math.round(item.weight * 100)}%</span>
+            </div>
+            <div class="job-progress"><div class="job-progress-bar" style="width: ${item.score}%"></div></div>
+            <span class="compat-criterion-score">${item.score}</span>
+        </div>`).join('');
+    const names = [a, b].map(partner => escapeHtml(partner.profile?.name || signNames[partner.sign]));
+    const aspects = result.aspects.map(aspect => `
+        <tr>
+            <td>${aspect.from.symbol} ${escapeHtml(aspect.from.name)} <small>(${names[0]})</small></td>
+            <td title="${escapeHtml(aspect.type.name)}">${aspect.type.symbol}</td>
+            <td>${aspect.to.symbol} ${escapeHtml(aspect.to.name)} <small>(${names[1]})</small></td>
+            <td>${aspect.orb.toFixed(1)}°</td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <div class="horoscope-result">
+            <div class="horoscope-header">
+                <div class="compat-score" title="${escapeHtml(t('compat.score'))}">${result.score}</div>
+                <div>
+                    <h3>${escapeHtml(formatCompatibilityPartner(a))} × ${escapeHtml(formatCompatibilityPartner(b))}</h3>
+                    <small>${escapeHtml(t(a.profile ? 'compat.withSynastry' : 'compat.signsOnly'))}</small>
+                </div>
+            </div>
+            ${rows}
+            ${aspects ? `
+                <h4 class="action-group-title">${escapeHtml(t('compat.aspects'))}</h4>
+                <table class="planet-table"><tbody>${aspects}</tbody></table>` : ''}
+        </div>`;
+    document.getElementById('compat-reading').innerHTML = renderMarkdown(compatibilityState.reading);
 }
 
-async function uploadCurrentSignToTikTok() {
-    const sign = document.getElementById('video-sign').value;
-    if (!sign) {
-        alert('Veuillez sélectionner un signe astrologique.');
+/**
+ * Calcule la compatibilité du duo choisi dans le formulaire.
+ * @param {Event} [event] - La soumission du formulaire.
+ */
+function calculateCompatibility(event) {
+    event?.preventDefault();
+    const a = readCompatibilityPartner('a');
+    const b = readCompatibilityPartner('b');
+    if (!a || !b) {
+        notify(t('compat.choosePair'), { type: 'warning' });
+        return;
+    }
+    if (a.profile && a.profile === b.profile) {
+        notify(t('compat.sameProfile'), { type: 'warning' });
         return;
     }
-    if (!confirm(`Uploader la vidéo de ${signNames[sign]} sur TikTok ?`)) return;
 
-    const resultDiv = document.getElementById('video-result');
-    const response = await makeApiRequest(
-        `/api/tiktok/upload_sign/${sign}`,
-        {
+    compatibilityState.controller?.abort();
+    compatibilityState.pair = {
+        a,
+        b,
+        result: computeCompatibility({ signA: a.sign, signB: b.sign, planetsA: a.planets, planetsB: b.planets })
+    };
+    compatibilityState.reading = '';
+    renderCompatibilityResult();
+
+    // Les profils natals restent sur cet appareil : seuls les duos de signes sont partageables.
+    if (a.profile) {
+        writeRoute(buildRouteHash('compatibility'), true);
+    } else {
+        syncQueryRoute('compatibility');
+    }
+}
+
+/**
+ * Calcule la compatibilité de deux signes (route partagée).
+ */
+function showSignCompatibility() {
+    document.getElementById('compat-mode').value = 'signs';
+    updateCompatibilityMode();
+    calculateCompatibility();
+}
+
+/**
+ * Fait rédiger la lecture du duo par le LLM, affichée au fil du flux.
+ */
+async function generateCompatibilityReading() {
+    const pair = compatibilityState.pair;
+    if (!pair || !ensureServicesAvailable(['ollama'])) return;
+
+    compatibilityState.controller?.abort();
+    const controller = new AbortController();
+    compatibilityState.controller = controller;
+    const output = document.getElementById('compat-reading');
+    output.innerHTML = '<div class="loading-dots"><div class="loading-dot"></div><div class="loading-dot"></div><div class="loading-dot"></div></div>';
+
+    const prompt = buildCompatibilityPrompt(pair);
+    let reading = '';
+    try {
+        const response = await apiFetch('/api/ollama/chat', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: prompt.text,
+                messages: [{ role: 'user', content: prompt.text }],
+                model: appState.selectedModel,
+                language: getContentLanguage(),
+                prompt_template: prompt,
+                compatibility: buildCompatibilityParams(pair),
+                stream: true
+            }),
+            signal: controller.signal,
+            timeout: API_TIMEOUTS.generation,
+            raw: true,
+            label: t('section.compatibility.title')
+        });
+
+        if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+            reading = (await readApiResponse(response)).response;
+        } else {
+            await readChatStream(response, (token) => {
+                reading += token;
+                output.innerHTML = renderMarkdown(reading);
+            });
+        }
+        compatibilityState.reading = reading;
+        output.innerHTML = renderMarkdown(reading);
+    } catch (error) {
+        // Lecture annulée par un nouveau calcul : le nouveau duo est déjà affiché.
+        if (error.name === 'AbortError') return;
+        output.innerHTML = '';
+        notify(t('compat.readingError', { error: error.message }), { type: 'error' });
+    } finally {
+        if (compatibilityState.controller === controller) compatibilityState.controller = null;
+    }
+}
+
+/**
+ * Envoie le duo au workflow vidéo (short « compatibilité »). La lecture
+ * rédigée sert de texte ; sans elle, le backend la génère avec le modèle
+ * « Compatibilité ».
+ */
+async function sendCompatibilityToVideo() {
+    const pair = compatibilityState.pair;
+    if (!pair || !ensureServicesAvailable(['comfyui'])) return;
+
+    const duo = `${formatCompatibilityPartner(pair.a)} × ${formatCompatibilityPartner(pair.b)}`;
+    const confirmed = await confirmDialog(t('compat.confirmVideo', { duo }), {
+        details: {
+            [t('compat.duo')]: duo,
+            [t('compat.score')]: `${pair.result.score}/100`,
+            [t('dialog.format')]: getSelectedVideoFormatLabel(),
+            [t('dialog.text')]: t(compatibilityState.reading ? 'compat.readingText' : 'dialog.generatedText'),
+            [t('dialog.duration')]: formatEstimatedDuration('montage')
+        }
+    });
+    if (!confirmed) return;
+
+    showSection('video');
+    await startJob('compatibility_short', {
+        sign: pair.a.sign,
+        partner_sign: pair.b.sign,
+        compatibility: buildCompatibilityParams(pair),
+        format: document.getElementById('video-format').value || 'test',
+        add_music: true,
+        horoscope_text: compatibilityState.reading || null,
+        prompt_templates: {
+            horoscope: buildCompatibilityPrompt(pair),
+            visual: buildPromptRequest('visual', pair.a.sign)
         },
-        'video-loading',
-        'video-result'
-    );
+        visual_presets: buildVisualPresetsParam()
+    });
+}
 
-    if (response) {
-        alert(`✅ Upload TikTok réussi !\nTitre: ${response.title}`);
-        resultDiv.innerHTML = `<div class="horoscope-result">
-            <h3 style="color: #00ff41;">✅ Vidéo uploadée sur TikTok !</h3>
-            <p><strong>Titre :</strong> ${response.title}</p>
-        </div>`;
+/**
+ * Branche le formulaire de la section Compatibilité.
+ */
+function initializeCompatibility() {
+    const form = document.getElementById('compatibility-form');
+    if (!form) return;
+
+    form.addEventListener('submit', calculateCompatibility);
+    document.getElementById('compat-mode').addEventListener('change', updateCompatibilityMode);
+    document.getElementById('btn-compat-reading').addEventListener('click', generateCompatibilityReading);
+    document.getElementById('btn-compat-video').addEventListener('click', sendCompatibilityToVideo);
+    renderCompatibilityProfiles();
+}
+
+
+/**
+ * =============================================================================
+ * XXX. PÉRIODES D'HOROSCOPE
+ *
+ * Horoscopes d'un jour, d'une semaine, d'un mois ou d'une année (periods.js).
+ * La requête porte la plage de dates et les transits marquants de la période,
+ * qui remplissent aussi les variables {period} et {transits} des prompts ; les
+ * résultats gardent la même mise en page, complétée des temps forts par signe.
+ * =============================================================================
+ */
+
+// Transits déjà calculés, par période : le calcul d'une année prend environ une seconde.
+const horoscopePeriodCache = new Map();
+const HOROSCOPE_PERIOD_CACHE_SIZE = 24;
+
+/**
+ * Calcule la période d'une date et ses transits.
+ * @param {string} period - 'day', 'week', 'month' ou 'year'.
+ * @param {string} [date] - La date de référence 'YYYY-MM-DD' (aujourd'hui par défaut).
+ * @returns {object} { range, events, highlights } : la plage `getPeriodRange`,
+ *   tous les événements de la période et les plus marquants.
+ */
+function computeHoroscopePeriod(period, date) {
+    const range = getPeriodRange(period, date || new Date().toISOString().split('T')[0]);
+    const key = `${range.period}|${range.start}`;
+    if (horoscopePeriodCache.has(key)) return horoscopePeriodCache.get(key);
+
+    // Jours locaux, comme le calendrier des transits.
+    const end = new Date(`${range.end}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    const events = findTransitEvents(new Date(`${range.start}T00:00:00`), end);
+    const result = { range, events, highlights: selectPeriodHighlights(events, range.period) };
+
+    horoscopePeriodCache.set(key, result);
+    if (horoscopePeriodCache.size > HOROSCOPE_PERIOD_CACHE_SIZE) {
+        horoscopePeriodCache.delete(horoscopePeriodCache.keys().next().value);
     }
+    return result;
 }
 
 /**
- * Helper pour créer le HTML du résultat d'une génération ComfyUI.
- * @param {object} result - L'objet résultat de l'API.
- * @returns {string} Le code HTML à afficher.
+ * @param {object} period - La période calculée.
+ * @returns {object} Les variables de prompt { period, transits }, dans la langue du contenu.
  */
-function createComfyUIVideoResultHTML(result) {
-    return `
-        <div class="video-preview">
-            <h3 style="color: #FFD700;">🎬 Vidéo générée avec ComfyUI !</h3>
-            <p><strong>Signe:</strong> ${result.sign_name} ${signSymbols[result.sign]}</p>
-            <p><strong>Chemin:</strong> ${result.video_path}</p>
-            <p><strong>Taille:</strong> ${formatFileSize(result.file_size)}</p>
-            <div class="video-actions">
-                <a href="/api/comfyui/download_video/${result.video_path.split('/').pop()}" download class="astro-button">📥 Télécharger</a>
-            </div>
-        </div>`;
+function buildPeriodPromptVariables(period) {
+    const language = getContentLanguage();
+    const transits = period.highlights.map(event => `${formatTransitEvent(event, language)} (${toLocalDateKey(event.date)})`);
+    return {
+        period: describePeriod(period.range, language),
+        transits: transits.length > 0 ? transits.join(' ; ') : translate(language, 'llm.noTransits')
+    };
 }
 
 /**
- * Helper pour créer le HTML du résultat d'un batch ComfyUI.
- * @param {object} data - L'objet de données complet de l'API.
- * @returns {string} Le code HTML à afficher.
+ * Champs de la période joints aux requêtes d'horoscope.
+ * @param {object} period - La période calculée.
+ * @returns {object} { period: { type, start, end }, transits: [{ type, date, sign, label }] }.
  */
-function createComfyUIBatchResultHTML(data) {
-    let resultsList = data.results.map(res => 
-        `<li class="${res.success ? 'success' : 'error'}">
-            <strong>${signNames[res.sign]}:</strong> 
-            ${res.success ? `Réussi (${formatFileSize(res.result.file_size)})` : `Échoué - ${res.error}`}
-        </li>`
-    ).join('');
+function buildPeriodParams(period) {
+    return {
+        period: { type: period.range.period, start: period.range.start, end: period.range.end },
+        transits: period.highlights.map(event => ({
+            type: event.type,
+            date: event.date.toISOString(),
+            sign: event.sign || null,
+            label: formatTransitEvent(event)
+        }))
+    };
+}
+
+/**
+ * @param {object} range - La plage { period, start, end }.
+ * @returns {string} Le libellé affiché (ex: « Semaine · 2026-10-19 → 2026-10-25 »).
+ */
+function formatPeriodRange(range) {
+    return range.period === 'day'
+        ? range.start
+        : `${t(`period.${range.period}`)} · ${range.start} → ${range.end}`;
+}
+
+/**
+ * Temps forts d'un signe ; aucun pour un horoscope du jour, dont l'affichage ne change pas.
+ * @param {object} period - La période calculée.
+ * @param {string} sign - La clé du signe.
+ * @returns {object[]} Les événements.
+ */
+function getSignPeriodHighlights(period, sign) {
+    return period.range.period === 'day' ? [] : selectSignHighlights(period.events, sign, period.range.period);
+}
 
+/**
+ * Crée la liste HTML de transits marquants.
+ * @param {object[]} events - Les événements.
+ * @param {string} [title] - Le titre de la liste.
+ * @returns {string} La chaîne de caractères HTML (vide sans événement).
+ */
+function createTransitHighlightsHTML(events, title = t('period.signHighlights')) {
+    if (events.length === 0) return '';
+    const items = events.map(event => `
+        <li class="period-highlight ${event.type}">
+            <span class="period-highlight-date">${escapeHtml(toLocalDateKey(event.date))}</span>
+            ${TRANSIT_EVENT_TYPES[event.type].icon} ${escapeHtml(formatTransitEvent(event))}
+        </li>`).join('');
     return `
-        <div class="horoscope-result">
-            <h3 style="color: #00ff41;">Batch ComfyUI Terminé !</h3>
-            <p>${data.message}</p>
-            <ul class="batch-results-list">${resultsList}</ul>
+        <div class="period-highlights">
+            <h4 class="action-group-title">${escapeHtml(title)}</h4>
+            <ul>${items}</ul>
         </div>`;
 }
 
+/**
+ * Crée le résumé d'une période : sa plage et ses transits marquants.
+ * @param {object} period - La période calculée.
+ * @returns {string} La chaîne de caractères HTML (vide pour un horoscope du jour).
+ */
+function createPeriodSummaryHTML(period) {
+    if (period.range.period === 'day') return '';
+    return `
+        <div class="horoscope-result period-summary">
+            <h3>📅 ${escapeHtml(formatPeriodRange(period.range))}</h3>
+            ${createTransitHighlightsHTML(period.highlights, t('period.highlights'))}
+        </div>`;
+}
 
 
 /**
@@ -977,14 +6394,35 @@ document.addEventListener('DOMContentLoaded', function() {
         const input = document.getElementById(id);
         if (input) input.value = today;
     });
+    // Fuseau horaire du navigateur par défaut pour la carte du ciel
+    const utcOffsetInput = document.getElementById('astrochart-utc-offset');
+    if (utcOffsetInput) utcOffsetInput.value = -new Date().getTimezoneOffset() / 60;
 
-    // Lance les initialisations
+    // Lance les initialisations (la langue d'abord : elle traduit la page)
+    initializeLanguage();
+    initializeNotifications();
+    initializeConnectionProfiles();
+    initializeDemoMode();
+    initializeApiClient();
     loadAvailableModels();
     initializeEventListeners();
+    initializePromptLibrary();
+    initializeChatThreads();
+    initializeNatalProfiles();
+    initializeCompatibility();
+    initializeTransitCalendar();
+    initializeArchive();
+    initializeDailyExports();
+    initializeModelComparison();
+    initializePublisherConfig();
+    initializePublishScheduler();
+    initializeMediaGallery();
+    initializeVariations();
+    initializeServiceMonitor();
     setupResponsiveHandlers();
-    checkSystemHealth().then(isHealthy => {
-        console.log(`🩺 Bilan de santé du système: ${isHealthy ? 'OK' : 'Dégradé'}`);
-    });
+    resumeActiveJob();
+    // En dernier : la route peut relancer une requête qui dépend des sections initialisées.
+    initializeRouter();
 
     console.log('✅ Application initialisée et prête.');
 });
\ No newline at end of file
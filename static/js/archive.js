@@ -0,0 +1,202 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Archive locale des horoscopes
+ *
+ * Auteur: AstroGenAI
+ * Description: Stockage IndexedDB de chaque horoscope généré (signe, date,
+ * modèle, prompt, nombre de mots), recherche plein texte et comparaison mot à
+ * mot de deux générations. Les horoscopes de semaine, de mois ou d'année
+ * gardent leur période et leur date de fin.
+ * =============================================================================
+ */
+
+const ARCHIVE_DB_NAME = 'astroGenArchive';
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = 'horoscopes';
+
+// Au-delà de ce nombre de mots, la comparaison se contente d'un diff ligne à ligne.
+const ARCHIVE_DIFF_MAX_TOKENS = 4000;
+
+// Connexion partagée, ouverte à la première utilisation.
+let archiveDbPromise = null;
+
+/**
+ * Transforme une requête IndexedDB en promesse.
+ * @param {IDBRequest} request - La requête.
+ * @returns {Promise<*>} Le résultat de la requête.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ouvre (et crée si besoin) la base de l'archive.
+ * @returns {Promise<IDBDatabase>} La connexion.
+ */
+function openArchiveDb() {
+    if (archiveDbPromise) return archiveDbPromise;
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB n\'est pas disponible dans ce navigateur.'));
+
+    const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ARCHIVE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('sign', 'sign');
+        store.createIndex('date', 'date');
+        store.createIndex('createdAt', 'createdAt');
+    };
+    archiveDbPromise = promisifyRequest(request).catch(error => {
+        archiveDbPromise = null;
+        throw error;
+    });
+    return archiveDbPromise;
+}
+
+/**
+ * Ouvre le magasin d'objets de l'archive dans une transaction.
+ * @param {string} mode - 'readonly' ou 'readwrite'.
+ * @returns {Promise<IDBObjectStore>} Le magasin.
+ */
+async function getArchiveStore(mode) {
+    const db = await openArchiveDb();
+    return db.transaction(ARCHIVE_STORE, mode).objectStore(ARCHIVE_STORE);
+}
+
+/**
+ * Compte les mots d'un texte.
+ * @param {string} text - Le texte.
+ * @returns {number} Le nombre de mots.
+ */
+function countWords(text) {
+    const words = String(text || '').trim().split(/\s+/);
+    return words[0] ? words.length : 0;
+}
+
+/**
+ * Enregistre un horoscope dans l'archive.
+ * @param {object} entry - { sign, date, model, prompt, template, text, source, wordCount?,
+ *   period?, endDate? } ; `period` et `endDate` décrivent un horoscope de la semaine,
+ *   du mois ou de l'année, qui commence à `date`.
+ * @returns {Promise<number>} L'identifiant de l'entrée créée.
+ */
+async function addArchiveEntry(entry) {
+    const record = {
+        sign: entry.sign,
+        date: entry.date,
+        model: entry.model || '',
+        prompt: entry.prompt || '',
+        template: entry.template || '',
+        text: entry.text,
+        source: entry.source || 'individual',
+        wordCount: entry.wordCount || countWords(entry.text),
+        ...(entry.period ? { period: entry.period, endDate: entry.endDate } : {}),
+        createdAt: new Date().toISOString()
+    };
+    const store = await getArchiveStore('readwrite');
+    return promisifyRequest(store.add(record));
+}
+
+/**
+ * Récupère une entrée de l'archive.
+ * @param {number} id - L'identifiant de l'entrée.
+ * @returns {Promise<object|undefined>} L'entrée.
+ */
+async function getArchiveEntry(id) {
+    const store = await getArchiveStore('readonly');
+    return promisifyRequest(store.get(id));
+}
+
+/**
+ * Supprime une entrée de l'archive.
+ * @param {number} id - L'identifiant de l'entrée.
+ * @returns {Promise<void>}
+ */
+async function deleteArchiveEntry(id) {
+    const store = await getArchiveStore('readwrite');
+    return promisifyRequest(store.delete(id));
+}
+
+/**
+ * Normalise un texte pour la recherche (minuscules, sans accents).
+ * @param {string} text - Le texte.
+ * @returns {string} Le texte normalisé.
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Liste les entrées de l'archive, des plus récentes aux plus anciennes.
+ * Tous les termes de la recherche doivent apparaître dans le texte ou le prompt.
+ * @param {object} [filters] - { sign, from, to, model, query } (dates 'YYYY-MM-DD').
+ * @returns {Promise<object[]>} Les entrées correspondantes.
+ */
+async function getArchiveEntries(filters = {}) {
+    const store = await getArchiveStore('readonly');
+    const entries = await promisifyRequest(store.getAll());
+    const terms = normalizeSearchText(filters.query).split(/\s+/).filter(Boolean);
+
+    return entries
+        .filter(entry => !filters.sign || entry.sign === filters.sign)
+        .filter(entry => !filters.model || entry.model === filters.model)
+        .filter(entry => !filters.from || entry.date >= filters.from)
+        .filter(entry => !filters.to || entry.date <= filters.to)
+        .filter(entry => {
+            if (terms.length === 0) return true;
+            const haystack = normalizeSearchText(`${entry.text} ${entry.prompt}`);
+            return terms.every(term => haystack.includes(term));
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Compare deux textes mot à mot (plus longue sous-séquence commune).
+ * Les espaces sont conservés comme segments pour restituer la mise en page.
+ * @param {string} before - Le texte de référence.
+ * @param {string} after - Le texte comparé.
+ * @returns {object[]} Segments { type: 'same'|'removed'|'added', text }.
+ */
+function diffWords(before, after) {
+    let a = String(before || '').split(/(\s+)/).filter(Boolean);
+    let b = String(after || '').split(/(\s+)/).filter(Boolean);
+    if (a.length + b.length > ARCHIVE_DIFF_MAX_TOKENS) {
+        a = String(before || '').split(/(\n)/);
+        b = String(after || '').split(/(\n)/);
+    }
+
+    // Table des longueurs de sous-séquence commune, remplie depuis la fin.
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) last.text += text;
+        else segments.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return segments;
+}
@@ -0,0 +1,148 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Table des villes et fuseaux horaires
+ *
+ * Auteur: AstroGenAI
+ * Description: Table hors ligne des lieux de naissance proposés dans les
+ * profils natals (coordonnées et fuseau IANA), et conversion d'une heure
+ * locale de naissance en instant UTC. Le décalage horaire historique (heure
+ * d'été comprise) est fourni par la base de fuseaux du navigateur via `Intl`.
+ * =============================================================================
+ */
+
+// Villes disponibles : nom, pays, latitude (nord +), longitude (est +), fuseau IANA.
+const CITY_TABLE = [
+    { name: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, tz: 'Europe/Paris' },
+    { name: 'Marseille', country: 'France', lat: 43.2965, lon: 5.3698, tz: 'Europe/Paris' },
+    { name: 'Lyon', country: 'France', lat: 45.7640, lon: 4.8357, tz: 'Europe/Paris' },
+    { name: 'Toulouse', country: 'France', lat: 43.6047, lon: 1.4442, tz: 'Europe/Paris' },
+    { name: 'Nice', country: 'France', lat: 43.7102, lon: 7.2620, tz: 'Europe/Paris' },
+    { name: 'Nantes', country: 'France', lat: 47.2184, lon: -1.5536, tz: 'Europe/Paris' },
+    { name: 'Strasbourg', country: 'France', lat: 48.5734, lon: 7.7521, tz: 'Europe/Paris' },
+    { name: 'Montpellier', country: 'France', lat: 43.6108, lon: 3.8767, tz: 'Europe/Paris' },
+    { name: 'Bordeaux', country: 'France', lat: 44.8378, lon: -0.5792, tz: 'Europe/Paris' },
+    { name: 'Lille', country: 'France', lat: 50.6292, lon: 3.0573, tz: 'Europe/Paris' },
+    { name: 'Rennes', country: 'France', lat: 48.1173, lon: -1.6778, tz: 'Europe/Paris' },
+    { name: 'Grenoble', country: 'France', lat: 45.1885, lon: 5.7245, tz: 'Europe/Paris' },
+    { name: 'Ajaccio', country: 'France', lat: 41.9192, lon: 8.7386, tz: 'Europe/Paris' },
+    { name: 'Fort-de-France', country: 'Martinique', lat: 14.6161, lon: -61.0588, tz: 'America/Martinique' },
+    { name: 'Pointe-à-Pitre', country: 'Guadeloupe', lat: 16.2411, lon: -61.5331, tz: 'America/Guadeloupe' },
+    { name: 'Saint-Denis', country: 'La Réunion', lat: -20.8821, lon: 55.4507, tz: 'Indian/Reunion' },
+    { name: 'Nouméa', country: 'Nouvelle-Calédonie', lat: -22.2758, lon: 166.4580, tz: 'Pacific/Noumea' },
+    { name: 'Bruxelles', country: 'Belgique', lat: 50.8503, lon: 4.3517, tz: 'Europe/Brussels' },
+    { name: 'Liège', country: 'Belgique', lat: 50.6326, lon: 5.5797, tz: 'Europe/Brussels' },
+    { name: 'Genève', country: 'Suisse', lat: 46.2044, lon: 6.1432, tz: 'Europe/Zurich' },
+    { name: 'Lausanne', country: 'Suisse', lat: 46.5197, lon: 6.6323, tz: 'Europe/Zurich' },
+    { name: 'Zurich', country: 'Suisse', lat: 47.3769, lon: 8.5417, tz: 'Europe/Zurich' },
+    { name: 'Luxembourg', country: 'Luxembourg', lat: 49.6116, lon: 6.1319, tz: 'Europe/Luxembourg' },
+    { name: 'Monaco', country: 'Monaco', lat: 43.7384, lon: 7.4246, tz: 'Europe/Monaco' },
+    { name: 'Montréal', country: 'Canada', lat: 45.5017, lon: -73.5673, tz: 'America/Toronto' },
+    { name: 'Québec', country: 'Canada', lat: 46.8139, lon: -71.2080, tz: 'America/Toronto' },
+    { name: 'Toronto', country: 'Canada', lat: 43.6532, lon: -79.3832, tz: 'America/Toronto' },
+    { name: 'Vancouver', country: 'Canada', lat: 49.2827, lon: -123.1207, tz: 'America/Vancouver' },
+    { name: 'New York', country: 'États-Unis', lat: 40.7128, lon: -74.0060, tz: 'America/New_York' },
+    { name: 'Los Angeles', country: 'États-Unis', lat: 34.0522, lon: -118.2437, tz: 'America/Los_Angeles' },
+    { name: 'Chicago', country: 'États-Unis', lat: 41.8781, lon: -87.6298, tz: 'America/Chicago' },
+    { name: 'Miami', country: 'États-Unis', lat: 25.7617, lon: -80.1918, tz: 'America/New_York' },
+    { name: 'Mexico', country: 'Mexique', lat: 19.4326, lon: -99.1332, tz: 'America/Mexico_City' },
+    { name: 'São Paulo', country: 'Brésil', lat: -23.5505, lon: -46.6333, tz: 'America/Sao_Paulo' },
+    { name: 'Rio de Janeiro', country: 'Brésil', lat: -22.9068, lon: -43.1729, tz: 'America/Sao_Paulo' },
+    { name: 'Buenos Aires', country: 'Argentine', lat: -34.6037, lon: -58.3816, tz: 'America/Argentina/Buenos_Aires' },
+    { name: 'Bogotá', country: 'Colombie', lat: 4.7110, lon: -74.0721, tz: 'America/Bogota' },
+    { name: 'Londres', country: 'Royaume-Uni', lat: 51.5074, lon: -0.1278, tz: 'Europe/London' },
+    { name: 'Dublin', country: 'Irlande', lat: 53.3498, lon: -6.2603, tz: 'Europe/Dublin' },
+    { name: 'Madrid', country: 'Espagne', lat: 40.4168, lon: -3.7038, tz: 'Europe/Madrid' },
+    { name: 'Barcelone', country: 'Espagne', lat: 41.3851, lon: 2.1734, tz: 'Europe/Madrid' },
+    { name: 'Lisbonne', country: 'Portugal', lat: 38.7223, lon: -9.1393, tz: 'Europe/Lisbon' },
+    { name: 'Rome', country: 'Italie', lat: 41.9028, lon: 12.4964, tz: 'Europe/Rome' },
+    { name: 'Milan', country: 'Italie', lat: 45.4642, lon: 9.1900, tz: 'Europe/Rome' },
+    { name: 'Berlin', country: 'Allemagne', lat: 52.5200, lon: 13.4050, tz: 'Europe/Berlin' },
+    { name: 'Munich', country: 'Allemagne', lat: 48.1351, lon: 11.5820, tz: 'Europe/Berlin' },
+    { name: 'Hambourg', country: 'Allemagne', lat: 53.5511, lon: 9.9937, tz: 'Europe/Berlin' },
+    { name: 'Vienne', country: 'Autriche', lat: 48.2082, lon: 16.3738, tz: 'Europe/Vienna' },
+    { name: 'Amsterdam', country: 'Pays-Bas', lat: 52.3676, lon: 4.9041, tz: 'Europe/Amsterdam' },
+    { name: 'Varsovie', country: 'Pologne', lat: 52.2297, lon: 21.0122, tz: 'Europe/Warsaw' },
+    { name: 'Prague', country: 'Tchéquie', lat: 50.0755, lon: 14.4378, tz: 'Europe/Prague' },
+    { name: 'Stockholm', country: 'Suède', lat: 59.3293, lon: 18.0686, tz: 'Europe/Stockholm' },
+    { name: 'Athènes', country: 'Grèce', lat: 37.9838, lon: 23.7275, tz: 'Europe/Athens' },
+    { name: 'Istanbul', country: 'Turquie', lat: 41.0082, lon: 28.9784, tz: 'Europe/Istanbul' },
+    { name: 'Moscou', country: 'Russie', lat: 55.7558, lon: 37.6173, tz: 'Europe/Moscow' },
+    { name: 'Casablanca', country: 'Maroc', lat: 33.5731, lon: -7.5898, tz: 'Africa/Casablanca' },
+    { name: 'Rabat', country: 'Maroc', lat: 34.0209, lon: -6.8416, tz: 'Africa/Casablanca' },
+    { name: 'Alger', country: 'Algérie', lat: 36.7538, lon: 3.0588, tz: 'Africa/Algiers' },
+    { name: 'Tunis', country: 'Tunisie', lat: 36.8065, lon: 10.1815, tz: 'Africa/Tunis' },
+    { name: 'Dakar', country: 'Sénégal', lat: 14.7167, lon: -17.4677, tz: 'Africa/Dakar' },
+    { name: 'Abidjan', country: 'Côte d\'Ivoire', lat: 5.3600, lon: -4.0083, tz: 'Africa/Abidjan' },
+    { name: 'Kinshasa', country: 'RD Congo', lat: -4.4419, lon: 15.2663, tz: 'Africa/Kinshasa' },
+    { name: 'Le Caire', country: 'Égypte', lat: 30.0444, lon: 31.2357, tz: 'Africa/Cairo' },
+    { name: 'Johannesburg', country: 'Afrique du Sud', lat: -26.2041, lon: 28.0473, tz: 'Africa/Johannesburg' },
+    { name: 'Dubaï', country: 'Émirats arabes unis', lat: 25.2048, lon: 55.2708, tz: 'Asia/Dubai' },
+    { name: 'Beyrouth', country: 'Liban', lat: 33.8938, lon: 35.5018, tz: 'Asia/Beirut' },
+    { name: 'Mumbai', country: 'Inde', lat: 19.0760, lon: 72.8777, tz: 'Asia/Kolkata' },
+    { name: 'New Delhi', country: 'Inde', lat: 28.6139, lon: 77.2090, tz: 'Asia/Kolkata' },
+    { name: 'Bangkok', country: 'Thaïlande', lat: 13.7563, lon: 100.5018, tz: 'Asia/Bangkok' },
+    { name: 'Hô Chi Minh-Ville', country: 'Viêt Nam', lat: 10.8231, lon: 106.6297, tz: 'Asia/Ho_Chi_Minh' },
+    { name: 'Singapour', country: 'Singapour', lat: 1.3521, lon: 103.8198, tz: 'Asia/Singapore' },
+    { name: 'Hong Kong', country: 'Chine', lat: 22.3193, lon: 114.1694, tz: 'Asia/Hong_Kong' },
+    { name: 'Pékin', country: 'Chine', lat: 39.9042, lon: 116.4074, tz: 'Asia/Shanghai' },
+    { name: 'Shanghai', country: 'Chine', lat: 31.2304, lon: 121.4737, tz: 'Asia/Shanghai' },
+    { name: 'Séoul', country: 'Corée du Sud', lat: 37.5665, lon: 126.9780, tz: 'Asia/Seoul' },
+    { name: 'Tokyo', country: 'Japon', lat: 35.6762, lon: 139.6503, tz: 'Asia/Tokyo' },
+    { name: 'Sydney', country: 'Australie', lat: -33.8688, lon: 151.2093, tz: 'Australia/Sydney' },
+    { name: 'Melbourne', country: 'Australie', lat: -37.8136, lon: 144.9631, tz: 'Australia/Melbourne' },
+    { name: 'Auckland', country: 'Nouvelle-Zélande', lat: -36.8485, lon: 174.7633, tz: 'Pacific/Auckland' }
+];
+
+/**
+ * Retourne le libellé affiché d'une ville (ex: "Paris, France").
+ * @param {object} city - Une entrée de `CITY_TABLE`.
+ * @returns {string} Le libellé.
+ */
+function getCityLabel(city) {
+    return `${city.name}, ${city.country}`;
+}
+
+/**
+ * Retrouve une ville à partir de son libellé.
+ * @param {string} label - Le libellé (ex: "Paris, France").
+ * @returns {object|undefined} La ville correspondante.
+ */
+function findCityByLabel(label) {
+    return CITY_TABLE.find(city => getCityLabel(city) === label);
+}
+
+/**
+ * Calcule le décalage d'un fuseau par rapport à UTC à un instant donné.
+ * @param {string} timeZone - Le fuseau IANA (ex: 'Europe/Paris').
+ * @param {Date} date - L'instant.
+ * @returns {number} Le décalage en heures (ex: 2 pour UTC+2).
+ */
+function getTimeZoneOffsetHours(timeZone, date) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return (asUtc - Math.floor(date.getTime() / 1000) * 1000) / 3600000;
+}
+
+/**
+ * Convertit une date et une heure locales d'un fuseau en instant UTC.
+ * @param {string} dateString - La date 'YYYY-MM-DD'.
+ * @param {string} timeString - L'heure 'HH:MM'.
+ * @param {string} timeZone - Le fuseau IANA du lieu.
+ * @returns {Date} L'instant UTC.
+ */
+function zonedTimeToUtc(dateString, timeString, timeZone) {
+    // L'heure locale est d'abord lue comme de l'UTC, puis corrigée avec le
+    // décalage du fuseau ; le second passage gère les changements d'heure.
+    let guess = buildUtcDate(dateString, timeString, 0);
+    for (let pass = 0; pass < 2; pass++) {
+        guess = buildUtcDate(dateString, timeString, getTimeZoneOffsetHours(timeZone, guess));
+    }
+    return guess;
+}
@@ -0,0 +1,192 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Compatibilité
+ *
+ * Auteur: AstroGenAI
+ * Description: Compatibilité entre deux signes ou deux thèmes natals :
+ * harmonie des éléments et des modalités, relation entre les signes selon
+ * leur distance dans le zodiaque et, avec les données de naissance, aspects
+ * croisés entre les deux thèmes (synastrie), calculés avec findAspects
+ * (ephemeris.js). Produit aussi le résumé chiffré transmis au prompt de
+ * lecture.
+ * =============================================================================
+ */
+
+// Élément et modalité de chaque signe, dans l'ordre de ZODIAC_ORDER.
+const COMPATIBILITY_ELEMENTS = ['fire', 'earth', 'air', 'water'];
+const COMPATIBILITY_MODALITIES = ['cardinal', 'fixed', 'mutable'];
+
+// Harmonie entre deux éléments (0 à 100) : le feu et l'air, la terre et l'eau se soutiennent.
+const ELEMENT_HARMONY = {
+    fire: { fire: 85, earth: 40, air: 90, water: 35 },
+    earth: { fire: 40, earth: 80, air: 45, water: 90 },
+    air: { fire: 90, earth: 45, air: 80, water: 40 },
+    water: { fire: 35, earth: 90, air: 40, water: 85 }
+};
+
+// Harmonie entre deux modalités : deux signes cardinaux ou fixes se disputent la direction.
+const MODALITY_HARMONY = {
+    same: { cardinal: 55, fixed: 50, mutable: 75 },
+    different: 75
+};
+
+// Relation entre deux signes selon leur écart (en signes, de 0 à 6).
+const SIGN_RELATIONS = [
+    { distance: 0, key: 'conjunction', score: 85 },
+    { distance: 1, key: 'semisextile', score: 55 },
+    { distance: 2, key: 'sextile', score: 80 },
+    { distance: 3, key: 'square', score: 40 },
+    { distance: 4, key: 'trine', score: 95 },
+    { distance: 5, key: 'quincunx', score: 45 },
+    { distance: 6, key: 'opposition', score: 65 }
+];
+
+// Nature des aspects croisés entre deux thèmes (-1 tendu à +1 harmonieux).
+const SYNASTRY_ASPECT_TONES = { conjunction: 0.6, sextile: 0.8, square: -0.7, trine: 1, opposition: -0.4 };
+
+// Poids des astres dans la synastrie : les astres personnels comptent davantage.
+const SYNASTRY_BODY_WEIGHTS = {
+    sun: 3, moon: 3, venus: 3, mars: 2.5, mercury: 2,
+    jupiter: 1.5, saturn: 1.5, uranus: 0.5, neptune: 0.5, pluto: 0.5
+};
+
+// Poids de chaque critère dans le score global, sans puis avec synastrie.
+const COMPATIBILITY_WEIGHTS = {
+    signs: { element: 0.4, modality: 0.2, relation: 0.4 },
+    synastry: { element: 0.2, modality: 0.1, relation: 0.2, synastry: 0.5 }
+};
+
+// Nombre d'aspects croisés conservés pour l'affichage et la lecture.
+const SYNASTRY_ASPECT_LIMIT = 8;
+
+/**
+ * @param {string} sign - La clé du signe.
+ * @returns {string} Son élément (fire, earth, air, water).
+ */
+function getSignElement(sign) {
+    return COMPATIBILITY_ELEMENTS[ZODIAC_ORDER.indexOf(sign) % 4];
+}
+
+/**
+ * @param {string} sign - La clé du signe.
+ * @returns {string} Sa modalité (cardinal, fixed, mutable).
+ */
+function getSignModality(sign) {
+    return COMPATIBILITY_MODALITIES[ZODIAC_ORDER.indexOf(sign) % 3];
+}
+
+/**
+ * Relation entre deux signes selon leur écart le plus court dans le zodiaque.
+ * @param {string} signA - Le premier signe.
+ * @param {string} signB - Le second signe.
+ * @returns {object} { distance, key, score }.
+ */
+function getSignRelation(signA, signB) {
+    const gap = Math.abs(ZODIAC_ORDER.indexOf(signA) - ZODIAC_ORDER.indexOf(signB));
+    return SIGN_RELATIONS[Math.min(gap, 12 - gap)];
+}
+
+/**
+ * Score de synastrie à partir des aspects croisés entre les astres des deux thèmes.
+ * Chaque aspect pèse selon les astres concernés et la précision de l'orbe.
+ * @param {object[]} planetsA - Les astres du premier thème ({ key, name, symbol, longitude }).
+ * @param {object[]} planetsB - Les astres du second thème.
+ * @returns {object} { score (0 à 100), aspects } avec les aspects les plus marquants d'abord.
+ */
+function computeSynastry(planetsA, planetsB) {
+    let balance = 0;
+    let total = 0;
+    const aspects = findAspects(planetsA, planetsB).map(aspect => {
+        const weight = (SYNASTRY_BODY_WEIGHTS[aspect.from.key] || 1) * (SYNASTRY_BODY_WEIGHTS[aspect.to.key] || 1)
+            * (1 - aspect.orb / (aspect.type.orb + 1));
+        const tone = SYNASTRY_ASPECT_TONES[aspect.type.key];
+        balance += tone * weight;
+        total += weight;
+        return { ...aspect, weight, tone };
+    });
+
+    // Sans aspect, la synastrie reste neutre ; sinon le solde va de -1 (tendu) à +1 (harmonieux).
+    const score = total ? Math.round(50 + 50 * balance / total) : 50;
+    return {
+        score,
+        aspects: aspects.sort((a, b) => b.weight - a.weight).slice(0, SYNASTRY_ASPECT_LIMIT)
+    };
+}
+
+/**
+ * Calcule la compatibilité d'un duo.
+ * @param {object} pair - { signA, signB, planetsA?, planetsB? } ; les astres des
+ *   deux thèmes ajoutent la synastrie au score.
+ * @returns {object} { score, relation, elements, modalities, breakdown: [{ key, score, weight }], aspects }.
+ */
+function computeCompatibility(pair) {
+    const { signA, signB, planetsA, planetsB } = pair;
+    const elementA = getSignElement(signA);
+    const elementB = getSignElement(signB);
+    const modalityA = getSignModality(signA);
+    const modalityB = getSignModality(signB);
+    const relation = getSignRelation(signA, signB);
+
+    const scores = {
+        element: ELEMENT_HARMONY[elementA][elementB],
+        modality: modalityA === modalityB ? MODALITY_HARMONY.same[modalityA] : MODALITY_HARMONY.different,
+        relation: relation.score
+    };
+    let aspects = [];
+    if (planetsA?.length && planetsB?.length) {
+        const synastry = computeSynastry(planetsA, planetsB);
+        scores.synastry = synastry.score;
+        aspects = synastry.aspects;
+    }
+
+    const weights = COMPATIBILITY_WEIGHTS['synastry' in scores ? 'synastry' : 'signs'];
+    const breakdown = Object.keys(weights).map(key => ({ key, score: scores[key], weight: weights[key] }));
+    return {
+        score: Math.round(breakdown.reduce((sum, item) => sum + item.score * item.weight, 0)),
+        relation,
+        elements: [elementA, elementB],
+        modalities: [modalityA, modalityB],
+        breakdown,
+        aspects
+    };
+}
+
+/**
+ * Résumé textuel d'une compatibilité, pour la variable {compatibility} des prompts.
+ * @param {object} result - Le résultat de `computeCompatibility`.
+ * @param {string[]} names - Les noms des deux partenaires.
+ * @param {string} [language] - La langue du contenu généré.
+ * @returns {string} Le résumé.
+ */
+function describeCompatibility(result, names, language = I18N_DEFAULT_LANGUAGE) {
+    const label = (key, params) => translate(language, key, params);
+    const pair = keys => label('llm.compat.and', { first: keys[0], second: keys[1] });
+    const scores = Object.fromEntries(result.breakdown.map(item => [item.key, item.score]));
+    const parts = [
+        label('llm.compat.score', { score: result.score }),
+        label('llm.compat.elements', {
+            elements: pair(result.elements.map(key => label(`compat.element.${key}`))),
+            score: scores.element
+        }),
+        label('llm.compat.modalities', {
+            modalities: pair(result.modalities.map(key => label(`compat.modality.${key}`))),
+            score: scores.modality
+        }),
+        label('llm.compat.relation', { relation: label(`compat.relation.${result.relation.key}`), score: scores.relation })
+    ];
+    if ('synastry' in scores) {
+        const aspects = result.aspects.map(aspect => label('llm.compat.aspect', {
+            from: label(`planet.${aspect.from.key}`),
+            nameA: names[0],
+            symbol: aspect.type.symbol,
+            to: label(`planet.${aspect.to.key}`),
+            nameB: names[1],
+            aspect: label(`aspect.${aspect.type.key}`),
+            orb: aspect.orb.toFixed(1)
+        }));
+        parts.push(aspects.length
+            ? label('llm.compat.synastry', { score: scores.synastry, aspects: aspects.join(' ; ') })
+            : label('llm.compat.noAspects', { score: scores.synastry }));
+    }
+    return parts.join(' ; ');
+}
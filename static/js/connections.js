@@ -0,0 +1,115 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Profils de connexion
+ *
+ * Auteur: AstroGenAI
+ * Description: Profils de connexion au backend : URL de base et en-tête de
+ * clé d'API de l'API principale, avec des remplacements pour les routes du
+ * chat et des modèles (serveur Ollama partagé) et pour les routes ComfyUI et
+ * vidéo (machine GPU). Résout l'URL et les en-têtes de chaque appel ; un
+ * profil sans URL garde les chemins relatifs du même domaine.
+ * =============================================================================
+ */
+
+// Groupes de routes : 'api' (tout le reste) et les groupes qui peuvent viser un autre serveur.
+const CONNECTION_GROUPS = ['api', 'chat', 'video'];
+
+// Routes de chaque groupe remplaçable.
+const CONNECTION_GROUP_ROUTES = {
+    chat: [/^\/api\/ollama\//],
+    video: [/^\/api\/comfyui\//, /^\/api\/montage\//, /^\/api\/jobs(\/|$)/]
+};
+
+// Vérification de chaque groupe par le test de connexion.
+const CONNECTION_TESTS = [
+    { group: 'api', endpoint: '/health' },
+    { group: 'chat', endpoint: '/api/ollama/models' },
+    { group: 'video', endpoint: '/api/comfyui/status' }
+];
+
+// Nom d'en-tête HTTP valide (ex: X-API-Key).
+const CONNECTION_HEADER_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+/**
+ * Crée un profil ; sans URL, les appels restent relatifs (même origine que la page).
+ * @param {string} name - Le nom du profil.
+ * @returns {object} { id, name, api, chat, video } où chaque groupe vaut { baseUrl, keyHeader, key }.
+ */
+function createConnectionProfile(name) {
+    return {
+        id: createId('conn'),
+        name: String(name || '').trim(),
+        ...Object.fromEntries(CONNECTION_GROUPS.map(group => [group, { baseUrl: '', keyHeader: '', key: '' }]))
+    };
+}
+
+/**
+ * @param {string} value - L'URL saisie.
+ * @returns {string} L'URL sans espaces ni '/' final.
+ */
+function normalizeBaseUrl(value) {
+    return String(value || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Contrôle un profil.
+ * @param {object} profile - Le profil.
+ * @returns {object[]} Les problèmes { group, field, type } avec type 'required',
+ *   'url' (URL http(s) invalide) ou 'header' (nom d'en-tête invalide ou clé sans en-tête).
+ */
+function validateConnectionProfile(profile) {
+    const problems = [];
+    if (!profile.name) problems.push({ group: null, field: 'name', type: 'required' });
+
+    CONNECTION_GROUPS.forEach(group => {
+        const { baseUrl, keyHeader, key } = profile[group];
+        if (baseUrl) {
+            let protocol = null;
+            try {
+                protocol = new URL(baseUrl).protocol;
+            } catch (error) {
+                protocol = null;
+            }
+            if (protocol !== 'http:' && protocol !== 'https:') problems.push({ group, field: 'baseUrl', type: 'url' });
+        }
+        if ((keyHeader && !CONNECTION_HEADER_PATTERN.test(keyHeader)) || (key && !keyHeader)) {
+            problems.push({ group, field: 'keyHeader', type: 'header' });
+        }
+    });
+    return problems;
+}
+
+/**
+ * @param {string} endpoint - Le chemin de l'API (ex: '/api/ollama/chat').
+ * @returns {string} Le groupe de la route.
+ */
+function getConnectionGroup(endpoint) {
+    const path = String(endpoint).split('?')[0];
+    return Object.keys(CONNECTION_GROUP_ROUTES).find(group => CONNECTION_GROUP_ROUTES[group].some(pattern => pattern.test(path))) || 'api';
+}
+
+/**
+ * Serveur visé par un groupe : son remplacement s'il a une URL, sinon l'API principale.
+ * @param {object} profile - Le profil.
+ * @param {string} group - Le groupe.
+ * @returns {object} { baseUrl, keyHeader, key }.
+ */
+function getConnectionTarget(profile, group) {
+    return profile[group]?.baseUrl ? profile[group] : profile.api;
+}
+
+/**
+ * Adresse et en-têtes d'un appel selon le profil.
+ * Les URL absolues (ex: webhook) ne sont pas modifiées.
+ * @param {object|null} profile - Le profil ; null pour des appels relatifs sans en-tête.
+ * @param {string} endpoint - Le chemin de l'API.
+ * @returns {object} { url, headers }.
+ */
+function resolveConnection(profile, endpoint) {
+    if (!profile || /^[a-z][a-z0-9+.-]*:/i.test(endpoint)) return { url: endpoint, headers: {} };
+    const target = getConnectionTarget(profile, getConnectionGroup(endpoint));
+    return {
+        url: `${normalizeBaseUrl(target.baseUrl)}${endpoint}`,
+        headers: target.keyHeader && target.key ? { [target.keyHeader]: target.key } : {}
+    };
+}
@@ -0,0 +1,729 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Mode démonstration
+ *
+ * Auteur: AstroGenAI
+ * Description: Backend simulé dans le navigateur, utilisé quand le backend
+ * Flask n'existe pas (site statique GitHub Pages). Il répond aux routes
+ * de l'API avec des données vraisemblables : horoscopes construits à partir
+ * des éphémérides du jour (ephemeris.js), réponses du chat en flux, clips de
+ * constellation enregistrés depuis un canvas, cartes du ciel (skychart.js),
+ * tâches longues dont la progression est simulée et galerie des médias.
+ * Les publications sont refusées. L'activation et le badge sont dans app.js.
+ * =============================================================================
+ */
+
+// Latence simulée (ms) : les générations ne sont pas instantanées.
+const DEMO_LATENCY = { default: 250, generation: 1800 };
+
+// Durée d'un clip de démonstration (s) ; il est enregistré en temps réel.
+const DEMO_CLIP_SECONDS = 6;
+
+// Durée simulée d'une étape d'une tâche, par signe (ms).
+const DEMO_JOB_STEP_MS = 1500;
+
+// Délai entre deux mots d'une réponse du chat (ms).
+const DEMO_CHAT_TOKEN_DELAY = 45;
+
+// Modèles annoncés par le faux Ollama.
+const DEMO_MODELS = [
+    { name: 'demo-astro:8b', size: 4661224676 },
+    { name: 'demo-astro:3b', size: 2019393189 }
+];
+
+// Formats vidéo : taille du canvas enregistré (réduite pour rester léger).
+const DEMO_VIDEO_FORMATS = {
+    test: [270, 506],
+    youtube_short: [270, 480],
+    tiktok: [270, 480],
+    instagram_reel: [270, 480],
+    square: [360, 360]
+};
+
+// Couleur de chaque élément (feu, terre, air, eau), comme la roue de skychart.js.
+const DEMO_ELEMENT_COLORS = ['#FF6B6B', '#8BC34A', '#FFD700', '#4FC3F7'];
+
+// Textes des horoscopes simulés. Les langues absentes utilisent l'anglais.
+// Marqueurs : {sign}, {planet}, {position} (signe traversé par l'astre).
+// `colon` : ponctuation après un intitulé (espace avant les deux-points en français).
+const DEMO_TEXTS = {
+    fr: {
+        headings: { love: 'Amour', work: 'Travail', wellbeing: 'Bien-être', advice: 'Conseil du jour' },
+        colon: ' :',
+        planets: { moon: 'la Lune', mercury: 'Mercure', venus: 'Vénus', mars: 'Mars' },
+        phases: {
+            new_moon: 'La Nouvelle Lune ouvre un cycle : semez une intention simple et tenez-la.',
+            waxing_crescent: 'Le premier croissant donne de l\'élan aux projets à peine lancés.',
+            first_quarter: 'Le premier quartier vous met face à un choix : tranchez sans attendre.',
+            waxing_gibbous: 'La Lune gibbeuse croissante invite à peaufiner plutôt qu\'à recommencer.',
+            full_moon: 'La Pleine Lune éclaire ce qui était flou : les émotions parlent fort.',
+            waning_gibbous: 'La Lune décroissante favorise le partage de ce que vous avez appris.',
+            last_quarter: 'Le dernier quartier aide à trier : gardez l\'essentiel, lâchez le reste.',
+            waning_crescent: 'Le dernier croissant appelle au repos avant le prochain départ.'
+        },
+        love: [
+            'Avec {planet} en {position}, les échanges gagnent en douceur. {sign}, osez dire ce que vous ressentez.',
+            '{planet} en {position} réveille votre charme : une rencontre ou un geste inattendu réchauffe la journée.',
+            'Sous {planet} en {position}, l\'écoute compte plus que les grands discours.'
+        ],
+        work: [
+            '{planet} en {position} accélère les décisions. Une idée mise de côté trouve enfin sa place.',
+            'Avec {planet} en {position}, la rigueur paie : terminez ce qui est commencé avant d\'ouvrir un nouveau chantier.',
+            '{planet} en {position} favorise les collaborations. Demandez un avis, il sera précieux.'
+        ],
+        wellbeing: [
+            '{planet} en {position} rend votre énergie changeante : accordez-vous des pauses courtes mais régulières.',
+            'Avec {planet} en {position}, le corps réclame du mouvement. Une marche suffit à remettre les idées en place.',
+            '{planet} en {position} apaise le mental : une soirée calme vous fera du bien.'
+        ],
+        advice: [
+            'Faites une chose à la fois, et faites-la bien.',
+            'Notez trois petites victoires ce soir.',
+            'Répondez au message que vous repoussez depuis des jours.',
+            'Laissez une place à l\'imprévu dans votre agenda.',
+            'Dites non à ce qui vous éparpille.',
+            'Prenez l\'air avant de prendre une décision.'
+        ],
+        chat: [
+            'Bonne question ! D\'après le ciel du jour, {phase}',
+            'Je suis l\'assistant de démonstration : sans backend, mes réponses sont préparées à l\'avance. {phase}',
+            'En astrologie, tout dépend du contexte du thème. Pour aujourd\'hui : {phase}'
+        ],
+        compatibility: {
+            high: '{a} et {b} vibrent sur la même longueur d\'onde : avec {score}/100, le duo se comprend souvent sans un mot.',
+            medium: '{a} et {b} forment un duo contrasté ({score}/100) : vos différences stimulent autant qu\'elles agacent.',
+            low: '{a} et {b} parlent deux langues différentes ({score}/100) : la relation demandera patience et curiosité.'
+        },
+        strengths: [
+            'une complicité qui se nourrit de projets communs.',
+            'la loyauté, même quand tout bouge autour de vous.',
+            'l\'humour, qui désamorce les tensions.'
+        ],
+        frictions: [
+            'le rythme : l\'un avance quand l\'autre temporise.',
+            'les non-dits, qui pèsent plus qu\'une franche discussion.',
+            'le besoin d\'indépendance de chacun.'
+        ],
+        pairHeadings: { strengths: 'Points forts', frictions: 'Point de vigilance' }
+    },
+    en: {
+        headings: { love: 'Love', work: 'Work', wellbeing: 'Well-being', advice: 'Tip of the day' },
+        colon: ':',
+        planets: { moon: 'the Moon', mercury: 'Mercury', venus: 'Venus', mars: 'Mars' },
+        phases: {
+            new_moon: 'The New Moon opens a cycle: plant a simple intention and keep it.',
+            waxing_crescent: 'The waxing crescent gives momentum to projects that have just started.',
+            first_quarter: 'The first quarter puts a choice in front of you: decide without delay.',
+            waxing_gibbous: 'The waxing gibbous Moon invites you to refine rather than start over.',
+            full_moon: 'The Full Moon sheds light on what was unclear: emotions speak loudly.',
+            waning_gibbous: 'The waning Moon favours sharing what you have learned.',
+            last_quarter: 'The last quarter helps you sort things out: keep the essentials, let go of the rest.',
+            waning_crescent: 'The waning crescent calls for rest before the next beginning.'
+        },
+        love: [
+            'With {planet} in {position}, conversations soften. {sign}, dare to say what you feel.',
+            '{planet} in {position} wakes up your charm: a meeting or an unexpected gesture warms the day.',
+            'Under {planet} in {position}, listening matters more than grand speeches.'
+        ],
+        work: [
+            '{planet} in {position} speeds up decisions. An idea you had set aside finally finds its place.',
+            'With {planet} in {position}, thoroughness pays off: finish what you started before opening a new front.',
+            '{planet} in {position} favours teamwork. Ask for advice, it will be valuable.'
+        ],
+        wellbeing: [
+            '{planet} in {position} makes your energy fluctuate: take short but regular breaks.',
+            'With {planet} in {position}, your body asks for movement. A walk is enough to clear your head.',
+            '{planet} in {position} calms the mind: a quiet evening will do you good.'
+        ],
+        advice: [
+            'Do one thing at a time, and do it well.',
+            'Write down three small wins tonight.',
+            'Answer the message you have been putting off for days.',
+            'Leave some room for the unexpected in your schedule.',
+            'Say no to what scatters you.',
+            'Get some fresh air before making a decision.'
+        ],
+        chat: [
+            'Good question! Looking at today\'s sky, {phase}',
+            'I am the demo assistant: without a backend, my answers are prepared in advance. {phase}',
+            'In astrology, everything depends on the chart. For today: {phase}'
+        ],
+        compatibility: {
+            high: '{a} and {b} are on the same wavelength: with {score}/100, this pair often understands each other without a word.',
+            medium: '{a} and {b} make a contrasting pair ({score}/100): your differences stimulate as much as they irritate.',
+            low: '{a} and {b} speak two different languages ({score}/100): the relationship will call for patience and curiosity.'
+        },
+        strengths: [
+            'a bond that grows through shared projects.',
+            'loyalty, even when everything moves around you.',
+            'humour, which defuses tension.'
+        ],
+        frictions: [
+            'pace: one moves forward while the other holds back.',
+            'unspoken things, which weigh more than an honest talk.',
+            'each partner\'s need for independence.'
+        ],
+        pairHeadings: { strengths: 'Strengths', frictions: 'Watch out for' }
+    }
+};
+
+// État du backend simulé, pour la durée de la page.
+const demoBackend = {
+    jobs: {},
+    media: [],
+    mediaSeeded: false
+};
+
+/**
+ * =============================================================================
+ * I. OUTILS
+ * =============================================================================
+ */
+
+/**
+ * Crée un générateur pseudo-aléatoire déterministe (mulberry32) : un même
+ * signe à une même date donne toujours le même horoscope, comme un lien partagé.
+ * @param {string} text - La graine.
+ * @returns {function(): number} Un tirage dans [0, 1[.
+ */
+function createDemoRandom(text) {
+    let state = 0;
+    for (const char of String(text)) state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {any[]} items - Les choix.
+ * @param {function(): number} random - Le générateur.
+ * @returns {any} Un élément tiré au hasard.
+ */
+function pickDemoItem(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * @param {string} language - La langue du contenu.
+ * @returns {string} La langue des textes simulés ('fr' ou 'en').
+ */
+function getDemoTextLanguage(language) {
+    return DEMO_TEXTS[language] ? language : 'en';
+}
+
+/**
+ * @param {string} language - La langue des textes.
+ * @param {string} sign - La clé du signe.
+ * @returns {string} Le nom du signe dans cette langue.
+ */
+function getDemoSignName(language, sign) {
+    return I18N_MESSAGES[language]?.[`sign.${sign}`] || sign;
+}
+
+/**
+ * Attend un délai, interrompu par l'annulation de la requête.
+ * @param {number} delay - L'attente en millisecondes.
+ * @param {AbortSignal} [signal] - Le signal d'annulation.
+ * @returns {Promise<void>}
+ */
+function waitDemo(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Requête annulée', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        if (signal?.aborted) onAbort();
+        else signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * @param {object} data - Le corps de la réponse.
+ * @param {number} [status=200] - Le statut HTTP.
+ * @returns {Response} Une réponse JSON.
+ */
+function createDemoResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * =============================================================================
+ * II. CONTENUS SIMULÉS
+ * =============================================================================
+ */
+
+/**
+ * Construit un horoscope à partir des positions réelles de la Lune, de
+ * Mercure, de Vénus et de Mars à la date demandée.
+ * @param {string} sign - La clé du signe.
+ * @param {string} [date] - La date 'YYYY-MM-DD' ; aujourd'hui si absente.
+ * @param {object} [options] - { language, model }.
+ * @returns {object} L'horoscope au format du backend.
+ */
+function createDemoHoroscope(sign, date, options = {}) {
+    const day = date || new Date().toISOString().split('T')[0];
+    const model = options.model || DEMO_MODELS[0].name;
+    const language = getDemoTextLanguage(options.language);
+    const texts = DEMO_TEXTS[language];
+    const random = createDemoRandom(`${sign}|${day}|${model}`);
+    const sky = getSkySnapshot(day);
+    const signName = getDemoSignName(language, sign);
+
+    const describe = (templates, planetKey) => {
+        const planet = sky.planets.find(body => body.key === planetKey);
+        return pickDemoItem(templates, random)
+            .replace('{planet}', texts.planets[planetKey])
+            .replace('{position}', getDemoSignName(language, planet.sign))
+            .replace('{sign}', signName)
+            .replace(/^./, char => char.toUpperCase());
+    };
+
+    const heading = key => `**${texts.headings[key]}**${texts.colon}`;
+    const horoscope = [
+        `${sky.lunarPhase.emoji} ${texts.phases[sky.lunarPhase.key]}`,
+        `${heading('love')} ${describe(texts.love, 'venus')}`,
+        `${heading('work')} ${describe(texts.work, random() < 0.5 ? 'mars' : 'mercury')}`,
+        `${heading('wellbeing')} ${describe(texts.wellbeing, 'moon')}`,
+        `${heading('advice')} ${pickDemoItem(texts.advice, random)}`
+    ].join('\n\n');
+
+    return {
+        sign: signNames[sign] || sign,
+        date: day,
+        horoscope,
+        word_count: countWords(horoscope),
+        model,
+        demo: true
+    };
+}
+
+/**
+ * Prépare la réponse du chat, fondée sur la phase de la Lune du jour.
+ * @param {string} message - La question.
+ * @param {string} language - La langue du contenu.
+ * @returns {string} La réponse.
+ */
+function createDemoChatReply(message, language) {
+    const texts = DEMO_TEXTS[getDemoTextLanguage(language)];
+    const phase = getLunarPhase(new Date());
+    const random = createDemoRandom(message);
+    return pickDemoItem(texts.chat, random).replace('{phase}', `${phase.emoji} ${texts.phases[phase.key]}`);
+}
+
+/**
+ * Crée une lecture de compatibilité à partir du score calculé par l'application.
+ * @param {object} compatibility - { sign_a, sign_b, name_a, name_b, score }.
+ * @param {string} language - La langue demandée.
+ * @returns {string} La lecture (Markdown).
+ */
+function createDemoCompatibilityReading(compatibility, language) {
+    const texts = DEMO_TEXTS[getDemoTextLanguage(language)];
+    const random = createDemoRandom(`${compatibility.sign_a}|${compatibility.sign_b}`);
+    const tier = compatibility.score >= 70 ? 'high' : compatibility.score >= 50 ? 'medium' : 'low';
+    const name = side => compatibility[`name_${side}`] || getDemoSignName(getDemoTextLanguage(language), compatibility[`sign_${side}`]);
+    const heading = key => `**${texts.pairHeadings[key] || texts.headings[key]}**${texts.colon}`;
+
+    return [
+        `💞 ${texts.compatibility[tier].replace('{a}', name('a')).replace('{b}', name('b')).replace('{score}', compatibility.score)}`,
+        `${heading('strengths')} ${pickDemoItem(texts.strengths, random)}`,
+        `${heading('frictions')} ${pickDemoItem(texts.frictions, random)}`,
+        `${heading('advice')} ${pickDemoItem(texts.advice, random)}`
+    ].join('\n\n');
+}
+
+/**
+ * Découpe un horoscope en segments de sous-titres répartis sur la durée du clip.
+ * @param {string} text - Le texte (Markdown).
+ * @param {number} duration - La durée, en secondes.
+ * @returns {object[]} Les segments { start, end, text }.
+ */
+function createDemoSegments(text, duration) {
+    const sentences = text.replace(/\*\*/g, '').split(/(?<=[.!?:])\s+/).map(part => part.trim()).filter(Boolean);
+    const length = duration / Math.max(1, sentences.length);
+    return sentences.map((sentence, index) => ({
+        start: Math.round(index * length * 10) / 10,
+        end: Math.round((index + 1) * length * 10) / 10,
+        text: sentence
+    }));
+}
+
+/**
+ * Enregistre un clip de constellation : ciel étoilé tiré du seed, symbole du
+ * signe qui pulse, aux couleurs de son élément. L'enregistrement (canvas +
+ * MediaRecorder) se fait en temps réel.
+ * @param {object} options - { sign, format, seed, signal }.
+ * @returns {Promise<object>} { url, size, duration, extension }.
+ */
+async function renderDemoClip(options) {
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+        throw new Error(t('demo.clipUnsupported'));
+    }
+    const [width, height] = DEMO_VIDEO_FORMATS[options.format] || DEMO_VIDEO_FORMATS.test;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const random = createDemoRandom(`${options.sign}|${options.seed}`);
+    const color = DEMO_ELEMENT_COLORS[ZODIAC_ORDER.indexOf(options.sign) % 4] || '#8A2BE2';
+    const stars = Array.from({ length: 90 }, () => ({
+        x: random() * width, y: random() * height, size: 0.5 + random() * 1.8, phase: random() * Math.PI * 2
+    }));
+
+    const drawFrame = (time) => {
+        const gradient = context.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, '#0c0c1e');
+        gradient.addColorStop(1, '#1a1240');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+
+        stars.forEach(star => {
+            context.globalAlpha = 0.4 + 0.6 * Math.abs(Math.sin(time * 1.5 + star.phase));
+            context.fillStyle = '#ffffff';
+            context.beginPath();
+            context.arc((star.x + time * 4) % width, star.y, star.size, 0, Math.PI * 2);
+            context.fill();
+        });
+        context.globalAlpha = 1;
+
+        context.shadowColor = color;
+        context.shadowBlur = 20 + 15 * Math.sin(time * 2);
+        context.fillStyle = color;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = `${Math.round(width * 0.4)}px 'Segoe UI Symbol', 'DejaVu Sans', sans-serif`;
+        context.fillText(signSymbols[options.sign] || '✨', width / 2, height / 2);
+        context.shadowBlur = 0;
+        context.font = `${Math.round(width * 0.08)}px sans-serif`;
+        context.fillStyle = '#FFD700';
+        context.fillText(signNames[options.sign] || options.sign, width / 2, height * 0.8);
+    };
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'].find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.ondataavailable = event => { if (event.data.size > 0) chunks.push(event.data); };
+
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    const start = performance.now();
+    drawFrame(0);
+    recorder.start();
+    // setInterval plutôt que requestAnimationFrame : l'enregistrement continue dans un onglet en arrière-plan.
+    const timer = setInterval(() => drawFrame((performance.now() - start) / 1000), 1000 / 30);
+    try {
+        await waitDemo(DEMO_CLIP_SECONDS * 1000, options.signal);
+    } finally {
+        clearInterval(timer);
+        recorder.stop();
+        await stopped;
+    }
+
+    const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+    return {
+        url: URL.createObjectURL(blob),
+        size: blob.size,
+        duration: DEMO_CLIP_SECONDS,
+        extension: blob.type.includes('mp4') ? 'mp4' : 'webm'
+    };
+}
+
+/**
+ * Ajoute à la galerie simulée la carte du ciel du jour (Paris, midi).
+ */
+function seedDemoMedia() {
+    if (demoBackend.mediaSeeded) return;
+    demoBackend.mediaSeeded = true;
+    const date = new Date().toISOString().split('T')[0];
+    const chart = computeChart(buildUtcDate(date, '12:00', 0), 48.8566, 2.3522);
+    const blob = new Blob([renderSkyChartSVG(chart, { signNames })], { type: 'image/svg+xml' });
+    demoBackend.media.push({
+        id: `demo_chart_${date}`,
+        type: 'chart',
+        date,
+        format: 'svg',
+        url: URL.createObjectURL(blob),
+        file_name: `carte_du_ciel_${date}.svg`,
+        file_size: blob.size,
+        created_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Ajoute un clip ou un montage à la galerie simulée.
+ * @param {object} clip - Le résultat de `renderDemoClip`.
+ * @param {object} details - { type, sign, format, seed, prompt, date }.
+ * @returns {object} Le média.
+ */
+function addDemoMedia(clip, details) {
+    const id = createId(`demo_${details.type}`);
+    const item = {
+        id,
+        ...details,
+        date: details.date || new Date().toISOString().split('T')[0],
+        url: clip.url,
+        file_name: `${id}.${clip.extension}`,
+        file_size: clip.size,
+        duration: clip.duration,
+        created_at: new Date().toISOString()
+    };
+    demoBackend.media.unshift(item);
+    return item;
+}
+
+/**
+ * =============================================================================
+ * III. TÂCHES LONGUES
+ * =============================================================================
+ */
+
+/**
+ * Crée une tâche simulée. Les tâches d'un seul signe enregistrent un vrai
+ * clip pour que le lecteur et l'éditeur de montage aient une vidéo à lire.
+ * @param {string} type - Le type de tâche.
+ * @param {object} params - Les paramètres.
+ * @returns {object} La tâche.
+ */
+function createDemoJob(type, params) {
+    const job = {
+        id: createId('demo_job'),
+        type,
+        params,
+        signs: params.sign ? [params.sign] : [...ZODIAC_ORDER],
+        stages: JOB_TYPE_STAGES[type] || JOB_STAGES,
+        startedAt: Date.now(),
+        cancelledAt: null,
+        clip: null,
+        clipError: null
+    };
+    if (params.sign) {
+        renderDemoClip({ sign: params.sign, format: params.format, seed: job.id })
+            .then(clip => { job.clip = clip; })
+            .catch(error => { job.clipError = error.message; });
+    }
+    demoBackend.jobs[job.id] = job;
+    return job;
+}
+
+/**
+ * Résultat d'une tâche terminée, au format du backend.
+ * @param {object} job - La tâche.
+ * @returns {object} Le résultat.
+ */
+function createDemoJobResult(job) {
+    const { params } = job;
+    if (job.type === 'comfyui_batch') {
+        return {
+            message: t('demo.batchDone', { count: job.signs.length }),
+            results: job.signs.map(sign => ({ sign, success: true, result: { file_size: 1800000 + sign.length * 41000 } }))
+        };
+    }
+    if (job.type === 'batch_complete_generation') {
+        return { summary: { message: t('demo.batchDone', { count: job.signs.length }) } };
+    }
+
+    const text = params.horoscope_text || createDemoHoroscope(params.sign, null, { language: params.language }).horoscope;
+    const duration = params.trim ? Math.max(0.1, params.trim.end - params.trim.start) : job.clip.duration;
+    const item = addDemoMedia(job.clip, { type: 'montage', sign: params.sign, format: params.format });
+    return {
+        format: params.format,
+        workflow_results: {
+            synchronized_video: {
+                video_path: `demo/montages/${item.file_name}`,
+                video_url: job.clip.url,
+                file_size: job.clip.size,
+                transcription: {
+                    duration,
+                    segments: params.subtitles || createDemoSegments(text, duration)
+                }
+            }
+        }
+    };
+}
+
+/**
+ * État courant d'une tâche simulée, calculé d'après le temps écoulé :
+ * chaque signe franchit ses étapes l'une après l'autre.
+ * @param {object} job - La tâche.
+ * @returns {object} L'état au format du backend { id, type, params, status, signs, result, error }.
+ */
+function getDemoJobState(job) {
+    const elapsed = (job.cancelledAt || Date.now()) - job.startedAt;
+    const total = job.signs.length * job.stages.length;
+    const waitingForClip = job.params.sign && !job.clip && !job.clipError;
+    // Le clip s'enregistre en temps réel : la dernière étape attend qu'il soit prêt.
+    const step = Math.min(elapsed / DEMO_JOB_STEP_MS, waitingForClip ? total - 0.01 : total);
+
+    const signs = Object.fromEntries(job.signs.map((sign, index) => {
+        const signStep = step - index * job.stages.length;
+        if (signStep >= job.stages.length) return [sign, { status: 'done', stage: job.stages[job.stages.length - 1], progress: 100 }];
+        if (signStep < 0) return [sign, { status: 'pending' }];
+        const stageIndex = Math.floor(signStep);
+        return [sign, {
+            status: job.cancelledAt ? 'cancelled' : 'running',
+            stage: job.stages[stageIndex],
+            progress: Math.round((signStep / job.stages.length) * 100)
+        }];
+    }));
+
+    const state = { id: job.id, type: job.type, params: job.params, signs, result: null, error: null };
+    if (job.cancelledAt) return { ...state, status: 'cancelled' };
+    if (step < total) return { ...state, status: 'running' };
+    if (job.clipError) return { ...state, status: 'failed', error: job.clipError };
+    if (!job.result) job.result = createDemoJobResult(job);
+    return { ...state, status: 'completed', result: job.result };
+}
+
+/**
+ * =============================================================================
+ * IV. ROUTES SIMULÉES
+ * =============================================================================
+ */
+
+/**
+ * Flux de la réponse du chat, mot par mot, au format NDJSON d'Ollama.
+ * @param {string} reply - La réponse complète.
+ * @param {AbortSignal} [signal] - Le signal d'annulation.
+ * @returns {Response} La réponse en flux.
+ */
+function createDemoChatStream(reply, signal) {
+    const encoder = new TextEncoder();
+    const tokens = reply.split(/(?<=\s)/);
+    const body = new ReadableStream({
+        async start(controller) {
+            try {
+                for (const token of tokens) {
+                    await waitDemo(DEMO_CHAT_TOKEN_DELAY, signal);
+                    controller.enqueue(encoder.encode(`${JSON.stringify({ message: { content: token } })}\n`));
+                }
+                controller.close();
+            } catch (error) {
+                controller.error(error);
+            }
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/x-ndjson' } });
+}
+
+/**
+ * Génère un clip ComfyUI simulé.
+ * @param {object} body - Le corps de la requête.
+ * @param {AbortSignal} [signal] - Le signal d'annulation.
+ * @returns {Promise<object>} La réponse au format du backend.
+ */
+async function generateDemoVideo(body, signal) {
+    const seed = Number.isInteger(body.seed) ? body.seed : randomSeed();
+    const clip = await renderDemoClip({ sign: body.sign, format: body.format, seed, signal });
+    const item = addDemoMedia(clip, { type: 'clip', sign: body.sign, format: body.format, seed, prompt: body.custom_prompt || '' });
+    return {
+        success: true,
+        result: {
+            sign: body.sign,
+            sign_name: signNames[body.sign] || body.sign,
+            format: body.format,
+            seed,
+            video_path: `demo/clips/${item.file_name}`,
+            video_url: clip.url,
+            file_size: clip.size
+        }
+    };
+}
+
+// Routes : [méthode, motif du chemin, latence, gestionnaire({ match, body, query, signal })].
+const DEMO_ROUTES = [
+    ['GET', /^\/health$/, 'default', () => ({ status: 'healthy', demo: true })],
+    ['GET', /^\/api\/ollama\/models$/, 'default', () => ({ success: true, models: DEMO_MODELS })],
+    ['POST', /^\/api\/generate_single_horoscope$/, 'generation', ({ body }) => ({
+        success: true,
+        result: createDemoHoroscope(body.sign, body.date, { language: body.language, model: body.model })
+    })],
+    ['POST', /^\/api\/generate_daily_horoscopes$/, 'generation', ({ body }) => ({
+        success: true,
+        result: {
+            date: body.date,
+            horoscopes: Object.fromEntries(ZODIAC_ORDER.map(sign => [sign, createDemoHoroscope(sign, body.date, { language: body.language })]))
+        }
+    })],
+    ['POST', /^\/api\/ollama\/chat$/, 'default', ({ body, signal }) => createDemoChatStream(body.compatibility
+        ? createDemoCompatibilityReading(body.compatibility, body.language)
+        : createDemoChatReply(body.message, body.language), signal)],
+    ['GET', /^\/api\/comfyui\/status$/, 'default', () => ({
+        success: true,
+        connected: true,
+        server: 'demo',
+        workflow_ready: true,
+        available_formats: Object.keys(DEMO_VIDEO_FORMATS)
+    })],
+    ['POST', /^\/api\/comfyui\/generate_video$/, 'default', ({ body, signal }) => generateDemoVideo(body, signal)],
+    ['POST', /^\/api\/jobs$/, 'default', ({ body }) => {
+        const job = createDemoJob(body.type, body.params || {});
+        return { success: true, job_id: job.id, job: getDemoJobState(job) };
+    }],
+    ['GET', /^\/api\/jobs\/([^/]+)$/, 'default', ({ match }) => {
+        const job = demoBackend.jobs[match[1]];
+        return job ? { success: true, job: getDemoJobState(job) } : createDemoResponse({ success: false, error: t('demo.jobNotFound') }, 404);
+    }],
+    ['POST', /^\/api\/jobs\/([^/]+)\/cancel$/, 'default', ({ match }) => {
+        const job = demoBackend.jobs[match[1]];
+        if (!job) return createDemoResponse({ success: false, error: t('demo.jobNotFound') }, 404);
+        if (getDemoJobState(job).status === 'running') job.cancelledAt = Date.now();
+        return { success: true, job: getDemoJobState(job) };
+    }],
+    ['GET', /^\/api\/media$/, 'default', () => {
+        seedDemoMedia();
+        return { success: true, items: demoBackend.media };
+    }],
+    ['POST', /^\/api\/media\/delete$/, 'default', ({ body }) => {
+        const ids = new Set(body.ids || []);
+        demoBackend.media.filter(item => ids.has(item.id)).forEach(item => URL.revokeObjectURL(item.url));
+        demoBackend.media = demoBackend.media.filter(item => !ids.has(item.id));
+        return { success: true, deleted: ids.size };
+    }]
+];
+
+/**
+ * Répond à une requête à la place du backend. S'utilise comme `fetch`.
+ * Les cibles de publication répondent qu'elles sont désactivées, les
+ * routes inconnues par une erreur 404.
+ * @param {string} endpoint - L'URL de l'API.
+ * @param {object} [options] - Les options de `fetch`.
+ * @returns {Promise<Response>} La réponse simulée.
+ */
+async function handleDemoRequest(endpoint, options = {}) {
+    const url = new URL(endpoint, window.location.href);
+    const method = (options.method || 'GET').toUpperCase();
+    let body = {};
+    try {
+        body = options.body ? JSON.parse(options.body) : {};
+    } catch (error) {
+        return createDemoResponse({ success: false, error: t('api.error.invalidJson', { status: 400 }) }, 400);
+    }
+
+    if (Object.values(PUBLISHERS).some(publisher => url.pathname.startsWith(`${publisher.basePath}/`))) {
+        await waitDemo(DEMO_LATENCY.default, options.signal);
+        return createDemoResponse({ success: false, connected: false, error: t('demo.publishDisabled') });
+    }
+
+    for (const [routeMethod, pattern, latency, handler] of DEMO_ROUTES) {
+        const match = routeMethod === method && pattern.exec(url.pathname);
+        if (!match) continue;
+        await waitDemo(DEMO_LATENCY[latency], options.signal);
+        try {
+            const result = await handler({ match, body, query: url.searchParams, signal: options.signal });
+            return result instanceof Response ? result : createDemoResponse(result);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Erreur du backend de démonstration pour ${url.pathname}:`, error);
+            return createDemoResponse({ success: false, error: error.message }, 500);
+        }
+    }
+
+    await waitDemo(DEMO_LATENCY.default, options.signal);
+    return createDemoResponse({ success: false, error: t('demo.unsupported', { endpoint: url.pathname }) }, 404);
+}
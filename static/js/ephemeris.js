@@ -0,0 +1,788 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Éphémérides côté client
+ *
+ * Auteur: AstroGenAI
+ * Description: Calcul hors ligne des longitudes écliptiques géocentriques du
+ * Soleil, de la Lune et des planètes (Mercure à Pluton), du signe occupé, des
+ * rétrogradations et de la phase lunaire pour n'importe quelle date.
+ *
+ * Méthode: éléments orbitaux moyens et perturbations principales de Paul
+ * Schlyter ("How to compute planetary positions"). Les longitudes sont
+ * rapportées à l'équinoxe de la date (zodiaque tropical). Précision de l'ordre
+ * de 1 à 2 minutes d'arc entre 1900 et 2100, largement suffisante pour placer
+ * un astre dans un signe et détecter ses stations.
+ * =============================================================================
+ */
+
+/**
+ * =============================================================================
+ * I. CONSTANTES
+ * =============================================================================
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Ordre des signes le long de l'écliptique, à partir du point vernal.
+const ZODIAC_ORDER = ['aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo', 'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'];
+
+// Astres calculés, dans l'ordre d'affichage.
+const EPHEMERIS_BODIES = [
+    { key: 'sun', name: 'Soleil', symbol: '☉' },
+    { key: 'moon', name: 'Lune', symbol: '☽' },
+    { key: 'mercury', name: 'Mercure', symbol: '☿' },
+    { key: 'venus', name: 'Vénus', symbol: '♀' },
+    { key: 'mars', name: 'Mars', symbol: '♂' },
+    { key: 'jupiter', name: 'Jupiter', symbol: '♃' },
+    { key: 'saturn', name: 'Saturne', symbol: '♄' },
+    { key: 'uranus', name: 'Uranus', symbol: '♅' },
+    { key: 'neptune', name: 'Neptune', symbol: '♆' },
+    { key: 'pluto', name: 'Pluton', symbol: '♇' }
+];
+
+// Éléments orbitaux [valeur à d = 0, variation par jour] (Schlyter).
+// N: nœud ascendant, i: inclinaison, w: argument du périhélie,
+// a: demi-grand axe (UA), e: excentricité, M: anomalie moyenne.
+const ORBITAL_ELEMENTS = {
+    mercury: { N: [48.3313, 3.24587e-5], i: [7.0047, 5.00e-8], w: [29.1241, 1.01444e-5], a: [0.387098, 0], e: [0.205635, 5.59e-10], M: [168.6562, 4.0923344368] },
+    venus: { N: [76.6799, 2.46590e-5], i: [3.3946, 2.75e-8], w: [54.8910, 1.38374e-5], a: [0.723330, 0], e: [0.006773, -1.302e-9], M: [48.0052, 1.6021302244] },
+    mars: { N: [49.5574, 2.11081e-5], i: [1.8497, -1.78e-8], w: [286.5016, 2.92961e-5], a: [1.523688, 0], e: [0.093405, 2.516e-9], M: [18.6021, 0.5240207766] },
+    jupiter: { N: [100.4542, 2.76854e-5], i: [1.3030, -1.557e-7], w: [273.8777, 1.64505e-5], a: [5.20256, 0], e: [0.048498, 4.469e-9], M: [19.8950, 0.0830853001] },
+    saturn: { N: [113.6634, 2.38980e-5], i: [2.4886, -1.081e-7], w: [339.3939, 2.97661e-5], a: [9.55475, 0], e: [0.055546, -9.499e-9], M: [316.9670, 0.0334442282] },
+    uranus: { N: [74.0005, 1.3978e-5], i: [0.7733, 1.9e-8], w: [96.6612, 3.0565e-5], a: [19.18171, -1.55e-8], e: [0.047318, 7.45e-9], M: [142.5905, 0.011725806] },
+    neptune: { N: [131.7806, 3.0173e-5], i: [1.7700, -2.55e-7], w: [272.8461, -6.027e-6], a: [30.05826, 3.313e-8], e: [0.008606, 2.15e-9], M: [260.2471, 0.005995147] },
+    moon: { N: [125.1228, -0.0529538083], i: [5.1454, 0], w: [318.0634, 0.1643573223], a: [60.2666, 0], e: [0.054900, 0], M: [115.3654, 13.0649929509] },
+    sun: { N: [0, 0], i: [0, 0], w: [282.9404, 4.70935e-5], a: [1, 0], e: [0.016709, -1.151e-9], M: [356.0470, 0.9856002585] }
+};
+
+// Phases lunaires nommées, par tranche de 45° d'élongation Lune-Soleil.
+const LUNAR_PHASES = [
+    { key: 'new_moon', name: 'Nouvelle Lune', emoji: '🌑' },
+    { key: 'waxing_crescent', name: 'Premier croissant', emoji: '🌒' },
+    { key: 'first_quarter', name: 'Premier quartier', emoji: '🌓' },
+    { key: 'waxing_gibbous', name: 'Gibbeuse croissante', emoji: '🌔' },
+    { key: 'full_moon', name: 'Pleine Lune', emoji: '🌕' },
+    { key: 'waning_gibbous', name: 'Gibbeuse décroissante', emoji: '🌖' },
+    { key: 'last_quarter', name: 'Dernier quartier', emoji: '🌗' },
+    { key: 'waning_crescent', name: 'Dernier croissant', emoji: '🌘' }
+];
+
+// Saisons (hémisphère nord), déterminées par la longitude du Soleil.
+const SEASONS = [
+    { key: 'spring', name: 'Printemps', energy: 'Renouveau, élan et nouveaux départs' },
+    { key: 'summer', name: 'Été', energy: 'Expansion, rayonnement et abondance' },
+    { key: 'autumn', name: 'Automne', energy: 'Récolte, bilan et introspection' },
+    { key: 'winter', name: 'Hiver', energy: 'Repos, maturation et préparation' }
+];
+
+/**
+ * =============================================================================
+ * II. OUTILS DE CALCUL
+ * =============================================================================
+ */
+
+/**
+ * Ramène un angle dans l'intervalle [0, 360[.
+ * @param {number} degrees - L'angle en degrés.
+ * @returns {number} L'angle normalisé.
+ */
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Convertit une date en jour julien.
+ * @param {Date} date - La date (instant UTC).
+ * @returns {number} Le jour julien.
+ */
+function dateToJulianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Convertit une date en nombre de jours depuis le 31/12/1999 0h UT,
+ * l'origine des éléments orbitaux de Schlyter.
+ * @param {Date} date - La date.
+ * @returns {number} Le nombre de jours (fractionnaire).
+ */
+function ephemerisDayNumber(date) {
+    return dateToJulianDay(date) - 2451543.5;
+}
+
+/**
+ * Interprète une date de formulaire ('YYYY-MM-DD') ou un objet Date.
+ * Une date sans heure est prise à midi UTC, au milieu de la journée.
+ * @param {string|Date} [value] - La date ; maintenant si absente.
+ * @returns {Date} La date correspondante.
+ */
+function parseEphemerisDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T12:00:00Z`);
+    }
+    return value ? new Date(value) : new Date();
+}
+
+/**
+ * Calcule les éléments orbitaux d'un astre pour un jour donné.
+ * @param {string} key - La clé de l'astre (ex: 'mars').
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {object} Les éléments { N, i, w, a, e, M } (angles en degrés).
+ */
+function getOrbitalElements(key, d) {
+    const elements = {};
+    for (const [name, [base, rate]] of Object.entries(ORBITAL_ELEMENTS[key])) {
+        elements[name] = base + rate * d;
+    }
+    elements.M = normalizeDegrees(elements.M);
+    return elements;
+}
+
+/**
+ * Résout l'équation de Kepler par itérations successives.
+ * @param {number} M - L'anomalie moyenne (degrés).
+ * @param {number} e - L'excentricité.
+ * @returns {number} L'anomalie excentrique (degrés).
+ */
+function solveKepler(M, e) {
+    const m = M * DEG_TO_RAD;
+    let E = m + e * Math.sin(m) * (1 + e * Math.cos(m));
+    for (let iteration = 0; iteration < 10; iteration++) {
+        const delta = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-9) break;
+    }
+    return E * RAD_TO_DEG;
+}
+
+/**
+ * Calcule la position écliptique d'un corps sur son orbite.
+ * @param {object} el - Les éléments orbitaux.
+ * @returns {{lon: number, lat: number, r: number}} Longitude et latitude
+ *   (degrés) et distance (unité du demi-grand axe).
+ */
+function orbitalPosition(el) {
+    const E = solveKepler(el.M, el.e) * DEG_TO_RAD;
+    const xv = el.a * (Math.cos(E) - el.e);
+    const yv = el.a * Math.sqrt(1 - el.e * el.e) * Math.sin(E);
+    const v = Math.atan2(yv, xv) * RAD_TO_DEG;
+    const r = Math.sqrt(xv * xv + yv * yv);
+
+    const N = el.N * DEG_TO_RAD;
+    const i = el.i * DEG_TO_RAD;
+    const vw = (v + el.w) * DEG_TO_RAD;
+    const x = r * (Math.cos(N) * Math.cos(vw) - Math.sin(N) * Math.sin(vw) * Math.cos(i));
+    const y = r * (Math.sin(N) * Math.cos(vw) + Math.cos(N) * Math.sin(vw) * Math.cos(i));
+    const z = r * Math.sin(vw) * Math.sin(i);
+
+    return {
+        lon: normalizeDegrees(Math.atan2(y, x) * RAD_TO_DEG),
+        lat: Math.atan2(z, Math.sqrt(x * x + y * y)) * RAD_TO_DEG,
+        r: Math.sqrt(x * x + y * y + z * z)
+    };
+}
+
+/**
+ * Sinus d'un angle exprimé en degrés.
+ * @param {number} degrees - L'angle.
+ * @returns {number} Le sinus.
+ */
+function sinDeg(degrees) {
+    return Math.sin(degrees * DEG_TO_RAD);
+}
+
+/**
+ * Cosinus d'un angle exprimé en degrés.
+ * @param {number} degrees - L'angle.
+ * @returns {number} Le cosinus.
+ */
+function cosDeg(degrees) {
+    return Math.cos(degrees * DEG_TO_RAD);
+}
+
+/**
+ * =============================================================================
+ * III. POSITIONS DES ASTRES
+ * =============================================================================
+ */
+
+/**
+ * Calcule la position géocentrique du Soleil.
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {{lon: number, r: number}} Longitude (degrés) et distance (UA).
+ */
+function getSunPosition(d) {
+    const position = orbitalPosition(getOrbitalElements('sun', d));
+    return { lon: position.lon, r: position.r };
+}
+
+/**
+ * Calcule la longitude géocentrique de la Lune, perturbations principales incluses.
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {number} La longitude écliptique (degrés).
+ */
+function getMoonLongitude(d) {
+    const moon = getOrbitalElements('moon', d);
+    const sun = getOrbitalElements('sun', d);
+    const position = orbitalPosition(moon);
+
+    const Ms = sun.M;
+    const Mm = moon.M;
+    const Ls = Ms + sun.w;
+    const Lm = Mm + moon.w + moon.N;
+    const D = Lm - Ls;
+    const F = Lm - moon.N;
+
+    const perturbation =
+        -1.274 * sinDeg(Mm - 2 * D)
+        + 0.658 * sinDeg(2 * D)
+        - 0.186 * sinDeg(Ms)
+        - 0.059 * sinDeg(2 * Mm - 2 * D)
+        - 0.057 * sinDeg(Mm - 2 * D + Ms)
+        + 0.053 * sinDeg(Mm + 2 * D)
+        + 0.046 * sinDeg(2 * D - Ms)
+        + 0.041 * sinDeg(Mm - Ms)
+        - 0.035 * sinDeg(D)
+        - 0.031 * sinDeg(Mm + Ms)
+        - 0.015 * sinDeg(2 * F - 2 * D)
+        + 0.011 * sinDeg(Mm - 4 * D);
+
+    return normalizeDegrees(position.lon + perturbation);
+}
+
+/**
+ * Calcule la position héliocentrique de Pluton (ajustement de Schlyter,
+ * valable de 1800 à 2100 environ).
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {{lon: number, lat: number, r: number}} La position héliocentrique.
+ */
+function getPlutoHeliocentric(d) {
+    const S = 50.03 + 0.033459652 * d;
+    const P = 238.95 + 0.003968789 * d;
+
+    const lon = 238.9508 + 0.00400703 * d
+        - 19.799 * sinDeg(P) + 19.848 * cosDeg(P)
+        + 0.897 * sinDeg(2 * P) - 4.956 * cosDeg(2 * P)
+        + 0.610 * sinDeg(3 * P) + 1.211 * cosDeg(3 * P)
+        - 0.341 * sinDeg(4 * P) - 0.190 * cosDeg(4 * P)
+        + 0.128 * sinDeg(5 * P) - 0.034 * cosDeg(5 * P)
+        - 0.038 * sinDeg(6 * P) + 0.031 * cosDeg(6 * P)
+        + 0.020 * sinDeg(S - P) - 0.010 * cosDeg(S - P);
+    const lat = -3.9082
+        - 5.453 * sinDeg(P) - 14.975 * cosDeg(P)
+        + 3.527 * sinDeg(2 * P) + 1.673 * cosDeg(2 * P)
+        - 1.051 * sinDeg(3 * P) + 0.328 * cosDeg(3 * P)
+        + 0.179 * sinDeg(4 * P) - 0.292 * cosDeg(4 * P)
+        + 0.019 * sinDeg(5 * P) + 0.100 * cosDeg(5 * P)
+        - 0.031 * sinDeg(6 * P) - 0.026 * cosDeg(6 * P)
+        + 0.011 * cosDeg(S - P);
+    const r = 40.72
+        + 6.68 * sinDeg(P) + 6.90 * cosDeg(P)
+        - 1.18 * sinDeg(2 * P) - 0.03 * cosDeg(2 * P)
+        + 0.15 * sinDeg(3 * P) - 0.14 * cosDeg(3 * P);
+
+    return { lon: normalizeDegrees(lon), lat, r };
+}
+
+/**
+ * Calcule la position héliocentrique d'une planète, avec les perturbations
+ * mutuelles de Jupiter, Saturne et Uranus.
+ * @param {string} key - La clé de la planète.
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {{lon: number, lat: number, r: number}} La position héliocentrique.
+ */
+function getHeliocentricPosition(key, d) {
+    if (key === 'pluto') return getPlutoHeliocentric(d);
+
+    const position = orbitalPosition(getOrbitalElements(key, d));
+    if (!['jupiter', 'saturn', 'uranus'].includes(key)) return position;
+
+    const Mj = getOrbitalElements('jupiter', d).M;
+    const Ms = getOrbitalElements('saturn', d).M;
+    const Mu = getOrbitalElements('uranus', d).M;
+
+    if (key === 'jupiter') {
+        position.lon += -0.332 * sinDeg(2 * Mj - 5 * Ms - 67.6)
+            - 0.056 * sinDeg(2 * Mj - 2 * Ms + 21)
+            + 0.042 * sinDeg(3 * Mj - 5 * Ms + 21)
+            - 0.036 * sinDeg(Mj - 2 * Ms)
+            + 0.022 * cosDeg(Mj - Ms)
+            + 0.023 * sinDeg(2 * Mj - 3 * Ms + 52)
+            - 0.016 * sinDeg(Mj - 5 * Ms - 69);
+    } else if (key === 'saturn') {
+        position.lon += 0.812 * sinDeg(2 * Mj - 5 * Ms - 67.6)
+            - 0.229 * cosDeg(2 * Mj - 4 * Ms - 2)
+            + 0.119 * sinDeg(Mj - 2 * Ms - 3)
+            + 0.046 * sinDeg(2 * Mj - 6 * Ms - 69)
+            + 0.014 * sinDeg(Mj - 3 * Ms + 32);
+        position.lat += -0.020 * cosDeg(2 * Mj - 4 * Ms - 2)
+            + 0.018 * sinDeg(2 * Mj - 6 * Ms - 49);
+    } else {
+        position.lon += 0.040 * sinDeg(Ms - 2 * Mu + 6)
+            + 0.035 * sinDeg(Ms - 3 * Mu + 33)
+            - 0.015 * sinDeg(Mj - Mu + 20);
+    }
+    position.lon = normalizeDegrees(position.lon);
+    return position;
+}
+
+/**
+ * Calcule la longitude écliptique géocentrique d'un astre.
+ * @param {string} key - La clé de l'astre (voir EPHEMERIS_BODIES).
+ * @param {string|Date} [dateValue] - La date ; maintenant si absente.
+ * @returns {number} La longitude (degrés, équinoxe de la date).
+ */
+function getBodyLongitude(key, dateValue) {
+    const d = ephemerisDayNumber(parseEphemerisDate(dateValue));
+    const sun = getSunPosition(d);
+
+    if (key === 'sun') return sun.lon;
+    if (key === 'moon') return getMoonLongitude(d);
+
+    const helio = getHeliocentricPosition(key, d);
+    const cosLat = cosDeg(helio.lat);
+    // Passage héliocentrique -> géocentrique : on ajoute la position du Soleil vue de la Terre.
+    const x = helio.r * cosDeg(helio.lon) * cosLat + sun.r * cosDeg(sun.lon);
+    const y = helio.r * sinDeg(helio.lon) * cosLat + sun.r * sinDeg(sun.lon);
+    return normalizeDegrees(Math.atan2(y, x) * RAD_TO_DEG);
+}
+
+/**
+ * Calcule le mouvement apparent quotidien d'un astre (négatif s'il rétrograde).
+ * @param {string} key - La clé de l'astre.
+ * @param {string|Date} [dateValue] - La date.
+ * @returns {number} La vitesse en degrés par jour.
+ */
+function getBodySpeed(key, dateValue) {
+    const date = parseEphemerisDate(dateValue);
+    const before = getBodyLongitude(key, new Date(date.getTime() - 43200000));
+    const after = getBodyLongitude(key, new Date(date.getTime() + 43200000));
+    // Écart signé le plus court, pour gérer le passage 359° -> 0°.
+    return ((after - before + 540) % 360) - 180;
+}
+
+/**
+ * Indique si un astre est rétrograde à une date donnée.
+ * @param {string} key - La clé de l'astre.
+ * @param {string|Date} [dateValue] - La date.
+ * @returns {boolean} Vrai si l'astre rétrograde.
+ */
+function isBodyRetrograde(key, dateValue) {
+    if (key === 'sun' || key === 'moon') return false;
+    return getBodySpeed(key, dateValue) < 0;
+}
+
+/**
+ * Place une longitude écliptique dans le zodiaque.
+ * @param {number} longitude - La longitude (degrés).
+ * @returns {{sign: string, degree: number, minute: number, signDegree: number}}
+ *   Le signe, les degrés et minutes dans le signe, et la position décimale dans le signe.
+ */
+function getZodiacPosition(longitude) {
+    const lon = normalizeDegrees(longitude);
+    const signDegree = lon % 30;
+    let degree = Math.floor(signDegree);
+    let minute = Math.round((signDegree - degree) * 60);
+    if (minute === 60) {
+        degree += 1;
+        minute = 0;
+    }
+    return { sign: ZODIAC_ORDER[Math.floor(lon / 30)], degree, minute, signDegree };
+}
+
+/**
+ * Calcule la position de tous les astres à une date donnée.
+ * @param {string|Date} [dateValue] - La date ; maintenant si absente.
+ * @returns {Array<object>} Pour chaque astre : { key, name, symbol, longitude,
+ *   sign, degree, minute, speed, retrograde }.
+ */
+function getPlanetPositions(dateValue) {
+    const date = parseEphemerisDate(dateValue);
+    return EPHEMERIS_BODIES.map(body => {
+        const longitude = getBodyLongitude(body.key, date);
+        const speed = getBodySpeed(body.key, date);
+        return {
+            ...body,
+            ...getZodiacPosition(longitude),
+            longitude,
+            speed,
+            retrograde: body.key !== 'sun' && body.key !== 'moon' && speed < 0
+        };
+    });
+}
+
+/**
+ * =============================================================================
+ * IV. LUNE ET SAISONS
+ * =============================================================================
+ */
+
+/**
+ * Calcule la phase de la Lune.
+ * @param {string|Date} [dateValue] - La date ; maintenant si absente.
+ * @returns {{angle: number, illumination: number, waxing: boolean, key: string,
+ *   name: string, emoji: string}} L'élongation Lune-Soleil (degrés), la fraction
+ *   éclairée (0 à 1), le sens de la lunaison et la phase nommée.
+ */
+function getLunarPhase(dateValue) {
+    const date = parseEphemerisDate(dateValue);
+    const angle = normalizeDegrees(getBodyLongitude('moon', date) - getBodyLongitude('sun', date));
+    const illumination = (1 - cosDeg(angle)) / 2;
+    const phase = LUNAR_PHASES[Math.floor(normalizeDegrees(angle + 22.5) / 45) % 8];
+    return { angle, illumination, waxing: angle < 180, ...phase };
+}
+
+/**
+ * Détermine la saison astronomique (hémisphère nord) à partir du Soleil.
+ * @param {string|Date} [dateValue] - La date ; maintenant si absente.
+ * @returns {{key: string, name: string, energy: string}} La saison.
+ */
+function getSeason(dateValue) {
+    return SEASONS[Math.floor(getBodyLongitude('sun', dateValue) / 90)];
+}
+
+/**
+ * Rassemble en un seul objet l'état du ciel à une date donnée.
+ * @param {string|Date} [dateValue] - La date ; maintenant si absente.
+ * @returns {{date: Date, planets: Array<object>, lunarPhase: object, season: object}}
+ */
+function getSkySnapshot(dateValue) {
+    const date = parseEphemerisDate(dateValue);
+    return {
+        date,
+        planets: getPlanetPositions(date),
+        lunarPhase: getLunarPhase(date),
+        season: getSeason(date)
+    };
+}
+
+/**
+ * =============================================================================
+ * V. ANGLES ET MAISONS
+ * =============================================================================
+ */
+
+/**
+ * Construit l'instant UTC correspondant à une date et une heure locales.
+ * @param {string} dateString - La date 'YYYY-MM-DD'.
+ * @param {string} [timeString] - L'heure 'HH:MM' ; midi si absente.
+ * @param {number} [utcOffsetHours] - Le décalage du lieu par rapport à UTC (ex: 2 pour UTC+2).
+ * @returns {Date} L'instant UTC.
+ */
+function buildUtcDate(dateString, timeString, utcOffsetHours = 0) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = (timeString || '12:00').split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes) - utcOffsetHours * 3600000);
+}
+
+/**
+ * Calcule l'obliquité moyenne de l'écliptique.
+ * @param {number} d - Le nombre de jours depuis l'origine.
+ * @returns {number} L'obliquité (degrés).
+ */
+function getObliquity(d) {
+    return 23.4393 - 3.563e-7 * d;
+}
+
+/**
+ * Calcule le temps sidéral local, exprimé en degrés (ascension droite du méridien).
+ * @param {Date} date - L'instant UTC.
+ * @param {number} longitude - La longitude du lieu (degrés, positive à l'est).
+ * @returns {number} Le temps sidéral local (degrés).
+ */
+function getLocalSiderealTime(date, longitude) {
+    const gmst = 280.46061837 + 360.98564736629 * (dateToJulianDay(date) - 2451545);
+    return normalizeDegrees(gmst + longitude);
+}
+
+/**
+ * Calcule l'Ascendant et le Milieu du Ciel pour un instant et un lieu.
+ * @param {string|Date} dateValue - L'instant.
+ * @param {number} latitude - La latitude du lieu (degrés, positive au nord).
+ * @param {number} longitude - La longitude du lieu (degrés, positive à l'est).
+ * @returns {{ascendant: number, midheaven: number}} Les longitudes écliptiques (degrés).
+ */
+function getChartAngles(dateValue, latitude, longitude) {
+    const date = parseEphemerisDate(dateValue);
+    const eps = getObliquity(ephemerisDayNumber(date));
+    const ramc = getLocalSiderealTime(date, longitude);
+
+    const midheaven = normalizeDegrees(Math.atan2(sinDeg(ramc), cosDeg(ramc) * cosDeg(eps)) * RAD_TO_DEG);
+    const ascendant = normalizeDegrees(Math.atan2(
+        cosDeg(ramc),
+        -(sinDeg(ramc) * cosDeg(eps) + Math.tan(latitude * DEG_TO_RAD) * sinDeg(eps))
+    ) * RAD_TO_DEG);
+
+    return { ascendant, midheaven };
+}
+
+/**
+ * Calcule les cuspides des 12 maisons (système Porphyre : chaque quadrant
+ * entre deux angles est divisé en trois parts égales).
+ * @param {number} ascendant - La longitude de l'Ascendant (degrés).
+ * @param {number} midheaven - La longitude du Milieu du Ciel (degrés).
+ * @returns {number[]} Les 12 cuspides, de la maison I à la maison XII.
+ */
+function getHouseCusps(ascendant, midheaven) {
+    const imumCoeli = normalizeDegrees(midheaven + 180);
+    const descendant = normalizeDegrees(ascendant + 180);
+    const quadrants = [[ascendant, imumCoeli], [imumCoeli, descendant], [descendant, midheaven], [midheaven, ascendant]];
+
+    const cusps = [];
+    quadrants.forEach(([start, end]) => {
+        const third = normalizeDegrees(end - start) / 3;
+        for (let step = 0; step < 3; step++) {
+            cusps.push(normalizeDegrees(start + third * step));
+        }
+    });
+    return cusps;
+}
+
+/**
+ * Retourne le numéro de maison (1 à 12) occupé par une longitude.
+ * @param {number} longitude - La longitude (degrés).
+ * @param {number[]} cusps - Les cuspides retournées par `getHouseCusps`.
+ * @returns {number} Le numéro de maison.
+ */
+function getHouseOf(longitude, cusps) {
+    for (let house = 0; house < 12; house++) {
+        const start = cusps[house];
+        const end = cusps[(house + 1) % 12];
+        if (normalizeDegrees(longitude - start) < normalizeDegrees(end - start)) return house + 1;
+    }
+    return 12;
+}
+
+/**
+ * =============================================================================
+ * VI. ASPECTS
+ * =============================================================================
+ */
+
+// Aspects majeurs et orbe maximal accepté (degrés).
+const ASPECT_TYPES = [
+    { key: 'conjunction', name: 'Conjonction', symbol: '☌', angle: 0, orb: 8 },
+    { key: 'sextile', name: 'Sextile', symbol: '⚹', angle: 60, orb: 4 },
+    { key: 'square', name: 'Carré', symbol: '□', angle: 90, orb: 6 },
+    { key: 'trine', name: 'Trigone', symbol: '△', angle: 120, orb: 6 },
+    { key: 'opposition', name: 'Opposition', symbol: '☍', angle: 180, orb: 8 }
+];
+
+/**
+ * Calcule l'écart angulaire le plus court entre deux longitudes.
+ * @param {number} a - Première longitude (degrés).
+ * @param {number} b - Seconde longitude (degrés).
+ * @returns {number} L'écart, entre 0 et 180 degrés.
+ */
+function angularDistance(a, b) {
+    const diff = normalizeDegrees(a - b);
+    return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Recherche les aspects majeurs entre des astres.
+ * Sans second groupe, cherche les aspects internes au premier (carte du ciel) ;
+ * avec un second groupe, cherche les aspects croisés (synastrie, transits).
+ * @param {Array<{key: string, longitude: number}>} bodiesA - Les astres.
+ * @param {Array<{key: string, longitude: number}>} [bodiesB] - Un second groupe d'astres.
+ * @returns {Array<{from: object, to: object, type: object, orb: number}>}
+ *   Les aspects trouvés, triés par orbe croissant.
+ */
+function findAspects(bodiesA, bodiesB = null) {
+    const aspects = [];
+    bodiesA.forEach((from, indexA) => {
+        const targets = bodiesB || bodiesA.slice(indexA + 1);
+        targets.forEach(to => {
+            const distance = angularDistance(from.longitude, to.longitude);
+            const type = ASPECT_TYPES.find(t => Math.abs(distance - t.angle) <= t.orb);
+            if (type) aspects.push({ from, to, type, orb: Math.abs(distance - type.angle) });
+        });
+    });
+    return aspects.sort((a, b) => a.orb - b.orb);
+}
+
+/**
+ * Calcule une carte du ciel complète pour un instant et un lieu.
+ * @param {string|Date} dateValue - L'instant.
+ * @param {number} latitude - La latitude du lieu (degrés).
+ * @param {number} longitude - La longitude du lieu (degrés, positive à l'est).
+ * @returns {{date: Date, planets: Array<object>, ascendant: number,
+ *   midheaven: number, cusps: number[], aspects: Array<object>}} La carte.
+ */
+function computeChart(dateValue, latitude, longitude) {
+    const date = parseEphemerisDate(dateValue);
+    const planets = getPlanetPositions(date);
+    const { ascendant, midheaven } = getChartAngles(date, latitude, longitude);
+    const cusps = getHouseCusps(ascendant, midheaven);
+    planets.forEach(p => { p.house = getHouseOf(p.longitude, cusps); });
+    return { date, planets, ascendant, midheaven, cusps, aspects: findAspects(planets) };
+}
+
+/**
+ * =============================================================================
+ * VII. ÉVÉNEMENTS DE TRANSIT
+ *
+ * Recherche des événements sur une période : changements de signe,
+ * aspects exacts, stations (rétrograde/direct), nouvelles et pleines lunes,
+ * éclipses. Le ciel est échantillonné toutes les 12 heures, puis chaque
+ * événement détecté est affiné par dichotomie à la minute près.
+ * =============================================================================
+ */
+
+const TRANSIT_SAMPLE_STEP = 12 * 3600000; // 12 h entre deux échantillons
+const TRANSIT_PRECISION = 60000;          // Précision de la dichotomie : 1 minute
+
+// Astres pris en compte pour les aspects exacts (la Lune, trop rapide, en est exclue).
+const TRANSIT_ASPECT_BODIES = ['sun', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+// Distance maximale (degrés) entre le Soleil et un nœud lunaire pour qu'une
+// nouvelle lune (éclipse solaire) ou une pleine lune (éclipse lunaire, pénombrales
+// comprises) soit une éclipse.
+const SOLAR_ECLIPSE_LIMIT = 17;
+const LUNAR_ECLIPSE_LIMIT = 16;
+
+/**
+ * Calcule la longitude du nœud nord moyen de la Lune.
+ * @param {string|Date} dateValue - La date.
+ * @returns {number} La longitude (degrés).
+ */
+function getLunarNodeLongitude(dateValue) {
+    return normalizeDegrees(getOrbitalElements('moon', ephemerisDayNumber(parseEphemerisDate(dateValue))).N);
+}
+
+/**
+ * Ramène un écart angulaire dans l'intervalle [-180, 180[.
+ * @param {number} degrees - L'écart.
+ * @returns {number} L'écart signé.
+ */
+function signedDegrees(degrees) {
+    return normalizeDegrees(degrees + 180) - 180;
+}
+
+/**
+ * Recherche par dichotomie l'instant où une fonction change de signe.
+ * @param {function(number): number} fn - La fonction du temps (ms).
+ * @param {number} start - Début de l'intervalle (ms), fn(start) et fn(end) de signes opposés.
+ * @param {number} end - Fin de l'intervalle (ms).
+ * @returns {Date} L'instant du changement de signe.
+ */
+function bisectSignChange(fn, start, end) {
+    let low = start;
+    let high = end;
+    const lowSign = Math.sign(fn(low));
+    while (high - low > TRANSIT_PRECISION) {
+        const middle = (low + high) / 2;
+        if (Math.sign(fn(middle)) === lowSign) low = middle;
+        else high = middle;
+    }
+    return new Date((low + high) / 2);
+}
+
+/**
+ * Vérifie qu'un écart signé passe réellement par zéro entre deux échantillons
+ * (et non par ±180°, où la valeur saute d'une borne à l'autre).
+ * @param {number} before - L'écart au premier échantillon.
+ * @param {number} after - L'écart au second échantillon.
+ * @returns {boolean} Vrai s'il y a passage par zéro.
+ */
+function crossesZero(before, after) {
+    return Math.sign(before) !== Math.sign(after) && Math.abs(before - after) < 90;
+}
+
+/**
+ * Recherche les événements astrologiques d'une période.
+ * @param {Date} startDate - Début de la période.
+ * @param {Date} endDate - Fin de la période.
+ * @returns {Array<object>} Les événements triés par date. Chaque événement a
+ *   un `type` ('ingress', 'aspect', 'station', 'lunation', 'eclipse'), une
+ *   `date` et des champs propres au type :
+ *   - ingress : body, sign (signe d'entrée), retrograde
+ *   - aspect : body, target, aspect (entrée de ASPECT_TYPES)
+ *   - station : body, direction ('retrograde' ou 'direct'), sign
+ *   - lunation : phase ('new_moon' ou 'full_moon'), sign
+ *   - eclipse : kind ('solar' ou 'lunar'), sign
+ */
+function findTransitEvents(startDate, endDate) {
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+    const keys = EPHEMERIS_BODIES.map(b => b.key);
+    const longitudeAt = (key, time) => getBodyLongitude(key, new Date(time));
+    const events = [];
+
+    // Pré-calcul des longitudes à chaque échantillon.
+    const times = [];
+    for (let time = start; time < end; time += TRANSIT_SAMPLE_STEP) times.push(time);
+    times.push(end);
+    const samples = times.map(time => {
+        const longitudes = {};
+        keys.forEach(key => { longitudes[key] = longitudeAt(key, time); });
+        return longitudes;
+    });
+
+    for (let i = 1; i < times.length; i++) {
+        const t0 = times[i - 1];
+        const t1 = times[i];
+        const before = samples[i - 1];
+        const after = samples[i];
+
+        // Changements de signe : passage d'une limite de 30°.
+        keys.forEach(key => {
+            const signBefore = Math.floor(before[key] / 30);
+            const signAfter = Math.floor(after[key] / 30);
+            if (signBefore === signAfter) return;
+            const retrograde = signedDegrees(after[key] - before[key]) < 0;
+            const boundary = (retrograde ? signBefore : signAfter) * 30;
+            const date = bisectSignChange(time => signedDegrees(longitudeAt(key, time) - boundary), t0, t1);
+            events.push({ type: 'ingress', date, body: key, sign: ZODIAC_ORDER[signAfter], retrograde });
+        });
+
+        // Stations : le mouvement apparent change de sens.
+        keys.filter(key => key !== 'sun' && key !== 'moon').forEach(key => {
+            const speedBefore = getBodySpeed(key, new Date(t0));
+            const speedAfter = getBodySpeed(key, new Date(t1));
+            if (Math.sign(speedBefore) === Math.sign(speedAfter)) return;
+            const date = bisectSignChange(time => getBodySpeed(key, new Date(time)), t0, t1);
+            const direction = speedAfter < 0 ? 'retrograde' : 'direct';
+            events.push({ type: 'station', date, body: key, direction, sign: getZodiacPosition(longitudeAt(key, date.getTime())).sign });
+        });
+
+        // Aspects exacts entre planètes lentes et rapides (Lune exclue).
+        TRANSIT_ASPECT_BODIES.forEach((key, indexA) => {
+            TRANSIT_ASPECT_BODIES.slice(indexA + 1).forEach(target => {
+                ASPECT_TYPES.forEach(aspect => {
+                    // Un aspect (sauf conjonction et opposition) existe des deux côtés : +angle et -angle.
+                    const angles = aspect.angle === 0 || aspect.angle === 180 ? [aspect.angle] : [aspect.angle, -aspect.angle];
+                    angles.forEach(angle => {
+                        const gap = lons => signedDegrees(lons[key] - lons[target] - angle);
+                        if (!crossesZero(gap(before), gap(after))) return;
+                        const date = bisectSignChange(time => signedDegrees(longitudeAt(key, time) - longitudeAt(target, time) - angle), t0, t1);
+                        events.push({ type: 'aspect', date, body: key, target, aspect });
+                    });
+                });
+            });
+        });
+
+        // Lunaisons : élongation Lune-Soleil de 0° (nouvelle lune) ou 180° (pleine lune).
+        [['new_moon', 0], ['full_moon', 180]].forEach(([phase, angle]) => {
+            const gap = lons => signedDegrees(lons.moon - lons.sun - angle);
+            if (!crossesZero(gap(before), gap(after))) return;
+            const date = bisectSignChange(time => signedDegrees(longitudeAt('moon', time) - longitudeAt('sun', time) - angle), t0, t1);
+            const moonSign = getZodiacPosition(longitudeAt('moon', date.getTime())).sign;
+            events.push({ type: 'lunation', date, phase, sign: moonSign });
+
+            // Éclipse si la lunaison se produit près d'un nœud lunaire.
+            const sunLongitude = longitudeAt('sun', date.getTime());
+            const nodeDistance = Math.min(
+                angularDistance(sunLongitude, getLunarNodeLongitude(date)),
+                angularDistance(sunLongitude, getLunarNodeLongitude(date) + 180)
+            );
+            const limit = phase === 'new_moon' ? SOLAR_ECLIPSE_LIMIT : LUNAR_ECLIPSE_LIMIT;
+            if (nodeDistance <= limit) {
+                events.push({ type: 'eclipse', date, kind: phase === 'new_moon' ? 'solar' : 'lunar', sign: moonSign });
+            }
+        });
+    }
+
+    return events.sort((a, b) => a.date - b.date);
+}
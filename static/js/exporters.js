@@ -0,0 +1,227 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Exports des horoscopes quotidiens
+ *
+ * Auteur: AstroGenAI
+ * Description: Conversion des horoscopes d'une journée en newsletter Markdown,
+ * JSON structuré, CSV pour tableur et flux RSS, ainsi qu'en légendes prêtes à
+ * publier pour YouTube, TikTok et Instagram. Chaque format part des mêmes
+ * entrées { sign, name, symbol, text, wordCount } et est rédigé dans la langue
+ * des horoscopes (catalogues de i18n.js).
+ * =============================================================================
+ */
+
+// Limites de longueur imposées par chaque plateforme (en caractères).
+const CAPTION_LIMITS = {
+    'youtube': 5000,
+    'tiktok': 2200,
+    'instagram': 2200
+};
+
+// Instagram refuse les légendes de plus de 30 hashtags.
+const INSTAGRAM_MAX_HASHTAGS = 30;
+
+/**
+ * Retire la mise en forme Markdown d'un texte (titres, gras, listes, code).
+ * @param {string} text - Le texte Markdown.
+ * @returns {string} Le texte brut.
+ */
+function stripMarkdown(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/^\s*```.*$/gm, '')
+        .replace(/^\s*#{1,6}\s+/gm, '')
+        .replace(/^\s*[-*+•]\s+/gm, '• ')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(\S.*?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Tronque un texte à une longueur maximale sans couper de mot.
+ * @param {string} text - Le texte.
+ * @param {number} maxLength - Le nombre maximal de caractères (points de suspension compris).
+ * @returns {string} Le texte éventuellement tronqué.
+ */
+function truncateText(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.search(/\s\S*$/);
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Construit un hashtag à partir d'un libellé (sans accents ni espaces).
+ * @param {string} label - Le libellé (ex: 'Gémeaux').
+ * @returns {string} Le hashtag (ex: '#gemeaux').
+ */
+function toHashtag(label) {
+    return '#' + String(label).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+}
+
+/**
+ * @param {string} language - La langue des horoscopes.
+ * @param {string} key - La clé d'une liste de hashtags séparés par des espaces.
+ * @returns {string[]} Les hashtags.
+ */
+function getExportHashtags(language, key) {
+    return translate(language, key).split(' ');
+}
+
+/**
+ * Produit une newsletter Markdown de la journée.
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {object[]} entries - Les horoscopes de la journée.
+ * @param {string} [language] - La langue des horoscopes.
+ * @returns {string} Le document Markdown.
+ */
+function buildMarkdownNewsletter(date, entries, language = I18N_DEFAULT_LANGUAGE) {
+    const sections = entries.map(entry => `## ${entry.symbol} ${entry.name}\n\n${String(entry.text).trim()}\n`);
+    return `# ${translate(language, 'export.newsletter.title', { date })}\n\n${sections.join('\n')}\n---\n*${translate(language, 'export.newsletter.footer')}*\n`;
+}
+
+/**
+ * Produit l'export JSON structuré de la journée.
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {object[]} entries - Les horoscopes de la journée.
+ * @param {object} [meta] - Métadonnées ajoutées à l'export (ex: modèle).
+ * @returns {string} Le JSON indenté.
+ */
+function buildHoroscopesJSON(date, entries, meta = {}) {
+    return JSON.stringify({
+        date,
+        generated_at: new Date().toISOString(),
+        ...meta,
+        horoscopes: entries.map(entry => ({
+            sign: entry.sign,
+            sign_name: entry.name,
+            symbol: entry.symbol,
+            word_count: entry.wordCount,
+            horoscope: entry.text
+        }))
+    }, null, 2);
+}
+
+/**
+ * Échappe une cellule CSV (guillemets doublés si nécessaire).
+ * @param {*} value - La valeur de la cellule.
+ * @returns {string} La cellule échappée.
+ */
+function escapeCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";\n\r,]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Produit le CSV de la journée (séparateur ';' et BOM pour Excel en français).
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {object[]} entries - Les horoscopes de la journée.
+ * @param {string} [language] - La langue des horoscopes (en-têtes des colonnes).
+ * @returns {string} Le contenu CSV.
+ */
+function buildHoroscopesCSV(date, entries, language = I18N_DEFAULT_LANGUAGE) {
+    const rows = [translate(language, 'export.csv.columns').split(';')]
+        .concat(entries.map(entry => [date, entry.sign, entry.name, entry.wordCount, stripMarkdown(entry.text)]));
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvCell).join(';')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Échappe un texte pour un document XML.
+ * @param {*} value - La valeur à échapper.
+ * @returns {string} Le texte échappé.
+ */
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Produit un flux RSS 2.0 contenant un élément par signe pour la journée.
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {object[]} entries - Les horoscopes de la journée.
+ * @param {string} siteUrl - L'adresse du site, utilisée pour les liens et identifiants.
+ * @param {string} [language] - La langue des horoscopes, annoncée par le flux.
+ * @returns {string} Le document RSS.
+ */
+function buildRssFeed(date, entries, siteUrl, language = I18N_DEFAULT_LANGUAGE) {
+    const pubDate = new Date(`${date}T06:00:00Z`).toUTCString();
+    const items = entries.map(entry => `
+    <item>
+      <title>${escapeXml(`${entry.symbol} ${translate(language, 'export.rss.itemTitle', { name: entry.name, date })}`)}</title>
+      <link>${escapeXml(`${siteUrl}${buildRouteHash('daily', { date })}`)}</link>
+      <guid isPermaLink="false">${escapeXml(`astrogen-${date}-${entry.sign}`)}</guid>
+      <pubDate>${pubDate}</pubDate>
+      <category>${escapeXml(entry.name)}</category>
+      <description>${escapeXml(stripMarkdown(entry.text))}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(translate(language, 'export.rss.title'))}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(translate(language, 'export.rss.description'))}</description>
+    <language>${escapeXml(language)}</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Produit la légende d'un horoscope pour une plateforme, dans ses limites.
+ * Le texte est raccourci si besoin ; les hashtags sont toujours conservés.
+ * @param {string} platform - 'youtube', 'tiktok' ou 'instagram'.
+ * @param {object} entry - L'horoscope du signe.
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {string} [language] - La langue des horoscopes.
+ * @returns {string} La légende.
+ */
+function buildCaption(platform, entry, date, language = I18N_DEFAULT_LANGUAGE) {
+    const text = stripMarkdown(entry.text);
+    let hashtags = [toHashtag(entry.name), ...getExportHashtags(language, 'export.hashtags.base')];
+    let header;
+    let footer;
+
+    switch (platform) {
+        case 'youtube':
+            header = `${entry.symbol} ${translate(language, 'export.youtube.header', { name: entry.name, date })}\n\n`;
+            footer = `\n\n${translate(language, 'export.youtube.footer')}\n\n${hashtags.join(' ')}`;
+            break;
+        case 'tiktok':
+            hashtags = hashtags.concat(getExportHashtags(language, 'export.hashtags.tiktok'));
+            header = `${entry.symbol} ${entry.name} · ${date}\n`;
+            footer = '\n\n' + hashtags.join(' ');
+            break;
+        case 'instagram':
+            hashtags = hashtags.concat(getExportHashtags(language, 'export.hashtags.instagram')).slice(0, INSTAGRAM_MAX_HASHTAGS);
+            header = `${entry.symbol} ${entry.name} - ${date}\n\n`;
+            footer = `\n\n${translate(language, 'export.instagram.footer', { name: entry.name })}\n.\n.\n${hashtags.join(' ')}`;
+            break;
+        default:
+            throw new Error(`Plateforme inconnue : ${platform}`);
+    }
+
+    const available = CAPTION_LIMITS[platform] - header.length - footer.length;
+    return header + truncateText(text, available) + footer;
+}
+
+/**
+ * Produit les légendes de tous les signes pour une plateforme.
+ * @param {string} platform - 'youtube', 'tiktok' ou 'instagram'.
+ * @param {object[]} entries - Les horoscopes de la journée.
+ * @param {string} date - La date 'YYYY-MM-DD'.
+ * @param {string} [language] - La langue des horoscopes.
+ * @returns {object[]} Les légendes { sign, name, symbol, caption }.
+ */
+function buildCaptionPack(platform, entries, date, language = I18N_DEFAULT_LANGUAGE) {
+    return entries.map(entry => ({
+        sign: entry.sign,
+        name: entry.name,
+        symbol: entry.symbol,
+        caption: buildCaption(platform, entry, date, language)
+    }));
+}
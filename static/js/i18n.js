@@ -0,0 +1,2566 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Internationalisation
+ *
+ * Auteur: AstroGenAI
+ * Description: Catalogues de messages (français, anglais, espagnol, allemand),
+ * langue choisie mémorisée dans le localStorage et formatage des dates selon
+ * la locale. Les éléments statiques de la page portent un attribut
+ * `data-i18n` (texte), `data-i18n-placeholder` ou `data-i18n-title` ; le code
+ * utilise `t(clé, paramètres)`. La langue choisie est aussi la langue du
+ * contenu généré (horoscopes, sous-titres).
+ * =============================================================================
+ */
+
+const I18N_STORAGE_KEY = 'uiLanguage';
+const I18N_DEFAULT_LANGUAGE = 'fr';
+
+// Langues disponibles : libellé du sélecteur, locale Intl et nom utilisé dans les prompts.
+const I18N_LANGUAGES = {
+    'fr': { label: 'Français', locale: 'fr-FR', promptName: 'français' },
+    'en': { label: 'English', locale: 'en-GB', promptName: 'anglais' },
+    'es': { label: 'Español', locale: 'es-ES', promptName: 'espagnol' },
+    'de': { label: 'Deutsch', locale: 'de-DE', promptName: 'allemand' }
+};
+
+// Période de chaque signe : [mois, jour] de début et de fin.
+const SIGN_DATE_RANGES = {
+    'aries': [[3, 21], [4, 19]], 'taurus': [[4, 20], [5, 20]], 'gemini': [[5, 21], [6, 20]],
+    'cancer': [[6, 21], [7, 22]], 'leo': [[7, 23], [8, 22]], 'virgo': [[8, 23], [9, 22]],
+    'libra': [[9, 23], [10, 22]], 'scorpio': [[10, 23], [11, 21]], 'sagittarius': [[11, 22], [12, 21]],
+    'capricorn': [[12, 22], [1, 19]], 'aquarius': [[1, 20], [2, 18]], 'pisces': [[2, 19], [3, 20]]
+};
+
+// Langue active (modifiée par `setLanguage`).
+let currentLanguage = I18N_DEFAULT_LANGUAGE;
+
+const I18N_MESSAGES = {
+    'fr': {
+        'sign.aries': 'Bélier',
+        'sign.taurus': 'Taureau',
+        'sign.gemini': 'Gémeaux',
+        'sign.cancer': 'Cancer',
+        'sign.leo': 'Lion',
+        'sign.virgo': 'Vierge',
+        'sign.libra': 'Balance',
+        'sign.scorpio': 'Scorpion',
+        'sign.sagittarius': 'Sagittaire',
+        'sign.capricorn': 'Capricorne',
+        'sign.aquarius': 'Verseau',
+        'sign.pisces': 'Poissons',
+        'nav.individual': 'Theme Astral Individuel',
+        'nav.daily': 'Theme Astral Complet',
+        'nav.context': 'Contexte Astral',
+        'nav.astrochart': 'Carte du Ciel',
+        'nav.prompts': 'Bibliothèque de Prompts',
+        'nav.calendar': 'Calendrier des Transits',
+        'nav.archive': 'Archive',
+        'nav.chat': 'AI AstroGen Chat',
+        'nav.video': 'AI AstroGen Animation',
+        'sidebar.model': '🤖 Modèle IA',
+        'sidebar.language': '🌐 Langue',
+        'sidebar.loading': 'Chargement...',
+        'section.individual.title': 'Horoscope Individuel',
+        'section.individual.subtitle': 'Générez votre horoscope personnel avec l\'IA',
+        'section.daily.title': 'Horoscopes Quotidiens',
+        'section.daily.subtitle': 'Tous les horoscopes du jour en un clic',
+        'section.context.title': 'Contexte Astral',
+        'section.context.subtitle': 'Découvrez les influences cosmiques du moment',
+        'section.astrochart.title': 'Carte du Ciel',
+        'section.astrochart.subtitle': 'Visualisez les positions planétaires à une date donnée',
+        'section.archive.title': 'Archive des Horoscopes',
+        'section.archive.subtitle': 'Retrouvez, comparez et réutilisez vos générations',
+        'section.prompts.title': 'Bibliothèque de Prompts',
+        'section.prompts.subtitle': 'Modèles versionnés pour les horoscopes, le chat et les visuels',
+        'section.calendar.title': 'Calendrier des Transits',
+        'section.calendar.subtitle': 'Planifiez vos contenus autour des événements du ciel',
+        'section.chat.title': 'Chat IA',
+        'section.chat.subtitle': 'Discutez avec votre assistant astral',
+        'section.video.title': 'Générateur Vidéo',
+        'section.video.subtitle': 'Créez du contenu vidéo pour vos réseaux sociaux',
+        'common.date': 'Date',
+        'common.sign': 'Signe',
+        'common.name': 'Nom',
+        'common.save': '💾 Enregistrer',
+        'common.cancel': 'Annuler',
+        'common.delete': '🗑️ Supprimer',
+        'common.choose': 'Choisissez',
+        'common.generate': '🌙 Generate',
+        'individual.profile': 'Profil natal (optionnel)',
+        'individual.newProfile': 'Nouveau profil',
+        'individual.editProfile': 'Modifier le profil',
+        'individual.deleteProfile': 'Supprimer le profil',
+        'individual.sign': 'Signe Astrologique',
+        'individual.chooseSign': 'Choisissez votre signe',
+        'individual.dateOptional': 'Date (optionnel)',
+        'individual.compare': '⚖️ Comparer plusieurs modèles',
+        'individual.compareHint': 'Choisissez de 2 à 4 modèles : ils généreront le même horoscope en parallèle.',
+        'individual.generate': '✨Generate',
+        'profile.title': 'Profil natal',
+        'profile.namePlaceholder': 'Ex: Marie',
+        'profile.birthplace': 'Lieu de naissance',
+        'profile.birthplacePlaceholder': 'Commencez à taper une ville',
+        'profile.birthDate': 'Date de naissance',
+        'profile.birthTime': 'Heure de naissance',
+        'profile.birthTimeHint': 'Laissez vide si inconnue : l\'Ascendant et les maisons ne seront pas calculés.',
+        'daily.generate': '🌟 Generate all',
+        'export.title': 'Exporter les horoscopes',
+        'export.markdown': '📰 Newsletter Markdown',
+        'export.rss': '📡 Flux RSS',
+        'export.captions': 'Légendes réseaux sociaux',
+        'chart.date': 'Date de la Carte',
+        'chart.time': 'Heure locale',
+        'chart.utcOffset': 'Fuseau (UTC±h)',
+        'chart.latitude': 'Latitude',
+        'chart.longitude': 'Longitude (Est +)',
+        'chart.generate': '🌌 Générer la Carte du Ciel',
+        'prompts.kind': 'Type de prompt',
+        'prompts.template': 'Modèle (★ = par défaut)',
+        'prompts.new': '＋ Nouveau modèle',
+        'prompts.setDefault': '★ Utiliser par défaut',
+        'prompts.text': 'Texte du modèle',
+        'prompts.history': 'Historique des versions',
+        'prompts.restore': 'Recharger cette version dans l\'éditeur',
+        'prompts.saveVersion': '💾 Enregistrer une nouvelle version',
+        'prompts.preview': 'Aperçu avec le contexte astral',
+        'calendar.month': 'Mois',
+        'calendar.week': 'Semaine',
+        'calendar.today': 'Aujourd\'hui',
+        'calendar.weekRange': 'Semaine du {start} au {end}',
+        'archive.search': 'Recherche',
+        'archive.searchPlaceholder': 'Mots présents dans le texte ou le prompt',
+        'archive.allSigns': 'Tous les signes',
+        'archive.model': 'Modèle',
+        'archive.allModels': 'Tous les modèles',
+        'archive.from': 'Du',
+        'archive.to': 'Au',
+        'archive.compare': '⚖️ Comparer la sélection',
+        'chat.newThread': '＋ Nouvelle conversation',
+        'chat.welcome': '🌟 Bonjour ! Je suis votre guide astral. Comment puis-je vous aider aujourd\'hui ?',
+        'chat.placeholder': 'Posez votre question astrologique...',
+        'chat.send': 'Envoyer',
+        'video.title': '🎬 Video Generation',
+        'video.subtitle': 'Créer une Vidéo du Signe du Zodiaque et Constellation',
+        'video.format': 'Format',
+        'video.square': 'Carré (1080x1080)',
+        'video.customPrompt': 'Prompt personnalisé (optionnel)',
+        'video.customPromptPlaceholder': 'Laissez vide pour utiliser le modèle de la Bibliothèque de Prompts',
+        'video.archivedText': 'Horoscope archivé (utilisé pour le montage)',
+        'video.clearArchivedText': '✖ Ne plus utiliser ce texte',
+        'video.seed': 'Seed (optionnel)',
+        'video.seedPlaceholder': 'Laissez vide pour un seed aléatoire',
+        'video.loading': 'Video Generation...',
+        'video.estimate': 'Temps estimé: 30-60 secondes par vidéo',
+        'video.groupMain': 'Génération & Montage',
+        'video.groupBatch': 'Actions en Lot',
+        'video.groupUtility': 'Utilitaires & Statut',
+        'video.clip': '🎬 Générer Clip Vidéo',
+        'video.signMontage': '🎞️ Montage pour ce Signe',
+        'video.fullMontage': '🚀 Générer le Montage Complet',
+        'video.batchClips': '🚀 Batch Clips Vidéo',
+        'video.comfyStatus': '🔍 Statut ComfyUI',
+        'footer.rights': 'Tous droits réservés.',
+        'footer.terms': 'Conditions d\'Utilisation',
+        'footer.privacy': 'Politique de Confidentialité',
+        'msg.selectSign': 'Veuillez sélectionner un signe astrologique.',
+        'msg.selectSignFirst': 'Veuillez d\'abord sélectionner un signe astrologique.',
+        'msg.error': '❌ Erreur: {error}',
+        'msg.pngExportError': '❌ Erreur d\'export PNG: {error}',
+        'msg.renameThread': 'Nouveau nom de la conversation :',
+        'msg.deleteThread': 'Supprimer la conversation "{title}" ?',
+        'msg.confirmBatchClips': 'Lancer la génération en lot pour les 12 signes ?',
+        'msg.confirmSignWorkflow': 'Lancer le workflow complet pour {sign} ?',
+        'msg.confirmFullWorkflow': 'Lancer le workflow complet pour les 12 signes ?',
+        'msg.confirmCancelJob': 'Annuler la tâche en cours ?\nLes signes déjà terminés sont conservés.',
+        'msg.cancelJobError': '❌ Erreur lors de l\'annulation: {error}',
+        'msg.profileRequired': 'Veuillez indiquer un nom et une date de naissance.',
+        'msg.birthplaceRequired': 'Veuillez choisir un lieu de naissance dans la liste proposée.',
+        'msg.deleteProfile': 'Supprimer le profil "{name}" ?',
+        'msg.deleteArchiveEntry': 'Supprimer cet horoscope de l\'archive ?',
+        'msg.selectTwoEntries': 'Sélectionnez exactement deux horoscopes à comparer.',
+        'msg.compareSameSignDate': 'La comparaison porte sur deux générations du même signe pour la même date.',
+        'msg.compareModelCount': 'Sélectionnez entre {min} et {max} modèles à comparer.',
+        'msg.templateRequired': 'Le nom et le texte du modèle sont obligatoires.',
+        'msg.templateUnchanged': 'Texte inchangé : aucune nouvelle version créée.',
+        'msg.newTemplateName': 'Nom du nouveau modèle :',
+        'msg.lastTemplate': 'Impossible de supprimer le dernier modèle de ce type.',
+        'msg.deleteTemplate': 'Supprimer le modèle "{name}" et tout son historique ?',
+        'nav.schedule': 'Planification',
+        'section.schedule.title': 'Planification des Publications',
+        'section.schedule.subtitle': 'File des vidéos à publier par signe et par plateforme',
+        'schedule.platform': 'Plateforme',
+        'schedule.visibility': 'Visibilité',
+        'schedule.datetime': 'Date et heure de publication',
+        'schedule.timezone': 'Fuseau horaire',
+        'schedule.title': 'Titre',
+        'schedule.description': 'Description',
+        'schedule.tags': 'Tags (séparés par des virgules)',
+        'schedule.hashtags': 'Hashtags',
+        'schedule.fill': '✨ Pré-remplir depuis l\'horoscope',
+        'schedule.add': '🗓️ Ajouter à la file',
+        'schedule.update': '💾 Enregistrer les modifications',
+        'schedule.allStatuses': 'Tous les statuts',
+        'schedule.status.pending': '⏳ En attente',
+        'schedule.status.publishing': '📤 En cours',
+        'schedule.status.published': '✅ Publiée',
+        'schedule.status.failed': '❌ Échec',
+        'schedule.visibility.private': '🔒 Privée',
+        'schedule.visibility.unlisted': '🔗 Non répertoriée',
+        'schedule.visibility.public': '🌍 Publique',
+        'schedule.visibility.friends': '👥 Amis',
+        'schedule.empty': 'Aucune publication planifiée.',
+        'schedule.publishNow': '📤 Publier maintenant',
+        'schedule.edit': '✏️ Modifier',
+        'schedule.retry': '🔄 Réessayer',
+        'schedule.attempts': '{count} tentatives',
+        'schedule.viewPost': 'Voir la publication',
+        'schedule.interrupted': 'Envoi interrompu : vérifiez la plateforme avant de réessayer.',
+        'schedule.defaultTitle': '{symbol} Horoscope {sign} du {date}',
+        'video.schedule': '🗓️ Planifier ce Signe',
+        'msg.scheduleRequired': 'Veuillez choisir un signe, une date de publication et un titre.',
+        'msg.deleteScheduledPost': 'Retirer "{title}" de la file de publication ?',
+        'video.groupPublish': 'Publication',
+        'video.uploadTo': 'Publier ce Signe ({target})',
+        'video.uploadBatchTo': 'Lot {target}',
+        'video.statusOf': 'Statut {target}',
+        'video.publishTargets': '⚙️ Configuration des cibles de publication',
+        'publisher.channel': 'Chaîne',
+        'publisher.subscribers': 'Abonnés',
+        'publisher.videos': 'Vidéos disponibles',
+        'publisher.account': 'Compte',
+        'publisher.url': 'URL',
+        'publisher.httpStatus': 'Code HTTP',
+        'publisher.webhookUrl': 'URL du webhook',
+        'publisher.webhookSecret': 'Secret de signature (optionnel)',
+        'schedule.visibility.feed': '📰 Reel + fil d\'actualité',
+        'schedule.visibility.reels': '🎞️ Onglet Reels uniquement',
+        'msg.confirmUpload': 'Publier la vidéo de {sign} sur {target} ({visibility}) ?',
+        'msg.confirmBatchUpload': 'Publier TOUTES les vidéos disponibles sur {target} ({visibility}) ?',
+        'msg.uploadDone': 'Vidéo publiée sur {target} !',
+        'msg.batchUploadDone': 'Lot {target} terminé : {summary}',
+        'msg.publisherConfigRequired': 'Configurez d\'abord la cible {target} (section Vidéo).',
+        'montage.trimIn': 'Début (s)',
+        'montage.trimOut': 'Fin (s)',
+        'montage.setFromPlayer': '⏱️ Position actuelle',
+        'montage.preview': '▶️ Aperçu de l\'extrait',
+        'montage.length': 'Extrait : {duration}s',
+        'montage.subtitles': 'Sous-titres',
+        'montage.noSubtitles': 'Aucun segment de transcription.',
+        'montage.addSubtitle': '＋ Sous-titre à la position',
+        'montage.rerender': '🎞️ Relancer le montage',
+        'montage.seek': 'Lire depuis ce sous-titre',
+        'montage.issue.order': 'Sous-titre {index} : la fin doit suivre le début.',
+        'montage.issue.overlap': 'Sous-titre {index} : chevauche le précédent.',
+        'montage.issue.bounds': 'Sous-titre {index} : hors de la durée de la vidéo.',
+        'msg.trimInvalid': 'Le point de sortie doit être après le point d\'entrée.',
+        'msg.subtitleErrors': 'Corrigez les sous-titres dont la fin précède le début avant de relancer le montage.',
+        'msg.confirmRerender': 'Relancer le montage de {sign} avec ces réglages ?',
+        'nav.media': 'Galerie des Médias',
+        'section.media.title': 'Galerie des Médias',
+        'section.media.subtitle': 'Clips, montages et cartes du ciel déjà générés',
+        'media.type': 'Type',
+        'media.allTypes': 'Tous les types',
+        'media.type.clip': '🎬 Clips',
+        'media.type.montage': '🎞️ Montages',
+        'media.type.chart': '🗺️ Cartes du ciel',
+        'media.allFormats': 'Tous les formats',
+        'media.uploadStatus': 'Publication',
+        'media.allUploads': 'Toutes',
+        'media.uploaded': '✅ Déjà publiées',
+        'media.notUploaded': '⏳ Jamais publiées',
+        'media.refresh': '🔄 Actualiser',
+        'media.download': '📥 Télécharger',
+        'media.sendToUpload': '📤 Publier',
+        'media.count': '{count} médias · {selected} sélectionnés',
+        'media.empty': 'Aucun média ne correspond aux filtres.',
+        'media.uploadedOn': 'Publié sur',
+        'msg.selectMedia': 'Sélectionnez au moins un média.',
+        'msg.selectMediaVideos': 'Sélectionnez au moins une vidéo (les cartes du ciel ne se publient pas).',
+        'msg.deleteMedia': 'Supprimer définitivement {count} média(s) du serveur ?',
+        'variation.title': '🧪 Mode variations',
+        'variation.mode': 'Explorer',
+        'variation.mode.seeds': 'Plusieurs seeds, même prompt',
+        'variation.mode.prompts': 'Plusieurs prompts, même seed',
+        'variation.count': 'Nombre de clips',
+        'variation.seeds': 'Seeds imposés (optionnel)',
+        'variation.seedsPlaceholder': 'Complétés par des seeds aléatoires',
+        'variation.prompts': 'Variantes de prompt (une par ligne)',
+        'variation.start': '🧪 Lancer l\'exploration',
+        'variation.stop': '⏹ Arrêter',
+        'variation.progress': '{done}/{total} clips',
+        'variation.status.pending': 'En attente',
+        'variation.status.running': 'Génération…',
+        'variation.status.error': 'Échec',
+        'variation.status.cancelled': 'Annulé',
+        'variation.star': 'Marquer comme réussi',
+        'variation.setPreset': '📌 Preset du signe',
+        'variation.isPreset': '📌 Preset actuel',
+        'variation.presetInfo': 'Preset visuel : seed {seed}',
+        'variation.clearPreset': '✖ Oublier le preset',
+        'msg.variationPromptsRequired': 'Saisissez au moins une variante de prompt.',
+        'msg.confirmVariations': 'Générer {count} clips pour {sign} ?',
+        'api.cancel': '✖ Annuler',
+        'api.offline': '⚠️ Serveur injoignable.',
+        'api.replaying': '🔄 Serveur de retour, renvoi des requêtes…',
+        'api.offlineQueued': '{count} requête(s) en attente, renvoyée(s) au retour du serveur :',
+        'api.retryNow': '↻ Réessayer maintenant',
+        'api.dropQueue': '✖ Abandonner',
+        'api.error.http': 'Erreur HTTP {status}',
+        'api.error.timeout': 'Le serveur n\'a pas répondu en {seconds} s.',
+        'api.error.network': 'Serveur injoignable.',
+        'api.error.aborted': 'Requête annulée.',
+        'api.error.nonJson': 'Réponse inattendue du serveur (HTTP {status}) : {excerpt}',
+        'api.error.empty': 'Réponse vide du serveur (HTTP {status}).',
+        'api.error.invalidJson': 'Réponse JSON invalide du serveur (HTTP {status}).',
+        'msg.dropOfflineQueue': 'Abandonner les {count} requête(s) en attente ?',
+        'nav.status': 'État des Services',
+        'section.status.title': 'État des Services',
+        'section.status.subtitle': 'Disponibilité du backend, d\'Ollama, de ComfyUI et des plateformes',
+        'status.refresh': '🔄 Tout vérifier',
+        'status.check': '🔄 Vérifier',
+        'status.lastPoll': 'Dernière vérification complète : {date}',
+        'status.state.up': 'Opérationnel',
+        'status.state.degraded': 'Dégradé',
+        'status.state.down': 'Indisponible',
+        'status.state.unknown': 'Inconnu',
+        'status.latency': 'Latence',
+        'status.average': 'moyenne {latency} ms',
+        'status.uptime': 'Disponibilité',
+        'status.checks': '{count} vérifications',
+        'status.lastCheck': 'Dernière vérification',
+        'status.history': 'Historique des vérifications',
+        'status.health': 'Santé',
+        'status.models': 'Modèles',
+        'status.server': 'Serveur',
+        'status.formats': 'Formats',
+        'status.workflow': 'Workflow',
+        'status.workflowReady': 'Prêt',
+        'status.workflowNotReady': 'Workflow non prêt',
+        'status.note': 'Remarque',
+        'status.notConfigured': 'Cible non configurée',
+        'status.unhealthy': 'Bilan de santé : {status}',
+        'status.noModels': 'Aucun modèle disponible',
+        'status.comfyDisconnected': 'ComfyUI ne répond pas',
+        'status.publisherDisconnected': 'Compte {target} non connecté',
+        'status.blocked': 'Indisponible : {services}',
+        'msg.serviceDown': 'Action impossible : {services} indisponible(s). Voir l\'état des services.',
+        'common.close': 'Fermer',
+        'notifications.title': 'Notifications',
+        'notifications.clear': '🗑️ Vider',
+        'notifications.desktop': 'Notifications du bureau à la fin des tâches longues',
+        'notifications.empty': 'Aucune notification.',
+        'notifications.job.completed': '✅ Tâche terminée',
+        'notifications.job.failed': '❌ Tâche échouée',
+        'notifications.job.cancelled': '⏹️ Tâche annulée',
+        'notifications.jobDetails': 'Tâche {id} · {done} signe(s) terminé(s)',
+        'notifications.variationsDone': '🧪 Exploration terminée',
+        'notifications.published': '« {title} » publié sur {target}.',
+        'notifications.publishFailed': 'Échec de la publication de « {title} »',
+        'dialog.confirmTitle': 'Confirmation',
+        'dialog.confirm': 'Confirmer',
+        'dialog.ok': 'OK',
+        'dialog.format': 'Format',
+        'dialog.signs': 'Signes',
+        'dialog.duration': 'Durée estimée',
+        'dialog.durationSeconds': '{min} – {max} s',
+        'dialog.durationMinutes': '{min} – {max} min',
+        'dialog.text': 'Texte',
+        'dialog.archivedText': 'Horoscope archivé',
+        'dialog.generatedText': 'Nouvel horoscope généré',
+        'dialog.trim': 'Découpage',
+        'dialog.noTrim': 'Aucun',
+        'dialog.subtitles': 'Sous-titres',
+        'demo.badge': '🧪 Démo',
+        'demo.badgeTitle': 'Aucun backend sur ce site : résultats simulés dans le navigateur',
+        'demo.title': 'Mode démonstration',
+        'demo.enabled': 'Aucun backend sur ce site : les horoscopes, clips et tâches sont simulés dans le navigateur.',
+        'demo.explain': 'Cette page tourne sans backend (site statique). Les horoscopes sont construits à partir des éphémérides du jour, les clips sont enregistrés dans le navigateur et rien n\'est publié. Réessayer de joindre le backend ?',
+        'demo.retryBackend': '🔄 Réessayer le backend',
+        'demo.stillUnreachable': 'Toujours aucun backend : le mode démonstration reste actif.',
+        'demo.clipUnsupported': 'Ce navigateur ne sait pas enregistrer de vidéo (MediaRecorder) : clip de démonstration indisponible.',
+        'demo.batchDone': '{count} signes traités (démonstration).',
+        'demo.jobNotFound': 'Tâche inconnue du backend de démonstration.',
+        'demo.publishDisabled': 'Publication désactivée en mode démonstration.',
+        'demo.unsupported': 'Route {endpoint} non simulée en mode démonstration.',
+        'connections.title': '🔌 Connexions au backend',
+        'connections.hint': 'Les appels utilisent le profil actif (★). Avec une clé d\'API, le serveur doit autoriser cet en-tête (CORS) ; les vidéos et images sont chargées sans en-tête.',
+        'connections.new': '➕ Nouveau profil',
+        'connections.delete': '🗑️ Supprimer',
+        'connections.test': '🧪 Tester la connexion',
+        'connections.save': '💾 Enregistrer et activer',
+        'connections.localName': 'Local (même origine)',
+        'connections.name': 'Nom du profil',
+        'connections.group.api': 'API principale',
+        'connections.group.chat': 'Chat et modèles (Ollama)',
+        'connections.group.video': 'ComfyUI et vidéo',
+        'connections.overrideHint': 'Laissez l\'URL vide pour utiliser l\'API principale.',
+        'connections.baseUrl': 'URL de base',
+        'connections.baseUrlPlaceholder': 'Vide : même origine que la page',
+        'connections.keyHeader': 'En-tête de la clé d\'API',
+        'connections.keyHeaderPlaceholder': 'ex : X-API-Key',
+        'connections.key': 'Clé d\'API',
+        'connections.error.required': '{group} : champ obligatoire.',
+        'connections.error.url': '{group} : l\'URL doit commencer par http:// ou https://.',
+        'connections.error.header': '{group} : nom d\'en-tête invalide ou clé sans en-tête.',
+        'connections.activated': 'Profil « {name} » activé.',
+        'connections.promptName': 'Nom du nouveau profil :',
+        'connections.confirmDelete': 'Supprimer le profil « {name} » ?',
+        'connections.testing': 'Test en cours…',
+        'connections.latency': 'répond en {ms} ms',
+        'nav.compatibility': 'Compatibilité',
+        'section.compatibility.title': 'Compatibilité',
+        'section.compatibility.subtitle': 'Comparez deux signes ou deux thèmes natals',
+        'compat.mode': 'Comparer',
+        'compat.modeSigns': 'Deux signes',
+        'compat.modeProfiles': 'Deux profils natals (synastrie)',
+        'compat.profilesHint': 'Créez des profils natals depuis l\'horoscope individuel pour comparer deux thèmes complets.',
+        'compat.partner1': 'Personne 1',
+        'compat.partner2': 'Personne 2',
+        'compat.calculate': '💞 Calculer la compatibilité',
+        'compat.reading': '✍️ Lecture par l\'IA',
+        'compat.video': '🎬 Short « compatibilité »',
+        'compat.choosePair': 'Choisissez les deux personnes à comparer.',
+        'compat.sameProfile': 'Choisissez deux profils différents.',
+        'compat.score': 'Score de compatibilité',
+        'compat.signsOnly': 'Éléments, modalités et relation des signes',
+        'compat.withSynastry': 'Signes solaires et aspects croisés des deux thèmes',
+        'compat.criterion.element': 'Éléments',
+        'compat.criterion.modality': 'Modalités',
+        'compat.criterion.relation': 'Relation des signes',
+        'compat.criterion.synastry': 'Synastrie',
+        'compat.element.fire': 'Feu',
+        'compat.element.earth': 'Terre',
+        'compat.element.air': 'Air',
+        'compat.element.water': 'Eau',
+        'compat.modality.cardinal': 'Cardinal',
+        'compat.modality.fixed': 'Fixe',
+        'compat.modality.mutable': 'Mutable',
+        'compat.relation.conjunction': 'Même signe',
+        'compat.relation.semisextile': 'Semi-sextile',
+        'compat.relation.sextile': 'Sextile',
+        'compat.relation.square': 'Carré',
+        'compat.relation.trine': 'Trigone',
+        'compat.relation.quincunx': 'Quinconce',
+        'compat.relation.opposition': 'Opposition',
+        'compat.aspectCount': '{count} aspects marquants',
+        'compat.aspects': 'Aspects croisés',
+        'compat.readingError': 'Lecture impossible : {error}',
+        'compat.confirmVideo': 'Créer un short de compatibilité pour {duo} ?',
+        'compat.duo': 'Duo',
+        'compat.readingText': 'Lecture de compatibilité',
+        'period.label': 'Période',
+        'period.day': 'Jour',
+        'period.week': 'Semaine',
+        'period.month': 'Mois',
+        'period.year': 'Année',
+        'period.highlights': 'Temps forts de la période',
+        'period.signHighlights': 'Temps forts du signe',
+        'planet.sun': 'Soleil',
+        'planet.moon': 'Lune',
+        'planet.mercury': 'Mercure',
+        'planet.venus': 'Vénus',
+        'planet.mars': 'Mars',
+        'planet.jupiter': 'Jupiter',
+        'planet.saturn': 'Saturne',
+        'planet.uranus': 'Uranus',
+        'planet.neptune': 'Neptune',
+        'planet.pluto': 'Pluton',
+        'planet.sun.influence': 'Identité, vitalité et volonté',
+        'planet.moon.influence': 'Émotions, intuition et besoins intimes',
+        'planet.mercury.influence': 'Communication, échanges et déplacements',
+        'planet.venus.influence': 'Amour, harmonie et plaisirs',
+        'planet.mars.influence': 'Action, énergie et affirmation de soi',
+        'planet.jupiter.influence': 'Expansion, chance et croissance',
+        'planet.saturn.influence': 'Structure, discipline et responsabilités',
+        'planet.uranus.influence': 'Changements soudains et innovation',
+        'planet.neptune.influence': 'Rêves, inspiration et spiritualité',
+        'planet.pluto.influence': 'Transformation profonde et renaissance',
+        'planet.retrograde': 'rétrograde',
+        'phase.new_moon': 'Nouvelle Lune',
+        'phase.waxing_crescent': 'Premier croissant',
+        'phase.first_quarter': 'Premier quartier',
+        'phase.waxing_gibbous': 'Gibbeuse croissante',
+        'phase.full_moon': 'Pleine Lune',
+        'phase.waning_gibbous': 'Gibbeuse décroissante',
+        'phase.last_quarter': 'Dernier quartier',
+        'phase.waning_crescent': 'Dernier croissant',
+        'season.spring': 'Printemps',
+        'season.summer': 'Été',
+        'season.autumn': 'Automne',
+        'season.winter': 'Hiver',
+        'season.spring.energy': 'Renouveau, élan et nouveaux départs',
+        'season.summer.energy': 'Expansion, rayonnement et abondance',
+        'season.autumn.energy': 'Récolte, bilan et introspection',
+        'season.winter.energy': 'Repos, maturation et préparation',
+        'aspect.conjunction': 'Conjonction',
+        'aspect.sextile': 'Sextile',
+        'aspect.square': 'Carré',
+        'aspect.trine': 'Trigone',
+        'aspect.opposition': 'Opposition',
+        'model.count': '{count} modèles',
+        'model.none': 'Aucun modèle trouvé',
+        'model.offline': 'Ollama hors ligne',
+        'model.selected': 'Activé : {model}',
+        'context.title': 'Contexte astral du {date}',
+        'context.lunarPhase': '🌙 Phase lunaire',
+        'context.illumination': '{percent} % éclairée',
+        'context.season': '🍂 Saison',
+        'context.planets': '🪐 Planètes influentes',
+        'chart.invalidInput': 'Veuillez renseigner une date, une latitude et une longitude valides.',
+        'chart.polar': 'Les maisons ne peuvent pas être calculées au-delà des cercles polaires (latitude > 66°).',
+        'chart.title': 'Carte du ciel pour le {date} à {time}',
+        'chart.body': 'Astre',
+        'chart.position': 'Position',
+        'chart.motion': 'Marche',
+        'chart.retrograde': '℞ Rétrograde',
+        'chart.direct': 'Direct',
+        'chart.orb': 'orbe {orb}°',
+        'chart.house': 'maison {house}',
+        'chat.stop': '⏹️ Stop',
+        'chat.connectionError': '❌ Erreur de connexion : {error}',
+        'job.notFound': 'Tâche {id} introuvable sur le serveur.',
+        'job.progress': 'Tâche {id} · {done}/{total} signes terminés',
+        'job.cancel': '⏹️ Annuler',
+        'job.status.queued': '⏳ Tâche en attente',
+        'job.status.running': '⚙️ Génération en cours',
+        'job.status.completed': '✅ Tâche terminée',
+        'job.status.failed': '❌ Tâche échouée',
+        'job.status.cancelled': '⏹️ Tâche annulée',
+        'job.stage.horoscope': '📝 Horoscope',
+        'job.stage.tts': '🎙️ Voix',
+        'job.stage.comfyui': '🎬 Clip',
+        'job.stage.montage': '🎞️ Montage',
+        'transit.type.ingress': 'Changements de signe',
+        'transit.type.aspect': 'Aspects exacts',
+        'transit.type.station': 'Stations',
+        'transit.type.lunation': 'Nouvelles et pleines lunes',
+        'transit.type.eclipse': 'Éclipses',
+        'transit.ingress': '{body} entre en {sign}',
+        'transit.ingressRetrograde': '{body} entre en {sign} (rétrograde)',
+        'transit.stationRetrograde': '{body} devient rétrograde en {sign}',
+        'transit.stationDirect': '{body} reprend sa marche directe en {sign}',
+        'transit.newMoon': '🌑 Nouvelle Lune en {sign}',
+        'transit.fullMoon': '🌕 Pleine Lune en {sign}',
+        'transit.solarEclipse': 'Éclipse solaire en {sign}',
+        'transit.lunarEclipse': 'Éclipse lunaire en {sign}',
+        'calendar.dayTitle': '📅 Événements du {date}',
+        'calendar.noEvents': 'Aucun événement majeur ce jour-là.',
+        'calendar.openDaily': '🌟 Voir les horoscopes du jour',
+        'archive.count': '{count} horoscope(s)',
+        'archive.empty': 'Aucun horoscope archivé ne correspond à ces critères.',
+        'archive.unknownModel': 'inconnu',
+        'archive.words': '{count} mots',
+        'archive.selectToCompare': 'Sélectionner pour comparer',
+        'archive.prompt': 'Prompt',
+        'archive.useForVideo': '🎬 Utiliser pour la vidéo',
+        'export.copy': '📋 Copier',
+        'export.copied': '✅ Copié',
+        'export.copyFailed': '❌ Échec',
+        'compare.title': '{sign} · comparaison de {count} modèles',
+        'compare.today': 'aujourd\'hui',
+        'compare.words': '{count} mots',
+        'compare.sentences': '{words} mots/phrase · {exclamations} « ! » · {address}',
+        'compare.vote': '👍 Meilleur texte',
+        'compare.voted': '🏆 Votre choix',
+        'compare.standings': '🏆 Modèle recommandé par signe',
+        'compare.language': 'Langue',
+        'compare.votes': 'Votes',
+        'compare.tone.enthusiastic': 'Enthousiaste',
+        'compare.tone.positive': 'Positif',
+        'compare.tone.neutral': 'Neutre',
+        'compare.tone.cautious': 'Prudent',
+        'compare.address.impersonal': 'impersonnel',
+        'compare.address.informal': 'tutoiement',
+        'compare.address.formal': 'vouvoiement',
+        'export.caption.youtube': '📺 Description YouTube',
+        'export.caption.tiktok': '🎵 Légende TikTok',
+        'export.caption.instagram': '📸 Légende Instagram',
+        'export.newsletter.title': '🌟 Horoscopes du {date}',
+        'export.newsletter.footer': 'Généré par AstroGenAI',
+        'export.csv.columns': 'date;signe;nom;mots;horoscope',
+        'export.rss.title': 'AstroGenAI - Horoscopes du jour',
+        'export.rss.description': 'Horoscopes quotidiens des 12 signes du zodiaque',
+        'export.rss.itemTitle': '{name} - Horoscope du {date}',
+        'export.youtube.header': 'Horoscope {name} du {date}',
+        'export.youtube.footer': '🔔 Abonnez-vous pour recevoir votre horoscope chaque jour !',
+        'export.instagram.footer': '✨ Enregistrez ce post et partagez-le à un(e) {name} !',
+        'export.hashtags.base': '#horoscope #astrologie #zodiaque #astro',
+        'export.hashtags.tiktok': '#fyp #pourtoi #astrotok',
+        'export.hashtags.instagram': '#horoscopedujour #signeastro #reels',
+        'common.error': 'Erreur',
+        'common.errorLabel': '❌ Erreur :',
+        'common.words': '{count} mots',
+        'chart.exportSvg': '💾 Exporter SVG',
+        'chart.exportPng': '🖼️ Exporter PNG',
+        'chart.fileName': 'carte-du-ciel',
+        'chat.untitled': 'Nouvelle conversation',
+        'chat.messageCount': '{count} messages',
+        'chat.rename': 'Renommer',
+        'chat.delete': 'Supprimer',
+        'video.clipDone': '🎬 Vidéo générée avec ComfyUI !',
+        'video.batchDone': 'Batch ComfyUI terminé !',
+        'video.batchSuccess': 'Réussi ({size})',
+        'video.batchFailure': 'Échoué - {error}',
+        'video.sign': 'Signe :',
+        'video.path': 'Chemin :',
+        'video.size': 'Taille :',
+        'video.duration': 'Durée :',
+        'video.signWorkflowDone': '✅ Workflow pour {sign} terminé !',
+        'video.fullWorkflowDone': '✅ Workflow de lot terminé !',
+        'profile.sunSignOnly': '— Signe solaire uniquement —',
+        'profile.ascendantUnknown': 'inconnu (heure de naissance manquante)',
+        'prompts.defaultTemplate': 'Modèle par défaut',
+        'prompts.perSign': 'Modèle par signe',
+        'prompts.unknownVariables': '⚠️ Variables inconnues : {names}',
+        'llm.allSigns': 'tous les signes',
+        'llm.lunarPhase': '{phase} ({percent}% éclairée)',
+        'llm.planetIn': '{planet} en {position}',
+        'llm.noTransits': 'aucun transit majeur',
+        'llm.chatSummary': 'Résumé du début de la conversation :\n{summary}',
+        'llm.chatUser': 'Utilisateur',
+        'llm.chatAssistant': 'Assistant',
+        'llm.period.day': 'du {start}',
+        'llm.period.week': 'de la semaine du {start} au {end}',
+        'llm.period.month': 'du mois de {month} {year}',
+        'llm.period.monthElided': 'du mois d\'{month} {year}',
+        'llm.period.year': 'de l\'année {year}',
+        'llm.compat.score': 'score global {score}/100',
+        'llm.compat.elements': 'éléments {elements} ({score}/100)',
+        'llm.compat.modalities': 'modalités {modalities} ({score}/100)',
+        'llm.compat.relation': 'signes en {relation} ({score}/100)',
+        'llm.compat.and': '{first} et {second}',
+        'llm.compat.aspect': '{from} ({nameA}) {symbol} {to} ({nameB}), {aspect} à {orb}°',
+        'llm.compat.synastry': 'synastrie {score}/100 : {aspects}',
+        'llm.compat.noAspects': 'synastrie {score}/100, sans aspect majeur',
+        'compat.videoDone': '✅ Short de compatibilité terminé : {duo}',
+        'compat.scoreLabel': 'Score de compatibilité :'
+    },
+    'en': {
+        'sign.aries': 'Aries',
+        'sign.taurus': 'Taurus',
+        'sign.gemini': 'Gemini',
+        'sign.cancer': 'Cancer',
+        'sign.leo': 'Leo',
+        'sign.virgo': 'Virgo',
+        'sign.libra': 'Libra',
+        'sign.scorpio': 'Scorpio',
+        'sign.sagittarius': 'Sagittarius',
+        'sign.capricorn': 'Capricorn',
+        'sign.aquarius': 'Aquarius',
+        'sign.pisces': 'Pisces',
+        'nav.individual': 'Individual Horoscope',
+        'nav.daily': 'Daily Horoscopes',
+        'nav.context': 'Astral Context',
+        'nav.astrochart': 'Sky Chart',
+        'nav.prompts': 'Prompt Library',
+        'nav.calendar': 'Transit Calendar',
+        'nav.archive': 'Archive',
+        'nav.chat': 'AI AstroGen Chat',
+        'nav.video': 'AI AstroGen Animation',
+        'sidebar.model': '🤖 AI Model',
+        'sidebar.language': '🌐 Language',
+        'sidebar.loading': 'Loading...',
+        'section.individual.title': 'Individual Horoscope',
+        'section.individual.subtitle': 'Generate your personal horoscope with AI',
+        'section.daily.title': 'Daily Horoscopes',
+        'section.daily.subtitle': 'All of today\'s horoscopes in one click',
+        'section.context.title': 'Astral Context',
+        'section.context.subtitle': 'Discover the current cosmic influences',
+        'section.astrochart.title': 'Sky Chart',
+        'section.astrochart.subtitle': 'View the planetary positions on any date',
+        'section.archive.title': 'Horoscope Archive',
+        'section.archive.subtitle': 'Find, compare and reuse your generations',
+        'section.prompts.title': 'Prompt Library',
+        'section.prompts.subtitle': 'Versioned templates for horoscopes, chat and visuals',
+        'section.calendar.title': 'Transit Calendar',
+        'section.calendar.subtitle': 'Plan your content around sky events',
+        'section.chat.title': 'AI Chat',
+        'section.chat.subtitle': 'Talk with your astral assistant',
+        'section.video.title': 'Video Generator',
+        'section.video.subtitle': 'Create video content for your social networks',
+        'common.date': 'Date',
+        'common.sign': 'Sign',
+        'common.name': 'Name',
+        'common.save': '💾 Save',
+        'common.cancel': 'Cancel',
+        'common.delete': '🗑️ Delete',
+        'common.choose': 'Choose',
+        'common.generate': '🌙 Generate',
+        'individual.profile': 'Natal profile (optional)',
+        'individual.newProfile': 'New profile',
+        'individual.editProfile': 'Edit profile',
+        'individual.deleteProfile': 'Delete profile',
+        'individual.sign': 'Zodiac Sign',
+        'individual.chooseSign': 'Choose your sign',
+        'individual.dateOptional': 'Date (optional)',
+        'individual.compare': '⚖️ Compare several models',
+        'individual.compareHint': 'Pick 2 to 4 models: they will generate the same horoscope in parallel.',
+        'individual.generate': '✨ Generate',
+        'profile.title': 'Natal profile',
+        'profile.namePlaceholder': 'e.g. Mary',
+        'profile.birthplace': 'Birthplace',
+        'profile.birthplacePlaceholder': 'Start typing a city',
+        'profile.birthDate': 'Date of birth',
+        'profile.birthTime': 'Time of birth',
+        'profile.birthTimeHint': 'Leave empty if unknown: the Ascendant and houses will not be calculated.',
+        'daily.generate': '🌟 Generate all',
+        'export.title': 'Export horoscopes',
+        'export.markdown': '📰 Markdown newsletter',
+        'export.rss': '📡 RSS feed',
+        'export.captions': 'Social media captions',
+        'chart.date': 'Chart date',
+        'chart.time': 'Local time',
+        'chart.utcOffset': 'Time zone (UTC±h)',
+        'chart.latitude': 'Latitude',
+        'chart.longitude': 'Longitude (East +)',
+        'chart.generate': '🌌 Generate the Sky Chart',
+        'prompts.kind': 'Prompt type',
+        'prompts.template': 'Template (★ = default)',
+        'prompts.new': '＋ New template',
+        'prompts.setDefault': '★ Use as default',
+        'prompts.text': 'Template text',
+        'prompts.history': 'Version history',
+        'prompts.restore': 'Load this version into the editor',
+        'prompts.saveVersion': '💾 Save as a new version',
+        'prompts.preview': 'Preview with the astral context',
+        'calendar.month': 'Month',
+        'calendar.week': 'Week',
+        'calendar.today': 'Today',
+        'calendar.weekRange': 'Week of {start} to {end}',
+        'archive.search': 'Search',
+        'archive.searchPlaceholder': 'Words in the text or the prompt',
+        'archive.allSigns': 'All signs',
+        'archive.model': 'Model',
+        'archive.allModels': 'All models',
+        'archive.from': 'From',
+        'archive.to': 'To',
+        'archive.compare': '⚖️ Compare selection',
+        'chat.newThread': '＋ New conversation',
+        'chat.welcome': '🌟 Hello! I\'m your astral guide. How can I help you today?',
+        'chat.placeholder': 'Ask your astrology question...',
+        'chat.send': 'Send',
+        'video.title': '🎬 Video Generation',
+        'video.subtitle': 'Create a video of the zodiac sign and its constellation',
+        'video.format': 'Format',
+        'video.square': 'Square (1080x1080)',
+        'video.customPrompt': 'Custom prompt (optional)',
+        'video.customPromptPlaceholder': 'Leave empty to use the Prompt Library template',
+        'video.archivedText': 'Archived horoscope (used for the edit)',
+        'video.clearArchivedText': '✖ Stop using this text',
+        'video.seed': 'Seed (optional)',
+        'video.seedPlaceholder': 'Leave empty for a random seed',
+        'video.loading': 'Video Generation...',
+        'video.estimate': 'Estimated time: 30-60 seconds per video',
+        'video.groupMain': 'Generation & Editing',
+        'video.groupBatch': 'Batch Actions',
+        'video.groupUtility': 'Utilities & Status',
+        'video.clip': '🎬 Generate Video Clip',
+        'video.signMontage': '🎞️ Edit for this Sign',
+        'video.fullMontage': '🚀 Generate the Full Edit',
+        'video.batchClips': '🚀 Batch Video Clips',
+        'video.comfyStatus': '🔍 ComfyUI Status',
+        'footer.rights': 'All rights reserved.',
+        'footer.terms': 'Terms of Use',
+        'footer.privacy': 'Privacy Policy',
+        'msg.selectSign': 'Please select a zodiac sign.',
+        'msg.selectSignFirst': 'Please select a zodiac sign first.',
+        'msg.error': '❌ Error: {error}',
+        'msg.pngExportError': '❌ PNG export error: {error}',
+        'msg.renameThread': 'New conversation name:',
+        'msg.deleteThread': 'Delete the conversation "{title}"?',
+        'msg.confirmBatchClips': 'Start batch generation for all 12 signs?',
+        'msg.confirmSignWorkflow': 'Run the full workflow for {sign}?',
+        'msg.confirmFullWorkflow': 'Run the full workflow for all 12 signs?',
+        'msg.confirmCancelJob': 'Cancel the running job?\nSigns already finished are kept.',
+        'msg.cancelJobError': '❌ Could not cancel the job: {error}',
+        'msg.profileRequired': 'Please enter a name and a date of birth.',
+        'msg.birthplaceRequired': 'Please choose a birthplace from the list.',
+        'msg.deleteProfile': 'Delete the profile "{name}"?',
+        'msg.deleteArchiveEntry': 'Delete this horoscope from the archive?',
+        'msg.selectTwoEntries': 'Select exactly two horoscopes to compare.',
+        'msg.compareSameSignDate': 'Only two generations of the same sign for the same date can be compared.',
+        'msg.compareModelCount': 'Select between {min} and {max} models to compare.',
+        'msg.templateRequired': 'The template name and text are required.',
+        'msg.templateUnchanged': 'Text unchanged: no new version created.',
+        'msg.newTemplateName': 'Name of the new template:',
+        'msg.lastTemplate': 'The last template of this type cannot be deleted.',
+        'msg.deleteTemplate': 'Delete the template "{name}" and its whole history?',
+        'nav.schedule': 'Scheduling',
+        'section.schedule.title': 'Publishing Schedule',
+        'section.schedule.subtitle': 'Queue of videos to publish per sign and platform',
+        'schedule.platform': 'Platform',
+        'schedule.visibility': 'Visibility',
+        'schedule.datetime': 'Publish date and time',
+        'schedule.timezone': 'Time zone',
+        'schedule.title': 'Title',
+        'schedule.description': 'Description',
+        'schedule.tags': 'Tags (comma-separated)',
+        'schedule.hashtags': 'Hashtags',
+        'schedule.fill': '✨ Fill from the horoscope',
+        'schedule.add': '🗓️ Add to queue',
+        'schedule.update': '💾 Save changes',
+        'schedule.allStatuses': 'All statuses',
+        'schedule.status.pending': '⏳ Pending',
+        'schedule.status.publishing': '📤 Publishing',
+        'schedule.status.published': '✅ Published',
+        'schedule.status.failed': '❌ Failed',
+        'schedule.visibility.private': '🔒 Private',
+        'schedule.visibility.unlisted': '🔗 Unlisted',
+        'schedule.visibility.public': '🌍 Public',
+        'schedule.visibility.friends': '👥 Friends',
+        'schedule.empty': 'No scheduled posts.',
+        'schedule.publishNow': '📤 Publish now',
+        'schedule.edit': '✏️ Edit',
+        'schedule.retry': '🔄 Retry',
+        'schedule.attempts': '{count} attempts',
+        'schedule.viewPost': 'View post',
+        'schedule.interrupted': 'Upload interrupted: check the platform before retrying.',
+        'schedule.defaultTitle': '{symbol} {sign} horoscope for {date}',
+        'video.schedule': '🗓️ Schedule this Sign',
+        'msg.scheduleRequired': 'Please choose a sign, a publish date and a title.',
+        'msg.deleteScheduledPost': 'Remove "{title}" from the publishing queue?',
+        'video.groupPublish': 'Publishing',
+        'video.uploadTo': 'Publish this Sign ({target})',
+        'video.uploadBatchTo': '{target} Batch',
+        'video.statusOf': '{target} Status',
+        'video.publishTargets': '⚙️ Publishing target settings',
+        'publisher.channel': 'Channel',
+        'publisher.subscribers': 'Subscribers',
+        'publisher.videos': 'Available videos',
+        'publisher.account': 'Account',
+        'publisher.url': 'URL',
+        'publisher.httpStatus': 'HTTP status',
+        'publisher.webhookUrl': 'Webhook URL',
+        'publisher.webhookSecret': 'Signing secret (optional)',
+        'schedule.visibility.feed': '📰 Reel + feed',
+        'schedule.visibility.reels': '🎞️ Reels tab only',
+        'msg.confirmUpload': 'Publish the {sign} video to {target} ({visibility})?',
+        'msg.confirmBatchUpload': 'Publish ALL available videos to {target} ({visibility})?',
+        'msg.uploadDone': 'Video published to {target}!',
+        'msg.batchUploadDone': '{target} batch finished: {summary}',
+        'msg.publisherConfigRequired': 'Configure the {target} target first (Video section).',
+        'montage.trimIn': 'In point (s)',
+        'montage.trimOut': 'Out point (s)',
+        'montage.setFromPlayer': '⏱️ Current position',
+        'montage.preview': '▶️ Preview clip',
+        'montage.length': 'Clip: {duration}s',
+        'montage.subtitles': 'Subtitles',
+        'montage.noSubtitles': 'No transcription segments.',
+        'montage.addSubtitle': '＋ Subtitle at playhead',
+        'montage.rerender': '🎞️ Re-render montage',
+        'montage.seek': 'Play from this subtitle',
+        'montage.issue.order': 'Subtitle {index}: the end must come after the start.',
+        'montage.issue.overlap': 'Subtitle {index}: overlaps the previous one.',
+        'montage.issue.bounds': 'Subtitle {index}: outside the video duration.',
+        'msg.trimInvalid': 'The out point must be after the in point.',
+        'msg.subtitleErrors': 'Fix subtitles whose end is before their start before re-rendering.',
+        'msg.confirmRerender': 'Re-render the {sign} montage with these settings?',
+        'nav.media': 'Media Gallery',
+        'section.media.title': 'Media Gallery',
+        'section.media.subtitle': 'Clips, montages and sky charts already generated',
+        'media.type': 'Type',
+        'media.allTypes': 'All types',
+        'media.type.clip': '🎬 Clips',
+        'media.type.montage': '🎞️ Montages',
+        'media.type.chart': '🗺️ Sky charts',
+        'media.allFormats': 'All formats',
+        'media.uploadStatus': 'Publishing',
+        'media.allUploads': 'All',
+        'media.uploaded': '✅ Already published',
+        'media.notUploaded': '⏳ Never published',
+        'media.refresh': '🔄 Refresh',
+        'media.download': '📥 Download',
+        'media.sendToUpload': '📤 Publish',
+        'media.count': '{count} items · {selected} selected',
+        'media.empty': 'No media matches the filters.',
+        'media.uploadedOn': 'Published on',
+        'msg.selectMedia': 'Select at least one item.',
+        'msg.selectMediaVideos': 'Select at least one video (sky charts cannot be published).',
+        'msg.deleteMedia': 'Permanently delete {count} item(s) from the server?',
+        'variation.title': '🧪 Variation mode',
+        'variation.mode': 'Explore',
+        'variation.mode.seeds': 'Several seeds, same prompt',
+        'variation.mode.prompts': 'Several prompts, same seed',
+        'variation.count': 'Number of clips',
+        'variation.seeds': 'Fixed seeds (optional)',
+        'variation.seedsPlaceholder': 'Filled up with random seeds',
+        'variation.prompts': 'Prompt variants (one per line)',
+        'variation.start': '🧪 Start exploring',
+        'variation.stop': '⏹ Stop',
+        'variation.progress': '{done}/{total} clips',
+        'variation.status.pending': 'Waiting',
+        'variation.status.running': 'Generating…',
+        'variation.status.error': 'Failed',
+        'variation.status.cancelled': 'Cancelled',
+        'variation.star': 'Mark as a winner',
+        'variation.setPreset': '📌 Sign preset',
+        'variation.isPreset': '📌 Current preset',
+        'variation.presetInfo': 'Visual preset: seed {seed}',
+        'variation.clearPreset': '✖ Forget preset',
+        'msg.variationPromptsRequired': 'Enter at least one prompt variant.',
+        'msg.confirmVariations': 'Generate {count} clips for {sign}?',
+        'api.cancel': '✖ Cancel',
+        'api.offline': '⚠️ Server unreachable.',
+        'api.replaying': '🔄 Server is back, resending requests…',
+        'api.offlineQueued': '{count} request(s) waiting, resent when the server is back:',
+        'api.retryNow': '↻ Retry now',
+        'api.dropQueue': '✖ Discard',
+        'api.error.http': 'HTTP error {status}',
+        'api.error.timeout': 'The server did not respond within {seconds} s.',
+        'api.error.network': 'Server unreachable.',
+        'api.error.aborted': 'Request cancelled.',
+        'api.error.nonJson': 'Unexpected server response (HTTP {status}): {excerpt}',
+        'api.error.empty': 'Empty server response (HTTP {status}).',
+        'api.error.invalidJson': 'Invalid JSON response from the server (HTTP {status}).',
+        'msg.dropOfflineQueue': 'Discard the {count} waiting request(s)?',
+        'nav.status': 'Service Status',
+        'section.status.title': 'Service Status',
+        'section.status.subtitle': 'Availability of the backend, Ollama, ComfyUI and the platforms',
+        'status.refresh': '🔄 Check all',
+        'status.check': '🔄 Check',
+        'status.lastPoll': 'Last full check: {date}',
+        'status.state.up': 'Operational',
+        'status.state.degraded': 'Degraded',
+        'status.state.down': 'Unavailable',
+        'status.state.unknown': 'Unknown',
+        'status.latency': 'Latency',
+        'status.average': 'average {latency} ms',
+        'status.uptime': 'Uptime',
+        'status.checks': '{count} checks',
+        'status.lastCheck': 'Last check',
+        'status.history': 'Check history',
+        'status.health': 'Health',
+        'status.models': 'Models',
+        'status.server': 'Server',
+        'status.formats': 'Formats',
+        'status.workflow': 'Workflow',
+        'status.workflowReady': 'Ready',
+        'status.workflowNotReady': 'Workflow not ready',
+        'status.note': 'Note',
+        'status.notConfigured': 'Target not configured',
+        'status.unhealthy': 'Health check: {status}',
+        'status.noModels': 'No model available',
+        'status.comfyDisconnected': 'ComfyUI is not responding',
+        'status.publisherDisconnected': '{target} account not connected',
+        'status.blocked': 'Unavailable: {services}',
+        'msg.serviceDown': 'Action unavailable: {services} down. See the service status.',
+        'common.close': 'Close',
+        'notifications.title': 'Notifications',
+        'notifications.clear': '🗑️ Clear',
+        'notifications.desktop': 'Desktop notifications when long jobs finish',
+        'notifications.empty': 'No notifications.',
+        'notifications.job.completed': '✅ Job completed',
+        'notifications.job.failed': '❌ Job failed',
+        'notifications.job.cancelled': '⏹️ Job cancelled',
+        'notifications.jobDetails': 'Job {id} · {done} sign(s) done',
+        'notifications.variationsDone': '🧪 Exploration finished',
+        'notifications.published': '“{title}” published to {target}.',
+        'notifications.publishFailed': 'Publishing “{title}” failed',
+        'dialog.confirmTitle': 'Confirmation',
+        'dialog.confirm': 'Confirm',
+        'dialog.ok': 'OK',
+        'dialog.format': 'Format',
+        'dialog.signs': 'Signs',
+        'dialog.duration': 'Estimated duration',
+        'dialog.durationSeconds': '{min} – {max} s',
+        'dialog.durationMinutes': '{min} – {max} min',
+        'dialog.text': 'Text',
+        'dialog.archivedText': 'Archived horoscope',
+        'dialog.generatedText': 'Newly generated horoscope',
+        'dialog.trim': 'Trim',
+        'dialog.noTrim': 'None',
+        'dialog.subtitles': 'Subtitles',
+        'demo.badge': '🧪 Demo',
+        'demo.badgeTitle': 'No backend on this site: results are simulated in the browser',
+        'demo.title': 'Demo mode',
+        'demo.enabled': 'No backend on this site: horoscopes, clips and jobs are simulated in the browser.',
+        'demo.explain': 'This page is running without a backend (static site). Horoscopes are built from today\'s ephemeris, clips are recorded in the browser and nothing is published. Try to reach the backend again?',
+        'demo.retryBackend': '🔄 Retry the backend',
+        'demo.stillUnreachable': 'Still no backend: demo mode stays on.',
+        'demo.clipUnsupported': 'This browser cannot record video (MediaRecorder): demo clip unavailable.',
+        'demo.batchDone': '{count} signs processed (demo).',
+        'demo.jobNotFound': 'Job unknown to the demo backend.',
+        'demo.publishDisabled': 'Publishing is disabled in demo mode.',
+        'demo.unsupported': 'Route {endpoint} is not simulated in demo mode.',
+        'connections.title': '🔌 Backend connections',
+        'connections.hint': 'Calls use the active profile (★). With an API key, the server must allow that header (CORS); videos and images are loaded without headers.',
+        'connections.new': '➕ New profile',
+        'connections.delete': '🗑️ Delete',
+        'connections.test': '🧪 Test connection',
+        'connections.save': '💾 Save and activate',
+        'connections.localName': 'Local (same origin)',
+        'connections.name': 'Profile name',
+        'connections.group.api': 'Main API',
+        'connections.group.chat': 'Chat and models (Ollama)',
+        'connections.group.video': 'ComfyUI and video',
+        'connections.overrideHint': 'Leave the URL empty to use the main API.',
+        'connections.baseUrl': 'Base URL',
+        'connections.baseUrlPlaceholder': 'Empty: same origin as the page',
+        'connections.keyHeader': 'API key header',
+        'connections.keyHeaderPlaceholder': 'e.g. X-API-Key',
+        'connections.key': 'API key',
+        'connections.error.required': '{group}: required field.',
+        'connections.error.url': '{group}: the URL must start with http:// or https://.',
+        'connections.error.header': '{group}: invalid header name or key without a header.',
+        'connections.activated': 'Profile "{name}" activated.',
+        'connections.promptName': 'Name of the new profile:',
+        'connections.confirmDelete': 'Delete the profile "{name}"?',
+        'connections.testing': 'Testing…',
+        'connections.latency': 'responds in {ms} ms',
+        'nav.compatibility': 'Compatibility',
+        'section.compatibility.title': 'Compatibility',
+        'section.compatibility.subtitle': 'Compare two signs or two birth charts',
+        'compat.mode': 'Compare',
+        'compat.modeSigns': 'Two signs',
+        'compat.modeProfiles': 'Two birth profiles (synastry)',
+        'compat.profilesHint': 'Create birth profiles from the individual horoscope to compare two full charts.',
+        'compat.partner1': 'Person 1',
+        'compat.partner2': 'Person 2',
+        'compat.calculate': '💞 Calculate compatibility',
+        'compat.reading': '✍️ AI reading',
+        'compat.video': '🎬 Compatibility short',
+        'compat.choosePair': 'Choose the two people to compare.',
+        'compat.sameProfile': 'Choose two different profiles.',
+        'compat.score': 'Compatibility score',
+        'compat.signsOnly': 'Elements, modalities and sign relationship',
+        'compat.withSynastry': 'Sun signs and cross-aspects between both charts',
+        'compat.criterion.element': 'Elements',
+        'compat.criterion.modality': 'Modalities',
+        'compat.criterion.relation': 'Sign relationship',
+        'compat.criterion.synastry': 'Synastry',
+        'compat.element.fire': 'Fire',
+        'compat.element.earth': 'Earth',
+        'compat.element.air': 'Air',
+        'compat.element.water': 'Water',
+        'compat.modality.cardinal': 'Cardinal',
+        'compat.modality.fixed': 'Fixed',
+        'compat.modality.mutable': 'Mutable',
+        'compat.relation.conjunction': 'Same sign',
+        'compat.relation.semisextile': 'Semi-sextile',
+        'compat.relation.sextile': 'Sextile',
+        'compat.relation.square': 'Square',
+        'compat.relation.trine': 'Trine',
+        'compat.relation.quincunx': 'Quincunx',
+        'compat.relation.opposition': 'Opposition',
+        'compat.aspectCount': '{count} notable aspects',
+        'compat.aspects': 'Cross-aspects',
+        'compat.readingError': 'Reading failed: {error}',
+        'compat.confirmVideo': 'Create a compatibility short for {duo}?',
+        'compat.duo': 'Pair',
+        'compat.readingText': 'Compatibility reading',
+        'period.label': 'Period',
+        'period.day': 'Day',
+        'period.week': 'Week',
+        'period.month': 'Month',
+        'period.year': 'Year',
+        'period.highlights': 'Key transits of the period',
+        'period.signHighlights': 'Key transits for the sign',
+        'planet.sun': 'Sun',
+        'planet.moon': 'Moon',
+        'planet.mercury': 'Mercury',
+        'planet.venus': 'Venus',
+        'planet.mars': 'Mars',
+        'planet.jupiter': 'Jupiter',
+        'planet.saturn': 'Saturn',
+        'planet.uranus': 'Uranus',
+        'planet.neptune': 'Neptune',
+        'planet.pluto': 'Pluto',
+        'planet.sun.influence': 'Identity, vitality and will',
+        'planet.moon.influence': 'Emotions, intuition and inner needs',
+        'planet.mercury.influence': 'Communication, exchanges and travel',
+        'planet.venus.influence': 'Love, harmony and pleasures',
+        'planet.mars.influence': 'Action, energy and self-assertion',
+        'planet.jupiter.influence': 'Expansion, luck and growth',
+        'planet.saturn.influence': 'Structure, discipline and responsibilities',
+        'planet.uranus.influence': 'Sudden change and innovation',
+        'planet.neptune.influence': 'Dreams, inspiration and spirituality',
+        'planet.pluto.influence': 'Deep transformation and rebirth',
+        'planet.retrograde': 'retrograde',
+        'phase.new_moon': 'New Moon',
+        'phase.waxing_crescent': 'Waxing crescent',
+        'phase.first_quarter': 'First quarter',
+        'phase.waxing_gibbous': 'Waxing gibbous',
+        'phase.full_moon': 'Full Moon',
+        'phase.waning_gibbous': 'Waning gibbous',
+        'phase.last_quarter': 'Last quarter',
+        'phase.waning_crescent': 'Waning crescent',
+        'season.spring': 'Spring',
+        'season.summer': 'Summer',
+        'season.autumn': 'Autumn',
+        'season.winter': 'Winter',
+        'season.spring.energy': 'Renewal, momentum and fresh starts',
+        'season.summer.energy': 'Expansion, radiance and abundance',
+        'season.autumn.energy': 'Harvest, review and introspection',
+        'season.winter.energy': 'Rest, maturation and preparation',
+        'aspect.conjunction': 'Conjunction',
+        'aspect.sextile': 'Sextile',
+        'aspect.square': 'Square',
+        'aspect.trine': 'Trine',
+        'aspect.opposition': 'Opposition',
+        'model.count': '{count} models',
+        'model.none': 'No model found',
+        'model.offline': 'Ollama offline',
+        'model.selected': 'Selected: {model}',
+        'context.title': 'Astral context for {date}',
+        'context.lunarPhase': '🌙 Moon phase',
+        'context.illumination': '{percent}% illuminated',
+        'context.season': '🍂 Season',
+        'context.planets': '🪐 Influential planets',
+        'chart.invalidInput': 'Please enter a valid date, latitude and longitude.',
+        'chart.polar': 'Houses cannot be computed beyond the polar circles (latitude > 66°).',
+        'chart.title': 'Sky chart for {date} at {time}',
+        'chart.body': 'Body',
+        'chart.position': 'Position',
+        'chart.motion': 'Motion',
+        'chart.retrograde': '℞ Retrograde',
+        'chart.direct': 'Direct',
+        'chart.orb': 'orb {orb}°',
+        'chart.house': 'house {house}',
+        'chat.stop': '⏹️ Stop',
+        'chat.connectionError': '❌ Connection error: {error}',
+        'job.notFound': 'Job {id} not found on the server.',
+        'job.progress': 'Job {id} · {done}/{total} signs done',
+        'job.cancel': '⏹️ Cancel',
+        'job.status.queued': '⏳ Job queued',
+        'job.status.running': '⚙️ Generating',
+        'job.status.completed': '✅ Job completed',
+        'job.status.failed': '❌ Job failed',
+        'job.status.cancelled': '⏹️ Job cancelled',
+        'job.stage.horoscope': '📝 Horoscope',
+        'job.stage.tts': '🎙️ Voice',
+        'job.stage.comfyui': '🎬 Clip',
+        'job.stage.montage': '🎞️ Editing',
+        'transit.type.ingress': 'Sign changes',
+        'transit.type.aspect': 'Exact aspects',
+        'transit.type.station': 'Stations',
+        'transit.type.lunation': 'New and full moons',
+        'transit.type.eclipse': 'Eclipses',
+        'transit.ingress': '{body} enters {sign}',
+        'transit.ingressRetrograde': '{body} enters {sign} (retrograde)',
+        'transit.stationRetrograde': '{body} turns retrograde in {sign}',
+        'transit.stationDirect': '{body} turns direct in {sign}',
+        'transit.newMoon': '🌑 New Moon in {sign}',
+        'transit.fullMoon': '🌕 Full Moon in {sign}',
+        'transit.solarEclipse': 'Solar eclipse in {sign}',
+        'transit.lunarEclipse': 'Lunar eclipse in {sign}',
+        'calendar.dayTitle': '📅 Events on {date}',
+        'calendar.noEvents': 'No major event that day.',
+        'calendar.openDaily': '🌟 See the day\'s horoscopes',
+        'archive.count': '{count} horoscope(s)',
+        'archive.empty': 'No archived horoscope matches these filters.',
+        'archive.unknownModel': 'unknown',
+        'archive.words': '{count} words',
+        'archive.selectToCompare': 'Select to compare',
+        'archive.prompt': 'Prompt',
+        'archive.useForVideo': '🎬 Use for the video',
+        'export.copy': '📋 Copy',
+        'export.copied': '✅ Copied',
+        'export.copyFailed': '❌ Failed',
+        'compare.title': '{sign} · comparison of {count} models',
+        'compare.today': 'today',
+        'compare.words': '{count} words',
+        'compare.sentences': '{words} words/sentence · {exclamations} "!" · {address}',
+        'compare.vote': '👍 Best text',
+        'compare.voted': '🏆 Your pick',
+        'compare.standings': '🏆 Recommended model per sign',
+        'compare.language': 'Language',
+        'compare.votes': 'Votes',
+        'compare.tone.enthusiastic': 'Enthusiastic',
+        'compare.tone.positive': 'Positive',
+        'compare.tone.neutral': 'Neutral',
+        'compare.tone.cautious': 'Cautious',
+        'compare.address.impersonal': 'impersonal',
+        'compare.address.informal': 'informal',
+        'compare.address.formal': 'formal',
+        'export.caption.youtube': '📺 YouTube description',
+        'export.caption.tiktok': '🎵 TikTok caption',
+        'export.caption.instagram': '📸 Instagram caption',
+        'export.newsletter.title': '🌟 Horoscopes for {date}',
+        'export.newsletter.footer': 'Generated by AstroGenAI',
+        'export.csv.columns': 'date;sign;name;words;horoscope',
+        'export.rss.title': 'AstroGenAI - Daily horoscopes',
+        'export.rss.description': 'Daily horoscopes for the 12 zodiac signs',
+        'export.rss.itemTitle': '{name} - Horoscope for {date}',
+        'export.youtube.header': '{name} horoscope for {date}',
+        'export.youtube.footer': '🔔 Subscribe to get your horoscope every day!',
+        'export.instagram.footer': '✨ Save this post and share it with a {name}!',
+        'export.hashtags.base': '#horoscope #astrology #zodiac #astro',
+        'export.hashtags.tiktok': '#fyp #foryou #astrotok',
+        'export.hashtags.instagram': '#dailyhoroscope #zodiacsign #reels',
+        'common.error': 'Error',
+        'common.errorLabel': '❌ Error:',
+        'common.words': '{count} words',
+        'chart.exportSvg': '💾 Export SVG',
+        'chart.exportPng': '🖼️ Export PNG',
+        'chart.fileName': 'sky-chart',
+        'chat.untitled': 'New conversation',
+        'chat.messageCount': '{count} messages',
+        'chat.rename': 'Rename',
+        'chat.delete': 'Delete',
+        'video.clipDone': '🎬 Video generated with ComfyUI!',
+        'video.batchDone': 'ComfyUI batch finished!',
+        'video.batchSuccess': 'Succeeded ({size})',
+        'video.batchFailure': 'Failed - {error}',
+        'video.sign': 'Sign:',
+        'video.path': 'Path:',
+        'video.size': 'Size:',
+        'video.duration': 'Duration:',
+        'video.signWorkflowDone': '✅ Workflow for {sign} finished!',
+        'video.fullWorkflowDone': '✅ Batch workflow finished!',
+        'profile.sunSignOnly': '— Sun sign only —',
+        'profile.ascendantUnknown': 'unknown (birth time missing)',
+        'prompts.defaultTemplate': 'Default template',
+        'prompts.perSign': 'Template per sign',
+        'prompts.unknownVariables': '⚠️ Unknown variables: {names}',
+        'llm.allSigns': 'all signs',
+        'llm.lunarPhase': '{phase} ({percent}% illuminated)',
+        'llm.planetIn': '{planet} in {position}',
+        'llm.noTransits': 'no major transits',
+        'llm.chatSummary': 'Summary of the start of the conversation:\n{summary}',
+        'llm.chatUser': 'User',
+        'llm.chatAssistant': 'Assistant',
+        'llm.period.day': 'for {start}',
+        'llm.period.week': 'for the week of {start} to {end}',
+        'llm.period.month': 'for {month} {year}',
+        'llm.period.monthElided': 'for {month} {year}',
+        'llm.period.year': 'for the year {year}',
+        'llm.compat.score': 'overall score {score}/100',
+        'llm.compat.elements': 'elements {elements} ({score}/100)',
+        'llm.compat.modalities': 'modalities {modalities} ({score}/100)',
+        'llm.compat.relation': 'signs in {relation} ({score}/100)',
+        'llm.compat.and': '{first} and {second}',
+        'llm.compat.aspect': '{from} ({nameA}) {symbol} {to} ({nameB}), {aspect} at {orb}°',
+        'llm.compat.synastry': 'synastry {score}/100: {aspects}',
+        'llm.compat.noAspects': 'synastry {score}/100, no major aspect',
+        'compat.videoDone': '✅ Compatibility short finished: {duo}',
+        'compat.scoreLabel': 'Compatibility score:'
+    },
+    'es': {
+        'sign.aries': 'Aries',
+        'sign.taurus': 'Tauro',
+        'sign.gemini': 'Géminis',
+        'sign.cancer': 'Cáncer',
+        'sign.leo': 'Leo',
+        'sign.virgo': 'Virgo',
+        'sign.libra': 'Libra',
+        'sign.scorpio': 'Escorpio',
+        'sign.sagittarius': 'Sagitario',
+        'sign.capricorn': 'Capricornio',
+        'sign.aquarius': 'Acuario',
+        'sign.pisces': 'Piscis',
+        'nav.individual': 'Horóscopo individual',
+        'nav.daily': 'Horóscopos del día',
+        'nav.context': 'Contexto astral',
+        'nav.astrochart': 'Carta del cielo',
+        'nav.prompts': 'Biblioteca de prompts',
+        'nav.calendar': 'Calendario de tránsitos',
+        'nav.archive': 'Archivo',
+        'nav.chat': 'AI AstroGen Chat',
+        'nav.video': 'AI AstroGen Animation',
+        'sidebar.model': '🤖 Modelo de IA',
+        'sidebar.language': '🌐 Idioma',
+        'sidebar.loading': 'Cargando...',
+        'section.individual.title': 'Horóscopo individual',
+        'section.individual.subtitle': 'Genera tu horóscopo personal con IA',
+        'section.daily.title': 'Horóscopos diarios',
+        'section.daily.subtitle': 'Todos los horóscopos del día en un clic',
+        'section.context.title': 'Contexto astral',
+        'section.context.subtitle': 'Descubre las influencias cósmicas del momento',
+        'section.astrochart.title': 'Carta del cielo',
+        'section.astrochart.subtitle': 'Visualiza las posiciones planetarias en una fecha',
+        'section.archive.title': 'Archivo de horóscopos',
+        'section.archive.subtitle': 'Encuentra, compara y reutiliza tus generaciones',
+        'section.prompts.title': 'Biblioteca de prompts',
+        'section.prompts.subtitle': 'Plantillas versionadas para horóscopos, chat y visuales',
+        'section.calendar.title': 'Calendario de tránsitos',
+        'section.calendar.subtitle': 'Planifica tu contenido en torno a los eventos del cielo',
+        'section.chat.title': 'Chat IA',
+        'section.chat.subtitle': 'Conversa con tu asistente astral',
+        'section.video.title': 'Generador de vídeo',
+        'section.video.subtitle': 'Crea contenido de vídeo para tus redes sociales',
+        'common.date': 'Fecha',
+        'common.sign': 'Signo',
+        'common.name': 'Nombre',
+        'common.save': '💾 Guardar',
+        'common.cancel': 'Cancelar',
+        'common.delete': '🗑️ Eliminar',
+        'common.choose': 'Elige',
+        'common.generate': '🌙 Generar',
+        'individual.profile': 'Perfil natal (opcional)',
+        'individual.newProfile': 'Nuevo perfil',
+        'individual.editProfile': 'Editar perfil',
+        'individual.deleteProfile': 'Eliminar perfil',
+        'individual.sign': 'Signo zodiacal',
+        'individual.chooseSign': 'Elige tu signo',
+        'individual.dateOptional': 'Fecha (opcional)',
+        'individual.compare': '⚖️ Comparar varios modelos',
+        'individual.compareHint': 'Elige de 2 a 4 modelos: generarán el mismo horóscopo en paralelo.',
+        'individual.generate': '✨ Generar',
+        'profile.title': 'Perfil natal',
+        'profile.namePlaceholder': 'Ej.: María',
+        'profile.birthplace': 'Lugar de nacimiento',
+        'profile.birthplacePlaceholder': 'Empieza a escribir una ciudad',
+        'profile.birthDate': 'Fecha de nacimiento',
+        'profile.birthTime': 'Hora de nacimiento',
+        'profile.birthTimeHint': 'Déjalo vacío si no la conoces: no se calcularán el Ascendente ni las casas.',
+        'daily.generate': '🌟 Generar todos',
+        'export.title': 'Exportar horóscopos',
+        'export.markdown': '📰 Boletín Markdown',
+        'export.rss': '📡 Feed RSS',
+        'export.captions': 'Textos para redes sociales',
+        'chart.date': 'Fecha de la carta',
+        'chart.time': 'Hora local',
+        'chart.utcOffset': 'Huso horario (UTC±h)',
+        'chart.latitude': 'Latitud',
+        'chart.longitude': 'Longitud (Este +)',
+        'chart.generate': '🌌 Generar la carta del cielo',
+        'prompts.kind': 'Tipo de prompt',
+        'prompts.template': 'Plantilla (★ = predeterminada)',
+        'prompts.new': '＋ Nueva plantilla',
+        'prompts.setDefault': '★ Usar por defecto',
+        'prompts.text': 'Texto de la plantilla',
+        'prompts.history': 'Historial de versiones',
+        'prompts.restore': 'Cargar esta versión en el editor',
+        'prompts.saveVersion': '💾 Guardar como nueva versión',
+        'prompts.preview': 'Vista previa con el contexto astral',
+        'calendar.month': 'Mes',
+        'calendar.week': 'Semana',
+        'calendar.today': 'Hoy',
+        'calendar.weekRange': 'Semana del {start} al {end}',
+        'archive.search': 'Búsqueda',
+        'archive.searchPlaceholder': 'Palabras del texto o del prompt',
+        'archive.allSigns': 'Todos los signos',
+        'archive.model': 'Modelo',
+        'archive.allModels': 'Todos los modelos',
+        'archive.from': 'Desde',
+        'archive.to': 'Hasta',
+        'archive.compare': '⚖️ Comparar selección',
+        'chat.newThread': '＋ Nueva conversación',
+        'chat.welcome': '🌟 ¡Hola! Soy tu guía astral. ¿En qué puedo ayudarte hoy?',
+        'chat.placeholder': 'Haz tu pregunta astrológica...',
+        'chat.send': 'Enviar',
+        'video.title': '🎬 Generación de vídeo',
+        'video.subtitle': 'Crea un vídeo del signo zodiacal y su constelación',
+        'video.format': 'Formato',
+        'video.square': 'Cuadrado (1080x1080)',
+        'video.customPrompt': 'Prompt personalizado (opcional)',
+        'video.customPromptPlaceholder': 'Déjalo vacío para usar la plantilla de la Biblioteca de prompts',
+        'video.archivedText': 'Horóscopo archivado (usado para el montaje)',
+        'video.clearArchivedText': '✖ Dejar de usar este texto',
+        'video.seed': 'Semilla (opcional)',
+        'video.seedPlaceholder': 'Déjalo vacío para una semilla aleatoria',
+        'video.loading': 'Generando vídeo...',
+        'video.estimate': 'Tiempo estimado: 30-60 segundos por vídeo',
+        'video.groupMain': 'Generación y montaje',
+        'video.groupBatch': 'Acciones por lotes',
+        'video.groupUtility': 'Utilidades y estado',
+        'video.clip': '🎬 Generar clip de vídeo',
+        'video.signMontage': '🎞️ Montaje para este signo',
+        'video.fullMontage': '🚀 Generar el montaje completo',
+        'video.batchClips': '🚀 Clips de vídeo por lotes',
+        'video.comfyStatus': '🔍 Estado de ComfyUI',
+        'footer.rights': 'Todos los derechos reservados.',
+        'footer.terms': 'Condiciones de uso',
+        'footer.privacy': 'Política de privacidad',
+        'msg.selectSign': 'Selecciona un signo zodiacal.',
+        'msg.selectSignFirst': 'Primero selecciona un signo zodiacal.',
+        'msg.error': '❌ Error: {error}',
+        'msg.pngExportError': '❌ Error al exportar el PNG: {error}',
+        'msg.renameThread': 'Nuevo nombre de la conversación:',
+        'msg.deleteThread': '¿Eliminar la conversación "{title}"?',
+        'msg.confirmBatchClips': '¿Iniciar la generación por lotes de los 12 signos?',
+        'msg.confirmSignWorkflow': '¿Lanzar el flujo completo para {sign}?',
+        'msg.confirmFullWorkflow': '¿Lanzar el flujo completo para los 12 signos?',
+        'msg.confirmCancelJob': '¿Cancelar la tarea en curso?\nLos signos ya terminados se conservan.',
+        'msg.cancelJobError': '❌ Error al cancelar: {error}',
+        'msg.profileRequired': 'Indica un nombre y una fecha de nacimiento.',
+        'msg.birthplaceRequired': 'Elige un lugar de nacimiento de la lista.',
+        'msg.deleteProfile': '¿Eliminar el perfil "{name}"?',
+        'msg.deleteArchiveEntry': '¿Eliminar este horóscopo del archivo?',
+        'msg.selectTwoEntries': 'Selecciona exactamente dos horóscopos para comparar.',
+        'msg.compareSameSignDate': 'Solo se pueden comparar dos generaciones del mismo signo y la misma fecha.',
+        'msg.compareModelCount': 'Selecciona entre {min} y {max} modelos para comparar.',
+        'msg.templateRequired': 'El nombre y el texto de la plantilla son obligatorios.',
+        'msg.templateUnchanged': 'Texto sin cambios: no se creó ninguna versión nueva.',
+        'msg.newTemplateName': 'Nombre de la nueva plantilla:',
+        'msg.lastTemplate': 'No se puede eliminar la última plantilla de este tipo.',
+        'msg.deleteTemplate': '¿Eliminar la plantilla "{name}" y todo su historial?',
+        'nav.schedule': 'Programación',
+        'section.schedule.title': 'Programación de Publicaciones',
+        'section.schedule.subtitle': 'Cola de vídeos por signo y plataforma',
+        'schedule.platform': 'Plataforma',
+        'schedule.visibility': 'Visibilidad',
+        'schedule.datetime': 'Fecha y hora de publicación',
+        'schedule.timezone': 'Zona horaria',
+        'schedule.title': 'Título',
+        'schedule.description': 'Descripción',
+        'schedule.tags': 'Etiquetas (separadas por comas)',
+        'schedule.hashtags': 'Hashtags',
+        'schedule.fill': '✨ Rellenar desde el horóscopo',
+        'schedule.add': '🗓️ Añadir a la cola',
+        'schedule.update': '💾 Guardar cambios',
+        'schedule.allStatuses': 'Todos los estados',
+        'schedule.status.pending': '⏳ Pendiente',
+        'schedule.status.publishing': '📤 Publicando',
+        'schedule.status.published': '✅ Publicada',
+        'schedule.status.failed': '❌ Fallida',
+        'schedule.visibility.private': '🔒 Privada',
+        'schedule.visibility.unlisted': '🔗 No listada',
+        'schedule.visibility.public': '🌍 Pública',
+        'schedule.visibility.friends': '👥 Amigos',
+        'schedule.empty': 'No hay publicaciones programadas.',
+        'schedule.publishNow': '📤 Publicar ahora',
+        'schedule.edit': '✏️ Editar',
+        'schedule.retry': '🔄 Reintentar',
+        'schedule.attempts': '{count} intentos',
+        'schedule.viewPost': 'Ver publicación',
+        'schedule.interrupted': 'Envío interrumpido: compruebe la plataforma antes de reintentar.',
+        'schedule.defaultTitle': '{symbol} Horóscopo de {sign} del {date}',
+        'video.schedule': '🗓️ Programar este Signo',
+        'msg.scheduleRequired': 'Elija un signo, una fecha de publicación y un título.',
+        'msg.deleteScheduledPost': '¿Quitar "{title}" de la cola de publicación?',
+        'video.groupPublish': 'Publicación',
+        'video.uploadTo': 'Publicar este Signo ({target})',
+        'video.uploadBatchTo': 'Lote {target}',
+        'video.statusOf': 'Estado {target}',
+        'video.publishTargets': '⚙️ Configuración de destinos de publicación',
+        'publisher.channel': 'Canal',
+        'publisher.subscribers': 'Suscriptores',
+        'publisher.videos': 'Vídeos disponibles',
+        'publisher.account': 'Cuenta',
+        'publisher.url': 'URL',
+        'publisher.httpStatus': 'Código HTTP',
+        'publisher.webhookUrl': 'URL del webhook',
+        'publisher.webhookSecret': 'Secreto de firma (opcional)',
+        'schedule.visibility.feed': '📰 Reel + feed',
+        'schedule.visibility.reels': '🎞️ Solo pestaña Reels',
+        'msg.confirmUpload': '¿Publicar el vídeo de {sign} en {target} ({visibility})?',
+        'msg.confirmBatchUpload': '¿Publicar TODOS los vídeos disponibles en {target} ({visibility})?',
+        'msg.uploadDone': '¡Vídeo publicado en {target}!',
+        'msg.batchUploadDone': 'Lote {target} terminado: {summary}',
+        'msg.publisherConfigRequired': 'Configure primero el destino {target} (sección Vídeo).',
+        'montage.trimIn': 'Inicio (s)',
+        'montage.trimOut': 'Fin (s)',
+        'montage.setFromPlayer': '⏱️ Posición actual',
+        'montage.preview': '▶️ Vista previa del fragmento',
+        'montage.length': 'Fragmento: {duration}s',
+        'montage.subtitles': 'Subtítulos',
+        'montage.noSubtitles': 'No hay segmentos de transcripción.',
+        'montage.addSubtitle': '＋ Subtítulo en la posición',
+        'montage.rerender': '🎞️ Volver a montar',
+        'montage.seek': 'Reproducir desde este subtítulo',
+        'montage.issue.order': 'Subtítulo {index}: el final debe ser posterior al inicio.',
+        'montage.issue.overlap': 'Subtítulo {index}: se solapa con el anterior.',
+        'montage.issue.bounds': 'Subtítulo {index}: fuera de la duración del vídeo.',
+        'msg.trimInvalid': 'El punto de salida debe ser posterior al de entrada.',
+        'msg.subtitleErrors': 'Corrija los subtítulos cuyo final precede al inicio antes de volver a montar.',
+        'msg.confirmRerender': '¿Volver a montar {sign} con estos ajustes?',
+        'nav.media': 'Galería de medios',
+        'section.media.title': 'Galería de Medios',
+        'section.media.subtitle': 'Clips, montajes y cartas del cielo ya generados',
+        'media.type': 'Tipo',
+        'media.allTypes': 'Todos los tipos',
+        'media.type.clip': '🎬 Clips',
+        'media.type.montage': '🎞️ Montajes',
+        'media.type.chart': '🗺️ Cartas del cielo',
+        'media.allFormats': 'Todos los formatos',
+        'media.uploadStatus': 'Publicación',
+        'media.allUploads': 'Todas',
+        'media.uploaded': '✅ Ya publicadas',
+        'media.notUploaded': '⏳ Nunca publicadas',
+        'media.refresh': '🔄 Actualizar',
+        'media.download': '📥 Descargar',
+        'media.sendToUpload': '📤 Publicar',
+        'media.count': '{count} medios · {selected} seleccionados',
+        'media.empty': 'Ningún medio coincide con los filtros.',
+        'media.uploadedOn': 'Publicado en',
+        'msg.selectMedia': 'Seleccione al menos un medio.',
+        'msg.selectMediaVideos': 'Seleccione al menos un vídeo (las cartas del cielo no se publican).',
+        'msg.deleteMedia': '¿Eliminar definitivamente {count} medio(s) del servidor?',
+        'variation.title': '🧪 Modo variaciones',
+        'variation.mode': 'Explorar',
+        'variation.mode.seeds': 'Varios seeds, mismo prompt',
+        'variation.mode.prompts': 'Varios prompts, mismo seed',
+        'variation.count': 'Número de clips',
+        'variation.seeds': 'Seeds fijos (opcional)',
+        'variation.seedsPlaceholder': 'Se completan con seeds aleatorios',
+        'variation.prompts': 'Variantes de prompt (una por línea)',
+        'variation.start': '🧪 Iniciar la exploración',
+        'variation.stop': '⏹ Detener',
+        'variation.progress': '{done}/{total} clips',
+        'variation.status.pending': 'En espera',
+        'variation.status.running': 'Generando…',
+        'variation.status.error': 'Error',
+        'variation.status.cancelled': 'Cancelado',
+        'variation.star': 'Marcar como ganador',
+        'variation.setPreset': '📌 Preset del signo',
+        'variation.isPreset': '📌 Preset actual',
+        'variation.presetInfo': 'Preset visual: seed {seed}',
+        'variation.clearPreset': '✖ Olvidar el preset',
+        'msg.variationPromptsRequired': 'Introduce al menos una variante de prompt.',
+        'msg.confirmVariations': '¿Generar {count} clips para {sign}?',
+        'api.cancel': '✖ Cancelar',
+        'api.offline': '⚠️ Servidor inaccesible.',
+        'api.replaying': '🔄 Servidor disponible, reenviando solicitudes…',
+        'api.offlineQueued': '{count} solicitud(es) en espera, se reenviarán cuando vuelva el servidor:',
+        'api.retryNow': '↻ Reintentar ahora',
+        'api.dropQueue': '✖ Descartar',
+        'api.error.http': 'Error HTTP {status}',
+        'api.error.timeout': 'El servidor no respondió en {seconds} s.',
+        'api.error.network': 'Servidor inaccesible.',
+        'api.error.aborted': 'Solicitud cancelada.',
+        'api.error.nonJson': 'Respuesta inesperada del servidor (HTTP {status}): {excerpt}',
+        'api.error.empty': 'Respuesta vacía del servidor (HTTP {status}).',
+        'api.error.invalidJson': 'Respuesta JSON no válida del servidor (HTTP {status}).',
+        'msg.dropOfflineQueue': '¿Descartar las {count} solicitudes en espera?',
+        'nav.status': 'Estado de servicios',
+        'section.status.title': 'Estado de los Servicios',
+        'section.status.subtitle': 'Disponibilidad del backend, Ollama, ComfyUI y las plataformas',
+        'status.refresh': '🔄 Comprobar todo',
+        'status.check': '🔄 Comprobar',
+        'status.lastPoll': 'Última comprobación completa: {date}',
+        'status.state.up': 'Operativo',
+        'status.state.degraded': 'Degradado',
+        'status.state.down': 'No disponible',
+        'status.state.unknown': 'Desconocido',
+        'status.latency': 'Latencia',
+        'status.average': 'media {latency} ms',
+        'status.uptime': 'Disponibilidad',
+        'status.checks': '{count} comprobaciones',
+        'status.lastCheck': 'Última comprobación',
+        'status.history': 'Historial de comprobaciones',
+        'status.health': 'Salud',
+        'status.models': 'Modelos',
+        'status.server': 'Servidor',
+        'status.formats': 'Formatos',
+        'status.workflow': 'Workflow',
+        'status.workflowReady': 'Listo',
+        'status.workflowNotReady': 'Workflow no listo',
+        'status.note': 'Nota',
+        'status.notConfigured': 'Destino no configurado',
+        'status.unhealthy': 'Comprobación de salud: {status}',
+        'status.noModels': 'Ningún modelo disponible',
+        'status.comfyDisconnected': 'ComfyUI no responde',
+        'status.publisherDisconnected': 'Cuenta de {target} no conectada',
+        'status.blocked': 'No disponible: {services}',
+        'msg.serviceDown': 'Acción imposible: {services} no disponible(s). Consulta el estado de los servicios.',
+        'common.close': 'Cerrar',
+        'notifications.title': 'Notificaciones',
+        'notifications.clear': '🗑️ Vaciar',
+        'notifications.desktop': 'Notificaciones de escritorio al terminar las tareas largas',
+        'notifications.empty': 'Sin notificaciones.',
+        'notifications.job.completed': '✅ Tarea terminada',
+        'notifications.job.failed': '❌ Tarea fallida',
+        'notifications.job.cancelled': '⏹️ Tarea cancelada',
+        'notifications.jobDetails': 'Tarea {id} · {done} signo(s) terminado(s)',
+        'notifications.variationsDone': '🧪 Exploración terminada',
+        'notifications.published': '«{title}» publicado en {target}.',
+        'notifications.publishFailed': 'Error al publicar «{title}»',
+        'dialog.confirmTitle': 'Confirmación',
+        'dialog.confirm': 'Confirmar',
+        'dialog.ok': 'Aceptar',
+        'dialog.format': 'Formato',
+        'dialog.signs': 'Signos',
+        'dialog.duration': 'Duración estimada',
+        'dialog.durationSeconds': '{min} – {max} s',
+        'dialog.durationMinutes': '{min} – {max} min',
+        'dialog.text': 'Texto',
+        'dialog.archivedText': 'Horóscopo archivado',
+        'dialog.generatedText': 'Nuevo horóscopo generado',
+        'dialog.trim': 'Recorte',
+        'dialog.noTrim': 'Ninguno',
+        'dialog.subtitles': 'Subtítulos',
+        'demo.badge': '🧪 Demo',
+        'demo.badgeTitle': 'Ningún backend en este sitio: resultados simulados en el navegador',
+        'demo.title': 'Modo demostración',
+        'demo.enabled': 'Ningún backend en este sitio: los horóscopos, clips y tareas se simulan en el navegador.',
+        'demo.explain': 'Esta página funciona sin backend (sitio estático). Los horóscopos se construyen a partir de las efemérides del día, los clips se graban en el navegador y no se publica nada. ¿Volver a intentar conectar con el backend?',
+        'demo.retryBackend': '🔄 Reintentar el backend',
+        'demo.stillUnreachable': 'Sigue sin haber backend: el modo demostración sigue activo.',
+        'demo.clipUnsupported': 'Este navegador no puede grabar vídeo (MediaRecorder): clip de demostración no disponible.',
+        'demo.batchDone': '{count} signos procesados (demostración).',
+        'demo.jobNotFound': 'Tarea desconocida para el backend de demostración.',
+        'demo.publishDisabled': 'Publicación desactivada en modo demostración.',
+        'demo.unsupported': 'Ruta {endpoint} no simulada en modo demostración.',
+        'connections.title': '🔌 Conexiones al backend',
+        'connections.hint': 'Las llamadas usan el perfil activo (★). Con una clave de API, el servidor debe permitir ese encabezado (CORS); los vídeos e imágenes se cargan sin encabezado.',
+        'connections.new': '➕ Nuevo perfil',
+        'connections.delete': '🗑️ Eliminar',
+        'connections.test': '🧪 Probar la conexión',
+        'connections.save': '💾 Guardar y activar',
+        'connections.localName': 'Local (mismo origen)',
+        'connections.name': 'Nombre del perfil',
+        'connections.group.api': 'API principal',
+        'connections.group.chat': 'Chat y modelos (Ollama)',
+        'connections.group.video': 'ComfyUI y vídeo',
+        'connections.overrideHint': 'Deje la URL vacía para usar la API principal.',
+        'connections.baseUrl': 'URL base',
+        'connections.baseUrlPlaceholder': 'Vacío: mismo origen que la página',
+        'connections.keyHeader': 'Encabezado de la clave de API',
+        'connections.keyHeaderPlaceholder': 'ej.: X-API-Key',
+        'connections.key': 'Clave de API',
+        'connections.error.required': '{group}: campo obligatorio.',
+        'connections.error.url': '{group}: la URL debe empezar por http:// o https://.',
+        'connections.error.header': '{group}: nombre de encabezado no válido o clave sin encabezado.',
+        'connections.activated': 'Perfil «{name}» activado.',
+        'connections.promptName': 'Nombre del nuevo perfil:',
+        'connections.confirmDelete': '¿Eliminar el perfil «{name}»?',
+        'connections.testing': 'Probando…',
+        'connections.latency': 'responde en {ms} ms',
+        'nav.compatibility': 'Compatibilidad',
+        'section.compatibility.title': 'Compatibilidad',
+        'section.compatibility.subtitle': 'Compara dos signos o dos cartas natales',
+        'compat.mode': 'Comparar',
+        'compat.modeSigns': 'Dos signos',
+        'compat.modeProfiles': 'Dos perfiles natales (sinastría)',
+        'compat.profilesHint': 'Crea perfiles natales desde el horóscopo individual para comparar dos cartas completas.',
+        'compat.partner1': 'Persona 1',
+        'compat.partner2': 'Persona 2',
+        'compat.calculate': '💞 Calcular la compatibilidad',
+        'compat.reading': '✍️ Lectura por la IA',
+        'compat.video': '🎬 Short de compatibilidad',
+        'compat.choosePair': 'Elige las dos personas que quieres comparar.',
+        'compat.sameProfile': 'Elige dos perfiles distintos.',
+        'compat.score': 'Puntuación de compatibilidad',
+        'compat.signsOnly': 'Elementos, modalidades y relación de los signos',
+        'compat.withSynastry': 'Signos solares y aspectos cruzados de ambas cartas',
+        'compat.criterion.element': 'Elementos',
+        'compat.criterion.modality': 'Modalidades',
+        'compat.criterion.relation': 'Relación de los signos',
+        'compat.criterion.synastry': 'Sinastría',
+        'compat.element.fire': 'Fuego',
+        'compat.element.earth': 'Tierra',
+        'compat.element.air': 'Aire',
+        'compat.element.water': 'Agua',
+        'compat.modality.cardinal': 'Cardinal',
+        'compat.modality.fixed': 'Fijo',
+        'compat.modality.mutable': 'Mutable',
+        'compat.relation.conjunction': 'Mismo signo',
+        'compat.relation.semisextile': 'Semisextil',
+        'compat.relation.sextile': 'Sextil',
+        'compat.relation.square': 'Cuadratura',
+        'compat.relation.trine': 'Trígono',
+        'compat.relation.quincunx': 'Quincuncio',
+        'compat.relation.opposition': 'Oposición',
+        'compat.aspectCount': '{count} aspectos destacados',
+        'compat.aspects': 'Aspectos cruzados',
+        'compat.readingError': 'No se pudo generar la lectura: {error}',
+        'compat.confirmVideo': '¿Crear un short de compatibilidad para {duo}?',
+        'compat.duo': 'Pareja',
+        'compat.readingText': 'Lectura de compatibilidad',
+        'period.label': 'Periodo',
+        'period.day': 'Día',
+        'period.week': 'Semana',
+        'period.month': 'Mes',
+        'period.year': 'Año',
+        'period.highlights': 'Momentos clave del periodo',
+        'period.signHighlights': 'Momentos clave del signo',
+        'planet.sun': 'Sol',
+        'planet.moon': 'Luna',
+        'planet.mercury': 'Mercurio',
+        'planet.venus': 'Venus',
+        'planet.mars': 'Marte',
+        'planet.jupiter': 'Júpiter',
+        'planet.saturn': 'Saturno',
+        'planet.uranus': 'Urano',
+        'planet.neptune': 'Neptuno',
+        'planet.pluto': 'Plutón',
+        'planet.sun.influence': 'Identidad, vitalidad y voluntad',
+        'planet.moon.influence': 'Emociones, intuición y necesidades íntimas',
+        'planet.mercury.influence': 'Comunicación, intercambios y desplazamientos',
+        'planet.venus.influence': 'Amor, armonía y placeres',
+        'planet.mars.influence': 'Acción, energía y afirmación personal',
+        'planet.jupiter.influence': 'Expansión, suerte y crecimiento',
+        'planet.saturn.influence': 'Estructura, disciplina y responsabilidades',
+        'planet.uranus.influence': 'Cambios repentinos e innovación',
+        'planet.neptune.influence': 'Sueños, inspiración y espiritualidad',
+        'planet.pluto.influence': 'Transformación profunda y renacimiento',
+        'planet.retrograde': 'retrógrado',
+        'phase.new_moon': 'Luna nueva',
+        'phase.waxing_crescent': 'Luna creciente',
+        'phase.first_quarter': 'Cuarto creciente',
+        'phase.waxing_gibbous': 'Gibosa creciente',
+        'phase.full_moon': 'Luna llena',
+        'phase.waning_gibbous': 'Gibosa menguante',
+        'phase.last_quarter': 'Cuarto menguante',
+        'phase.waning_crescent': 'Luna menguante',
+        'season.spring': 'Primavera',
+        'season.summer': 'Verano',
+        'season.autumn': 'Otoño',
+        'season.winter': 'Invierno',
+        'season.spring.energy': 'Renovación, impulso y nuevos comienzos',
+        'season.summer.energy': 'Expansión, esplendor y abundancia',
+        'season.autumn.energy': 'Cosecha, balance e introspección',
+        'season.winter.energy': 'Descanso, maduración y preparación',
+        'aspect.conjunction': 'Conjunción',
+        'aspect.sextile': 'Sextil',
+        'aspect.square': 'Cuadratura',
+        'aspect.trine': 'Trígono',
+        'aspect.opposition': 'Oposición',
+        'model.count': '{count} modelos',
+        'model.none': 'Ningún modelo encontrado',
+        'model.offline': 'Ollama sin conexión',
+        'model.selected': 'Activado: {model}',
+        'context.title': 'Contexto astral del {date}',
+        'context.lunarPhase': '🌙 Fase lunar',
+        'context.illumination': '{percent} % iluminada',
+        'context.season': '🍂 Estación',
+        'context.planets': '🪐 Planetas influyentes',
+        'chart.invalidInput': 'Indica una fecha, una latitud y una longitud válidas.',
+        'chart.polar': 'Las casas no pueden calcularse más allá de los círculos polares (latitud > 66°).',
+        'chart.title': 'Carta del cielo del {date} a las {time}',
+        'chart.body': 'Astro',
+        'chart.position': 'Posición',
+        'chart.motion': 'Movimiento',
+        'chart.retrograde': '℞ Retrógrado',
+        'chart.direct': 'Directo',
+        'chart.orb': 'orbe {orb}°',
+        'chart.house': 'casa {house}',
+        'chat.stop': '⏹️ Detener',
+        'chat.connectionError': '❌ Error de conexión: {error}',
+        'job.notFound': 'Tarea {id} no encontrada en el servidor.',
+        'job.progress': 'Tarea {id} · {done}/{total} signos terminados',
+        'job.cancel': '⏹️ Cancelar',
+        'job.status.queued': '⏳ Tarea en espera',
+        'job.status.running': '⚙️ Generación en curso',
+        'job.status.completed': '✅ Tarea terminada',
+        'job.status.failed': '❌ Tarea fallida',
+        'job.status.cancelled': '⏹️ Tarea cancelada',
+        'job.stage.horoscope': '📝 Horóscopo',
+        'job.stage.tts': '🎙️ Voz',
+        'job.stage.comfyui': '🎬 Clip',
+        'job.stage.montage': '🎞️ Montaje',
+        'transit.type.ingress': 'Cambios de signo',
+        'transit.type.aspect': 'Aspectos exactos',
+        'transit.type.station': 'Estaciones',
+        'transit.type.lunation': 'Lunas nuevas y llenas',
+        'transit.type.eclipse': 'Eclipses',
+        'transit.ingress': '{body} entra en {sign}',
+        'transit.ingressRetrograde': '{body} entra en {sign} (retrógrado)',
+        'transit.stationRetrograde': '{body} se vuelve retrógrado en {sign}',
+        'transit.stationDirect': '{body} retoma su movimiento directo en {sign}',
+        'transit.newMoon': '🌑 Luna nueva en {sign}',
+        'transit.fullMoon': '🌕 Luna llena en {sign}',
+        'transit.solarEclipse': 'Eclipse solar en {sign}',
+        'transit.lunarEclipse': 'Eclipse lunar en {sign}',
+        'calendar.dayTitle': '📅 Eventos del {date}',
+        'calendar.noEvents': 'Ningún evento importante ese día.',
+        'calendar.openDaily': '🌟 Ver los horóscopos del día',
+        'archive.count': '{count} horóscopo(s)',
+        'archive.empty': 'Ningún horóscopo archivado coincide con estos criterios.',
+        'archive.unknownModel': 'desconocido',
+        'archive.words': '{count} palabras',
+        'archive.selectToCompare': 'Seleccionar para comparar',
+        'archive.prompt': 'Prompt',
+        'archive.useForVideo': '🎬 Usar para el vídeo',
+        'export.copy': '📋 Copiar',
+        'export.copied': '✅ Copiado',
+        'export.copyFailed': '❌ Error',
+        'compare.title': '{sign} · comparación de {count} modelos',
+        'compare.today': 'hoy',
+        'compare.words': '{count} palabras',
+        'compare.sentences': '{words} palabras/frase · {exclamations} «!» · {address}',
+        'compare.vote': '👍 Mejor texto',
+        'compare.voted': '🏆 Tu elección',
+        'compare.standings': '🏆 Modelo recomendado por signo',
+        'compare.language': 'Idioma',
+        'compare.votes': 'Votos',
+        'compare.tone.enthusiastic': 'Entusiasta',
+        'compare.tone.positive': 'Positivo',
+        'compare.tone.neutral': 'Neutro',
+        'compare.tone.cautious': 'Prudente',
+        'compare.address.impersonal': 'impersonal',
+        'compare.address.informal': 'tuteo',
+        'compare.address.formal': 'usted',
+        'export.caption.youtube': '📺 Descripción de YouTube',
+        'export.caption.tiktok': '🎵 Texto de TikTok',
+        'export.caption.instagram': '📸 Texto de Instagram',
+        'export.newsletter.title': '🌟 Horóscopos del {date}',
+        'export.newsletter.footer': 'Generado por AstroGenAI',
+        'export.csv.columns': 'fecha;signo;nombre;palabras;horóscopo',
+        'export.rss.title': 'AstroGenAI - Horóscopos del día',
+        'export.rss.description': 'Horóscopos diarios de los 12 signos del zodiaco',
+        'export.rss.itemTitle': '{name} - Horóscopo del {date}',
+        'export.youtube.header': 'Horóscopo {name} del {date}',
+        'export.youtube.footer': '🔔 ¡Suscríbete para recibir tu horóscopo cada día!',
+        'export.instagram.footer': '✨ ¡Guarda esta publicación y compártela con un(a) {name}!',
+        'export.hashtags.base': '#horoscopo #astrologia #zodiaco #astro',
+        'export.hashtags.tiktok': '#fyp #parati #astrotok',
+        'export.hashtags.instagram': '#horoscopodeldia #signozodiacal #reels',
+        'common.error': 'Error',
+        'common.errorLabel': '❌ Error:',
+        'common.words': '{count} palabras',
+        'chart.exportSvg': '💾 Exportar SVG',
+        'chart.exportPng': '🖼️ Exportar PNG',
+        'chart.fileName': 'carta-del-cielo',
+        'chat.untitled': 'Nueva conversación',
+        'chat.messageCount': '{count} mensajes',
+        'chat.rename': 'Renombrar',
+        'chat.delete': 'Eliminar',
+        'video.clipDone': '🎬 ¡Vídeo generado con ComfyUI!',
+        'video.batchDone': '¡Lote de ComfyUI terminado!',
+        'video.batchSuccess': 'Correcto ({size})',
+        'video.batchFailure': 'Fallido - {error}',
+        'video.sign': 'Signo:',
+        'video.path': 'Ruta:',
+        'video.size': 'Tamaño:',
+        'video.duration': 'Duración:',
+        'video.signWorkflowDone': '✅ ¡Flujo de {sign} terminado!',
+        'video.fullWorkflowDone': '✅ ¡Flujo por lotes terminado!',
+        'profile.sunSignOnly': '— Solo signo solar —',
+        'profile.ascendantUnknown': 'desconocido (falta la hora de nacimiento)',
+        'prompts.defaultTemplate': 'Plantilla predeterminada',
+        'prompts.perSign': 'Plantilla por signo',
+        'prompts.unknownVariables': '⚠️ Variables desconocidas: {names}',
+        'llm.allSigns': 'todos los signos',
+        'llm.lunarPhase': '{phase} ({percent}% iluminada)',
+        'llm.planetIn': '{planet} en {position}',
+        'llm.noTransits': 'ningún tránsito importante',
+        'llm.chatSummary': 'Resumen del inicio de la conversación:\n{summary}',
+        'llm.chatUser': 'Usuario',
+        'llm.chatAssistant': 'Asistente',
+        'llm.period.day': 'del {start}',
+        'llm.period.week': 'de la semana del {start} al {end}',
+        'llm.period.month': 'del mes de {month} de {year}',
+        'llm.period.monthElided': 'del mes de {month} de {year}',
+        'llm.period.year': 'del año {year}',
+        'llm.compat.score': 'puntuación global {score}/100',
+        'llm.compat.elements': 'elementos {elements} ({score}/100)',
+        'llm.compat.modalities': 'modalidades {modalities} ({score}/100)',
+        'llm.compat.relation': 'signos en {relation} ({score}/100)',
+        'llm.compat.and': '{first} y {second}',
+        'llm.compat.aspect': '{from} ({nameA}) {symbol} {to} ({nameB}), {aspect} a {orb}°',
+        'llm.compat.synastry': 'sinastría {score}/100: {aspects}',
+        'llm.compat.noAspects': 'sinastría {score}/100, sin aspectos importantes',
+        'compat.videoDone': '✅ Short de compatibilidad terminado: {duo}',
+        'compat.scoreLabel': 'Puntuación de compatibilidad:'
+    },
+    'de': {
+        'sign.aries': 'Widder',
+        'sign.taurus': 'Stier',
+        'sign.gemini': 'Zwillinge',
+        'sign.cancer': 'Krebs',
+        'sign.leo': 'Löwe',
+        'sign.virgo': 'Jungfrau',
+        'sign.libra': 'Waage',
+        'sign.scorpio': 'Skorpion',
+        'sign.sagittarius': 'Schütze',
+        'sign.capricorn': 'Steinbock',
+        'sign.aquarius': 'Wassermann',
+        'sign.pisces': 'Fische',
+        'nav.individual': 'Einzelhoroskop',
+        'nav.daily': 'Tageshoroskope',
+        'nav.context': 'Astraler Kontext',
+        'nav.astrochart': 'Himmelskarte',
+        'nav.prompts': 'Prompt-Bibliothek',
+        'nav.calendar': 'Transitkalender',
+        'nav.archive': 'Archiv',
+        'nav.chat': 'AI AstroGen Chat',
+        'nav.video': 'AI AstroGen Animation',
+        'sidebar.model': '🤖 KI-Modell',
+        'sidebar.language': '🌐 Sprache',
+        'sidebar.loading': 'Wird geladen...',
+        'section.individual.title': 'Einzelhoroskop',
+        'section.individual.subtitle': 'Erstelle dein persönliches Horoskop mit KI',
+        'section.daily.title': 'Tageshoroskope',
+        'section.daily.subtitle': 'Alle Horoskope des Tages mit einem Klick',
+        'section.context.title': 'Astraler Kontext',
+        'section.context.subtitle': 'Entdecke die aktuellen kosmischen Einflüsse',
+        'section.astrochart.title': 'Himmelskarte',
+        'section.astrochart.subtitle': 'Planetenpositionen zu einem beliebigen Datum ansehen',
+        'section.archive.title': 'Horoskop-Archiv',
+        'section.archive.subtitle': 'Generierungen finden, vergleichen und wiederverwenden',
+        'section.prompts.title': 'Prompt-Bibliothek',
+        'section.prompts.subtitle': 'Versionierte Vorlagen für Horoskope, Chat und Visuals',
+        'section.calendar.title': 'Transitkalender',
+        'section.calendar.subtitle': 'Plane deine Inhalte rund um Himmelsereignisse',
+        'section.chat.title': 'KI-Chat',
+        'section.chat.subtitle': 'Sprich mit deinem astralen Assistenten',
+        'section.video.title': 'Video-Generator',
+        'section.video.subtitle': 'Erstelle Videoinhalte für deine sozialen Netzwerke',
+        'common.date': 'Datum',
+        'common.sign': 'Zeichen',
+        'common.name': 'Name',
+        'common.save': '💾 Speichern',
+        'common.cancel': 'Abbrechen',
+        'common.delete': '🗑️ Löschen',
+        'common.choose': 'Auswählen',
+        'common.generate': '🌙 Erstellen',
+        'individual.profile': 'Geburtsprofil (optional)',
+        'individual.newProfile': 'Neues Profil',
+        'individual.editProfile': 'Profil bearbeiten',
+        'individual.deleteProfile': 'Profil löschen',
+        'individual.sign': 'Sternzeichen',
+        'individual.chooseSign': 'Wähle dein Sternzeichen',
+        'individual.dateOptional': 'Datum (optional)',
+        'individual.compare': '⚖️ Mehrere Modelle vergleichen',
+        'individual.compareHint': 'Wähle 2 bis 4 Modelle: Sie erstellen dasselbe Horoskop parallel.',
+        'individual.generate': '✨ Erstellen',
+        'profile.title': 'Geburtsprofil',
+        'profile.namePlaceholder': 'z. B. Maria',
+        'profile.birthplace': 'Geburtsort',
+        'profile.birthplacePlaceholder': 'Stadt eingeben',
+        'profile.birthDate': 'Geburtsdatum',
+        'profile.birthTime': 'Geburtszeit',
+        'profile.birthTimeHint': 'Leer lassen, falls unbekannt: Aszendent und Häuser werden dann nicht berechnet.',
+        'daily.generate': '🌟 Alle erstellen',
+        'export.title': 'Horoskope exportieren',
+        'export.markdown': '📰 Markdown-Newsletter',
+        'export.rss': '📡 RSS-Feed',
+        'export.captions': 'Social-Media-Texte',
+        'chart.date': 'Datum der Karte',
+        'chart.time': 'Ortszeit',
+        'chart.utcOffset': 'Zeitzone (UTC±h)',
+        'chart.latitude': 'Breitengrad',
+        'chart.longitude': 'Längengrad (Ost +)',
+        'chart.generate': '🌌 Himmelskarte erstellen',
+        'prompts.kind': 'Prompt-Typ',
+        'prompts.template': 'Vorlage (★ = Standard)',
+        'prompts.new': '＋ Neue Vorlage',
+        'prompts.setDefault': '★ Als Standard verwenden',
+        'prompts.text': 'Vorlagentext',
+        'prompts.history': 'Versionsverlauf',
+        'prompts.restore': 'Diese Version in den Editor laden',
+        'prompts.saveVersion': '💾 Als neue Version speichern',
+        'prompts.preview': 'Vorschau mit astralem Kontext',
+        'calendar.month': 'Monat',
+        'calendar.week': 'Woche',
+        'calendar.today': 'Heute',
+        'calendar.weekRange': 'Woche vom {start} bis {end}',
+        'archive.search': 'Suche',
+        'archive.searchPlaceholder': 'Wörter aus Text oder Prompt',
+        'archive.allSigns': 'Alle Zeichen',
+        'archive.model': 'Modell',
+        'archive.allModels': 'Alle Modelle',
+        'archive.from': 'Von',
+        'archive.to': 'Bis',
+        'archive.compare': '⚖️ Auswahl vergleichen',
+        'chat.newThread': '＋ Neues Gespräch',
+        'chat.welcome': '🌟 Hallo! Ich bin dein astraler Begleiter. Wie kann ich dir heute helfen?',
+        'chat.placeholder': 'Stelle deine astrologische Frage...',
+        'chat.send': 'Senden',
+        'video.title': '🎬 Videoerstellung',
+        'video.subtitle': 'Erstelle ein Video zu Sternzeichen und Sternbild',
+        'video.format': 'Format',
+        'video.square': 'Quadratisch (1080x1080)',
+        'video.customPrompt': 'Eigener Prompt (optional)',
+        'video.customPromptPlaceholder': 'Leer lassen, um die Vorlage der Prompt-Bibliothek zu verwenden',
+        'video.archivedText': 'Archiviertes Horoskop (für den Schnitt verwendet)',
+        'video.clearArchivedText': '✖ Diesen Text nicht mehr verwenden',
+        'video.seed': 'Seed (optional)',
+        'video.seedPlaceholder': 'Leer lassen für einen zufälligen Seed',
+        'video.loading': 'Video wird erstellt...',
+        'video.estimate': 'Geschätzte Zeit: 30-60 Sekunden pro Video',
+        'video.groupMain': 'Erstellung & Schnitt',
+        'video.groupBatch': 'Stapelaktionen',
+        'video.groupUtility': 'Werkzeuge & Status',
+        'video.clip': '🎬 Videoclip erstellen',
+        'video.signMontage': '🎞️ Schnitt für dieses Zeichen',
+        'video.fullMontage': '🚀 Kompletten Schnitt erstellen',
+        'video.batchClips': '🚀 Videoclips im Stapel',
+        'video.comfyStatus': '🔍 ComfyUI-Status',
+        'footer.rights': 'Alle Rechte vorbehalten.',
+        'footer.terms': 'Nutzungsbedingungen',
+        'footer.privacy': 'Datenschutzerklärung',
+        'msg.selectSign': 'Bitte wähle ein Sternzeichen.',
+        'msg.selectSignFirst': 'Bitte wähle zuerst ein Sternzeichen.',
+        'msg.error': '❌ Fehler: {error}',
+        'msg.pngExportError': '❌ Fehler beim PNG-Export: {error}',
+        'msg.renameThread': 'Neuer Name des Gesprächs:',
+        'msg.deleteThread': 'Gespräch „{title}“ löschen?',
+        'msg.confirmBatchClips': 'Stapelerstellung für alle 12 Zeichen starten?',
+        'msg.confirmSignWorkflow': 'Kompletten Workflow für {sign} starten?',
+        'msg.confirmFullWorkflow': 'Kompletten Workflow für alle 12 Zeichen starten?',
+        'msg.confirmCancelJob': 'Laufende Aufgabe abbrechen?\nBereits fertige Zeichen bleiben erhalten.',
+        'msg.cancelJobError': '❌ Fehler beim Abbrechen: {error}',
+        'msg.profileRequired': 'Bitte gib einen Namen und ein Geburtsdatum ein.',
+        'msg.birthplaceRequired': 'Bitte wähle einen Geburtsort aus der Liste.',
+        'msg.deleteProfile': 'Profil „{name}“ löschen?',
+        'msg.deleteArchiveEntry': 'Dieses Horoskop aus dem Archiv löschen?',
+        'msg.selectTwoEntries': 'Wähle genau zwei Horoskope zum Vergleichen.',
+        'msg.compareSameSignDate': 'Verglichen werden nur zwei Generierungen desselben Zeichens für dasselbe Datum.',
+        'msg.compareModelCount': 'Wähle zwischen {min} und {max} Modellen zum Vergleichen.',
+        'msg.templateRequired': 'Name und Text der Vorlage sind erforderlich.',
+        'msg.templateUnchanged': 'Text unverändert: keine neue Version erstellt.',
+        'msg.newTemplateName': 'Name der neuen Vorlage:',
+        'msg.lastTemplate': 'Die letzte Vorlage dieses Typs kann nicht gelöscht werden.',
+        'msg.deleteTemplate': 'Vorlage „{name}“ mit ihrem gesamten Verlauf löschen?',
+        'nav.schedule': 'Planung',
+        'section.schedule.title': 'Veröffentlichungsplan',
+        'section.schedule.subtitle': 'Warteschlange der Videos nach Zeichen und Plattform',
+        'schedule.platform': 'Plattform',
+        'schedule.visibility': 'Sichtbarkeit',
+        'schedule.datetime': 'Datum und Uhrzeit der Veröffentlichung',
+        'schedule.timezone': 'Zeitzone',
+        'schedule.title': 'Titel',
+        'schedule.description': 'Beschreibung',
+        'schedule.tags': 'Tags (durch Kommas getrennt)',
+        'schedule.hashtags': 'Hashtags',
+        'schedule.fill': '✨ Aus dem Horoskop übernehmen',
+        'schedule.add': '🗓️ Zur Warteschlange hinzufügen',
+        'schedule.update': '💾 Änderungen speichern',
+        'schedule.allStatuses': 'Alle Status',
+        'schedule.status.pending': '⏳ Ausstehend',
+        'schedule.status.publishing': '📤 Wird veröffentlicht',
+        'schedule.status.published': '✅ Veröffentlicht',
+        'schedule.status.failed': '❌ Fehlgeschlagen',
+        'schedule.visibility.private': '🔒 Privat',
+        'schedule.visibility.unlisted': '🔗 Nicht gelistet',
+        'schedule.visibility.public': '🌍 Öffentlich',
+        'schedule.visibility.friends': '👥 Freunde',
+        'schedule.empty': 'Keine geplanten Beiträge.',
+        'schedule.publishNow': '📤 Jetzt veröffentlichen',
+        'schedule.edit': '✏️ Bearbeiten',
+        'schedule.retry': '🔄 Erneut versuchen',
+        'schedule.attempts': '{count} Versuche',
+        'schedule.viewPost': 'Beitrag ansehen',
+        'schedule.interrupted': 'Upload unterbrochen: Plattform vor einem neuen Versuch prüfen.',
+        'schedule.defaultTitle': '{symbol} Horoskop {sign} vom {date}',
+        'video.schedule': '🗓️ Dieses Zeichen planen',
+        'msg.scheduleRequired': 'Bitte Zeichen, Veröffentlichungsdatum und Titel angeben.',
+        'msg.deleteScheduledPost': '„{title}“ aus der Warteschlange entfernen?',
+        'video.groupPublish': 'Veröffentlichung',
+        'video.uploadTo': 'Dieses Zeichen veröffentlichen ({target})',
+        'video.uploadBatchTo': '{target}-Stapel',
+        'video.statusOf': '{target}-Status',
+        'video.publishTargets': '⚙️ Einstellungen der Veröffentlichungsziele',
+        'publisher.channel': 'Kanal',
+        'publisher.subscribers': 'Abonnenten',
+        'publisher.videos': 'Verfügbare Videos',
+        'publisher.account': 'Konto',
+        'publisher.url': 'URL',
+        'publisher.httpStatus': 'HTTP-Status',
+        'publisher.webhookUrl': 'Webhook-URL',
+        'publisher.webhookSecret': 'Signaturgeheimnis (optional)',
+        'schedule.visibility.feed': '📰 Reel + Feed',
+        'schedule.visibility.reels': '🎞️ Nur Reels-Tab',
+        'msg.confirmUpload': 'Das {sign}-Video auf {target} veröffentlichen ({visibility})?',
+        'msg.confirmBatchUpload': 'ALLE verfügbaren Videos auf {target} veröffentlichen ({visibility})?',
+        'msg.uploadDone': 'Video auf {target} veröffentlicht!',
+        'msg.batchUploadDone': '{target}-Stapel abgeschlossen: {summary}',
+        'msg.publisherConfigRequired': 'Zuerst das Ziel {target} konfigurieren (Bereich Video).',
+        'montage.trimIn': 'Anfang (s)',
+        'montage.trimOut': 'Ende (s)',
+        'montage.setFromPlayer': '⏱️ Aktuelle Position',
+        'montage.preview': '▶️ Ausschnitt ansehen',
+        'montage.length': 'Ausschnitt: {duration}s',
+        'montage.subtitles': 'Untertitel',
+        'montage.noSubtitles': 'Keine Transkriptionssegmente.',
+        'montage.addSubtitle': '＋ Untertitel an der Position',
+        'montage.rerender': '🎞️ Montage neu rendern',
+        'montage.seek': 'Ab diesem Untertitel abspielen',
+        'montage.issue.order': 'Untertitel {index}: Das Ende muss nach dem Anfang liegen.',
+        'montage.issue.overlap': 'Untertitel {index}: überschneidet sich mit dem vorherigen.',
+        'montage.issue.bounds': 'Untertitel {index}: außerhalb der Videodauer.',
+        'msg.trimInvalid': 'Der Endpunkt muss nach dem Anfangspunkt liegen.',
+        'msg.subtitleErrors': 'Untertitel, deren Ende vor dem Anfang liegt, vor dem Neu-Rendern korrigieren.',
+        'msg.confirmRerender': 'Die Montage für {sign} mit diesen Einstellungen neu rendern?',
+        'nav.media': 'Mediengalerie',
+        'section.media.title': 'Mediengalerie',
+        'section.media.subtitle': 'Bereits erzeugte Clips, Montagen und Himmelskarten',
+        'media.type': 'Typ',
+        'media.allTypes': 'Alle Typen',
+        'media.type.clip': '🎬 Clips',
+        'media.type.montage': '🎞️ Montagen',
+        'media.type.chart': '🗺️ Himmelskarten',
+        'media.allFormats': 'Alle Formate',
+        'media.uploadStatus': 'Veröffentlichung',
+        'media.allUploads': 'Alle',
+        'media.uploaded': '✅ Bereits veröffentlicht',
+        'media.notUploaded': '⏳ Nie veröffentlicht',
+        'media.refresh': '🔄 Aktualisieren',
+        'media.download': '📥 Herunterladen',
+        'media.sendToUpload': '📤 Veröffentlichen',
+        'media.count': '{count} Medien · {selected} ausgewählt',
+        'media.empty': 'Keine Medien entsprechen den Filtern.',
+        'media.uploadedOn': 'Veröffentlicht auf',
+        'msg.selectMedia': 'Mindestens ein Medium auswählen.',
+        'msg.selectMediaVideos': 'Mindestens ein Video auswählen (Himmelskarten können nicht veröffentlicht werden).',
+        'msg.deleteMedia': '{count} Medium/Medien endgültig vom Server löschen?',
+        'variation.title': '🧪 Variationsmodus',
+        'variation.mode': 'Erkunden',
+        'variation.mode.seeds': 'Mehrere Seeds, gleicher Prompt',
+        'variation.mode.prompts': 'Mehrere Prompts, gleicher Seed',
+        'variation.count': 'Anzahl der Clips',
+        'variation.seeds': 'Feste Seeds (optional)',
+        'variation.seedsPlaceholder': 'Mit zufälligen Seeds aufgefüllt',
+        'variation.prompts': 'Prompt-Varianten (eine pro Zeile)',
+        'variation.start': '🧪 Erkundung starten',
+        'variation.stop': '⏹ Stoppen',
+        'variation.progress': '{done}/{total} Clips',
+        'variation.status.pending': 'Wartend',
+        'variation.status.running': 'Wird erzeugt…',
+        'variation.status.error': 'Fehlgeschlagen',
+        'variation.status.cancelled': 'Abgebrochen',
+        'variation.star': 'Als Favorit markieren',
+        'variation.setPreset': '📌 Preset des Zeichens',
+        'variation.isPreset': '📌 Aktuelles Preset',
+        'variation.presetInfo': 'Visuelles Preset: Seed {seed}',
+        'variation.clearPreset': '✖ Preset vergessen',
+        'msg.variationPromptsRequired': 'Gib mindestens eine Prompt-Variante ein.',
+        'msg.confirmVariations': '{count} Clips für {sign} erzeugen?',
+        'api.cancel': '✖ Abbrechen',
+        'api.offline': '⚠️ Server nicht erreichbar.',
+        'api.replaying': '🔄 Server wieder da, Anfragen werden erneut gesendet…',
+        'api.offlineQueued': '{count} Anfrage(n) wartend, werden gesendet, sobald der Server zurück ist:',
+        'api.retryNow': '↻ Jetzt erneut versuchen',
+        'api.dropQueue': '✖ Verwerfen',
+        'api.error.http': 'HTTP-Fehler {status}',
+        'api.error.timeout': 'Der Server hat nicht innerhalb von {seconds} s geantwortet.',
+        'api.error.network': 'Server nicht erreichbar.',
+        'api.error.aborted': 'Anfrage abgebrochen.',
+        'api.error.nonJson': 'Unerwartete Serverantwort (HTTP {status}): {excerpt}',
+        'api.error.empty': 'Leere Serverantwort (HTTP {status}).',
+        'api.error.invalidJson': 'Ungültige JSON-Antwort des Servers (HTTP {status}).',
+        'msg.dropOfflineQueue': 'Die {count} wartenden Anfragen verwerfen?',
+        'nav.status': 'Dienststatus',
+        'section.status.title': 'Dienststatus',
+        'section.status.subtitle': 'Verfügbarkeit von Backend, Ollama, ComfyUI und den Plattformen',
+        'status.refresh': '🔄 Alle prüfen',
+        'status.check': '🔄 Prüfen',
+        'status.lastPoll': 'Letzte vollständige Prüfung: {date}',
+        'status.state.up': 'Betriebsbereit',
+        'status.state.degraded': 'Eingeschränkt',
+        'status.state.down': 'Nicht verfügbar',
+        'status.state.unknown': 'Unbekannt',
+        'status.latency': 'Latenz',
+        'status.average': 'Schnitt {latency} ms',
+        'status.uptime': 'Verfügbarkeit',
+        'status.checks': '{count} Prüfungen',
+        'status.lastCheck': 'Letzte Prüfung',
+        'status.history': 'Prüfverlauf',
+        'status.health': 'Zustand',
+        'status.models': 'Modelle',
+        'status.server': 'Server',
+        'status.formats': 'Formate',
+        'status.workflow': 'Workflow',
+        'status.workflowReady': 'Bereit',
+        'status.workflowNotReady': 'Workflow nicht bereit',
+        'status.note': 'Hinweis',
+        'status.notConfigured': 'Ziel nicht konfiguriert',
+        'status.unhealthy': 'Zustandsprüfung: {status}',
+        'status.noModels': 'Kein Modell verfügbar',
+        'status.comfyDisconnected': 'ComfyUI antwortet nicht',
+        'status.publisherDisconnected': '{target}-Konto nicht verbunden',
+        'status.blocked': 'Nicht verfügbar: {services}',
+        'msg.serviceDown': 'Aktion nicht möglich: {services} nicht verfügbar. Siehe Dienststatus.',
+        'common.close': 'Schließen',
+        'notifications.title': 'Benachrichtigungen',
+        'notifications.clear': '🗑️ Leeren',
+        'notifications.desktop': 'Desktop-Benachrichtigungen am Ende langer Aufgaben',
+        'notifications.empty': 'Keine Benachrichtigungen.',
+        'notifications.job.completed': '✅ Aufgabe abgeschlossen',
+        'notifications.job.failed': '❌ Aufgabe fehlgeschlagen',
+        'notifications.job.cancelled': '⏹️ Aufgabe abgebrochen',
+        'notifications.jobDetails': 'Aufgabe {id} · {done} Zeichen fertig',
+        'notifications.variationsDone': '🧪 Erkundung abgeschlossen',
+        'notifications.published': '„{title}“ auf {target} veröffentlicht.',
+        'notifications.publishFailed': 'Veröffentlichung von „{title}“ fehlgeschlagen',
+        'dialog.confirmTitle': 'Bestätigung',
+        'dialog.confirm': 'Bestätigen',
+        'dialog.ok': 'OK',
+        'dialog.format': 'Format',
+        'dialog.signs': 'Zeichen',
+        'dialog.duration': 'Geschätzte Dauer',
+        'dialog.durationSeconds': '{min} – {max} s',
+        'dialog.durationMinutes': '{min} – {max} Min.',
+        'dialog.text': 'Text',
+        'dialog.archivedText': 'Archiviertes Horoskop',
+        'dialog.generatedText': 'Neu erzeugtes Horoskop',
+        'dialog.trim': 'Schnitt',
+        'dialog.noTrim': 'Keiner',
+        'dialog.subtitles': 'Untertitel',
+        'demo.badge': '🧪 Demo',
+        'demo.badgeTitle': 'Kein Backend auf dieser Seite: Ergebnisse werden im Browser simuliert',
+        'demo.title': 'Demomodus',
+        'demo.enabled': 'Kein Backend auf dieser Seite: Horoskope, Clips und Aufgaben werden im Browser simuliert.',
+        'demo.explain': 'Diese Seite läuft ohne Backend (statische Website). Horoskope werden aus den Ephemeriden des Tages erstellt, Clips im Browser aufgenommen und nichts wird veröffentlicht. Erneut versuchen, das Backend zu erreichen?',
+        'demo.retryBackend': '🔄 Backend erneut versuchen',
+        'demo.stillUnreachable': 'Weiterhin kein Backend: Der Demomodus bleibt aktiv.',
+        'demo.clipUnsupported': 'Dieser Browser kann kein Video aufnehmen (MediaRecorder): Demo-Clip nicht verfügbar.',
+        'demo.batchDone': '{count} Zeichen verarbeitet (Demo).',
+        'demo.jobNotFound': 'Aufgabe im Demo-Backend unbekannt.',
+        'demo.publishDisabled': 'Veröffentlichung im Demomodus deaktiviert.',
+        'demo.unsupported': 'Route {endpoint} wird im Demomodus nicht simuliert.',
+        'connections.title': '🔌 Backend-Verbindungen',
+        'connections.hint': 'Aufrufe verwenden das aktive Profil (★). Mit einem API-Schlüssel muss der Server diesen Header erlauben (CORS); Videos und Bilder werden ohne Header geladen.',
+        'connections.new': '➕ Neues Profil',
+        'connections.delete': '🗑️ Löschen',
+        'connections.test': '🧪 Verbindung testen',
+        'connections.save': '💾 Speichern und aktivieren',
+        'connections.localName': 'Lokal (gleicher Ursprung)',
+        'connections.name': 'Profilname',
+        'connections.group.api': 'Haupt-API',
+        'connections.group.chat': 'Chat und Modelle (Ollama)',
+        'connections.group.video': 'ComfyUI und Video',
+        'connections.overrideHint': 'URL leer lassen, um die Haupt-API zu verwenden.',
+        'connections.baseUrl': 'Basis-URL',
+        'connections.baseUrlPlaceholder': 'Leer: gleicher Ursprung wie die Seite',
+        'connections.keyHeader': 'API-Schlüssel-Header',
+        'connections.keyHeaderPlaceholder': 'z. B. X-API-Key',
+        'connections.key': 'API-Schlüssel',
+        'connections.error.required': '{group}: Pflichtfeld.',
+        'connections.error.url': '{group}: Die URL muss mit http:// oder https:// beginnen.',
+        'connections.error.header': '{group}: Ungültiger Header-Name oder Schlüssel ohne Header.',
+        'connections.activated': 'Profil „{name}" aktiviert.',
+        'connections.promptName': 'Name des neuen Profils:',
+        'connections.confirmDelete': 'Profil „{name}" löschen?',
+        'connections.testing': 'Test läuft…',
+        'connections.latency': 'antwortet in {ms} ms',
+        'nav.compatibility': 'Kompatibilität',
+        'section.compatibility.title': 'Kompatibilität',
+        'section.compatibility.subtitle': 'Vergleichen Sie zwei Zeichen oder zwei Geburtshoroskope',
+        'compat.mode': 'Vergleichen',
+        'compat.modeSigns': 'Zwei Zeichen',
+        'compat.modeProfiles': 'Zwei Geburtsprofile (Synastrie)',
+        'compat.profilesHint': 'Legen Sie im Einzelhoroskop Geburtsprofile an, um zwei vollständige Horoskope zu vergleichen.',
+        'compat.partner1': 'Person 1',
+        'compat.partner2': 'Person 2',
+        'compat.calculate': '💞 Kompatibilität berechnen',
+        'compat.reading': '✍️ KI-Deutung',
+        'compat.video': '🎬 Kompatibilitäts-Short',
+        'compat.choosePair': 'Wählen Sie die beiden Personen für den Vergleich.',
+        'compat.sameProfile': 'Wählen Sie zwei verschiedene Profile.',
+        'compat.score': 'Kompatibilitätswert',
+        'compat.signsOnly': 'Elemente, Modalitäten und Zeichenbeziehung',
+        'compat.withSynastry': 'Sonnenzeichen und Aspekte zwischen beiden Horoskopen',
+        'compat.criterion.element': 'Elemente',
+        'compat.criterion.modality': 'Modalitäten',
+        'compat.criterion.relation': 'Zeichenbeziehung',
+        'compat.criterion.synastry': 'Synastrie',
+        'compat.element.fire': 'Feuer',
+        'compat.element.earth': 'Erde',
+        'compat.element.air': 'Luft',
+        'compat.element.water': 'Wasser',
+        'compat.modality.cardinal': 'Kardinal',
+        'compat.modality.fixed': 'Fix',
+        'compat.modality.mutable': 'Veränderlich',
+        'compat.relation.conjunction': 'Gleiches Zeichen',
+        'compat.relation.semisextile': 'Halbsextil',
+        'compat.relation.sextile': 'Sextil',
+        'compat.relation.square': 'Quadrat',
+        'compat.relation.trine': 'Trigon',
+        'compat.relation.quincunx': 'Quincunx',
+        'compat.relation.opposition': 'Opposition',
+        'compat.aspectCount': '{count} prägende Aspekte',
+        'compat.aspects': 'Aspekte zwischen den Horoskopen',
+        'compat.readingError': 'Deutung fehlgeschlagen: {error}',
+        'compat.confirmVideo': 'Einen Kompatibilitäts-Short für {duo} erstellen?',
+        'compat.duo': 'Paar',
+        'compat.readingText': 'Kompatibilitätsdeutung',
+        'period.label': 'Zeitraum',
+        'period.day': 'Tag',
+        'period.week': 'Woche',
+        'period.month': 'Monat',
+        'period.year': 'Jahr',
+        'period.highlights': 'Wichtige Transite des Zeitraums',
+        'period.signHighlights': 'Wichtige Transite des Zeichens',
+        'planet.sun': 'Sonne',
+        'planet.moon': 'Mond',
+        'planet.mercury': 'Merkur',
+        'planet.venus': 'Venus',
+        'planet.mars': 'Mars',
+        'planet.jupiter': 'Jupiter',
+        'planet.saturn': 'Saturn',
+        'planet.uranus': 'Uranus',
+        'planet.neptune': 'Neptun',
+        'planet.pluto': 'Pluto',
+        'planet.sun.influence': 'Identität, Vitalität und Willenskraft',
+        'planet.moon.influence': 'Gefühle, Intuition und innere Bedürfnisse',
+        'planet.mercury.influence': 'Kommunikation, Austausch und Reisen',
+        'planet.venus.influence': 'Liebe, Harmonie und Genuss',
+        'planet.mars.influence': 'Tatkraft, Energie und Selbstbehauptung',
+        'planet.jupiter.influence': 'Expansion, Glück und Wachstum',
+        'planet.saturn.influence': 'Struktur, Disziplin und Verantwortung',
+        'planet.uranus.influence': 'Plötzliche Veränderungen und Innovation',
+        'planet.neptune.influence': 'Träume, Inspiration und Spiritualität',
+        'planet.pluto.influence': 'Tiefe Wandlung und Wiedergeburt',
+        'planet.retrograde': 'rückläufig',
+        'phase.new_moon': 'Neumond',
+        'phase.waxing_crescent': 'Zunehmende Sichel',
+        'phase.first_quarter': 'Erstes Viertel',
+        'phase.waxing_gibbous': 'Zunehmender Mond',
+        'phase.full_moon': 'Vollmond',
+        'phase.waning_gibbous': 'Abnehmender Mond',
+        'phase.last_quarter': 'Letztes Viertel',
+        'phase.waning_crescent': 'Abnehmende Sichel',
+        'season.spring': 'Frühling',
+        'season.summer': 'Sommer',
+        'season.autumn': 'Herbst',
+        'season.winter': 'Winter',
+        'season.spring.energy': 'Erneuerung, Schwung und Neuanfänge',
+        'season.summer.energy': 'Entfaltung, Strahlkraft und Fülle',
+        'season.autumn.energy': 'Ernte, Bilanz und Innenschau',
+        'season.winter.energy': 'Ruhe, Reifung und Vorbereitung',
+        'aspect.conjunction': 'Konjunktion',
+        'aspect.sextile': 'Sextil',
+        'aspect.square': 'Quadrat',
+        'aspect.trine': 'Trigon',
+        'aspect.opposition': 'Opposition',
+        'model.count': '{count} Modelle',
+        'model.none': 'Kein Modell gefunden',
+        'model.offline': 'Ollama offline',
+        'model.selected': 'Aktiviert: {model}',
+        'context.title': 'Astraler Kontext vom {date}',
+        'context.lunarPhase': '🌙 Mondphase',
+        'context.illumination': '{percent} % beleuchtet',
+        'context.season': '🍂 Jahreszeit',
+        'context.planets': '🪐 Einflussreiche Planeten',
+        'chart.invalidInput': 'Bitte ein gültiges Datum, einen Breiten- und einen Längengrad angeben.',
+        'chart.polar': 'Jenseits der Polarkreise (Breite > 66°) lassen sich keine Häuser berechnen.',
+        'chart.title': 'Himmelskarte für den {date} um {time}',
+        'chart.body': 'Himmelskörper',
+        'chart.position': 'Position',
+        'chart.motion': 'Bewegung',
+        'chart.retrograde': '℞ Rückläufig',
+        'chart.direct': 'Direkt',
+        'chart.orb': 'Orbis {orb}°',
+        'chart.house': 'Haus {house}',
+        'chat.stop': '⏹️ Stopp',
+        'chat.connectionError': '❌ Verbindungsfehler: {error}',
+        'job.notFound': 'Aufgabe {id} wurde auf dem Server nicht gefunden.',
+        'job.progress': 'Aufgabe {id} · {done}/{total} Zeichen fertig',
+        'job.cancel': '⏹️ Abbrechen',
+        'job.status.queued': '⏳ Aufgabe wartet',
+        'job.status.running': '⚙️ Wird erstellt',
+        'job.status.completed': '✅ Aufgabe abgeschlossen',
+        'job.status.failed': '❌ Aufgabe fehlgeschlagen',
+        'job.status.cancelled': '⏹️ Aufgabe abgebrochen',
+        'job.stage.horoscope': '📝 Horoskop',
+        'job.stage.tts': '🎙️ Stimme',
+        'job.stage.comfyui': '🎬 Clip',
+        'job.stage.montage': '🎞️ Schnitt',
+        'transit.type.ingress': 'Zeichenwechsel',
+        'transit.type.aspect': 'Exakte Aspekte',
+        'transit.type.station': 'Stationen',
+        'transit.type.lunation': 'Neu- und Vollmonde',
+        'transit.type.eclipse': 'Finsternisse',
+        'transit.ingress': '{body} tritt in {sign} ein',
+        'transit.ingressRetrograde': '{body} tritt in {sign} ein (rückläufig)',
+        'transit.stationRetrograde': '{body} wird rückläufig in {sign}',
+        'transit.stationDirect': '{body} wird direktläufig in {sign}',
+        'transit.newMoon': '🌑 Neumond in {sign}',
+        'transit.fullMoon': '🌕 Vollmond in {sign}',
+        'transit.solarEclipse': 'Sonnenfinsternis in {sign}',
+        'transit.lunarEclipse': 'Mondfinsternis in {sign}',
+        'calendar.dayTitle': '📅 Ereignisse am {date}',
+        'calendar.noEvents': 'Kein größeres Ereignis an diesem Tag.',
+        'calendar.openDaily': '🌟 Tageshoroskope ansehen',
+        'archive.count': '{count} Horoskop(e)',
+        'archive.empty': 'Kein archiviertes Horoskop entspricht diesen Kriterien.',
+        'archive.unknownModel': 'unbekannt',
+        'archive.words': '{count} Wörter',
+        'archive.selectToCompare': 'Zum Vergleichen auswählen',
+        'archive.prompt': 'Prompt',
+        'archive.useForVideo': '🎬 Für das Video verwenden',
+        'export.copy': '📋 Kopieren',
+        'export.copied': '✅ Kopiert',
+        'export.copyFailed': '❌ Fehlgeschlagen',
+        'compare.title': '{sign} · Vergleich von {count} Modellen',
+        'compare.today': 'heute',
+        'compare.words': '{count} Wörter',
+        'compare.sentences': '{words} Wörter/Satz · {exclamations} „!“ · {address}',
+        'compare.vote': '👍 Bester Text',
+        'compare.voted': '🏆 Ihre Wahl',
+        'compare.standings': '🏆 Empfohlenes Modell pro Zeichen',
+        'compare.language': 'Sprache',
+        'compare.votes': 'Stimmen',
+        'compare.tone.enthusiastic': 'Begeistert',
+        'compare.tone.positive': 'Positiv',
+        'compare.tone.neutral': 'Neutral',
+        'compare.tone.cautious': 'Vorsichtig',
+        'compare.address.impersonal': 'unpersönlich',
+        'compare.address.informal': 'Duzen',
+        'compare.address.formal': 'Siezen',
+        'export.caption.youtube': '📺 YouTube-Beschreibung',
+        'export.caption.tiktok': '🎵 TikTok-Text',
+        'export.caption.instagram': '📸 Instagram-Text',
+        'export.newsletter.title': '🌟 Horoskope vom {date}',
+        'export.newsletter.footer': 'Erstellt mit AstroGenAI',
+        'export.csv.columns': 'Datum;Zeichen;Name;Wörter;Horoskop',
+        'export.rss.title': 'AstroGenAI - Tageshoroskope',
+        'export.rss.description': 'Tageshoroskope für die 12 Tierkreiszeichen',
+        'export.rss.itemTitle': '{name} - Horoskop vom {date}',
+        'export.youtube.header': 'Horoskop {name} vom {date}',
+        'export.youtube.footer': '🔔 Abonnieren Sie, um jeden Tag Ihr Horoskop zu erhalten!',
+        'export.instagram.footer': '✨ Speichern Sie diesen Beitrag und teilen Sie ihn mit einem {name}!',
+        'export.hashtags.base': '#horoskop #astrologie #sternzeichen #astro',
+        'export.hashtags.tiktok': '#fyp #fürdich #astrotok',
+        'export.hashtags.instagram': '#tageshoroskop #sternzeichen #reels',
+        'common.error': 'Fehler',
+        'common.errorLabel': '❌ Fehler:',
+        'common.words': '{count} Wörter',
+        'chart.exportSvg': '💾 SVG exportieren',
+        'chart.exportPng': '🖼️ PNG exportieren',
+        'chart.fileName': 'himmelskarte',
+        'chat.untitled': 'Neue Unterhaltung',
+        'chat.messageCount': '{count} Nachrichten',
+        'chat.rename': 'Umbenennen',
+        'chat.delete': 'Löschen',
+        'video.clipDone': '🎬 Video mit ComfyUI erstellt!',
+        'video.batchDone': 'ComfyUI-Stapel abgeschlossen!',
+        'video.batchSuccess': 'Erfolgreich ({size})',
+        'video.batchFailure': 'Fehlgeschlagen - {error}',
+        'video.sign': 'Zeichen:',
+        'video.path': 'Pfad:',
+        'video.size': 'Größe:',
+        'video.duration': 'Dauer:',
+        'video.signWorkflowDone': '✅ Workflow für {sign} abgeschlossen!',
+        'video.fullWorkflowDone': '✅ Stapel-Workflow abgeschlossen!',
+        'profile.sunSignOnly': '— Nur Sonnenzeichen —',
+        'profile.ascendantUnknown': 'unbekannt (Geburtszeit fehlt)',
+        'prompts.defaultTemplate': 'Standardvorlage',
+        'prompts.perSign': 'Vorlage pro Zeichen',
+        'prompts.unknownVariables': '⚠️ Unbekannte Variablen: {names}',
+        'llm.allSigns': 'alle Zeichen',
+        'llm.lunarPhase': '{phase} ({percent}% beleuchtet)',
+        'llm.planetIn': '{planet} in {position}',
+        'llm.noTransits': 'keine wichtigen Transite',
+        'llm.chatSummary': 'Zusammenfassung des Gesprächsbeginns:\n{summary}',
+        'llm.chatUser': 'Nutzer',
+        'llm.chatAssistant': 'Assistent',
+        'llm.period.day': 'für den {start}',
+        'llm.period.week': 'für die Woche vom {start} bis {end}',
+        'llm.period.month': 'für {month} {year}',
+        'llm.period.monthElided': 'für {month} {year}',
+        'llm.period.year': 'für das Jahr {year}',
+        'llm.compat.score': 'Gesamtwert {score}/100',
+        'llm.compat.elements': 'Elemente {elements} ({score}/100)',
+        'llm.compat.modalities': 'Modalitäten {modalities} ({score}/100)',
+        'llm.compat.relation': 'Zeichen im {relation} ({score}/100)',
+        'llm.compat.and': '{first} und {second}',
+        'llm.compat.aspect': '{from} ({nameA}) {symbol} {to} ({nameB}), {aspect} mit {orb}° Orbis',
+        'llm.compat.synastry': 'Synastrie {score}/100: {aspects}',
+        'llm.compat.noAspects': 'Synastrie {score}/100, ohne wichtige Aspekte',
+        'compat.videoDone': '✅ Kompatibilitäts-Short fertig: {duo}',
+        'compat.scoreLabel': 'Kompatibilitätswert:'
+    }
+};
+
+/**
+ * Lit la langue mémorisée (français par défaut) et l'applique au document.
+ * @returns {string} Le code de la langue active.
+ */
+function loadLanguage() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(I18N_STORAGE_KEY);
+    } catch (error) {
+        console.error('Erreur de lecture de la langue:', error);
+    }
+    currentLanguage = I18N_LANGUAGES[saved] ? saved : I18N_DEFAULT_LANGUAGE;
+    document.documentElement.lang = currentLanguage;
+    return currentLanguage;
+}
+
+/**
+ * Change et mémorise la langue active.
+ * @param {string} language - Le code de langue ('fr', 'en', 'es', 'de').
+ */
+function setLanguage(language) {
+    if (!I18N_LANGUAGES[language]) return;
+    currentLanguage = language;
+    document.documentElement.lang = language;
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, language);
+    } catch (error) {
+        console.error('Erreur de sauvegarde de la langue:', error);
+    }
+}
+
+/**
+ * @returns {string} Le code de la langue active.
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * @returns {string} La locale Intl de la langue active (ex: 'fr-FR').
+ */
+function getLocale() {
+    return I18N_LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Traduit une clé dans la langue active, avec repli sur le français.
+ * Les paramètres remplacent les marqueurs {nom} du message.
+ * @param {string} key - La clé du message (ex: 'msg.selectSign').
+ * @param {object} [params] - Les valeurs à insérer.
+ * @returns {string} Le message traduit (la clé elle-même si elle est inconnue).
+ */
+function t(key, params = {}) {
+    return translate(currentLanguage, key, params);
+}
+
+/**
+ * Traduit une clé dans une langue donnée (ex: la langue d'un contenu généré
+ * plus tôt), avec repli sur le français.
+ * @param {string} language - Le code de langue.
+ * @param {string} key - La clé du message.
+ * @param {object} [params] - Les valeurs à insérer.
+ * @returns {string} Le message traduit (la clé elle-même si elle est inconnue).
+ */
+function translate(language, key, params = {}) {
+    const message = I18N_MESSAGES[language]?.[key] ?? I18N_MESSAGES[I18N_DEFAULT_LANGUAGE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Retourne les noms des signes dans la langue active.
+ * @returns {object} Les noms indexés par clé de signe.
+ */
+function getSignNames() {
+    return Object.fromEntries(Object.keys(SIGN_DATE_RANGES).map(sign => [sign, t(`sign.${sign}`)]));
+}
+
+/**
+ * Formate une date selon la locale active.
+ * Une chaîne 'YYYY-MM-DD' est interprétée comme un jour local (et non UTC).
+ * @param {Date|string} date - La date.
+ * @param {object} [options] - Options de `Intl.DateTimeFormat` (date longue par défaut).
+ * @returns {string} La date formatée.
+ */
+function formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+    const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? new Date(`${date}T12:00:00`)
+        : new Date(date);
+    if (isNaN(value)) return String(date);
+    return new Intl.DateTimeFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Formate une date et une heure courtes selon la locale active.
+ * @param {Date|string} date - La date.
+ * @returns {string} La date et l'heure formatées.
+ */
+function formatDateTime(date) {
+    return formatDate(date, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Décrit la période d'un signe dans la langue active (ex: '21 mars - 19 avril').
+ * @param {string} sign - La clé du signe.
+ * @returns {string} La période.
+ */
+function getSignDateRange(sign) {
+    const format = ([month, day]) => formatDate(new Date(2000, month - 1, day), { day: 'numeric', month: 'long' });
+    const [start, end] = SIGN_DATE_RANGES[sign];
+    return `${format(start)} - ${format(end)}`;
+}
+
+/**
+ * Traduit les éléments statiques marqués d'un attribut data-i18n.
+ * @param {ParentNode} [root] - La racine à parcourir (tout le document par défaut).
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
@@ -0,0 +1,19 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Identifiants
+ *
+ * Auteur: AstroGenAI
+ * Description: Identifiants des objets créés côté navigateur (requêtes en
+ * file, connexions, notifications, modèles de prompt, publications). Chargé
+ * en premier : les autres scripts s'en servent.
+ * =============================================================================
+ */
+
+/**
+ * Crée un identifiant unique, horodaté et lisible (ex: « post_mgx3k2_a9f1c »).
+ * @param {string} prefix - Le type d'objet (ex: 'post', 'tpl').
+ * @returns {string} L'identifiant.
+ */
+function createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
@@ -0,0 +1,157 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Rendu Markdown sécurisé
+ *
+ * Auteur: AstroGenAI
+ * Description: Couche de rendu unique pour tout texte venant du LLM ou du
+ * backend. Le texte est d'abord entièrement échappé, puis seul un sous-ensemble
+ * de Markdown (titres, gras, italique, listes, code) est converti en balises
+ * connues. Aucun HTML fourni par le modèle n'atteint le DOM.
+ * =============================================================================
+ */
+
+// Caractères à échapper pour une insertion sûre dans du HTML (texte et attributs).
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+// Schémas d'URL autorisés dans les attributs href/src ('blob:' : médias du mode démonstration).
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'blob:'];
+
+/**
+ * Échappe une valeur pour l'insérer dans du HTML.
+ * @param {*} value - La valeur à échapper (null/undefined donnent une chaîne vide).
+ * @returns {string} La valeur échappée.
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Vérifie qu'une URL est sûre pour un attribut href/src et l'échappe.
+ * Seuls les chemins relatifs et les URL http(s) sont acceptés.
+ * @param {string} url - L'URL à vérifier.
+ * @returns {string} L'URL échappée, ou '#' si elle est refusée.
+ */
+function safeUrl(url) {
+    if (url === null || url === undefined) return '#';
+    const value = String(url).trim();
+    // Supprime les caractères de contrôle utilisés pour masquer un schéma ("java\tscript:").
+    const normalized = value.replace(/[\u0000-\u001F\u007F\s]/g, '');
+    const schemeMatch = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (schemeMatch && !SAFE_URL_PROTOCOLS.includes(schemeMatch[1].toLowerCase() + ':')) {
+        return '#';
+    }
+    if (normalized.startsWith('//')) return '#';
+    return escapeHtml(value);
+}
+
+/**
+ * Convertit la mise en forme Markdown d'une ligne (gras, italique, code).
+ * @param {string} text - Le texte brut de la ligne.
+ * @returns {string} Le HTML sûr correspondant.
+ */
+function renderInlineMarkdown(text) {
+    const codeSpans = [];
+    // Le caractère NUL sert de marqueur interne : on le retire de l'entrée.
+    let html = escapeHtml(String(text).replace(/\u0000/g, ''));
+
+    // Les segments de code sont mis de côté pour ne pas y appliquer de mise en forme.
+    html = html.replace(/&#96;([^\n]+?)&#96;/g, (match, code) => {
+        codeSpans.push(code);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
+}
+
+/**
+ * Convertit un texte Markdown (tel que produit par un LLM) en HTML sûr.
+ * Pris en charge : titres (#), paragraphes, sauts de ligne, listes à puces et
+ * numérotées, blocs de code (```), gras, italique et code en ligne.
+ * Tout le reste est affiché tel quel, échappé.
+ * @param {string} markdown - Le texte à convertir.
+ * @returns {string} Le HTML sûr.
+ */
+function renderMarkdown(markdown) {
+    if (markdown === null || markdown === undefined) return '';
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;       // { type: 'ul'|'ol', items: [] }
+    let codeBlock = null;  // Lignes du bloc de code en cours
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.type}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.type}>`);
+            list = null;
+        }
+    };
+
+    lines.forEach(line => {
+        if (codeBlock) {
+            if (/^\s*```/.test(line)) {
+                blocks.push(`<pre><code>${escapeHtml(codeBlock.join('\n'))}</code></pre>`);
+                codeBlock = null;
+            } else {
+                codeBlock.push(line);
+            }
+            return;
+        }
+
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            codeBlock = [];
+            return;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            // Les titres du modèle restent subordonnés aux titres de la carte (h3).
+            const level = Math.min(heading[1].length + 3, 6);
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            return;
+        }
+
+        const bullet = line.match(/^\s*[-*+•]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+            flushParagraph();
+            const type = bullet ? 'ul' : 'ol';
+            if (list && list.type !== type) flushList();
+            if (!list) list = { type, items: [] };
+            list.items.push((bullet || numbered)[1]);
+            return;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            return;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    });
+
+    // Un bloc de code non fermé est tout de même affiché (réponse en cours de streaming).
+    if (codeBlock) blocks.push(`<pre><code>${escapeHtml(codeBlock.join('\n'))}</code></pre>`);
+    flushParagraph();
+    flushList();
+
+    return blocks.join('');
+}
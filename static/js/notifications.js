@@ -0,0 +1,58 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Notifications
+ *
+ * Auteur: AstroGenAI
+ * Description: Modèle des notifications de l'application (toasts et journal
+ * du centre de notifications) : création, durée d'affichage selon le type et
+ * journal borné des notifications passées, le plus récent en tête. Les
+ * erreurs restent affichées plus longtemps que les confirmations.
+ * =============================================================================
+ */
+
+// Types de notification, du moins au plus important.
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error'];
+
+// Icône de chaque type.
+const NOTIFICATION_ICONS = { info: 'ℹ️', success: '✅', warning: '⚠️', error: '❌' };
+
+// Durée d'affichage des toasts (ms) : les erreurs restent plus longtemps.
+const TOAST_DURATIONS = { info: 4000, success: 4000, warning: 6000, error: 9000 };
+
+// Nombre de notifications conservées dans le journal.
+const NOTIFICATION_LOG_SIZE = 100;
+
+/**
+ * Crée une notification.
+ * @param {string} message - Le texte.
+ * @param {object} [options] - { type, title }.
+ * @returns {object} { id, type, title, message, at, read }.
+ */
+function createNotification(message, options = {}) {
+    return {
+        id: createId('notif'),
+        type: NOTIFICATION_TYPES.includes(options.type) ? options.type : 'info',
+        title: options.title || '',
+        message: String(message),
+        at: new Date().toISOString(),
+        read: false
+    };
+}
+
+/**
+ * Ajoute une notification en tête du journal.
+ * @param {object[]} log - Le journal, de la plus récente à la plus ancienne.
+ * @param {object} notification - La notification.
+ * @returns {object[]} Le nouveau journal, borné à NOTIFICATION_LOG_SIZE.
+ */
+function addToNotificationLog(log, notification) {
+    return [notification, ...log].slice(0, NOTIFICATION_LOG_SIZE);
+}
+
+/**
+ * @param {object[]} log - Le journal.
+ * @returns {number} Le nombre de notifications non lues.
+ */
+function countUnreadNotifications(log) {
+    return log.filter(notification => !notification.read).length;
+}
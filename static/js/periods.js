@@ -0,0 +1,137 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Périodes d'horoscope
+ *
+ * Auteur: AstroGenAI
+ * Description: Périodes couvertes par un horoscope (jour, semaine, mois,
+ * année) : plage de dates d'une période et sélection des transits marquants
+ * parmi les événements de findTransitEvents (ephemeris.js), pour la période
+ * entière et pour chaque signe : les éclipses et les stations des astres
+ * lents passent avant les entrées de la Lune.
+ * =============================================================================
+ */
+
+const HOROSCOPE_PERIODS = ['day', 'week', 'month', 'year'];
+
+// Nombre de transits marquants retenus pour toute la période, puis par signe.
+const PERIOD_HIGHLIGHT_LIMITS = { day: 6, week: 8, month: 12, year: 16 };
+const SIGN_HIGHLIGHT_LIMIT = 3;
+
+// Importance des événements : type, puis astre concerné (les astres lents marquent plus longtemps).
+const TRANSIT_TYPE_WEIGHTS = { eclipse: 7, station: 5, lunation: 5, ingress: 3, aspect: 2 };
+const TRANSIT_BODY_WEIGHTS = { sun: 1, mars: 1, jupiter: 2, saturn: 2, uranus: 2, neptune: 2, pluto: 2 };
+
+/**
+ * @param {Date} date - Une date (UTC).
+ * @returns {string} Sa clé 'YYYY-MM-DD'.
+ */
+function toPeriodDateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Plage de dates d'une période contenant une date : le jour même, la semaine
+ * du lundi au dimanche, le mois ou l'année civile.
+ * @param {string} period - 'day', 'week', 'month' ou 'year'.
+ * @param {string} date - La date de référence 'YYYY-MM-DD'.
+ * @returns {object} { period, start, end } avec des dates 'YYYY-MM-DD' incluses.
+ */
+function getPeriodRange(period, date) {
+    const [year, month, day] = date.split('-').map(Number);
+    let start = new Date(Date.UTC(year, month - 1, day));
+    let end = new Date(start);
+
+    if (period === 'week') {
+        start.setUTCDate(day - ((start.getUTCDay() + 6) % 7));
+        end = new Date(start);
+        end.setUTCDate(start.getUTCDate() + 6);
+    } else if (period === 'month') {
+        start = new Date(Date.UTC(year, month - 1, 1));
+        end = new Date(Date.UTC(year, month, 0));
+    } else if (period === 'year') {
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year, 11, 31));
+    }
+    return { period: HOROSCOPE_PERIODS.includes(period) ? period : 'day', start: toPeriodDateKey(start), end: toPeriodDateKey(end) };
+}
+
+/**
+ * Libellé d'une période pour la variable {period} des prompts
+ * (ex: « de la semaine du 2026-10-19 au 2026-10-25 »).
+ * @param {object} range - La plage retournée par `getPeriodRange`.
+ * @param {string} [language] - La langue du contenu généré.
+ * @returns {string} Le libellé, dans cette langue comme les autres variables.
+ */
+function describePeriod(range, language = I18N_DEFAULT_LANGUAGE) {
+    const [year, month] = range.start.split('-').map(Number);
+    switch (range.period) {
+        case 'week':
+            return translate(language, 'llm.period.week', { start: range.start, end: range.end });
+        case 'month': {
+            const locale = (I18N_LANGUAGES[language] || I18N_LANGUAGES[I18N_DEFAULT_LANGUAGE]).locale;
+            const name = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(locale, { month: 'long', timeZone: 'UTC' });
+            // « du mois d'avril » mais « du mois de mai ».
+            return translate(language, /^[aeiouyh]/i.test(name) ? 'llm.period.monthElided' : 'llm.period.month', { month: name, year });
+        }
+        case 'year':
+            return translate(language, 'llm.period.year', { year });
+        default:
+            return translate(language, 'llm.period.day', { start: range.start });
+    }
+}
+
+/**
+ * @param {object} event - Un événement de `findTransitEvents`.
+ * @returns {number} Son importance : les éclipses et les stations d'astres lents d'abord.
+ */
+function getTransitWeight(event) {
+    const bodies = [event.body, event.target].filter(Boolean);
+    return TRANSIT_TYPE_WEIGHTS[event.type] + Math.max(0, ...bodies.map(key => TRANSIT_BODY_WEIGHTS[key] || 0));
+}
+
+/**
+ * Garde les événements les plus importants, dans l'ordre chronologique.
+ * @param {object[]} events - Les événements, triés par date.
+ * @param {number} limit - Le nombre d'événements gardés.
+ * @returns {object[]} Les événements retenus.
+ */
+function rankTransitEvents(events, limit) {
+    return events
+        .map((event, index) => ({ event, index, weight: getTransitWeight(event) }))
+        .sort((a, b) => b.weight - a.weight || a.index - b.index)
+        .slice(0, limit)
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.event);
+}
+
+/**
+ * Écarte, au-delà d'un jour, les changements de signe de la Lune (tous les deux jours et demi).
+ * @param {object[]} events - Les événements de la période.
+ * @param {string} period - La période.
+ * @returns {object[]} Les événements pertinents pour la période.
+ */
+function filterPeriodEvents(events, period) {
+    return period === 'day' ? events : events.filter(event => !(event.type === 'ingress' && event.body === 'moon'));
+}
+
+/**
+ * Retient les transits marquants d'une période.
+ * @param {object[]} events - Les événements de la période, triés par date.
+ * @param {string} period - La période.
+ * @returns {object[]} Les plus importants, dans l'ordre chronologique.
+ */
+function selectPeriodHighlights(events, period) {
+    return rankTransitEvents(filterPeriodEvents(events, period), PERIOD_HIGHLIGHT_LIMITS[period] || PERIOD_HIGHLIGHT_LIMITS.day);
+}
+
+/**
+ * Transits marquants qui se produisent dans un signe (entrée, station,
+ * lunaison ou éclipse) ; les aspects, qui relient deux astres, n'ont pas de signe.
+ * @param {object[]} events - Les événements de la période, triés par date.
+ * @param {string} sign - La clé du signe.
+ * @param {string} period - La période.
+ * @returns {object[]} Les plus importants, dans l'ordre chronologique.
+ */
+function selectSignHighlights(events, sign, period) {
+    return rankTransitEvents(filterPeriodEvents(events, period).filter(event => event.sign === sign), SIGN_HIGHLIGHT_LIMIT);
+}
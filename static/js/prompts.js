@@ -0,0 +1,196 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Bibliothèque de prompts
+ *
+ * Auteur: AstroGenAI
+ * Description: Modèles de prompts nommés et versionnés pour les horoscopes, la
+ * personnalité du chat et les visuels ComfyUI. Un modèle contient des
+ * variables ({sign}, {date}, {period}, {planets}, {language}...) remplies au moment de
+ * la requête ; un signe peut utiliser un modèle différent du modèle par défaut.
+ * Les anciens textes par défaut sont mis à niveau sans toucher aux modèles
+ * modifiés par l'utilisateur.
+ * =============================================================================
+ */
+
+const PROMPT_KINDS = {
+    'horoscope': '📝 Horoscopes',
+    'chat': '💬 Personnalité du chat',
+    'visual': '🎨 Visuels ComfyUI',
+    'compatibility': '💞 Compatibilité'
+};
+
+// Variables reconnues dans les modèles, avec leur description.
+const PROMPT_VARIABLES = {
+    'sign': 'Nom du signe',
+    'date': 'Date demandée',
+    'lunar_phase': 'Phase lunaire du jour',
+    'planets': 'Positions des planètes',
+    'season': 'Saison et son énergie',
+    'language': 'Langue du contenu',
+    'period': 'Période de l\'horoscope (jour, semaine, mois, année)',
+    'transits': 'Transits marquants de la période',
+    'partner': 'Second signe (compatibilité)',
+    'compatibility': 'Scores et aspects du duo (compatibilité)'
+};
+
+// Modèles installés au premier lancement, un par type.
+const DEFAULT_PROMPT_TEMPLATES = {
+    'horoscope': {
+        name: 'Horoscope de la période',
+        text: 'Rédige en {language} l\'horoscope {period} pour le signe {sign}, en 150 à 200 mots, sur un ton bienveillant.\n' +
+            'Phase lunaire : {lunar_phase}.\nCiel : {planets}.\nTransits marquants : {transits}.\n' +
+            'Aborde l\'amour, le travail et le bien-être, et termine par un conseil concret.'
+    },
+    'chat': {
+        name: 'Guide astral',
+        text: 'Tu es un guide astral chaleureux et pédagogue. Nous sommes le {date} ; la Lune est en phase {lunar_phase}.\n' +
+            'Réponds en {language}, avec des explications claires et sans affirmations médicales ou financières.'
+    },
+    'visual': {
+        name: 'Constellation cinématique',
+        text: 'Cinematic vertical shot of the {sign} constellation glowing in a deep violet night sky, ' +
+            'moon phase: {lunar_phase}, golden stardust, slow camera drift, highly detailed, 4k'
+    },
+    'compatibility': {
+        name: 'Lecture de compatibilité',
+        text: 'Rédige en {language} une lecture de compatibilité entre {sign} et {partner}, en 180 à 250 mots, sur un ton bienveillant et nuancé.\n' +
+            'Analyse du duo : {compatibility}.\n' +
+            'Décris les points forts de la relation, les frictions possibles, et termine par un conseil concret pour le couple.'
+    }
+};
+
+// Anciens modèles par défaut : tant que l'utilisateur ne les a pas modifiés,
+// ils reçoivent le texte actuel comme nouvelle version.
+const RETIRED_DEFAULT_PROMPTS = {
+    'horoscope': [{
+        name: 'Horoscope quotidien',
+        text: 'Rédige en {language} l\'horoscope du {date} pour le signe {sign}, en 150 à 200 mots, sur un ton bienveillant.\n' +
+            'Phase lunaire : {lunar_phase}.\nCiel du jour : {planets}.\n' +
+            'Aborde l\'amour, le travail et le bien-être, et termine par un conseil concret.'
+    }]
+};
+
+/**
+ * Liste les variables utilisées dans un texte de modèle.
+ * @param {string} text - Le texte du modèle.
+ * @returns {string[]} Les noms de variables (sans accolades), sans doublon.
+ */
+function findPromptVariables(text) {
+    const names = (String(text || '').match(/\{([a-z_]+)\}/g) || []).map(match => match.slice(1, -1));
+    return [...new Set(names)];
+}
+
+/**
+ * Remplit un modèle avec les valeurs fournies.
+ * Les variables inconnues sont laissées telles quelles pour rester visibles.
+ * @param {string} text - Le texte du modèle.
+ * @param {object} variables - Valeurs indexées par nom de variable.
+ * @returns {string} Le prompt final.
+ */
+function fillPromptTemplate(text, variables) {
+    return String(text || '').replace(/\{([a-z_]+)\}/g, (match, name) =>
+        variables[name] === undefined || variables[name] === null ? match : String(variables[name]));
+}
+
+/**
+ * Crée un modèle avec sa première version.
+ * @param {string} kind - 'horoscope', 'chat', 'visual' ou 'compatibility'.
+ * @param {string} name - Le nom du modèle.
+ * @param {string} text - Le texte de la première version.
+ * @returns {object} Le modèle { id, kind, name, versions }.
+ */
+function createPromptTemplate(kind, name, text) {
+    return {
+        id: createId('tpl'),
+        kind,
+        name,
+        versions: [{ version: 1, text, createdAt: new Date().toISOString() }]
+    };
+}
+
+/**
+ * Ajoute une version à un modèle si le texte a changé.
+ * Les versions précédentes ne sont jamais modifiées.
+ * @param {object} template - Le modèle.
+ * @param {string} text - Le nouveau texte.
+ * @returns {boolean} Vrai si une version a été créée.
+ */
+function addPromptTemplateVersion(template, text) {
+    const latest = getLatestPromptVersion(template);
+    if (latest && latest.text === text) return false;
+    template.versions.push({ version: (latest ? latest.version : 0) + 1, text, createdAt: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * @param {object} template - Le modèle.
+ * @returns {object} Sa version la plus récente { version, text, createdAt }.
+ */
+function getLatestPromptVersion(template) {
+    return template.versions[template.versions.length - 1];
+}
+
+/**
+ * Crée une bibliothèque contenant les modèles par défaut.
+ * @returns {object} { templates, defaults: {kind: id}, overrides: {kind: {sign: id}} }.
+ */
+function createDefaultPromptLibrary() {
+    const library = { templates: [], defaults: {}, overrides: {} };
+    addMissingDefaultPrompts(library);
+    return library;
+}
+
+/**
+ * Installe le modèle par défaut des types qui n'ont encore aucun modèle
+ * (bibliothèques enregistrées avant l'ajout d'un type).
+ * @param {object} library - La bibliothèque, modifiée en place.
+ * @returns {boolean} Vrai si un modèle a été ajouté.
+ */
+function addMissingDefaultPrompts(library) {
+    let added = false;
+    Object.entries(DEFAULT_PROMPT_TEMPLATES).forEach(([kind, { name, text }]) => {
+        if (library.templates.some(template => template.kind === kind)) return;
+        const template = createPromptTemplate(kind, name, text);
+        library.templates.push(template);
+        library.defaults[kind] = template.id;
+        library.overrides[kind] = library.overrides[kind] || {};
+        added = true;
+    });
+    return added;
+}
+
+/**
+ * Met à jour les modèles par défaut restés intacts depuis une version
+ * précédente de l'application (ex: l'horoscope du jour devenu horoscope de
+ * la période) ; un modèle modifié par l'utilisateur n'est pas touché.
+ * @param {object} library - La bibliothèque, modifiée en place.
+ * @returns {boolean} Vrai si un modèle a été mis à jour.
+ */
+function upgradeDefaultPrompts(library) {
+    let upgraded = false;
+    library.templates.forEach(template => {
+        const retired = (RETIRED_DEFAULT_PROMPTS[template.kind] || [])
+            .find(item => item.text === getLatestPromptVersion(template).text);
+        if (!retired) return;
+        const current = DEFAULT_PROMPT_TEMPLATES[template.kind];
+        addPromptTemplateVersion(template, current.text);
+        if (template.name === retired.name) template.name = current.name;
+        upgraded = true;
+    });
+    return upgraded;
+}
+
+/**
+ * Choisit le modèle à utiliser pour un type et un signe : le modèle propre au
+ * signe s'il existe, sinon le modèle par défaut du type.
+ * @param {object} library - La bibliothèque.
+ * @param {string} kind - 'horoscope', 'chat', 'visual' ou 'compatibility'.
+ * @param {string} [sign] - La clé du signe.
+ * @returns {object|null} { template, version } ou null si aucun modèle.
+ */
+function resolvePromptTemplate(library, kind, sign) {
+    const byId = id => library.templates.find(template => template.id === id);
+    const template = (sign && byId(library.overrides[kind]?.[sign])) || byId(library.defaults[kind])
+        || library.templates.find(t => t.kind === kind);
+    return template ? { template, version: getLatestPromptVersion(template) } : null;
+}
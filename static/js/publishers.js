@@ -0,0 +1,171 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Cibles de publication
+ *
+ * Auteur: AstroGenAI
+ * Description: Registre des plateformes sur lesquelles publier les vidéos
+ * (YouTube, TikTok, Instagram Reels, webhook vers un CMS). Chaque cible
+ * décrit ses endpoints backend, ses visibilités, le corps de ses requêtes et
+ * la lecture de son statut ; l'interface (boutons, planification) est
+ * construite à partir du registre. Ajouter une cible = appeler
+ * `registerPublisher`.
+ * =============================================================================
+ */
+
+// Cibles enregistrées, indexées par identifiant.
+const PUBLISHERS = {};
+
+/**
+ * Enregistre une cible de publication.
+ * Endpoints attendus : GET `${basePath}/status`, POST `${basePath}/upload_sign/<signe>`
+ * et, si `batch` est vrai, POST `${basePath}/upload_batch`.
+ * @param {string} id - L'identifiant (ex: 'youtube').
+ * @param {object} publisher - { icon, label, buttonClass, basePath, visibilities, batch?,
+ *   configFields?, buildPayload(post, config), statusQuery?(config), describeStatus(data) }.
+ */
+function registerPublisher(id, publisher) {
+    PUBLISHERS[id] = { id, batch: true, configFields: [], statusQuery: () => '', ...publisher };
+}
+
+/**
+ * @param {string} id - L'identifiant de la cible.
+ * @returns {object} La cible.
+ */
+function getPublisher(id) {
+    const publisher = PUBLISHERS[id];
+    if (!publisher) throw new Error(`Cible de publication inconnue : ${id}`);
+    return publisher;
+}
+
+/**
+ * Liste les champs de configuration obligatoires non renseignés.
+ * @param {object} publisher - La cible.
+ * @param {object} [config] - Sa configuration.
+ * @returns {string[]} Les clés manquantes.
+ */
+function getMissingPublisherConfig(publisher, config = {}) {
+    return publisher.configFields
+        .filter(field => field.required && !String(config[field.key] || '').trim())
+        .map(field => field.key);
+}
+
+/**
+ * Retire d'un corps de requête les valeurs vides, pour laisser le backend
+ * appliquer ses valeurs par défaut.
+ * @param {object} payload - Le corps.
+ * @returns {object} Le corps sans valeurs vides.
+ */
+function compactPayload(payload) {
+    return Object.fromEntries(Object.entries(payload).filter(([, value]) =>
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+/**
+ * Description suivie des hashtags.
+ * @param {object} post - { description, hashtags }.
+ * @returns {string} Le texte.
+ */
+function joinDescription(post) {
+    return [post.description, (post.hashtags || []).join(' ')].filter(Boolean).join('\n\n');
+}
+
+registerPublisher('youtube', {
+    icon: '📺',
+    label: 'YouTube',
+    buttonClass: 'button-youtube',
+    basePath: '/api/youtube',
+    visibilities: ['private', 'unlisted', 'public'],
+    buildPayload: post => compactPayload({
+        privacy: post.visibility,
+        title: post.title,
+        description: joinDescription(post),
+        tags: post.tags
+    }),
+    describeStatus: data => ({
+        connected: data.youtube_connected,
+        details: {
+            'publisher.channel': data.channel_info?.title,
+            'publisher.subscribers': data.channel_info?.subscribers,
+            'publisher.videos': data.available_videos?.total_available
+        }
+    })
+});
+
+registerPublisher('tiktok', {
+    icon: '🎵',
+    label: 'TikTok',
+    buttonClass: 'button-tiktok',
+    basePath: '/api/tiktok',
+    visibilities: ['public', 'friends', 'private'],
+    buildPayload: post => compactPayload({
+        privacy_level: post.visibility,
+        title: post.title,
+        description: joinDescription(post),
+        hashtags: post.hashtags
+    }),
+    describeStatus: data => ({
+        connected: data.connected,
+        details: {
+            'publisher.account': data.account?.username,
+            'publisher.videos': data.available_videos?.total_available
+        }
+    })
+});
+
+// Les Reels n'ont qu'une légende : titre, description et hashtags y sont réunis,
+// dans les limites d'Instagram (exporters.js).
+registerPublisher('instagram', {
+    icon: '📸',
+    label: 'Instagram Reels',
+    buttonClass: 'button-instagram',
+    basePath: '/api/instagram',
+    visibilities: ['feed', 'reels'],
+    buildPayload: post => {
+        const hashtags = (post.hashtags || []).slice(0, INSTAGRAM_MAX_HASHTAGS).join(' ');
+        const text = [post.title, post.description].filter(Boolean).join('\n\n');
+        const available = CAPTION_LIMITS.instagram - (hashtags ? hashtags.length + 2 : 0);
+        return compactPayload({
+            caption: [text ? truncateText(text, available) : '', hashtags].filter(Boolean).join('\n\n'),
+            share_to_feed: post.visibility !== 'reels',
+            format: 'instagram_reel'
+        });
+    },
+    describeStatus: data => ({
+        connected: data.connected,
+        details: {
+            'publisher.account': data.account?.username,
+            'publisher.videos': data.available_videos?.total_available
+        }
+    })
+});
+
+// Envoi générique vers notre CMS : le backend relaie la vidéo et ses
+// métadonnées en POST vers l'URL configurée (signée avec le secret s'il existe).
+registerPublisher('webhook', {
+    icon: '🔗',
+    label: 'Webhook CMS',
+    buttonClass: 'button-webhook',
+    basePath: '/api/webhook',
+    visibilities: ['public', 'private'],
+    configFields: [
+        { key: 'url', label: 'publisher.webhookUrl', type: 'url', required: true },
+        { key: 'secret', label: 'publisher.webhookSecret', type: 'password', required: false }
+    ],
+    buildPayload: (post, config = {}) => compactPayload({
+        webhook_url: config.url,
+        secret: config.secret,
+        visibility: post.visibility,
+        title: post.title,
+        description: post.description,
+        tags: post.tags,
+        hashtags: post.hashtags
+    }),
+    statusQuery: (config = {}) => `?url=${encodeURIComponent(config.url || '')}`,
+    describeStatus: data => ({
+        connected: data.reachable,
+        details: {
+            'publisher.url': data.url,
+            'publisher.httpStatus': data.status_code
+        }
+    })
+});
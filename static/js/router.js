@@ -0,0 +1,67 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Routeur
+ *
+ * Auteur: AstroGenAI
+ * Description: Lecture et écriture des routes de l'application dans le
+ * fragment de l'URL (ex: #individual?sign=leo&date=2026-10-19), pour que
+ * chaque section et ses paramètres puissent être partagés, rechargés et
+ * parcourus avec les boutons Précédent/Suivant. Un fragment inconnu ou mal
+ * encodé ne donne pas de route.
+ * =============================================================================
+ */
+
+// Nom d'une section dans le fragment (lettres, chiffres et tirets).
+const ROUTE_SECTION_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Lit une route depuis le fragment de l'URL.
+ * @param {string} hash - Le fragment, avec ou sans '#'.
+ * @returns {object|null} { section, params }, ou null si le fragment est vide ou invalide.
+ */
+function parseRouteHash(hash) {
+    const value = String(hash || '').replace(/^#/, '');
+    const separator = value.indexOf('?');
+    let section;
+    try {
+        section = decodeURIComponent(separator === -1 ? value : value.slice(0, separator)).trim();
+    } catch (error) {
+        // Séquence % mal formée (ex: #individual%E0) : le fragment est ignoré.
+        return null;
+    }
+    if (!ROUTE_SECTION_PATTERN.test(section)) return null;
+
+    const params = {};
+    if (separator !== -1) {
+        new URLSearchParams(value.slice(separator + 1)).forEach((paramValue, key) => {
+            if (paramValue !== '') params[key] = paramValue;
+        });
+    }
+    return { section, params };
+}
+
+/**
+ * Construit le fragment d'une route. Les paramètres vides sont omis.
+ * @param {string} section - La section.
+ * @param {object} [params] - Les paramètres, dans l'ordre d'affichage.
+ * @returns {string} Le fragment, avec '#'.
+ */
+function buildRouteHash(section, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.append(key, String(value));
+    });
+    // ':' est permis dans un fragment : les heures restent lisibles (time=12:00).
+    const search = query.toString().replace(/%3A/gi, ':');
+    return `#${section}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Vérifie qu'une route fournit tous les paramètres requis.
+ * @param {object} route - La route { section, params }.
+ * @param {string[]} required - Les paramètres requis.
+ * @returns {boolean} Vrai si aucun ne manque.
+ */
+function hasRouteParams(route, required) {
+    return required.every(key => Boolean(route.params[key]));
+}
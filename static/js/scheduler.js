@@ -0,0 +1,123 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Planification des publications
+ *
+ * Auteur: AstroGenAI
+ * Description: File de publications vidéo par signe et par cible de
+ * publication (publishers.js), avec date, heure et fuseau horaire de
+ * publication, visibilité, titre, description, tags et hashtags ; l'heure
+ * locale est convertie en UTC par zonedTimeToUtc (cities.js). Fonctions
+ * pures : le stockage, le minuteur et l'interface sont dans app.js.
+ * =============================================================================
+ */
+
+// Cycle de vie d'une publication : pending -> publishing -> published | failed.
+const SCHEDULE_STATUSES = ['pending', 'publishing', 'published', 'failed'];
+
+/**
+ * Fuseau horaire du navigateur.
+ * @returns {string} L'identifiant IANA (ex: 'Europe/Paris').
+ */
+function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Liste les fuseaux horaires proposés, celui du navigateur en premier.
+ * @returns {string[]} Les identifiants IANA.
+ */
+function getTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : ['UTC', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Madrid', 'America/New_York',
+            'America/Montreal', 'America/Los_Angeles', 'America/Mexico_City', 'Africa/Casablanca', 'Asia/Tokyo'];
+    const browserZone = getBrowserTimeZone();
+    return [browserZone, ...zones.filter(zone => zone !== browserZone)];
+}
+
+/**
+ * Découpe une liste saisie librement. Les tags sont séparés par des virgules
+ * (ils peuvent contenir des espaces) ; les hashtags aussi par des espaces.
+ * @param {string|string[]} value - La saisie.
+ * @param {boolean} [asHashtags] - Préfixe chaque élément par '#'.
+ * @returns {string[]} Les éléments, sans doublon.
+ */
+function parseTagList(value, asHashtags = false) {
+    const separator = asHashtags ? /[\s,;]+/ : /[,;\n]+/;
+    const items = (Array.isArray(value) ? value : String(value || '').split(separator))
+        .map(item => item.trim().replace(/^#+/, ''))
+        .filter(Boolean)
+        .map(item => (asHashtags ? `#${item}` : item));
+    return [...new Set(items)];
+}
+
+/**
+ * Crée une publication planifiée.
+ * @param {object} fields - { sign, platform, localDateTime, timeZone, visibility, title, description, tags, hashtags,
+ *   mediaId? } ; sans `mediaId`, le backend publie la dernière vidéo du signe.
+ * @returns {object} La publication, au statut 'pending'.
+ */
+function createScheduledPost(fields) {
+    const platform = getPublisher(fields.platform);
+    const [date, time = '00:00'] = String(fields.localDateTime).split('T');
+
+    return {
+        id: createId('post'),
+        sign: fields.sign,
+        platform: fields.platform,
+        localDateTime: fields.localDateTime,
+        timeZone: fields.timeZone,
+        publishAt: zonedTimeToUtc(date, time, fields.timeZone).toISOString(),
+        visibility: platform.visibilities.includes(fields.visibility) ? fields.visibility : platform.visibilities[0],
+        title: String(fields.title || '').trim(),
+        description: String(fields.description || '').trim(),
+        tags: parseTagList(fields.tags),
+        hashtags: parseTagList(fields.hashtags, true),
+        mediaId: fields.mediaId || null,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        result: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Applique des modifications à une publication en recalculant l'instant UTC.
+ * Une publication modifiée repart au statut 'pending'.
+ * @param {object} post - La publication.
+ * @param {object} fields - Les champs modifiés (mêmes clés que `createScheduledPost`).
+ * @returns {object} La publication mise à jour (nouvel objet).
+ */
+function updateScheduledPost(post, fields) {
+    const updated = createScheduledPost({ ...post, ...fields });
+    return { ...updated, id: post.id, attempts: post.attempts, createdAt: post.createdAt };
+}
+
+/**
+ * Publications en attente dont l'heure est passée, de la plus ancienne à la plus récente.
+ * @param {object[]} queue - La file.
+ * @param {Date} [now] - L'instant de référence.
+ * @returns {object[]} Les publications à envoyer.
+ */
+function getDuePosts(queue, now = new Date()) {
+    return queue
+        .filter(post => post.status === 'pending' && new Date(post.publishAt) <= now)
+        .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+}
+
+/**
+ * Regroupe la file par jour de publication (dans le fuseau de chaque publication).
+ * @param {object[]} queue - La file.
+ * @returns {object[]} Les jours { day: 'YYYY-MM-DD', posts } triés chronologiquement.
+ */
+function groupPostsByDay(queue) {
+    const days = {};
+    [...queue]
+        .sort((a, b) => a.publishAt.localeCompare(b.publishAt))
+        .forEach(post => {
+            const day = post.localDateTime.slice(0, 10);
+            (days[day] = days[day] || []).push(post);
+        });
+    return Object.keys(days).sort().map(day => ({ day, posts: days[day] }));
+}
@@ -0,0 +1,199 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Roue de la carte du ciel (SVG)
+ *
+ * Auteur: AstroGenAI
+ * Description: Dessine une carte du ciel calculée par `computeChart`
+ * (ephemeris.js) sous forme de roue SVG : anneau zodiacal, cuspides des
+ * maisons, glyphes des planètes et lignes d'aspects. L'Ascendant est placé à
+ * gauche et les longitudes croissent dans le sens antihoraire, comme sur une
+ * carte papier. Fournit aussi l'export du SVG et sa conversion en PNG.
+ * =============================================================================
+ */
+
+// Glyphes des signes ; le sélecteur U+FE0E force le rendu texte (pas emoji).
+const CHART_SIGN_GLYPHS = {
+    'aries': '♈\uFE0E', 'taurus': '♉\uFE0E', 'gemini': '♊\uFE0E', 'cancer': '♋\uFE0E',
+    'leo': '♌\uFE0E', 'virgo': '♍\uFE0E', 'libra': '♎\uFE0E', 'scorpio': '♏\uFE0E',
+    'sagittarius': '♐\uFE0E', 'capricorn': '♑\uFE0E', 'aquarius': '♒\uFE0E', 'pisces': '♓\uFE0E'
+};
+
+// Couleur de chaque élément, dans l'ordre Feu, Terre, Air, Eau (Bélier = Feu).
+const CHART_ELEMENT_COLORS = ['#FF6B6B', '#8BC34A', '#FFD700', '#4FC3F7'];
+
+// Couleur des lignes d'aspects : harmoniques en bleu, tendus en rouge.
+const CHART_ASPECT_COLORS = {
+    'conjunction': '#FFD700',
+    'sextile': '#4FC3F7',
+    'trine': '#4FC3F7',
+    'square': '#FF4444',
+    'opposition': '#FF4444'
+};
+
+// Écart angulaire minimal (degrés) entre deux glyphes de planètes sur la roue.
+const CHART_MIN_GLYPH_SPACING = 7;
+
+/**
+ * Convertit une longitude écliptique en coordonnées sur la roue.
+ * @param {number} longitude - La longitude (degrés).
+ * @param {number} radius - Le rayon du point.
+ * @param {number} ascendant - La longitude de l'Ascendant, placé à gauche.
+ * @param {number} center - La coordonnée du centre de la roue.
+ * @returns {{x: number, y: number}} Les coordonnées SVG.
+ */
+function chartPoint(longitude, radius, ascendant, center) {
+    const angle = (180 + longitude - ascendant) * Math.PI / 180;
+    return {
+        x: +(center + radius * Math.cos(angle)).toFixed(2),
+        y: +(center - radius * Math.sin(angle)).toFixed(2)
+    };
+}
+
+/**
+ * Décale les glyphes trop proches pour qu'ils ne se chevauchent pas.
+ * @param {Array<{longitude: number}>} planets - Les planètes.
+ * @returns {number[]} La longitude d'affichage de chaque planète (même ordre).
+ */
+function spreadGlyphLongitudes(planets) {
+    const order = planets.map((p, index) => ({ index, lon: p.longitude })).sort((a, b) => a.lon - b.lon);
+    for (let pass = 0; pass < 5; pass++) {
+        for (let i = 1; i < order.length; i++) {
+            const gap = order[i].lon - order[i - 1].lon;
+            if (gap < CHART_MIN_GLYPH_SPACING) {
+                const push = (CHART_MIN_GLYPH_SPACING - gap) / 2;
+                order[i - 1].lon -= push;
+                order[i].lon += push;
+            }
+        }
+    }
+    const display = [];
+    order.forEach(item => { display[item.index] = item.lon; });
+    return display;
+}
+
+/**
+ * Dessine une carte du ciel sous forme de roue SVG.
+ * Chaque planète porte `data-planet` et un `<title>` (degré et signe) utilisés
+ * pour l'infobulle au survol ; chaque aspect porte `data-planets` (les deux astres reliés).
+ * @param {object} chart - La carte retournée par `computeChart`.
+ * @param {object} [options] - Options d'affichage.
+ * @param {number} [options.size=600] - La taille du SVG (pixels).
+ * @param {object} [options.signNames] - Noms des signes à afficher dans les infobulles.
+ * @returns {string} Le code SVG.
+ */
+function renderSkyChartSVG(chart, options = {}) {
+    const size = options.size || 600;
+    const names = options.signNames || {};
+    const c = size / 2;
+    const rOuter = c - 10;
+    const rZodiac = rOuter - 40;
+    const rPlanets = rZodiac - 30;
+    const rHouses = rZodiac - 60;
+    const rAspects = rHouses - 10;
+    const asc = chart.ascendant;
+    const parts = [];
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" class="sky-chart" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" font-family="'Segoe UI Symbol', 'DejaVu Sans', sans-serif">`);
+    parts.push(`<rect width="${size}" height="${size}" fill="#0c0c1e"/>`);
+    parts.push(`<circle cx="${c}" cy="${c}" r="${rOuter}" fill="#14142e" stroke="#8A2BE2" stroke-width="2"/>`);
+
+    // Anneau zodiacal : 12 secteurs colorés selon l'élément du signe.
+    ZODIAC_ORDER.forEach((sign, index) => {
+        const start = index * 30;
+        const a = chartPoint(start, rOuter, asc, c);
+        const b = chartPoint(start + 30, rOuter, asc, c);
+        const d = chartPoint(start + 30, rZodiac, asc, c);
+        const e = chartPoint(start, rZodiac, asc, c);
+        const color = CHART_ELEMENT_COLORS[index % 4];
+        parts.push(`<path d="M${a.x},${a.y} A${rOuter},${rOuter} 0 0,0 ${b.x},${b.y} L${d.x},${d.y} A${rZodiac},${rZodiac} 0 0,1 ${e.x},${e.y} Z" fill="${color}" fill-opacity="0.12" stroke="#8A2BE2" stroke-width="1"/>`);
+        const glyph = chartPoint(start + 15, (rOuter + rZodiac) / 2, asc, c);
+        parts.push(`<text x="${glyph.x}" y="${glyph.y}" fill="${color}" font-size="20" text-anchor="middle" dominant-baseline="central"><title>${escapeHtml(names[sign] || sign)}</title>${CHART_SIGN_GLYPHS[sign]}</text>`);
+    });
+
+    // Graduations tous les 5 degrés sur le bord intérieur du zodiaque.
+    for (let lon = 0; lon < 360; lon += 5) {
+        const p1 = chartPoint(lon, rZodiac, asc, c);
+        const p2 = chartPoint(lon, rZodiac - (lon % 30 === 0 ? 10 : 4), asc, c);
+        parts.push(`<line x1="${p1.x}" y1="${p1.y}" x2="${p2.x}" y2="${p2.y}" stroke="#8A2BE2" stroke-width="1"/>`);
+    }
+
+    parts.push(`<circle cx="${c}" cy="${c}" r="${rZodiac}" fill="none" stroke="#8A2BE2" stroke-width="1.5"/>`);
+    parts.push(`<circle cx="${c}" cy="${c}" r="${rHouses}" fill="none" stroke="rgba(138,43,226,0.5)" stroke-width="1"/>`);
+
+    // Cuspides des maisons ; les angles (I, IV, VII, X) sont en trait plein et plus épais.
+    chart.cusps.forEach((cusp, index) => {
+        const isAngle = index % 3 === 0;
+        const p1 = chartPoint(cusp, rZodiac, asc, c);
+        const p2 = chartPoint(cusp, isAngle ? 0 : rAspects, asc, c);
+        parts.push(`<line class="house-cusp" x1="${p1.x}" y1="${p1.y}" x2="${p2.x}" y2="${p2.y}" stroke="${isAngle ? '#FF1493' : 'rgba(230,230,250,0.35)'}" stroke-width="${isAngle ? 2 : 1}"${isAngle ? '' : ' stroke-dasharray="4,3"'}/>`);
+        const next = chart.cusps[(index + 1) % 12];
+        const middle = cusp + ((next - cusp + 360) % 360) / 2;
+        const label = chartPoint(middle, rHouses - 12, asc, c);
+        parts.push(`<text x="${label.x}" y="${label.y}" fill="rgba(230,230,250,0.5)" font-size="11" text-anchor="middle" dominant-baseline="central">${index + 1}</text>`);
+    });
+
+    ['ASC', 'MC'].forEach(label => {
+        const lon = label === 'ASC' ? chart.ascendant : chart.midheaven;
+        const p = chartPoint(lon, rOuter + 2, asc, c);
+        parts.push(`<text x="${p.x}" y="${p.y}" fill="#FF1493" font-size="10" font-weight="bold" text-anchor="middle" dominant-baseline="central" stroke="#0c0c1e" stroke-width="3" paint-order="stroke">${label}</text>`);
+    });
+
+    // Lignes d'aspects, reliant les positions exactes sur le cercle intérieur.
+    chart.aspects.filter(a => a.type.key !== 'conjunction').forEach(aspect => {
+        const p1 = chartPoint(aspect.from.longitude, rAspects, asc, c);
+        const p2 = chartPoint(aspect.to.longitude, rAspects, asc, c);
+        const opacity = Math.max(0.25, 1 - aspect.orb / aspect.type.orb).toFixed(2);
+        parts.push(`<line class="aspect-line" data-aspect="${aspect.type.key}" data-planets="${aspect.from.key} ${aspect.to.key}" x1="${p1.x}" y1="${p1.y}" x2="${p2.x}" y2="${p2.y}" stroke="${CHART_ASPECT_COLORS[aspect.type.key]}" stroke-opacity="${opacity}" stroke-width="1.2"><title>${escapeHtml(`${aspect.from.name} ${aspect.type.symbol} ${aspect.to.name} (${aspect.type.name}, ${t('chart.orb', { orb: aspect.orb.toFixed(1) })})`)}</title></line>`);
+    });
+
+    // Planètes : un trait vers la position exacte et le glyphe, décalé si nécessaire.
+    const displayLongitudes = spreadGlyphLongitudes(chart.planets);
+    chart.planets.forEach((planet, index) => {
+        const exact = chartPoint(planet.longitude, rZodiac, asc, c);
+        const tick = chartPoint(planet.longitude, rZodiac - 8, asc, c);
+        const glyph = chartPoint(displayLongitudes[index], rPlanets, asc, c);
+        const marker = chartPoint(planet.longitude, rAspects, asc, c);
+        const minutes = String(planet.minute).padStart(2, '0');
+        const tooltip = `${planet.name} : ${planet.degree}°${minutes}' ${names[planet.sign] || planet.sign}${planet.retrograde ? ' ℞' : ''}${planet.house ? ` · ${t('chart.house', { house: planet.house })}` : ''}`;
+        parts.push(`<g class="chart-planet" data-planet="${planet.key}" data-tooltip="${escapeHtml(tooltip)}">`);
+        parts.push(`<title>${escapeHtml(tooltip)}</title>`);
+        parts.push(`<line x1="${exact.x}" y1="${exact.y}" x2="${tick.x}" y2="${tick.y}" stroke="#E6E6FA" stroke-width="1.5"/>`);
+        parts.push(`<circle cx="${marker.x}" cy="${marker.y}" r="2.5" fill="#E6E6FA"/>`);
+        parts.push(`<circle cx="${glyph.x}" cy="${glyph.y}" r="13" fill="#0c0c1e" fill-opacity="0.8"/>`);
+        parts.push(`<text x="${glyph.x}" y="${glyph.y}" fill="${planet.retrograde ? '#FF6B6B' : '#FFFFFF'}" font-size="18" text-anchor="middle" dominant-baseline="central">${planet.symbol}\uFE0E</text>`);
+        parts.push('</g>');
+    });
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+/**
+ * Convertit un élément SVG en fichier PNG.
+ * @param {SVGElement} svgElement - Le SVG affiché.
+ * @param {number} [scale=2] - Le facteur d'agrandissement (netteté pour les réseaux sociaux).
+ * @returns {Promise<Blob>} L'image PNG.
+ */
+function convertSvgToPng(svgElement, scale = 2) {
+    const svgText = new XMLSerializer().serializeToString(svgElement);
+    const width = svgElement.viewBox.baseVal.width;
+    const height = svgElement.viewBox.baseVal.height;
+    const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Conversion PNG impossible'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Le SVG n\'a pas pu être chargé'));
+        };
+        image.src = url;
+    });
+}
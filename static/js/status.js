@@ -0,0 +1,83 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - État des services
+ *
+ * Auteur: AstroGenAI
+ * Description: Historique des vérifications des services dont dépend
+ * l'application (backend, Ollama, ComfyUI, cibles de publication) : état
+ * courant, latence, disponibilité sur les dernières vérifications et
+ * dernière erreur. Un backend injoignable laisse l'état inconnu : c'est la
+ * file hors ligne (api.js) qui prend le relais.
+ * =============================================================================
+ */
+
+// États d'un service : 'up' (répond), 'degraded' (répond mais signale un problème),
+// 'down' (le backend le déclare indisponible), 'unknown' (pas encore vérifié ou
+// backend injoignable : la file hors ligne prend alors le relais).
+const SERVICE_STATES = ['up', 'degraded', 'down', 'unknown'];
+
+// Nombre de vérifications conservées par service.
+const STATUS_HISTORY_SIZE = 40;
+
+/**
+ * Crée l'état initial d'un service.
+ * @param {string} id - L'identifiant du service.
+ * @returns {object} { id, state, latency, lastCheck, lastError, lastErrorAt, details, history }.
+ */
+function createServiceStatus(id) {
+    return { id, state: 'unknown', latency: null, lastCheck: null, lastError: null, lastErrorAt: null, details: {}, history: [] };
+}
+
+/**
+ * Enregistre le résultat d'une vérification.
+ * @param {object} status - L'état du service.
+ * @param {object} check - { state, latency, at, error?, details? }.
+ * @returns {object} Le nouvel état (nouvel objet).
+ */
+function recordServiceCheck(status, check) {
+    const history = [...status.history, { state: check.state, latency: check.latency, at: check.at }]
+        .slice(-STATUS_HISTORY_SIZE);
+    return {
+        ...status,
+        state: check.state,
+        latency: check.latency,
+        lastCheck: check.at,
+        lastError: check.error || status.lastError,
+        lastErrorAt: check.error ? check.at : status.lastErrorAt,
+        details: check.details || {},
+        history
+    };
+}
+
+/**
+ * Part des vérifications réussies, en ignorant celles sans réponse du backend.
+ * @param {object} status - L'état du service.
+ * @returns {number|null} Le pourcentage (0-100), ou null sans vérification exploitable.
+ */
+function getServiceUptime(status) {
+    const known = status.history.filter(entry => entry.state !== 'unknown');
+    if (known.length === 0) return null;
+    const up = known.filter(entry => entry.state === 'up').length;
+    return Math.round((up / known.length) * 1000) / 10;
+}
+
+/**
+ * Latence moyenne des vérifications réussies.
+ * @param {object} status - L'état du service.
+ * @returns {number|null} La latence en millisecondes.
+ */
+function getAverageLatency(status) {
+    const latencies = status.history.filter(entry => entry.state === 'up').map(entry => entry.latency);
+    if (latencies.length === 0) return null;
+    return Math.round(latencies.reduce((total, latency) => total + latency, 0) / latencies.length);
+}
+
+/**
+ * Services indisponibles parmi ceux demandés.
+ * @param {object} statuses - Les états, indexés par service.
+ * @param {string[]} services - Les services requis.
+ * @returns {string[]} Les services à l'état 'down'.
+ */
+function getDownServices(statuses, services) {
+    return services.filter(service => statuses[service]?.state === 'down');
+}
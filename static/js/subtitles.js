@@ -0,0 +1,113 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Sous-titres des montages
+ *
+ * Auteur: AstroGenAI
+ * Description: Manipulation des segments de transcription d'un montage
+ * ({ start, end, text } en secondes) : lecture et écriture des minutages,
+ * contrôle de cohérence, découpage selon un point d'entrée / de sortie et
+ * export SRT / WebVTT. Les minutages des deux formats ne diffèrent que par
+ * le séparateur des millisecondes.
+ * =============================================================================
+ */
+
+/**
+ * Formate un minutage de sous-titre.
+ * @param {number} seconds - Le temps en secondes.
+ * @param {string} [separator] - Séparateur des millisecondes : ',' (SRT) ou '.' (VTT).
+ * @returns {string} Le minutage 'HH:MM:SS,mmm'.
+ */
+function formatSubtitleTime(seconds, separator = ',') {
+    const totalMs = Math.max(0, Math.round(Number(seconds) * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Lit un minutage saisi : 'HH:MM:SS,mmm', 'MM:SS.mmm' ou un nombre de secondes.
+ * @param {string|number} value - La saisie.
+ * @returns {number} Le temps en secondes, ou NaN si la saisie est invalide.
+ */
+function parseSubtitleTime(value) {
+    const text = String(value).trim().replace(',', '.');
+    if (!/^(\d+:){0,2}\d+(\.\d+)?$/.test(text)) return NaN;
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Nettoie une liste de segments : minutages numériques, texte sans espaces
+ * superflus, segments vides retirés, ordre chronologique.
+ * @param {object[]} segments - Les segments { start, end, text }.
+ * @returns {object[]} Les segments normalisés.
+ */
+function normalizeSegments(segments) {
+    return (segments || [])
+        .map(segment => ({
+            start: Math.round(Number(segment.start) * 1000) / 1000,
+            end: Math.round(Number(segment.end) * 1000) / 1000,
+            text: String(segment.text || '').trim()
+        }))
+        .filter(segment => segment.text && Number.isFinite(segment.start) && Number.isFinite(segment.end))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Contrôle la cohérence des segments.
+ * @param {object[]} segments - Les segments.
+ * @param {number} [duration] - La durée de la vidéo, en secondes.
+ * @returns {object[]} Les problèmes { index, type } avec type 'order', 'overlap' ou 'bounds'.
+ */
+function validateSegments(segments, duration) {
+    const issues = [];
+    segments.forEach((segment, index) => {
+        if (!(segment.end > segment.start)) issues.push({ index, type: 'order' });
+        if (segment.start < 0 || (duration && segment.end > duration + 0.05)) issues.push({ index, type: 'bounds' });
+        if (index > 0 && segment.start < segments[index - 1].end) issues.push({ index, type: 'overlap' });
+    });
+    return issues;
+}
+
+/**
+ * Ne garde que les segments compris entre deux points et les recale sur le
+ * nouveau début (sous-titres d'une vidéo découpée).
+ * @param {object[]} segments - Les segments.
+ * @param {number} inPoint - Le point d'entrée, en secondes.
+ * @param {number} outPoint - Le point de sortie, en secondes.
+ * @returns {object[]} Les segments découpés.
+ */
+function trimSegments(segments, inPoint, outPoint) {
+    return segments
+        .filter(segment => segment.end > inPoint && segment.start < outPoint)
+        .map(segment => ({
+            start: Math.max(segment.start, inPoint) - inPoint,
+            end: Math.min(segment.end, outPoint) - inPoint,
+            text: segment.text
+        }));
+}
+
+/**
+ * Produit un fichier SubRip (.srt).
+ * @param {object[]} segments - Les segments.
+ * @returns {string} Le contenu SRT.
+ */
+function buildSrt(segments) {
+    return normalizeSegments(segments)
+        .map((segment, index) =>
+            `${index + 1}\n${formatSubtitleTime(segment.start)} --> ${formatSubtitleTime(segment.end)}\n${segment.text}\n`)
+        .join('\n');
+}
+
+/**
+ * Produit un fichier WebVTT (.vtt), utilisable aussi comme piste du lecteur.
+ * @param {object[]} segments - Les segments.
+ * @returns {string} Le contenu VTT.
+ */
+function buildVtt(segments) {
+    const cues = normalizeSegments(segments)
+        .map(segment => `${formatSubtitleTime(segment.start, '.')} --> ${formatSubtitleTime(segment.end, '.')}\n${segment.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${cues}`;
+}
@@ -0,0 +1,90 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Indicateurs de ton d'un texte
+ *
+ * Auteur: AstroGenAI
+ * Description: Mesures simples et déterministes pour comparer les textes de
+ * plusieurs modèles : tonalité (lexique positif / négatif en français,
+ * anglais, espagnol et allemand), longueur moyenne des phrases, exclamations
+ * et forme d'adresse (tu / vous, tú / usted, du / Sie).
+ * =============================================================================
+ */
+
+// Racines de mots comptées pour la tonalité (texte normalisé, sans accents),
+// par langue : français, anglais, espagnol, allemand. « Attention » n'en fait
+// pas partie : « faites attention à vous » est bienveillant.
+const TONE_POSITIVE_STEMS = [
+    'amour', 'bonheur', 'chance', 'joie', 'harmoni', 'succes', 'reussi', 'serein', 'confian', 'energi',
+    'opportunit', 'epanou', 'lumi', 'brill', 'rayonn', 'favorab', 'posit', 'douceur', 'paix', 'inspir',
+    'love', 'luck', 'joy', 'success', 'happ', 'bright', 'opportun', 'positiv', 'peace',
+    'amor', 'felic', 'suerte', 'alegr', 'armon', 'exito', 'sereni', 'confianz', 'oportunidad', 'paz',
+    'liebe', 'gluck', 'freude', 'erfolg', 'gelassen', 'vertrau', 'gelegenheit', 'strahl', 'frieden'
+];
+const TONE_NEGATIVE_STEMS = [
+    'tension', 'conflit', 'difficult', 'obstacle', 'fatigu', 'stress', 'prudence', 'mefi', 'retard', 'frustr',
+    'inquiet', 'colere', 'perte', 'danger', 'crise', 'epreuve', 'doute', 'triste', 'blocage',
+    'conflict', 'tired', 'caution', 'delay', 'worr', 'anger', 'loss', 'doubt', 'sad',
+    'dificult', 'dificil', 'obstaculo', 'cansa', 'estres', 'retras', 'preocup', 'enfad', 'perdida', 'peligr',
+    'crisis', 'duda', 'bloqueo',
+    'spannung', 'konflikt', 'schwierig', 'hindernis', 'mude', 'vorsicht', 'verzoger', 'sorge', 'arger',
+    'verlust', 'gefahr', 'krise', 'zweifel', 'traurig', 'blockade'
+];
+
+// Mots qui marquent la forme d'adresse, par langue. Le vouvoiement allemand se
+// reconnaît à sa majuscule (« Sie », et non « sie », elle ou ils).
+const TONE_ADDRESS_WORDS = {
+    'fr': { informal: ['tu', 'te', 't', 'toi', 'ton', 'ta', 'tes'], formal: ['vous', 'votre', 'vos'] },
+    'es': { informal: ['tu', 'te', 'ti', 'tus', 'contigo'], formal: ['usted', 'ustedes'] },
+    'de': {
+        informal: ['du', 'dich', 'dir', 'dein', 'deine', 'deinen', 'deinem', 'deiner', 'deines'],
+        formal: ['Sie', 'Ihnen', 'Ihre', 'Ihrem', 'Ihren', 'Ihrer', 'Ihres']
+    },
+    'en': { informal: [], formal: [] }
+};
+
+// Seuils du score de tonalité (entre -1 et 1) pour le niveau affiché (libellés compare.tone.* de i18n.js).
+const TONE_LEVELS = [
+    { min: 0.35, level: 'enthusiastic', emoji: '🌞' },
+    { min: 0.05, level: 'positive', emoji: '🙂' },
+    { min: -0.05, level: 'neutral', emoji: '😐' },
+    { min: -1, level: 'cautious', emoji: '⚠️' }
+];
+
+/**
+ * Analyse le ton d'un texte.
+ * @param {string} text - Le texte (Markdown accepté).
+ * @param {string} [language] - La langue du texte, pour la forme d'adresse (français par défaut).
+ * @returns {object} { words, sentences, avgSentenceLength, exclamations, sentiment, level, emoji, address }
+ *   avec `address` valant 'impersonal', 'informal' (tu) ou 'formal' (vous).
+ */
+function analyzeTone(text, language = 'fr') {
+    const unaccented = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const words = unaccented.toLowerCase().match(/[a-z]+/g) || [];
+    const sentences = String(text || '').split(/[.!?…]+/).filter(sentence => sentence.trim().length > 0);
+
+    const countStems = stems => words.filter(word => stems.some(stem => word.startsWith(stem))).length;
+    const positive = countStems(TONE_POSITIVE_STEMS);
+    const negative = countStems(TONE_NEGATIVE_STEMS);
+    const sentiment = positive + negative > 0 ? (positive - negative) / (positive + negative) : 0;
+    const { level, emoji } = TONE_LEVELS.find(item => sentiment >= item.min);
+
+    // Forme d'adresse dominante : tutoiement, vouvoiement ou impersonnelle.
+    // Un mot en minuscules dans la liste est reconnu quelle que soit sa casse.
+    const { informal, formal } = TONE_ADDRESS_WORDS[language] || TONE_ADDRESS_WORDS.fr;
+    const casedWords = unaccented.match(/[A-Za-z]+/g) || [];
+    const countAddress = list => casedWords.filter(word => list.includes(word) || list.includes(word.toLowerCase())).length;
+    const tu = countAddress(informal);
+    const vous = countAddress(formal);
+    const address = tu === 0 && vous === 0 ? 'impersonal' : (tu > vous ? 'informal' : 'formal');
+
+    return {
+        words: words.length,
+        sentences: sentences.length,
+        avgSentenceLength: sentences.length > 0 ? Math.round(words.length / sentences.length) : 0,
+        exclamations: (String(text || '').match(/!/g) || []).length,
+        sentiment: Math.round(sentiment * 100) / 100,
+        level,
+        emoji,
+        address
+    };
+}
@@ -0,0 +1,62 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Exploration des visuels
+ *
+ * Auteur: AstroGenAI
+ * Description: Plans de variations pour les clips de constellation ComfyUI :
+ * plusieurs seeds pour un même prompt, ou plusieurs prompts pour un même
+ * seed, afin de comparer les rendus d'un signe et d'un format. Le seed et le
+ * prompt retenus deviennent le preset du signe.
+ * =============================================================================
+ */
+
+// Nombre maximal de variations par exploration (chaque clip prend 30 à 60 s).
+const VARIATION_MAX = 12;
+
+// Plage des seeds tirés au hasard (entiers positifs sur 32 bits).
+const VARIATION_SEED_MAX = 4294967295;
+
+/**
+ * Tire un seed au hasard.
+ * @returns {number} Le seed.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * VARIATION_SEED_MAX);
+}
+
+/**
+ * Lit une liste de seeds saisie librement (espaces, virgules ou retours).
+ * @param {string} text - La saisie.
+ * @returns {number[]} Les seeds valides, sans doublon.
+ */
+function parseSeedList(text) {
+    const seeds = String(text || '').split(/[\s,;]+/)
+        .filter(value => /^\d+$/.test(value))
+        .map(Number)
+        .filter(seed => seed <= VARIATION_SEED_MAX);
+    return [...new Set(seeds)];
+}
+
+/**
+ * Construit la liste des variations à générer.
+ * - 'seeds' : le même prompt avec les seeds fournis, complétés au hasard jusqu'à `count`.
+ * - 'prompts' : chaque variante de prompt (une par ligne) avec le même seed,
+ *   pour que seule la formulation change.
+ * @param {object} options - { mode, count, seeds, prompts, basePrompt, baseSeed }.
+ * @returns {object[]} Les variations { seed, prompt } (au plus VARIATION_MAX).
+ */
+function buildVariationPlan(options) {
+    if (options.mode === 'prompts') {
+        const prompts = String(options.prompts || '').split('\n').map(line => line.trim()).filter(Boolean);
+        const seed = Number.isInteger(options.baseSeed) ? options.baseSeed : randomSeed();
+        return [...new Set(prompts)].slice(0, VARIATION_MAX).map(prompt => ({ seed, prompt }));
+    }
+
+    const count = Math.min(Math.max(1, Number(options.count) || 1), VARIATION_MAX);
+    const seeds = parseSeedList(options.seeds).slice(0, count);
+    while (seeds.length < count) {
+        const seed = randomSeed();
+        if (!seeds.includes(seed)) seeds.push(seed);
+    }
+    return seeds.map(seed => ({ seed, prompt: options.basePrompt || null }));
+}
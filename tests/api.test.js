@@ -0,0 +1,78 @@
+/*
+ * Client API (api.js) : file des requêtes émises pendant une coupure du
+ * backend. Le transport remplace `fetch` comme le fait le mode démonstration.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['ids', 'i18n', 'connections', 'api'], { setTimeout, clearTimeout, AbortController });
+const { apiConnection } = context;
+
+/**
+ * Remet la connexion en ligne, sans file, avec un transport donné.
+ * @param {function} transport - Le remplaçant de `fetch`.
+ */
+function useTransport(transport) {
+    apiConnection.online = true;
+    apiConnection.queue.splice(0);
+    context.setApiTransport(transport);
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+const proxyError = status => async () => jsonResponse(status, { error: `Proxy ${status}` });
+const unreachable = async () => { throw new TypeError('Failed to fetch'); };
+
+test('une création de tâche n\'est pas mise en file après un 502 ou un 504', async () => {
+    for (const status of [502, 504]) {
+        useTransport(proxyError(status));
+        await assert.rejects(context.apiFetch('/api/jobs', { method: 'POST', queueWhenOffline: true }),
+            error => error.status === status);
+        assert.strictEqual(apiConnection.queue.length, 0);
+        assert.strictEqual(apiConnection.online, false);
+    }
+});
+
+test('une création de tâche qui n\'a pas pu partir attend le retour du backend', async () => {
+    useTransport(unreachable);
+    const pending = context.apiFetch('/api/jobs', { method: 'POST', queueWhenOffline: true });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(apiConnection.queue.length, 1);
+
+    context.setApiTransport(async () => jsonResponse(200, { success: true, job_id: 'job_1' }));
+    context.setApiOnline(true);
+    assert.strictEqual((await pending).job_id, 'job_1');
+    assert.strictEqual(apiConnection.queue.length, 0);
+});
+
+test('une requête émise hors ligne est mise en file sans être envoyée', async () => {
+    let calls = 0;
+    useTransport(async () => {
+        calls++;
+        return jsonResponse(200, { success: true });
+    });
+    apiConnection.online = false;
+    context.apiFetch('/api/jobs', { method: 'POST', queueWhenOffline: true }).catch(() => {});
+    assert.strictEqual(apiConnection.queue.length, 1);
+    assert.strictEqual(calls, 0);
+    context.cancelOfflineQueue();
+});
+
+test('une lecture reste en file après un 504, et pas au renvoi d\'une création', async () => {
+    useTransport(proxyError(504));
+    const pending = context.apiFetch('/api/health', { queueWhenOffline: true, retries: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(apiConnection.queue.length, 1);
+    context.cancelOfflineQueue();
+    await assert.rejects(pending, error => error.code === 'aborted');
+
+    // Mise en file avant toute réponse, la création échoue au renvoi sur un 502 : elle n'est pas rejouée.
+    useTransport(unreachable);
+    const job = context.apiFetch('/api/jobs', { method: 'POST', queueWhenOffline: true });
+    await new Promise(resolve => setImmediate(resolve));
+    context.setApiTransport(proxyError(502));
+    context.setApiOnline(true);
+    await assert.rejects(job, error => error.status === 502);
+    assert.strictEqual(apiConnection.queue.length, 0);
+});
@@ -0,0 +1,85 @@
+/*
+ * Éphémérides (ephemeris.js) comparées à des dates de référence connues.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { getBodyLongitude, isBodyRetrograde, getLunarPhase, findTransitEvents } = loadScripts(['ephemeris']);
+
+const J2000 = new Date('2000-01-01T12:00:00Z');
+const MINUTE = 60000;
+
+/**
+ * Vérifie qu'un instant est proche d'une référence.
+ * @param {Date} actual - L'instant calculé.
+ * @param {string} expected - L'instant de référence (ISO).
+ * @param {number} minutes - L'écart toléré.
+ */
+function assertNear(actual, expected, minutes) {
+    const gap = Math.abs(actual.getTime() - Date.parse(expected)) / MINUTE;
+    assert.ok(gap <= minutes, `${actual.toISOString()} est à ${gap.toFixed(0)} min de ${expected}`);
+}
+
+test('longitudes du Soleil et de la Lune à J2000', () => {
+    assert.ok(Math.abs(getBodyLongitude('sun', J2000) - 280.38) < 0.05);
+    assert.ok(Math.abs(getBodyLongitude('moon', J2000) - 223.35) < 0.3);
+});
+
+test('Mercure rétrograde du 1er au 25 avril 2024', () => {
+    assert.strictEqual(isBodyRetrograde('mercury', '2024-03-31'), false);
+    assert.strictEqual(isBodyRetrograde('mercury', '2024-04-02'), true);
+    assert.strictEqual(isBodyRetrograde('mercury', '2024-04-24'), true);
+    assert.strictEqual(isBodyRetrograde('mercury', '2024-04-26'), false);
+    // Le Soleil et la Lune ne sont jamais rétrogrades.
+    assert.strictEqual(isBodyRetrograde('sun', '2024-04-10'), false);
+    assert.strictEqual(isBodyRetrograde('moon', '2024-04-10'), false);
+});
+
+test('phases de la Lune d\'avril 2024', () => {
+    const newMoon = getLunarPhase(new Date('2024-04-08T18:21:00Z'));
+    assert.strictEqual(newMoon.key, 'new_moon');
+    assert.ok(newMoon.illumination < 0.01);
+
+    const fullMoon = getLunarPhase(new Date('2024-04-23T23:49:00Z'));
+    assert.strictEqual(fullMoon.key, 'full_moon');
+    assert.ok(fullMoon.illumination > 0.99);
+
+    const firstQuarter = getLunarPhase(new Date('2024-04-15T19:13:00Z'));
+    assert.strictEqual(firstQuarter.key, 'first_quarter');
+    assert.strictEqual(firstQuarter.waxing, true);
+});
+
+test('transits d\'avril 2024 : stations de Mercure et éclipse solaire', () => {
+    const events = findTransitEvents(new Date('2024-03-28T00:00:00Z'), new Date('2024-05-01T00:00:00Z'));
+    const find = predicate => {
+        const event = events.find(predicate);
+        assert.ok(event, 'événement introuvable');
+        return event;
+    };
+
+    const retrograde = find(e => e.type === 'station' && e.body === 'mercury' && e.direction === 'retrograde');
+    assertNear(retrograde.date, '2024-04-01T22:14:00Z', 60);
+    assert.strictEqual(retrograde.sign, 'aries');
+
+    const direct = find(e => e.type === 'station' && e.body === 'mercury' && e.direction === 'direct');
+    assertNear(direct.date, '2024-04-25T12:54:00Z', 60);
+
+    const eclipse = find(e => e.type === 'eclipse' && e.kind === 'solar');
+    assertNear(eclipse.date, '2024-04-08T18:21:00Z', 30);
+    assert.strictEqual(eclipse.sign, 'aries');
+
+    const fullMoon = find(e => e.type === 'lunation' && e.phase === 'full_moon');
+    assertNear(fullMoon.date, '2024-04-23T23:49:00Z', 30);
+    assert.strictEqual(fullMoon.sign, 'scorpio');
+
+    // Entrée du Soleil en Taureau le 19 avril 2024 à 14 h 59 UTC ; les éléments
+    // moyens de l'orbite laissent environ 0,05° d'écart, soit une heure et quart.
+    const ingress = find(e => e.type === 'ingress' && e.body === 'sun');
+    assert.strictEqual(ingress.sign, 'taurus');
+    assertNear(ingress.date, '2024-04-19T14:59:00Z', 90);
+
+    // Les événements sont triés par date.
+    events.slice(1).forEach((event, index) => assert.ok(event.date >= events[index].date));
+});
@@ -0,0 +1,40 @@
+/*
+ * Exports des horoscopes quotidiens (exporters.js), rédigés dans la langue
+ * des horoscopes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['i18n', 'exporters', 'router'], { URLSearchParams });
+const entries = [{ sign: 'aries', name: 'Aries', symbol: '♈', text: '**Bold** move & <new> start.', wordCount: 5 }];
+
+test('le flux RSS annonce la langue des horoscopes et échappe le XML', () => {
+    const feed = context.buildRssFeed('2026-10-19', entries, 'https://example.org/', 'en');
+    assert.match(feed, /<language>en<\/language>/);
+    assert.match(feed, /<title>AstroGenAI - Daily horoscopes<\/title>/);
+    assert.match(feed, /Horoscope for 2026-10-19/);
+    assert.match(feed, /Bold move &amp; &lt;new&gt; start\./);
+    assert.match(feed, /<link>https:\/\/example\.org\/#daily\?date=2026-10-19<\/link>/);
+    assert.match(context.buildRssFeed('2026-10-19', entries, 'https://example.org/'), /<language>fr<\/language>/);
+});
+
+test('les légendes suivent la langue et respectent les limites des plateformes', () => {
+    const caption = context.buildCaption('instagram', entries[0], '2026-10-19', 'de');
+    assert.match(caption, /Speichern Sie diesen Beitrag/);
+    assert.match(caption, /#aries #horoskop #astrologie/);
+    assert.ok(!caption.includes('#pourtoi'));
+
+    const long = { ...entries[0], text: 'mot '.repeat(2000) };
+    ['youtube', 'tiktok', 'instagram'].forEach(platform => {
+        const text = context.buildCaption(platform, long, '2026-10-19', 'es');
+        assert.ok(text.length <= context.CAPTION_LIMITS[platform], platform);
+    });
+});
+
+test('le CSV et la newsletter traduisent leurs libellés', () => {
+    const csv = context.buildHoroscopesCSV('2026-10-19', entries, 'es');
+    assert.ok(csv.startsWith('﻿fecha;signo;nombre;palabras;horóscopo\r\n'));
+    assert.match(context.buildMarkdownNewsletter('2026-10-19', entries, 'en'), /^# 🌟 Horoscopes for 2026-10-19/);
+});
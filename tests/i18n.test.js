@@ -0,0 +1,30 @@
+/*
+ * Catalogues de messages (i18n.js) : mêmes clés et mêmes paramètres dans
+ * chaque langue.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { I18N_MESSAGES, I18N_LANGUAGES } = loadScripts(['i18n']);
+const reference = I18N_MESSAGES.fr;
+
+/**
+ * @param {string} message - Un message du catalogue.
+ * @returns {string} Ses paramètres {nom}, triés.
+ */
+const params = message => (message.match(/\{\w+\}/g) || []).sort().join(' ');
+
+test('chaque langue a un catalogue', () => {
+    assert.deepStrictEqual(Object.keys(I18N_MESSAGES).sort().join(), Object.keys(I18N_LANGUAGES).sort().join());
+});
+
+for (const language of Object.keys(I18N_LANGUAGES).filter(code => code !== 'fr')) {
+    test(`le catalogue ${language} couvre les clés du français avec les mêmes paramètres`, () => {
+        const messages = I18N_MESSAGES[language];
+        assert.deepStrictEqual(Object.keys(messages).filter(key => !(key in reference)), []);
+        assert.deepStrictEqual(Object.keys(reference).filter(key => !(key in messages)), []);
+        Object.keys(reference).forEach(key => assert.strictEqual(params(messages[key]), params(reference[key]), key));
+    });
+}
@@ -0,0 +1,37 @@
+/*
+ * =============================================================================
+ * ASTRO GENERATOR - Chargement des scripts pour les tests
+ *
+ * Auteur: AstroGenAI
+ * Description: Les modules de static/js sont des scripts classiques qui
+ * partagent leurs globales dans la page. Les tests les exécutent dans un
+ * contexte vm commun, dans l'ordre des balises <script> d'index.html.
+ * =============================================================================
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'static', 'js');
+
+/**
+ * Charge des scripts dans un même contexte.
+ * @param {string[]} names - Les scripts, sans extension (ex: ['ephemeris']).
+ * @param {object} [globals] - Globales du navigateur à simuler (localStorage...).
+ * @returns {object} Le contexte ; les `const` de haut niveau y sont lisibles
+ *   comme des propriétés (ex: context.SAFE_URL_PROTOCOLS).
+ */
+function loadScripts(names, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    names.forEach(name => {
+        const file = path.join(SCRIPTS_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    // Les déclarations const/let ne sont pas des propriétés du contexte : on les évalue.
+    return new Proxy(context, {
+        get: (target, key) => (typeof key !== 'string' || key in target ? target[key] : vm.runInContext(key, target))
+    });
+}
+
+module.exports = { loadScripts };
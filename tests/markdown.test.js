@@ -0,0 +1,73 @@
+/*
+ * Rendu Markdown sécurisé (markdown.js) face à des réponses hostiles du LLM ou du backend.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { escapeHtml, safeUrl, renderMarkdown, SAFE_URL_PROTOCOLS } = loadScripts(['markdown']);
+
+test('escapeHtml échappe les caractères de balisage et les attributs', () => {
+    assert.strictEqual(escapeHtml('<a href="x" title=\'y\'>&`</a>'), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;');
+    assert.strictEqual(escapeHtml(null), '');
+    assert.strictEqual(escapeHtml(undefined), '');
+    assert.strictEqual(escapeHtml(42), '42');
+});
+
+test('une balise <img onerror> reste du texte', () => {
+    const html = renderMarkdown('Bonjour <img src=x onerror="alert(1)">');
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+});
+
+test('une balise <script> reste du texte, même dans un titre ou une liste', () => {
+    const html = renderMarkdown('# <script>alert(1)</script>\n- <script>alert(2)</script>\n\n<script>alert(3)</script>');
+    assert.ok(!/<script/i.test(html));
+    assert.strictEqual(html.match(/&lt;script&gt;/g).length, 3);
+});
+
+test('safeUrl refuse les schémas javascript:, y compris masqués', () => {
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)', 'java\u0000script:alert(1)',
+        'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)', '//evil.example/x.js']
+        .forEach(url => assert.strictEqual(safeUrl(url), '#', JSON.stringify(url)));
+    assert.strictEqual(safeUrl(null), '#');
+});
+
+test('safeUrl accepte les chemins relatifs et http(s), échappés', () => {
+    assert.strictEqual(safeUrl('/api/media/leo.mp4'), '/api/media/leo.mp4');
+    assert.strictEqual(safeUrl('https://example.com/?q="x"&a=1'), 'https://example.com/?q=&quot;x&quot;&amp;a=1');
+    assert.strictEqual(safeUrl('http://localhost:5000/video'), 'http://localhost:5000/video');
+});
+
+test('safeUrl accepte les URL blob: des médias du mode démonstration', () => {
+    assert.ok(SAFE_URL_PROTOCOLS.includes('blob:'));
+    assert.strictEqual(safeUrl('blob:https://astrogen.example/4f6c1e2a'), 'blob:https://astrogen.example/4f6c1e2a');
+});
+
+test('un accent grave ne permet pas de sortir du <code>', () => {
+    const html = renderMarkdown('`a</code><img src=x onerror=alert(1)>` et `b`c`');
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('<code>a&lt;/code&gt;&lt;img src=x onerror=alert(1)&gt;</code>'));
+    assert.strictEqual(html.match(/<code>/g).length, 2);
+    assert.strictEqual(html.match(/<code>/g).length, html.match(/<\/code>/g).length);
+});
+
+test('les marqueurs NUL de l\'entrée ne réinjectent pas de segment de code', () => {
+    const html = renderMarkdown('`sûr` puis \u00000\u0000 et \u00001\u0000');
+    assert.strictEqual(html.match(/<code>/g).length, 1);
+    assert.ok(!html.includes('\u0000'));
+});
+
+test('un bloc de code non fermé est affiché échappé', () => {
+    const html = renderMarkdown('Voici :\n```html\n<script>alert(1)</script>\n**pas de gras**');
+    assert.ok(html.startsWith('<p>Voici :</p><pre><code>'));
+    assert.ok(html.endsWith('</code></pre>'));
+    assert.ok(!/<script/i.test(html));
+    assert.ok(html.includes('**pas de gras**'));
+});
+
+test('la mise en forme prise en charge produit les balises attendues', () => {
+    assert.strictEqual(renderMarkdown('## Amour\n**fort** et *doux*\n1. un\n2. deux'),
+        '<h5>Amour</h5><p><strong>fort</strong> et <em>doux</em></p><ol><li>un</li><li>deux</li></ol>');
+});
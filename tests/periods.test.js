@@ -0,0 +1,27 @@
+/*
+ * Périodes d'horoscope (periods.js) : plages de dates et libellés des prompts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { getPeriodRange, describePeriod } = loadScripts(['i18n', 'periods']);
+
+test('une semaine va du lundi au dimanche', () => {
+    const range = getPeriodRange('week', '2026-10-22');
+    assert.strictEqual(`${range.start} ${range.end}`, '2026-10-19 2026-10-25');
+});
+
+test('le libellé de la période suit la langue du contenu', () => {
+    const week = getPeriodRange('week', '2026-10-22');
+    assert.strictEqual(describePeriod(week), 'de la semaine du 2026-10-19 au 2026-10-25');
+    assert.strictEqual(describePeriod(week, 'en'), 'for the week of 2026-10-19 to 2026-10-25');
+    assert.strictEqual(describePeriod(getPeriodRange('year', '2026-10-22'), 'de'), 'für das Jahr 2026');
+});
+
+test('le mois est élidé en français devant une voyelle', () => {
+    assert.strictEqual(describePeriod(getPeriodRange('month', '2026-04-10')), 'du mois d\'avril 2026');
+    assert.strictEqual(describePeriod(getPeriodRange('month', '2026-05-10')), 'du mois de mai 2026');
+    assert.strictEqual(describePeriod(getPeriodRange('month', '2026-05-10'), 'es'), 'del mes de mayo de 2026');
+});
@@ -0,0 +1,42 @@
+/*
+ * Bibliothèque de prompts (prompts.js) : modèles par défaut et mise à jour
+ * des bibliothèques enregistrées par une version précédente.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['ids', 'prompts']);
+const retired = context.RETIRED_DEFAULT_PROMPTS.horoscope[0];
+
+test('un ancien modèle par défaut intact reçoit le texte actuel', () => {
+    const library = { templates: [], defaults: {}, overrides: {} };
+    library.templates.push(context.createPromptTemplate('horoscope', retired.name, retired.text));
+    context.addMissingDefaultPrompts(library);
+
+    assert.strictEqual(context.upgradeDefaultPrompts(library), true);
+    const template = library.templates[0];
+    assert.strictEqual(template.versions.length, 2);
+    assert.strictEqual(template.versions[0].text, retired.text);
+    assert.strictEqual(context.getLatestPromptVersion(template).text, context.DEFAULT_PROMPT_TEMPLATES.horoscope.text);
+    assert.strictEqual(template.name, 'Horoscope de la période');
+    assert.strictEqual(context.upgradeDefaultPrompts(library), false);
+});
+
+test('un modèle modifié par l\'utilisateur est conservé', () => {
+    const library = { templates: [], defaults: {}, overrides: {} };
+    const template = context.createPromptTemplate('horoscope', 'Mon horoscope', retired.text);
+    context.addPromptTemplateVersion(template, `${retired.text}\nTermine par une citation.`);
+    library.templates.push(template);
+
+    assert.strictEqual(context.upgradeDefaultPrompts(library), false);
+    assert.strictEqual(template.versions.length, 2);
+    assert.strictEqual(template.name, 'Mon horoscope');
+});
+
+test('une nouvelle bibliothèque n\'a rien à mettre à jour', () => {
+    const library = context.createDefaultPromptLibrary();
+    assert.strictEqual(context.upgradeDefaultPrompts(library), false);
+    assert.ok(library.templates.every(template => template.versions.length === 1));
+});
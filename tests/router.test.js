@@ -0,0 +1,27 @@
+/*
+ * Routeur (router.js) : lecture et écriture du fragment de l'URL.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { parseRouteHash, buildRouteHash } = loadScripts(['router'], { URLSearchParams });
+
+test('une route se relit telle qu\'elle a été écrite', () => {
+    const hash = buildRouteHash('astrochart', { date: '2026-10-19', time: '12:00', lat: '48.85', empty: '' });
+    assert.strictEqual(hash, '#astrochart?date=2026-10-19&time=12:00&lat=48.85');
+    const route = parseRouteHash(hash);
+    assert.strictEqual(route.section, 'astrochart');
+    assert.strictEqual(JSON.stringify(route.params), '{"date":"2026-10-19","time":"12:00","lat":"48.85"}');
+});
+
+test('un fragment vide ou invalide ne donne pas de route', () => {
+    ['', '#', '#../etc', '#Individual', '#<script>'].forEach(hash => assert.strictEqual(parseRouteHash(hash), null, hash));
+});
+
+test('une séquence % mal formée ne lève pas d\'exception', () => {
+    assert.strictEqual(parseRouteHash('#individual%E0'), null);
+    assert.strictEqual(parseRouteHash('#%'), null);
+    assert.strictEqual(parseRouteHash('#daily?date=%E0').section, 'daily');
+});
@@ -0,0 +1,25 @@
+/*
+ * Planification (scheduler.js) : conversion de l'heure locale d'un fuseau en
+ * UTC avec le zonedTimeToUtc de cities.js, chargé avant comme dans index.html.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['ids', 'ephemeris', 'cities', 'publishers', 'scheduler']);
+
+test('zonedTimeToUtc garde la signature (date, heure, fuseau) de cities.js', () => {
+    assert.strictEqual(context.zonedTimeToUtc('2026-01-10', '09:00', 'America/New_York').toISOString(), '2026-01-10T14:00:00.000Z');
+    assert.strictEqual(context.zonedTimeToUtc('2026-07-01', '09:30', 'Europe/Paris').toISOString(), '2026-07-01T07:30:00.000Z');
+    assert.strictEqual(context.zonedTimeToUtc('2026-07-01', '09:30', 'Asia/Kolkata').toISOString(), '2026-07-01T04:00:00.000Z');
+});
+
+test('une publication planifiée est convertie dans son fuseau', () => {
+    const post = context.createScheduledPost({
+        sign: 'aries', platform: 'youtube', localDateTime: '2026-10-25T09:00', timeZone: 'Europe/Paris'
+    });
+    // Le 25 octobre 2026, Paris est repassé à l'heure d'hiver (UTC+1).
+    assert.strictEqual(post.publishAt, '2026-10-25T08:00:00.000Z');
+    assert.strictEqual(post.status, 'pending');
+});
@@ -0,0 +1,37 @@
+/*
+ * Analyse de ton (tone.js) : tonalité et forme d'adresse selon la langue.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { analyzeTone } = loadScripts(['tone']);
+
+test('« faites attention à vous » ne rend pas le texte négatif', () => {
+    const tone = analyzeTone('Faites attention à vous, la journée sera sereine.');
+    assert.strictEqual(tone.level, 'enthusiastic');
+    assert.strictEqual(tone.address, 'formal');
+});
+
+test('la tonalité est reconnue en espagnol et en allemand', () => {
+    assert.strictEqual(analyzeTone('Hoy encontrarás amor, alegría y éxito.', 'es').level, 'enthusiastic');
+    assert.strictEqual(analyzeTone('Ein Tag voller Spannung, Konflikte und Zweifel.', 'de').level, 'cautious');
+    assert.strictEqual(analyzeTone('Viel Glück und Freude heute!', 'de').level, 'enthusiastic');
+});
+
+test('la forme d\'adresse dépend de la langue du texte', () => {
+    assert.strictEqual(analyzeTone('Tu vas briller, crois en toi.', 'fr').address, 'informal');
+    assert.strictEqual(analyzeTone('Tú puedes lograrlo, confía en ti.', 'es').address, 'informal');
+    assert.strictEqual(analyzeTone('Usted merece descansar.', 'es').address, 'formal');
+    assert.strictEqual(analyzeTone('Du schaffst das, glaub an dich.', 'de').address, 'informal');
+    assert.strictEqual(analyzeTone('Heute können Sie Ihre Pläne umsetzen.', 'de').address, 'formal');
+    // « sie » en minuscules (elle, ils) n'est pas un vouvoiement.
+    assert.strictEqual(analyzeTone('Heute kommt sie zurück.', 'de').address, 'impersonal');
+    assert.strictEqual(analyzeTone('You will shine today.', 'en').address, 'impersonal');
+});
+
+test('sans langue connue, la forme d\'adresse est lue en français', () => {
+    assert.strictEqual(analyzeTone('Vous rayonnez.').address, 'formal');
+    assert.strictEqual(analyzeTone('Vous rayonnez.', 'xx').address, 'formal');
+});